@@ -2,6 +2,7 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 const fs = require('node:fs');
 const path = require('node:path');
+const crypto = require('node:crypto');
 
 function isHex40(s) {
   return typeof s === 'string' && /^[a-fA-F0-9]{40}$/.test(s);
@@ -80,7 +81,8 @@ function normalizeParserResults(rawResults = []) {
   let invalidCount = 0;
 
   items.forEach((item) => {
-    const hash = btihFromMagnetOrFields(item);
+    const link = torrentFileLink(item);
+    const hash = btihFromMagnetOrFields(item) || (link ? `tor${stableId(link)}` : null);
     if (!hash) {
       invalidCount += 1;
       return;
@@ -101,6 +103,10 @@ function classifyParserFailure(err = {}) {
   const message = String(err?.message || '');
   const lower = message.toLowerCase();
 
+  // An HTML/captcha page instead of JSON: no results from this parser, but not an outage worth a cooldown
+  if (err?.reason === 'bad_json') {
+    return { status: 'invalid_payload', cooldown: false, reason: 'bad_json', statusCode };
+  }
   if (Number(err?.timeoutMs) > 0 || /timeout|timed out|time out/i.test(message)) {
     return { status: 'timeout', cooldown: true, reason: message || 'timeout', statusCode };
   }
@@ -240,246 +246,3717 @@ async function runParserSearch({ parsers, fetchParser, now, health, parserTimeou
   throw err;
 }
 
-test('base32/hex BTIH parsing works', () => {
-  assert.equal(base32ToHex('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), '0000000000000000000000000000000000000000');
-  assert.equal(btihFromMagnetOrFields({ Hash: '0123456789abcdef0123456789abcdef01234567' }), '0123456789abcdef0123456789abcdef01234567');
-  assert.equal(
-    btihFromMagnetOrFields({ MagnetUri: 'magnet:?xt=urn:btih:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' }),
-    '0000000000000000000000000000000000000000'
-  );
-});
+function mergeNormalizedResults(results = []) {
+  const entriesByHash = new Map();
+  const sourcesByHash = new Map();
+  let rawCount = 0;
 
-test('proxy URL builder covers URL, placeholder and query modes', () => {
-  assert.match(buildProxyUrl('https://proxy.example/?x=1', 'https://api.example/x'), /url=https%3A%2F%2Fapi\.example%2Fx/);
-  assert.match(
-    buildProxyUrl('https://proxy.example/{url}', 'https://api.example/x'),
-    /\?url=https%3A%2F%2Fapi\.example%2Fx/
-  );
-  assert.match(
-    buildProxyUrl('https://proxy.example?url=old', 'https://api.example/x'),
-    /^https:\/\/proxy\.example\/?\?url=https%3A%2F%2Fapi\.example%2Fx$/
-  );
-});
+  results.forEach(({ parser, normalized }) => {
+    if (!normalized || !(normalized.entriesByHash instanceof Map)) return;
+    rawCount += Number(normalized.rawCount) || 0;
+    normalized.entriesByHash.forEach((item, hash) => {
+      if (!entriesByHash.has(hash)) entriesByHash.set(hash, item);
+      const sources = sourcesByHash.get(hash) || [];
+      if (parser?.name && !sources.includes(parser.name)) sources.push(parser.name);
+      sourcesByHash.set(hash, sources);
+    });
+  });
 
-test('normalizeParserResults keeps only entries with valid hashes', () => {
-  const normalized = normalizeParserResults([
-    { Title: 'bad', MagnetUri: 'magnet:?dn=nohash' },
-    { Title: 'good', Hash: '0123456789abcdef0123456789abcdef01234567' },
-    { Title: 'dup', Hash: '0123456789abcdef0123456789abcdef01234567' },
-  ]);
+  return { rawCount, validCount: entriesByHash.size, entriesByHash, sourcesByHash };
+}
 
-  assert.equal(normalized.rawCount, 3);
-  assert.equal(normalized.validCount, 1);
-  assert.equal(normalized.invalidCount, 1);
-  assert.equal(normalized.entriesByHash.size, 1);
-});
+async function runParserMergeSearch({ parsers, fetchParser, health, deadlineMs }) {
+  const parserAttempts = [];
+  const activeParsers = parsers.filter((parser) => !health.isCoolingDown(parser.url));
+  const passParsers = activeParsers.length > 0 ? activeParsers : parsers;
 
-test('first valid parser stops the chain', async () => {
-  const calls = [];
-  let currentTime = 0;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Custom 1', url: 'custom.example' },
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-  ];
+  if (activeParsers.length > 0) {
+    parsers
+      .filter((parser) => health.isCoolingDown(parser.url))
+      .forEach((parser) => parserAttempts.push({ name: parser.name, domain: parser.url, status: 'cooldown_skip' }));
+  }
 
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser, timeoutMs) => {
-      calls.push({ parser: parser.name, timeoutMs });
+  // One deadline for the whole fan-out; parsers still pending when it hits are cut off
+  const deadline = Date.now() + deadlineMs;
+  const fanOut = new AbortController();
+  const runParser = async (parser) => {
+    try {
+      const json = await fetchParser(parser, Math.max(1, deadline - Date.now()), fanOut.signal);
+      const normalized = normalizeParserResults(json?.Results || []);
+      const status = normalized.validCount > 0 ? 'success' : normalized.rawCount > 0 ? 'invalid_payload' : 'empty';
+      if (normalized.validCount > 0) health.markSuccess(parser.url);
+      else if (status === 'invalid_payload') health.markFailure(parser.url, status);
+      return { parser, attempt: { name: parser.name, domain: parser.url, status }, normalized };
+    } catch (err) {
+      if (fanOut.signal.aborted) throw err;
+      const failure = classifyParserFailure(err);
+      if (failure.cooldown) health.markFailure(parser.url, failure.status);
       return {
-        Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567', Title: `${parser.name} ok` }],
+        parser,
+        attempt: { name: parser.name, domain: parser.url, status: failure.status },
+        normalized: normalizeParserResults([]),
       };
-    },
+    }
+  };
+  const settled = passParsers.map(() => null);
+  const all = Promise.all(passParsers.map((parser, i) => runParser(parser).then((result) => (settled[i] = result))));
+  all.catch(() => {});
+  let timer = null;
+  const expired = new Promise((resolve) => (timer = setTimeout(resolve, Math.max(0, deadline - Date.now()))));
+  try {
+    await Promise.race([all, expired]);
+  } finally {
+    clearTimeout(timer);
+    fanOut.abort();
+  }
+  const results = settled.map((result, i) => {
+    if (result) return result;
+    const parser = passParsers[i];
+    health.markFailure(parser.url, 'timeout');
+    return {
+      parser,
+      attempt: { name: parser.name, domain: parser.url, status: 'timeout', reason: 'merge_deadline' },
+      normalized: normalizeParserResults([]),
+    };
   });
+  results.forEach(({ attempt }) => parserAttempts.push(attempt));
 
-  assert.deepEqual(calls, [{ parser: 'Custom 1', timeoutMs: 5000 }]);
-  assert.equal(result.parser.name, 'Custom 1');
-  assert.equal(result.entriesByHash.size, 1);
-});
+  const merged = mergeNormalizedResults(results);
+  if (!merged.validCount) {
+    const err = new Error('public parsers unavailable or returned no results');
+    err.diagnostics = parserAttempts;
+    throw err;
+  }
+  return { entriesByHash: merged.entriesByHash, sourcesByHash: merged.sourcesByHash, diagnostics: parserAttempts };
+}
 
-test('empty first parser falls back to second parser', async () => {
-  const calls = [];
-  let currentTime = 0;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+function stableId(str = '') {
+  let h = 0x811c9dc5;
+  const s = String(str || '');
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
 
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser) => {
-      calls.push(parser.name);
-      if (parser.name === 'Viewbox') return { Results: [] };
-      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
-    },
-  });
+function newznabAttr(item, name) {
+  const attrs = [].concat(item?.attr || item?.['newznab:attr'] || []);
+  const hit = attrs.find((a) => (a?.['@attributes']?.name || a?.name) === name);
+  return hit ? hit['@attributes']?.value ?? hit.value ?? null : null;
+}
 
-  assert.deepEqual(calls, ['Viewbox', 'Jacred']);
-  assert.equal(result.parser.name, 'Jacred');
-});
+function toUsenetRaw(item, indexer) {
+  const enclosure = item?.enclosure?.['@attributes'] || item?.enclosure || {};
+  const link = String(enclosure.url || item?.link || '').trim();
+  if (!/^https?:\/\//i.test(link)) return null;
+  const guid = typeof item?.guid === 'object' ? item.guid?.text || item.guid?.['#text'] : item?.guid;
+  return {
+    Title: String(item?.title || ''),
+    Size: Number(newznabAttr(item, 'size') || enclosure.length) || 0,
+    PublishDate: item?.pubDate || item?.pubdate || '',
+    Tracker: indexer.name,
+    NzbLink: link,
+    Guid: String(guid || link),
+    Source: 'usenet',
+  };
+}
 
-test('non-empty invalid payload falls back to next parser and enters cooldown', async () => {
-  let currentTime = 1000;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+function normalizeNewznabIndexers(value) {
+  const seen = new Set();
+  return String(Array.isArray(value) ? value.join(';') : value || '')
+    .split(/\s*;\s*|\s+|,(?=\s*https?:\/\/)/)
+    .map((item) => String(item || '').trim())
+    .filter(Boolean)
+    .map((raw) => {
+      try {
+        const url = new URL(raw);
+        if (!/^https?:$/.test(url.protocol)) return null;
+        if (!url.pathname || url.pathname === '/') url.pathname = '/api';
+        return { name: url.hostname, url: url.toString() };
+      } catch {
+        return null;
+      }
+    })
+    .filter((entry) => entry && !seen.has(entry.url) && seen.add(entry.url));
+}
 
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser) => {
-      if (parser.name === 'Viewbox') return { Results: [{ Title: 'missing hash', MagnetUri: 'magnet:?dn=bad' }] };
-      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
-    },
-  });
+const RETRY_AFTER_MAX_MS = 30 * 1000;
 
-  assert.equal(result.parser.name, 'Jacred');
-  assert.ok(health.isCoolingDown('jacred.viewbox.dev'));
-  assert.equal(result.diagnostics[0].status, 'invalid_payload');
-});
+function parseRetryAfter(value, now = Date.now()) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+  if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - now) : null;
+}
 
-test('timeout uses parser timeout and falls back quickly', async () => {
-  const calls = [];
-  let currentTime = 0;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+function attemptTimeoutMs(timeoutMs, deadline, now = Date.now()) {
+  const budget = Math.max(1, Number(timeoutMs) || 20 * 1000);
+  return deadline ? Math.max(0, Math.min(budget, deadline - now)) : budget;
+}
 
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser, timeoutMs) => {
-      calls.push({ parser: parser.name, timeoutMs });
-      if (parser.name === 'Viewbox') throw { message: 'Request timeout (5 s)', timeoutMs };
-      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
-    },
-  });
+function linkAbort(outerSignal, controller) {
+  if (!outerSignal) return () => {};
+  const onOuterAbort = () => controller.abort();
+  outerSignal.addEventListener('abort', onOuterAbort, { once: true });
+  return () => outerSignal.removeEventListener('abort', onOuterAbort);
+}
 
-  assert.deepEqual(calls, [
-    { parser: 'Viewbox', timeoutMs: 5000 },
-    { parser: 'Jacred', timeoutMs: 5000 },
-  ]);
-  assert.equal(result.parser.name, 'Jacred');
-  assert.ok(health.isCoolingDown('jacred.viewbox.dev'));
-});
+function computeRetryDelay(err, attempt, policy, method = 'GET', random = Math.random) {
+  if (attempt >= policy.maxAttempts) return null;
+  if (!err || err.name === 'AbortError' || Number(err.timeoutMs) > 0) return null;
+  if (err.type === 'validation' || err.type === 'auth') return null;
 
-test('network failure enters cooldown and next search skips broken parser', async () => {
-  const calls = [];
-  let currentTime = 100;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+  const status = Number(err.status) || 0;
+  const idempotent = method === 'GET' || method === 'HEAD';
+  const retryable = status === 429 || (idempotent && (status >= 500 || (!status && err.transient)));
+  if (!retryable) return null;
 
-  await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser) => {
-      calls.push(parser.name);
-      if (parser.name === 'Viewbox') throw new Error('ERR_CONNECTION_CLOSED');
-      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
-    },
-  });
+  if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+    return err.retryAfterMs > RETRY_AFTER_MAX_MS ? null : err.retryAfterMs;
+  }
+  const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(exp / 2 + random() * (exp / 2));
+}
 
-  calls.length = 0;
-  currentTime += 1000;
+function resolveRoute(mode, capability) {
+  if (mode === 'direct' || mode === 'proxy') return mode;
+  if (capability) return capability.direct ? 'direct' : 'proxy';
+  return 'probe';
+}
 
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser) => {
-      calls.push(parser.name);
-      return { Results: [{ Hash: 'fedcba9876543210fedcba9876543210fedcba98' }] };
-    },
-  });
+function splitUrlList(value) {
+  const items = String(Array.isArray(value) ? value.join(';') : value || '')
+    .split(/\s*;\s*|\s+|,(?=\s*https?:\/\/)/)
+    .map((item) => String(item || '').trim())
+    .filter(Boolean);
+  return Array.from(new Set(items));
+}
 
-  assert.deepEqual(calls, ['Jacred']);
-  assert.equal(result.parser.name, 'Jacred');
-});
+const PROXY_GATEWAY_STATUSES = [502, 503, 504];
 
-test('when all parsers are cooling down the chain retries full pass', async () => {
-  let currentTime = 500;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+async function fetchViaProxies(url, init, { proxies, health, fetchImpl, routes }) {
+  const healthy = proxies.filter((proxy) => !health.isCoolingDown(proxy));
+  const pass = healthy.length ? healthy : proxies;
+  const method = String(init?.method || 'GET').toUpperCase();
+  const resendable = method === 'GET' || method === 'HEAD';
+  let lastError = null;
 
-  health.markFailure('jacred.viewbox.dev', 'timeout');
-  health.markFailure('jacred.xyz', 'network');
+  for (let i = 0; i < pass.length; i++) {
+    const proxy = pass[i];
+    const isLast = i === pass.length - 1;
+    try {
+      const res = await fetchImpl(buildProxyUrl(proxy, url), init);
+      routes.push({ via: proxy, status: res.status });
+      if (PROXY_GATEWAY_STATUSES.includes(res.status)) {
+        health.markFailure(proxy, `http_${res.status}`);
+        if (!isLast && resendable) continue;
+      } else {
+        health.markSuccess(proxy);
+      }
+      return res;
+    } catch (e) {
+      if (e?.name === 'AbortError') throw e;
+      routes.push({ via: proxy, status: 'network' });
+      health.markFailure(proxy, 'network');
+      lastError = e;
+    }
+  }
+  throw lastError || { type: 'network', message: 'network' };
+}
 
-  const calls = [];
-  const result = await runParserSearch({
-    parsers,
-    parserTimeoutMs: 5000,
-    now,
-    health,
-    fetchParser: async (parser) => {
-      calls.push(parser.name);
-      if (parser.name === 'Viewbox') return { Results: [] };
-      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+const CORS_PROBE_TTL_MS = 24 * 60 * 60 * 1000;
+const CORS_UNCONFIRMED_TTL_MS = 10 * 60 * 1000;
+
+// CorsCapability without Store persistence; the clock is injected
+function createCorsCapability(now) {
+  const cache = {};
+  const originOf = (url) => {
+    try {
+      return new URL(url).origin.toLowerCase();
+    } catch {
+      return '';
+    }
+  };
+  return {
+    get(url) {
+      const entry = cache[originOf(url)];
+      if (!entry || typeof entry !== 'object') return null;
+      const ttlMs = Number(entry.ttlMs) || CORS_PROBE_TTL_MS;
+      if (now() - (Number(entry.checkedAt) || 0) > ttlMs) return null;
+      return entry;
     },
-  });
+    mark(url, direct, ttlMs = CORS_PROBE_TTL_MS) {
+      const origin = originOf(url);
+      if (!origin) return;
+      cache[origin] = { direct: !!direct, checkedAt: now(), ttlMs };
+    },
+  };
+}
 
-  assert.deepEqual(calls, ['Viewbox', 'Jacred']);
-  assert.equal(result.parser.name, 'Jacred');
-});
+// Probe branch of Api fetchRouted; resolves once the background CORS confirmation has run too
+async function probeRoute(url, init, { fetchImpl, capability, viaProxies }) {
+  try {
+    const res = await fetchImpl(url, init);
+    capability.mark(url, true);
+    return { res };
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    capability.mark(url, false, CORS_UNCONFIRMED_TTL_MS);
+    const confirmed = fetchImpl(url, { method: 'HEAD', mode: 'no-cors', credentials: 'omit', signal: init?.signal })
+      .then(
+        () => true,
+        () => false
+      )
+      .then((blocked) => blocked && capability.mark(url, false));
+    return { res: await viaProxies(url, init), confirmed };
+  }
+}
 
-test('all parser failures surface a diagnostics trail', async () => {
-  let currentTime = 0;
-  const now = () => currentTime;
-  const health = createParserHealth(15 * 60 * 1000, now);
-  const parsers = [
-    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
-    { name: 'Jacred', url: 'jacred.xyz' },
-  ];
+function isCachedFlagTrue(flag) {
+  if (flag === true || flag === 'true') return true;
+  if (flag === false || flag === 'false') return false;
+  if (typeof flag === 'number') return flag > 0;
+  if (typeof flag === 'string') {
+    const norm = flag.toLowerCase();
+    if (['1', 'true', 'cached', 'ready', 'available', 'complete', 'completed'].includes(norm)) return true;
+    if (['0', 'false', 'missing', 'not_cached'].includes(norm)) return false;
+  }
+  if (flag && typeof flag === 'object') {
+    if ('cached' in flag) return isCachedFlagTrue(flag.cached);
+    if ('ready' in flag) return isCachedFlagTrue(flag.ready);
+    if ('status' in flag) return isCachedFlagTrue(flag.status);
+    if ('available' in flag) return isCachedFlagTrue(flag.available);
+    return Object.values(flag).some(isCachedFlagTrue);
+  }
+  return false;
+}
 
-  await assert.rejects(
-    runParserSearch({
-      parsers,
-      parserTimeoutMs: 5000,
-      now,
-      health,
-      fetchParser: async (parser) => {
-        if (parser.name === 'Viewbox') throw new Error('ERR_CONNECTION_CLOSED');
-        return { Results: [{ Title: 'bad payload', MagnetUri: 'magnet:?dn=bad' }] };
-      },
-    }),
+function createCachedStatus(ttlMs, limit) {
+  let cache = {};
+  return {
+    lookup(hashes, now) {
+      const known = new Map();
+      const stale = [];
+      (hashes || []).forEach((hash) => {
+        const key = String(hash || '').toLowerCase();
+        const entry = cache[key];
+        if (entry && now - (Number(entry.ts) || 0) <= ttlMs) known.set(key, !!entry.c);
+        else stale.push(key);
+      });
+      return { known, stale };
+    },
+    remember(flagsByHash, now) {
+      Object.entries(flagsByHash || {}).forEach(([hash, flag]) => {
+        cache[String(hash).toLowerCase()] = { c: !!flag, ts: now };
+      });
+      const entries = Object.entries(cache);
+      if (entries.length > limit) {
+        entries.sort((a, b) => (Number(b[1]?.ts) || 0) - (Number(a[1]?.ts) || 0));
+        cache = Object.fromEntries(entries.slice(0, limit));
+      }
+    },
+    size() {
+      return Object.keys(cache).length;
+    },
+  };
+}
+
+async function checkCachedParallel(hashes, requestChunk, { chunkSize, concurrency, remember, onChunk, signal }) {
+  if (!Array.isArray(hashes) || !hashes.length) return {};
+  const chunks = [];
+  for (let i = 0; i < hashes.length; i += chunkSize) {
+    chunks.push(hashes.slice(i, i + chunkSize));
+  }
+
+  const acc = {};
+  let next = 0;
+  const worker = async () => {
+    while (next < chunks.length && !signal?.aborted) {
+      const chunk = chunks[next++];
+      try {
+        const r = await requestChunk(chunk);
+        const data = r?.data && typeof r.data === 'object' ? r.data : {};
+        const lowered = {};
+        Object.keys(data).forEach((h) => (lowered[h.toLowerCase()] = data[h]));
+        const flags = {};
+        chunk.forEach((h) => {
+          const key = String(h).toLowerCase();
+          flags[key] = isCachedFlagTrue(lowered[key]);
+        });
+        Object.assign(acc, flags);
+        remember(flags);
+        if (typeof onChunk === 'function' && !signal?.aborted) onChunk(flags);
+      } catch (_) {
+        // chunk stays unanswered (stale) and is re-checked next time
+      }
+    }
+  };
+
+  const workers = Math.min(concurrency, chunks.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return acc;
+}
+
+const RESPONSE_CACHE_TTLS = [
+  { pattern: /\/requestdl\?/, ttlMs: 0 },
+  { pattern: /\/torrents\/checkcached\?/, ttlMs: 60 * 1000 },
+  { pattern: /\/(torrents|usenet|webdl)\/mylist\b/, ttlMs: 2 * 1000 },
+  { pattern: /^https:\/\/api\.torbox\.app\//, ttlMs: 0 },
+  { pattern: /./, ttlMs: 60 * 1000 },
+];
+
+function responseTtlFor(url) {
+  const rule = RESPONSE_CACHE_TTLS.find((r) => r.pattern.test(url));
+  return rule ? rule.ttlMs : 0;
+}
+
+// Mirrors Api.request coalescing: requestWithRetry(url, opt, signal) is injected, the clock and API key too.
+function createCoalescingRequest(requestWithRetry, now, apiKey = () => '') {
+  const inflight = new Map();
+  const responseCache = new Map();
+  const cloneJson = (val) => (val && typeof val === 'object' ? JSON.parse(JSON.stringify(val)) : val);
+  const abortError = () => ({ name: 'AbortError', message: 'aborted' });
+
+  function readResponseCache(key) {
+    const entry = responseCache.get(key);
+    if (!entry) return undefined;
+    if (now() - entry.ts > entry.ttlMs) {
+      responseCache.delete(key);
+      return undefined;
+    }
+    return entry.val;
+  }
+
+  function joinShared(entry, signal) {
+    entry.waiters++;
+    if (!signal) return entry.promise.then(cloneJson);
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const leave = () => {
+        if (done) return false;
+        done = true;
+        signal.removeEventListener('abort', onAbort);
+        entry.waiters--;
+        return true;
+      };
+      const onAbort = () => {
+        if (!leave()) return;
+        if (entry.waiters <= 0) {
+          if (inflight.get(entry.key) === entry) inflight.delete(entry.key);
+          entry.controller.abort();
+        }
+        reject(abortError());
+      };
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort);
+      entry.promise.then(
+        (val) => leave() && resolve(cloneJson(val)),
+        (err) => leave() && reject(err)
+      );
+    });
+  }
+
+  return function request(url, { fresh = false, ...opt } = {}, outerSignal) {
+    const method = String(opt.method || 'GET').toUpperCase();
+    if (method !== 'GET' || opt.body) {
+      return requestWithRetry(url, opt, outerSignal).then((res) => {
+        if (opt.is_torbox_api !== false) {
+          Array.from(responseCache.keys())
+            .filter((key) => key.includes('https://api.torbox.app/'))
+            .forEach((key) => responseCache.delete(key));
+        }
+        return res;
+      });
+    }
+
+    const key = `${opt.is_torbox_api === false ? 'ext' : `tb:${Utils.stableId(apiKey())}`} ${url}`;
+    const cached = fresh ? undefined : readResponseCache(key);
+    if (cached !== undefined) return Promise.resolve(cloneJson(cached));
+
+    let entry = inflight.get(key);
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { key, controller, waiters: 0, promise: null };
+      entry.promise = requestWithRetry(url, opt, controller.signal).then(
+        (val) => {
+          if (inflight.get(key) === entry) inflight.delete(key);
+          const ttlMs = responseTtlFor(url);
+          if (ttlMs > 0) responseCache.set(key, { ts: now(), ttlMs, val });
+          return val;
+        },
+        (err) => {
+          if (inflight.get(key) === entry) inflight.delete(key);
+          throw err;
+        }
+      );
+      entry.promise.catch(() => {});
+      inflight.set(key, entry);
+    }
+    return joinShared(entry, outerSignal);
+  };
+}
+
+function deferredFetch() {
+  const calls = [];
+  const impl = (url, opt, signal) =>
+    new Promise((resolve, reject) => {
+      const call = { url, signal, resolve };
+      calls.push(call);
+      signal.addEventListener('abort', () => reject({ name: 'AbortError' }));
+    });
+  return { calls, impl };
+}
+
+const LIBRARY_SORTS = [
+  { key: 'date', field: 'created_ts', reverse: true },
+  { key: 'name', field: 'name_key', reverse: false },
+  { key: 'size', field: 'size', reverse: true },
+  { key: 'progress', field: 'progress', reverse: true },
+];
+const LIBRARY_FILTERS = ['all', 'ready', 'active', 'error'];
+
+function libraryStateOf(raw) {
+  const st = String(raw?.download_state || '').toLowerCase();
+  if (/error|fail/.test(st)) return 'error';
+  if (raw?.download_finished || raw?.download_present) return 'ready';
+  if (['cached', 'completed', 'uploading', 'seeding'].some((s) => st.includes(s))) return 'ready';
+  return 'active';
+}
+
+function sortFilterLibrary(items, sortKey, filterKey, maxItems = 300) {
+  const sort = LIBRARY_SORTS.find((s) => s.key === sortKey) || LIBRARY_SORTS[0];
+  const list = (items || [])
+    .filter((item) => filterKey === 'all' || !LIBRARY_FILTERS.includes(filterKey) || item.status === filterKey)
+    .map((x, i) => ({ x, i }))
+    .sort((A, B) => {
+      const a = A.x[sort.field] ?? 0;
+      const b = B.x[sort.field] ?? 0;
+      if (a < b) return sort.reverse ? 1 : -1;
+      if (a > b) return sort.reverse ? -1 : 1;
+      return A.i - B.i;
+    })
+    .map((q) => q.x);
+  return list.slice(0, maxItems);
+}
+
+function isActiveDownload(raw) {
+  return typeof raw?.active === 'boolean' ? raw.active : libraryStateOf(raw) === 'active';
+}
+
+function extractApiErrorCode(json) {
+  const code = String(json?.error || json?.data?.error || '').trim();
+  return /^[A-Z][A-Z0-9_]{2,}$/.test(code) ? code : '';
+}
+
+const ACTIVE_LIMIT_CODES = ['ACTIVE_LIMIT'];
+
+function isActiveLimitError(err) {
+  return (
+    !!err &&
+    (ACTIVE_LIMIT_CODES.includes(err.code) ||
+      /active[ _]limit|active (?:downloads? |torrents? )?limit|maximum (?:number of )?active/i.test(String(err.message || '')))
+  );
+}
+
+const PARSER_TYPES = ['jackett', 'prowlarr', 'jacred', 'torznab'];
+const PARSER_FORMATS = ['auto', 'json', 'torznab'];
+
+const normalizeParserConfig = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const rawUrl = String(entry.url || '').trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol) || !url.hostname) return null;
+  const type = String(entry.type || '').toLowerCase();
+  const format = String(entry.format || '').toLowerCase();
+  return {
+    name: String(entry.name || '').trim().slice(0, 40) || url.hostname,
+    url: `${url.origin}${url.pathname.replace(/\/+$/, '')}`,
+    type: PARSER_TYPES.includes(type) ? type : 'jackett',
+    apikey: String(entry.apikey || entry.key || '').trim(),
+    indexer: String(entry.indexer || '').trim(),
+    categories: (String(entry.categories || '').match(/\d+/g) || []).join(','),
+    format: PARSER_FORMATS.includes(format) ? format : 'auto',
+    enabled: entry.enabled !== false,
+  };
+};
+
+function normalizeParserConfigs(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    try {
+      list = JSON.parse(value || '[]');
+    } catch {
+      list = [];
+    }
+  }
+  return (Array.isArray(list) ? list : []).map(normalizeParserConfig).filter(Boolean);
+}
+
+const translate = (key) => key;
+
+const TORBOX_SEARCH_PARSER = {
+  name: 'TorBox',
+  url: 'https://search-api.torbox.app',
+  type: 'torbox',
+  apikey: '',
+  indexer: '',
+  categories: '',
+  format: 'json',
+  enabled: true,
+};
+const TORBOX_SEARCH_QS = 'metadata=false&check_cache=true&check_owned=false&search_user_engines=false';
+
+// Exact-match ids from the card; query_only marks a user-typed search where ids would be wrong
+const cardSearchIds = (movie = {}) => {
+  if (movie.query_only) return {};
+  const imdb = String(movie.imdb_id || '').trim().toLowerCase();
+  const fromTmdb = !movie.source || ['tmdb', 'cub'].includes(String(movie.source).toLowerCase());
+  const tmdb = Number(movie.tmdb_id || (fromTmdb ? movie.id : 0)) || 0;
+  const ids = {};
+  if (/^tt\d{5,}$/.test(imdb)) ids.imdb = imdb;
+  if (tmdb > 0) ids.tmdb = tmdb;
+  if (ids.imdb || ids.tmdb) ids.kind = movie.first_air_date || movie.number_of_seasons ? 'tv' : 'movie';
+  return ids;
+};
+
+// ID search URL (imdbid/tmdbid) or '' when the parser type has no id search (Jacred).
+// Jackett answers id searches on its Torznab endpoint; Prowlarr takes {ImdbId:…}/{TmdbId:…} query tokens.
+const buildParserIdSearchUrl = (parser, params = {}) => {
+  if ((!params.imdb && !params.tmdb) || parser.type === 'jacred') return '';
+  if (parser.type === 'torbox') return params.imdb ? `${parser.url}/torrents/imdb:${params.imdb}?${TORBOX_SEARCH_QS}` : '';
+  const categories = parser.categories || params.categories || '';
+  const qs = new URLSearchParams();
+  if (parser.type === 'prowlarr') {
+    qs.set('query', params.imdb ? `{ImdbId:${params.imdb}}` : `{TmdbId:${params.tmdb}}`);
+    qs.set('type', params.kind === 'tv' ? 'tvsearch' : 'movie');
+    qs.set('limit', '100');
+    categories.split(',').filter(Boolean).forEach((cat) => qs.append('categories', cat));
+    (parser.indexer.match(/\d+/g) || []).forEach((id) => qs.append('indexerIds', id));
+    if (parser.apikey) qs.set('apikey', parser.apikey);
+    return `${parser.url}/api/v1/search?${qs.toString()}`;
+  }
+  qs.set('t', params.kind === 'tv' ? 'tvsearch' : 'movie');
+  if (params.imdb) qs.set('imdbid', params.imdb.replace(/^tt/, '')); // Newznab spec: digits only
+  if (params.tmdb) qs.set('tmdbid', String(params.tmdb));
+  if (categories) qs.set('cat', categories);
+  if (parser.apikey) qs.set('apikey', parser.apikey);
+  if (parser.type === 'torznab') return `${parser.url}?${qs.toString()}`;
+  const indexer = parser.indexer || 'all';
+  return `${parser.url}/api/v2.0/indexers/${encodeURIComponent(indexer)}/results/torznab/api?${qs.toString()}`;
+};
+
+// Search URL per parser type. `params.categories` is the default when the parser has none of its own.
+const buildParserSearchUrl = (parser, params = {}) => {
+  if (parser.type === 'torbox') {
+    return `${parser.url}/torrents/search/${encodeURIComponent(params.query || '')}?${TORBOX_SEARCH_QS}`;
+  }
+  const categories = parser.categories || params.categories || '';
+  const qs = new URLSearchParams();
+  if (parser.type === 'torznab') {
+    qs.set('t', 'search');
+    qs.set('q', params.query || '');
+    if (categories) qs.set('cat', categories);
+    if (parser.apikey) qs.set('apikey', parser.apikey);
+    return `${parser.url}?${qs.toString()}`;
+  }
+  if (parser.type === 'prowlarr') {
+    qs.set('query', params.query || '');
+    qs.set('type', 'search');
+    qs.set('limit', '100');
+    categories.split(',').filter(Boolean).forEach((cat) => qs.append('categories', cat));
+    (parser.indexer.match(/\d+/g) || []).forEach((id) => qs.append('indexerIds', id));
+    if (parser.apikey) qs.set('apikey', parser.apikey);
+    return `${parser.url}/api/v1/search?${qs.toString()}`;
+  }
+  qs.set('Query', params.query || '');
+  qs.set('title', params.title || '');
+  qs.set('title_original', params.title_original || '');
+  if (categories) qs.set('Category', categories);
+  if (parser.apikey) qs.set('apikey', parser.apikey);
+  if (params.year) qs.set('year', params.year);
+  const indexer = (parser.type === 'jackett' && parser.indexer) || 'all';
+  return `${parser.url}/api/v2.0/indexers/${encodeURIComponent(indexer)}/results?${qs.toString()}`;
+};
+
+const SECRET_QUERY_RE = /([?&](?:apikey|api_key|passkey|token)=)[^&#\s"]*/gi;
+const redactSecrets = (text) => String(text).replace(SECRET_QUERY_RE, '$1***');
+
+// pushDebugLog/LOG as in the plugin, writing into a local DebugTelemetry
+const createDebugLog = () => {
+  const DebugTelemetry = { logs: [] };
+  const pushDebugLog = (level, args) => {
+    const msg = args
+      .map((a) => {
+        if (typeof a === 'string') return redactSecrets(a);
+        try {
+          return redactSecrets(JSON.stringify(a));
+        } catch {
+          return redactSecrets(String(a));
+        }
+      })
+      .join(' ');
+    DebugTelemetry.logs.push({ ts: new Date().toISOString(), level, msg });
+  };
+  return { DebugTelemetry, LOG: (...args) => pushDebugLog('log', args) };
+};
+
+// Prowlarr search hit -> the Jackett-style raw entry the rest of the pipeline reads
+const fromProwlarrResult = (r) => {
+  const download = String(r?.downloadUrl || '');
+  const magnet = [r?.magnetUrl, download].map((v) => String(v || '')).find((v) => v.startsWith('magnet:')) || '';
+  return {
+    Title: r?.title || '',
+    Size: Number(r?.size) || 0,
+    Seeders: Number(r?.seeders) || 0,
+    Peers: Number(r?.leechers) || 0,
+    InfoHash: r?.infoHash || '',
+    MagnetUri: magnet,
+    Link: /^https?:\/\//i.test(download) ? download : '',
+    Tracker: r?.indexer || '',
+    PublishDate: r?.publishDate || '',
+    Category: (Array.isArray(r?.categories) ? r.categories : []).map((c) => c?.id).filter(Boolean),
+    Imdb: r?.imdbId || null,
+  };
+};
+
+// ── Torznab / RSS XML (regex based: no DOMParser dependency, same on every TV webview) ──
+const decodeXmlText = (value) => {
+  const str = String(value || '');
+  const cdata = str.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1];
+  const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+  return str.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|quot|apos|amp);/gi, (match, entity) => {
+    const lower = entity.toLowerCase();
+    if (named[lower]) return named[lower];
+    const code = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+};
+
+const xmlAttr = (tag, name) => {
+  const m = String(tag || '').match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return m ? decodeXmlText(m[1] ?? m[2]) : '';
+};
+
+const xmlChild = (block, tag) => {
+  const m = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  return m ? decodeXmlText(m[1]).trim() : '';
+};
+
+// Torznab feed -> Jackett-style raw entries; <error description="…"/> becomes an api error
+const parseTorznabXml = (text) => {
+  const xml = String(text || '');
+  const items = [];
+  const itemRe = /<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi;
+  let m;
+  while ((m = itemRe.exec(xml))) {
+    const block = m[1];
+    const attrs = {};
+    const categories = [];
+    (block.match(/<(?:torznab|newznab):attr\b[^>]*>/gi) || []).forEach((tag) => {
+      const name = xmlAttr(tag, 'name').toLowerCase();
+      const value = xmlAttr(tag, 'value');
+      if (name === 'category') categories.push(Number(value));
+      else if (name && !(name in attrs)) attrs[name] = value;
+    });
+    const enclosure = (block.match(/<enclosure\b[^>]*>/i) || [''])[0];
+    const links = [xmlAttr(enclosure, 'url'), xmlChild(block, 'link')];
+    const seeders = Number(attrs.seeders) || 0;
+    items.push({
+      Title: xmlChild(block, 'title'),
+      Size: Number(attrs.size || xmlChild(block, 'size') || xmlAttr(enclosure, 'length')) || 0,
+      Seeders: seeders,
+      Peers: Math.max(0, (Number(attrs.peers) || 0) - seeders),
+      InfoHash: attrs.infohash || '',
+      MagnetUri: attrs.magneturl || links.find((link) => link.startsWith('magnet:')) || '',
+      Link: links.find((link) => /^https?:\/\//i.test(link)) || '',
+      Tracker: xmlChild(block, 'jackettindexer') || xmlChild(block, 'prowlarrindexer') || '',
+      PublishDate: xmlChild(block, 'pubDate'),
+      Category: categories.filter((cat) => cat > 0),
+      Imdb: attrs.imdbid || attrs.imdb || null,
+    });
+  }
+  if (!items.length) {
+    const error = (xml.match(/<error\b[^>]*>/i) || [''])[0];
+    if (error) throw { type: 'api', code: xmlAttr(error, 'code'), message: xmlAttr(error, 'description') || translate('torbox_error_api') };
+  }
+  return items;
+};
+
+// payload: { text, contentType } from a raw_text request
+const parserPayloadFormat = (parser, payload) => {
+  if (parser.type === 'torznab') return 'torznab';
+  if (parser.format === 'json' || parser.format === 'torznab') return parser.format;
+  const contentType = String(payload?.contentType || '').toLowerCase();
+  if (/xml|rss/.test(contentType)) return 'torznab';
+  if (/json/.test(contentType)) return 'json';
+  return /^\s*</.test(payload?.text || '') ? 'torznab' : 'json';
+};
+
+// TorBox search hit -> raw entry; TorBoxCached carries the cached flag the service already checked
+const fromTorBoxSearchResult = (r) => ({
+  Title: r?.raw_title || r?.title || '',
+  Size: Number(r?.size) || 0,
+  Seeders: Number(r?.last_known_seeders) || 0,
+  Peers: Number(r?.last_known_peers) || 0,
+  InfoHash: r?.hash || '',
+  MagnetUri: String(r?.magnet || '').startsWith('magnet:') ? r.magnet : '',
+  Tracker: r?.tracker || 'TorBox',
+  PublishDate: '',
+  TorBoxCached: typeof r?.cached === 'boolean' ? r.cached : null,
+});
+
+// normalized entriesByHash -> { hash: cached } for CachedStatus.remember (BTIH entries with a known flag)
+const torboxCachedFlags = (entriesByHash) => {
+  const flags = {};
+  (entriesByHash || new Map()).forEach((raw, hash) => {
+    if (typeof raw?.TorBoxCached === 'boolean' && isHex40(hash)) flags[hash] = raw.TorBoxCached;
+  });
+  return flags;
+};
+
+const parserIdSearchFormat = (parser) => (parser.type === 'jackett' ? 'torznab' : null);
+
+const parserRawResults = (parser, payload, format = parserPayloadFormat(parser, payload)) => {
+  if (format === 'torznab') return parseTorznabXml(payload?.text);
+  let json = null;
+  try {
+    json = JSON.parse(payload?.text || 'null');
+  } catch {
+    throw { type: 'api', reason: 'bad_json', message: translate('torbox_error_bad_json') };
+  }
+  if (parser.type === 'prowlarr') return (Array.isArray(json) ? json : []).map(fromProwlarrResult);
+  if (parser.type === 'torbox') {
+    return (Array.isArray(json?.data?.torrents) ? json.data.torrents : []).map(fromTorBoxSearchResult);
+  }
+  return Array.isArray(json?.Results) ? json.Results : [];
+};
+
+const CONTENT_TYPES = ['movie', 'tv', 'anime', 'documentary'];
+const DEFAULT_CONTENT_CATEGORIES = { movie: '2000', tv: '5000', anime: '5070', documentary: '5080' };
+const TMDB_GENRE_ANIMATION = 16;
+const TMDB_GENRE_DOCUMENTARY = 99;
+
+const cardContentType = (movie = {}) => {
+  const genres = [
+    ...(Array.isArray(movie.genre_ids) ? movie.genre_ids : []),
+    ...(Array.isArray(movie.genres) ? movie.genres : []).map((g) => g?.id),
+  ]
+    .map(Number)
+    .filter(Boolean);
+  const japanese = String(movie.original_language || '').toLowerCase() === 'ja';
+  if (genres.includes(TMDB_GENRE_ANIMATION) && japanese) return 'anime';
+  if (genres.includes(TMDB_GENRE_DOCUMENTARY)) return 'documentary';
+  if (movie.first_air_date || movie.number_of_seasons) return 'tv';
+  return 'movie';
+};
+
+// "movie=2000; tv=5000; anime=5070; documentary=5080" — missing or empty types keep the default
+const normalizeContentCategories = (value) => {
+  const map = Object.assign({}, DEFAULT_CONTENT_CATEGORIES);
+  String(value || '')
+    .split(/[;\n]+/)
+    .forEach((pair) => {
+      const m = pair.match(/^\s*([a-z]+)\s*[=:]\s*([\d,\s]*)$/i);
+      if (!m) return;
+      const type = m[1].toLowerCase();
+      const categories = (m[2].match(/\d+/g) || []).join(',');
+      if (CONTENT_TYPES.includes(type) && categories) map[type] = categories;
+    });
+  return map;
+};
+const formatContentCategories = (map) => CONTENT_TYPES.map((type) => `${type}=${map[type]}`).join('; ');
+
+// Anime and documentary defaults are TV subcategories (5070/5080): a film of that kind keeps the movie
+// categories as well, or indexers that file it under Movies would never return it.
+const cardCategories = (movie = {}, map = DEFAULT_CONTENT_CATEGORIES) => {
+  const type = cardContentType(movie);
+  const series = !!(movie.first_air_date || movie.number_of_seasons);
+  const joined = type === 'movie' || type === 'tv' || series ? map[type] : `${map.movie},${map[type]}`;
+  return Array.from(new Set(joined.split(','))).join(',');
+};
+
+// Slot limit when user/me states it; otherwise it is estimated from the plan table below
+const ACCOUNT_SLOT_FIELDS = ['max_concurrent_slots', 'concurrent_slots', 'max_active_downloads'];
+const TORBOX_PLANS = {
+  0: { name: 'Free', slots: 1 },
+  1: { name: 'Essential', slots: 3 },
+  2: { name: 'Pro', slots: 10 },
+  3: { name: 'Standard', slots: 5 },
+};
+
+function summarizeAccount(user, torrents) {
+  const u = user && typeof user === 'object' ? user : {};
+  const planId = Number(u.plan);
+  const plan = TORBOX_PLANS[planId] || null;
+  const extraSlots = Math.max(0, Number(u.additional_concurrent_slots) || 0);
+  const reportedLimit = ACCOUNT_SLOT_FIELDS.map((key) => Number(u[key])).find((n) => Number.isFinite(n) && n > 0);
+  const expires = u.premium_expires_at ? new Date(u.premium_expires_at) : null;
+  const list = Array.isArray(torrents) ? torrents : null;
+  return {
+    plan: plan ? plan.name : Number.isFinite(planId) ? `#${planId}` : '',
+    expiresAt: expires && !isNaN(expires.getTime()) ? expires : null,
+    expired: !!(expires && !isNaN(expires.getTime()) && expires.getTime() < Date.now()),
+    active: list ? list.filter(isActiveDownload).length : null,
+    limit: reportedLimit || (plan ? plan.slots + extraSlots : null),
+    limitEstimated: !reportedLimit && !!plan,
+    downloadedBytes: Number(u.total_bytes_downloaded) || 0,
+    downloadedCount: Number(u.total_downloaded) || 0,
+  };
+}
+
+const accountSlotsText = (a, countActive) => {
+  const active = a.active ?? (countActive ? '—' : translate('torbox_account_active_count'));
+  const limit = a.limitEstimated ? `≈${a.limit}` : a.limit;
+  return a.limit === null ? String(active) : `${active} / ${limit}`;
+};
+
+// addSettings' readAccount with Api injected
+function createAccountReader(Api) {
+  return (signal, countActive) =>
+    Promise.all([Api.userInfo(signal), countActive ? Api.myLibrary(signal).catch(() => null) : null]).then(
+      ([user, list]) => summarizeAccount(user?.data, list?.data)
+    );
+}
+
+const releaseToken = (pattern) => new RegExp(`(?:^|[^a-z0-9а-яё])(?:${pattern})(?=$|[^a-z0-9а-яё])`, 'i');
+const compileReleaseTable = (table, suffix = '') =>
+  table.map(([label, pattern]) => [label, releaseToken(`(?:${pattern})${suffix}`)]);
+const firstReleaseMatch = (str, table) => (table.find(([, re]) => re.test(str)) || [null])[0];
+
+const RELEASE_RESOLUTIONS = compileReleaseTable([
+  ['2160p', '2160[pi]|4k|uhd|3840x2160'],
+  ['1080p', '1080[pi]|fhd|1920x1080'],
+  ['720p', '720p|1280x720'],
+  ['576p', '576[pi]'],
+  ['480p', '480[pi]'],
+]);
+const RESOLUTION_QUALITY = { '2160p': '4K', '1080p': 'FHD', '720p': 'HD', '576p': 'SD', '480p': 'SD' };
+// Order matters: the first matching source wins (Remux before BluRay, WEBRip before WEB).
+const RELEASE_SOURCES = compileReleaseTable([
+  ['Remux', '(?:bd|hd)?remux'],
+  ['BDRip', 'bd-?rip|br-?rip'],
+  ['BluRay', 'blu-?ray|bdmv|bd(?:25|50|66|100)|bd-?disc'],
+  ['WEBRip', 'web-?(?:dl-?)?rip'],
+  ['WEB-DL', 'web-?dl|web'],
+  ['HDTV', 'hdtv(?:-?rip)?|tv-?rip|sat-?rip'],
+  ['HDRip', 'hdrip'],
+  ['DVDRip', 'dvd-?rip'],
+  ['DVD', 'dvd(?:5|9|r)?'],
+  ['CAM', '(?:hd)?cam(?:-?rip)?'],
+  ['TS', 'hd-?ts|ts(?:-?rip)?|telesync'],
+]);
+const RELEASE_SOURCE_TIERS = { Remux: 9, BluRay: 8, 'WEB-DL': 7, WEBRip: 6, BDRip: 6, HDTV: 4, HDRip: 3, DVD: 3, DVDRip: 2, CAM: 0, TS: 0 };
+const LOW_QUALITY_SOURCES = ['CAM', 'TS'];
+const RELEASE_HDR = compileReleaseTable([
+  ['DV', 'dv|dovi|dolby[ .]?vision'],
+  ['HDR10+', 'hdr10(?:\\+|plus)'],
+  ['HDR10', 'hdr10'],
+  ['HDR', 'hdr'],
+  ['HLG', 'hlg'],
+]);
+const RELEASE_VIDEO_CODECS = compileReleaseTable([
+  ['HEVC', 'hevc|[hx][ .]?265'],
+  ['H264', 'avc|[hx][ .]?264'],
+  ['AV1', 'av1'],
+  ['VP9', 'vp9'],
+  ['XVID', 'xvid|divx'],
+  ['MPEG2', 'mpeg-?2(?:video)?'],
+]);
+// Audio tokens are often glued to the layout ("DDP5.1", "AAC2.0").
+const RELEASE_AUDIO_CODEC_PATTERNS = [
+  ['TRUEHD', 'true-?hd'],
+  ['DTS-HD MA', 'dts-?hd[ .-]?ma'],
+  ['DTS-X', 'dts[ .:-]?x'],
+  ['DTS-HD', 'dts-?hd(?:[ .-]?hra)?'],
+  ['DTS', 'dts'],
+  ['EAC3', 'e-?ac-?3|ddp|dd\\+'],
+  ['AC3', 'ac-?3|dd'],
+  ['AAC', 'aac'],
+  ['FLAC', 'flac'],
+  ['OPUS', 'opus'],
+  ['MP3', 'mp3'],
+  ['PCM', 'l?pcm'],
+];
+const RELEASE_AUDIO_CODECS = compileReleaseTable(RELEASE_AUDIO_CODEC_PATTERNS, '(?:[ .]?[1-9][ .][01])?');
+// A layout only counts next to an audio codec ("DDP5.1", "AC3 5.1", "TrueHD.Atmos.7.1", "5.1 DTS"),
+// so "2.0" in a group name or "Part.1.0" is not read as channels.
+const RELEASE_AUDIO_CODEC_ANY = RELEASE_AUDIO_CODEC_PATTERNS.map(([, pattern]) => pattern).join('|');
+const RELEASE_CHANNELS = [
+  releaseToken(`(?:${RELEASE_AUDIO_CODEC_ANY})(?:[ .-]?atmos)?[ .-]?([1-9])\\.([01])`),
+  releaseToken(`([1-9])\\.([01])[ .-]?(?:${RELEASE_AUDIO_CODEC_ANY})`),
+];
+const RELEASE_LANGUAGES = [
+  ['RU', 'rus|russian|рус|русский'],
+  ['EN', 'eng|english|англ|английский'],
+  ['UK', 'ukr|ua|ukrainian|укр|украинский'],
+  ['JA', 'jpn|jap|japanese|японский'],
+  ['KO', 'kor|korean|корейский'],
+  ['DE', 'ger|deu|german|немецкий'],
+  ['FR', 'fre|fra|french|французский'],
+  ['ES', 'spa|spanish|испанский'],
+  ['IT', 'ita|italian|итальянский'],
+  ['ZH', 'chi|zho|chinese|китайский'],
+];
+const RELEASE_LANGUAGE_TOKENS = compileReleaseTable(RELEASE_LANGUAGES);
+const RELEASE_EDITIONS = compileReleaseTable([
+  ["Director's Cut", "director'?s[ .]?cut|режисс[её]рская"],
+  ['Extended', 'extended|расширенная'],
+  ['Theatrical', 'theatrical'],
+  ['Unrated', 'unrated'],
+  ['Uncut', 'uncut'],
+  ['IMAX', 'imax'],
+  ['Remastered', 'remaster(?:ed)?'],
+  ['Criterion', 'criterion'],
+  ['Special Edition', 'special[ .]edition'],
+]);
+const RELEASE_ATMOS = releaseToken('atmos');
+const RELEASE_BIT_DEPTH = releaseToken('(8|10|12)[ .-]?bits?|hi10p?');
+const RELEASE_COMPLETE = releaseToken('complete(?:[ .]series)?|all[ .]seasons|полный[ .]сезон|все[ .]серии|все[ .]сезоны');
+const RELEASE_RANGE_CAP = 200;
+
+const pushReleaseRange = (list, from, to) => {
+  const a = Number(from);
+  const b = to === undefined || to === null || to === '' ? a : Number(to);
+  if (!isFinite(a) || !isFinite(b)) return;
+  const lo = Math.min(a, b);
+  const hi = Math.min(Math.max(a, b), lo + RELEASE_RANGE_CAP);
+  for (let n = lo; n <= hi; n++) list.push(n);
+};
+
+const releaseEpisodeInfo = (str) => {
+  const seasons = [];
+  const episodes = [];
+  const scan = (re, fn) => {
+    let m;
+    while ((m = re.exec(str))) fn(m);
+  };
+  // S01-S03 / S01-03
+  scan(/(?:^|[^a-z0-9])s(\d{1,2})[ ._]?-[ ._]?s?(\d{1,2})(?=$|[^a-z0-9])/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+  // S01 / S01E02 / S01E01-E05
+  scan(/(?:^|[^a-z0-9])s(\d{1,2})(?:[ ._-]?e(\d{1,3})(?:[ ._]?-[ ._]?e?(\d{1,3}))?)?(?=$|[^a-z0-9])/gi, (m) => {
+    pushReleaseRange(seasons, m[1]);
+    if (m[2]) pushReleaseRange(episodes, m[2], m[3]);
+  });
+  // 1x02 / 1x02-05
+  scan(/(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?(?=$|[^a-z0-9])/gi, (m) => {
+    pushReleaseRange(seasons, m[1]);
+    pushReleaseRange(episodes, m[2], m[3]);
+  });
+  // "Season 2", "Сезон: 1-3", "1-3 сезон"
+  scan(/(?:seasons?|сезоны?|сезона)[ .:№]*(\d{1,2})(?:\s*[-–—]\s*(\d{1,2}))?(?!\d)/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+  scan(/(?:^|\D)(\d{1,2})(?:\s*[-–—]\s*(\d{1,2}))?(?:-?(?:й|ый))?\s*(?:сезон|season)/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+  // "Серии 1-8 из 10", "Episode 5", bare "E05"
+  scan(/(?:^|[^a-z0-9а-яё])(?:серии|серия|эпизоды?|episodes?|ep)[ .:№]*(\d{1,3})(?:\s*[-–—]\s*(\d{1,3}))?(?!\d)/gi, (m) =>
+    pushReleaseRange(episodes, m[1], m[2])
+  );
+  scan(/(?:^|[^a-z0-9])e(\d{1,3})(?:-e?(\d{1,3}))?(?=$|[^a-z0-9])/gi, (m) => pushReleaseRange(episodes, m[1], m[2]));
+  const uniq = (list) => [...new Set(list)].sort((a, b) => a - b);
+  return { seasons: uniq(seasons), episodes: uniq(episodes), complete: RELEASE_COMPLETE.test(str) };
+};
+
+// File names end in a container extension; ".ts" there is MPEG-TS, not a telesync source
+const RELEASE_FILE_EXTENSION = /\.(?:mkv|mp4|avi|m2ts|ts)$/i;
+
+const releaseGroup = (str) => {
+  const base = str
+    .replace(RELEASE_FILE_EXTENSION, '')
+    .replace(/\s*\[[^\]]*\]\s*$/, '')
+    .trim();
+  const m = base.match(/-([a-z0-9][a-z0-9_]{1,23})$/i);
+  if (!m || /^(?:dl|rip|ray|hd|\d+)$/i.test(m[1])) return null;
+  return m[1];
+};
+
+/**
+ * Splits a release title into the fields used by filters, sorting and the tech bar.
+ * Unknown fields stay null / empty; nothing here throws on odd input.
+ */
+const parseReleaseName = (title) => {
+  const str = String(title || '');
+  let hdr = RELEASE_HDR.filter(([, re]) => re.test(str)).map(([label]) => label);
+  // "HDR10+" also matches the HDR10 token, and any HDR10 flavor implies plain HDR
+  if (hdr.includes('HDR10+')) hdr = hdr.filter((x) => x !== 'HDR10');
+  if (hdr.includes('HDR10+') || hdr.includes('HDR10')) hdr = hdr.filter((x) => x !== 'HDR');
+  const resolution = firstReleaseMatch(str, RELEASE_RESOLUTIONS);
+  const source = firstReleaseMatch(str.replace(RELEASE_FILE_EXTENSION, ''), RELEASE_SOURCES);
+  const codec = firstReleaseMatch(str, RELEASE_VIDEO_CODECS);
+  const bits = str.match(RELEASE_BIT_DEPTH);
+  const channels = RELEASE_CHANNELS.map((re) => str.match(re)).find(Boolean);
+  const episodeInfo = releaseEpisodeInfo(str);
+  return {
+    resolution,
+    quality: resolution ? RESOLUTION_QUALITY[resolution] : null,
+    source,
+    hdr,
+    codec,
+    bit_depth: bits ? Number(bits[1]) || 10 : null,
+    audio: {
+      codec: firstReleaseMatch(str, RELEASE_AUDIO_CODECS),
+      channels: channels ? `${channels[1]}.${channels[2]}` : null,
+      atmos: RELEASE_ATMOS.test(str),
+    },
+    // A trailing "-Name" only counts as a group on titles that look like release names
+    group: resolution || source || codec ? releaseGroup(str) : null,
+    seasons: episodeInfo.seasons,
+    episodes: episodeInfo.episodes,
+    complete: episodeInfo.complete,
+    languages: RELEASE_LANGUAGE_TOKENS.filter(([, re]) => re.test(str)).map(([label]) => label),
+    edition: firstReleaseMatch(str, RELEASE_EDITIONS),
+  };
+};
+
+// ffprobe names ("hevc", "h264", "eac3", "rus") mapped onto the labels parseReleaseName uses.
+const canonicalVideoCodec = (name) => {
+  const str = String(name || '').trim();
+  if (!str) return null;
+  return firstReleaseMatch(str, RELEASE_VIDEO_CODECS) || str.toUpperCase();
+};
+const canonicalAudioCodec = (name) => {
+  const str = String(name || '').trim();
+  if (!str) return null;
+  return firstReleaseMatch(str.replace(/_/g, ' '), RELEASE_AUDIO_CODECS) || str.toUpperCase();
+};
+const canonicalLanguage = (code) => {
+  const str = String(code || '').trim();
+  if (!str) return null;
+  const hit = RELEASE_LANGUAGES.find(([label, pattern]) => label === str.toUpperCase() || new RegExp(`^(?:${pattern})$`, 'i').test(str));
+  return hit ? hit[0] : str.toUpperCase();
+};
+
+// Resolution first, source tier second; CAM/TS always sink below real releases.
+const QUALITY_RANKS = { '4K': 4, FHD: 3, HD: 2, SD: 1 };
+const releaseRank = (quality, source) => {
+  if (LOW_QUALITY_SOURCES.includes(source)) return 0;
+  const tier = source in RELEASE_SOURCE_TIERS ? RELEASE_SOURCE_TIERS[source] : 3;
+  return (QUALITY_RANKS[quality] || 0) * 10 + tier;
+};
+
+// What a series release contains: one episode, a run of episodes, one season, several seasons or everything.
+const pad2 = (n) => String(n).padStart(2, '0');
+const releasePackInfo = (release = {}) => {
+  const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+  const episodes = Array.isArray(release.episodes) ? release.episodes : [];
+  const season = seasons.length === 1 ? `S${pad2(seasons[0])}` : '';
+  const seasonRange = seasons.length > 1 ? `S${pad2(seasons[0])}-S${pad2(seasons[seasons.length - 1])}` : season;
+  if (episodes.length === 1) return { kind: 'episode', label: `${season}E${pad2(episodes[0])}` };
+  if (episodes.length > 1) {
+    return { kind: 'episodes', label: `${season ? `${season} ` : ''}E${pad2(episodes[0])}-${pad2(episodes[episodes.length - 1])}` };
+  }
+  if (release.complete) return { kind: 'complete', label: seasonRange || translate('torbox_pack_complete') };
+  if (seasons.length > 1) return { kind: 'seasons', label: seasonRange };
+  if (seasons.length === 1) return { kind: 'season', label: season };
+  return null;
+};
+
+// Season filter: packs that list the season, and complete packs that do not list seasons at all
+const releaseHasSeason = (release = {}, season) => {
+  const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+  return seasons.length ? seasons.includes(season) : !!release.complete;
+};
+
+// Season filter predicate. The entry season is only a default: it applies when the list has releases
+// for that season, and releases that name no season at all stay visible under it. A season the user
+// picked filters strictly.
+const seasonFilterFor = (releases, season, fromEntry) => {
+  if (!season) return () => true;
+  if (fromEntry && !(releases || []).some((release) => releaseHasSeason(release, season))) return () => true;
+  return (release = {}) =>
+    releaseHasSeason(release, season) || (fromEntry && !(Array.isArray(release.seasons) && release.seasons.length));
+};
+
+// Every name the card is known by (title, original, translations, alternative titles) with its origin tags.
+function collectCardNames(movie = {}) {
+  const nameMap = new Map();
+  const registerName = (value, tags = []) => {
+    const normalized = String(value || '').replace(/\s+/g, ' ').trim();
+    if (!normalized) return;
+    const key = normalized.toLowerCase();
+    if (!nameMap.has(key)) {
+      nameMap.set(key, { value: normalized, tags: new Set(tags) });
+    } else {
+      const existing = nameMap.get(key);
+      tags.forEach((tag) => existing.tags.add(tag));
+    }
+  };
+
+  const title = (movie.title || movie.name || '').trim();
+  const orig = (movie.original_title || movie.original_name || '').trim();
+  const localizedTranslations = Array.isArray(movie.translations)
+    ? movie.translations
+        .map((t) => (t && t.data ? t.data.title : t?.title || t?.name || ''))
+        .filter(Boolean)
+    : [];
+
+  if (title) registerName(title, ['base']);
+  if (orig && orig.toLowerCase() !== title.toLowerCase()) registerName(orig, ['original']);
+  localizedTranslations.forEach((name) => registerName(name, ['translation']));
+
+  const pushDynamicName = (value) => {
+    if (!value) return;
+    if (typeof value === 'string') registerName(value, ['alt']);
+    else if (Array.isArray(value)) value.forEach((item) => pushDynamicName(item));
+    else if (value && typeof value === 'object') {
+      if (value.title) pushDynamicName(value.title);
+      if (value.name) pushDynamicName(value.name);
+      if (value.value) pushDynamicName(value.value);
+    }
+  };
+
+  Object.keys(movie).forEach((key) => {
+    if (!/title|name/i.test(key)) return;
+    if (['title', 'name', 'original_title', 'original_name'].includes(key)) return;
+    pushDynamicName(movie[key]);
+  });
+
+  if (Array.isArray(movie?.alternative_titles?.titles)) {
+    movie.alternative_titles.titles.forEach((entry) => pushDynamicName(entry?.title));
+  }
+
+  return Array.from(nameMap.values()).map((entry) => ({
+    value: entry.value,
+    tags: Array.from(entry.tags),
+  }));
+}
+
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l',
+  м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+};
+const transliterate = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[а-яёіїєґ]/g, (ch) => CYRILLIC_TO_LATIN[ch] ?? ch);
+
+// Latin letters that do not decompose into base letter + accent
+const LATIN_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+// Accents are dropped from Latin letters only ("Amélie" -> "amelie"); й/ё/ї keep their own letters
+const normalizeMatchTitle = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/([a-z])[\u0300-\u036f]+/g, '$1')
+    .normalize('NFC')
+    .replace(/[ßæœøłđðþı]/g, (ch) => LATIN_FOLDS[ch])
+    .replace(/ё/g, 'е')
+    .replace(/&/g, ' and ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9а-яіїєґ]+/g, ' ')
+    .trim();
+
+const RELEVANCE_THRESHOLD = 60;
+const RELEVANCE_YEAR_RE = /(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/g;
+// Where the name part of a segment ends: brackets, release tokens, season/episode markers, editions.
+const RELEASE_NAME_STOPS = [
+  /[([{]/,
+  ...[RELEASE_RESOLUTIONS, RELEASE_SOURCES, RELEASE_VIDEO_CODECS, RELEASE_HDR, RELEASE_EDITIONS].flatMap((table) =>
+    table.map(([, re]) => re)
+  ),
+  /(?:^|[^a-z0-9])s\d{1,2}(?:e\d{1,3})?(?=$|[^a-z0-9])/i,
+  /(?:^|[^a-z0-9])\d{1,2}x\d{2,3}(?=$|[^a-z0-9])/i,
+  /(?:^|[^a-z0-9а-яё])(?:seasons?|сезоны?|сезона|серии|серия|episodes?|complete)(?=$|[^a-z0-9а-яё])/i,
+];
+
+// "Чужой / Alien (1979) BDRip 1080p" -> ['чужой', 'alien', 'alien 1979']. Every year may end the name
+// or belong to it ("Blade Runner 2049 (2017)"), so each year position yields its own candidate.
+const releaseTitleParts = (title) => {
+  const parts = [];
+  String(title || '')
+    .split(/[/|]/)
+    .forEach((segment) => {
+      const str = segment.replace(/[._]/g, ' ');
+      let cut = str.length;
+      RELEASE_NAME_STOPS.forEach((re) => {
+        const idx = str.search(re);
+        if (idx >= 0 && idx < cut) cut = idx;
+      });
+      RELEVANCE_YEAR_RE.lastIndex = 0;
+      let m;
+      while ((m = RELEVANCE_YEAR_RE.exec(str)) && m.index < cut) parts.push(normalizeMatchTitle(str.slice(0, m.index)));
+      parts.push(normalizeMatchTitle(str.slice(0, cut)));
+    });
+  return [...new Set(parts.filter(Boolean))];
+};
+
+const cardYearRange = (movie = {}) => {
+  const first = parseInt(String(movie.release_date || movie.first_air_date || movie.year || '').slice(0, 4), 10);
+  if (!first) return null;
+  const series = cardContentType(movie) === 'tv' || !!(movie.name || movie.original_name || movie.number_of_seasons);
+  // Later seasons of a series are released years after the first air date
+  const last = series ? parseInt(String(movie.last_air_date || '').slice(0, 4), 10) || new Date().getFullYear() : first;
+  return { from: first - 1, to: last + 1 };
+};
+
+/**
+ * Builds a scorer for one card; returns null when there is nothing to compare against
+ * (custom title searches, cards without names) so every result counts as relevant.
+ */
+// `season` is the season the card was opened for (the list's entry season); 0/null = any
+const createRelevanceMatcher = (movie, season = 0) => {
+  if (!movie || movie.query_only) return null;
+  const names = new Set();
+  collectCardNames(movie).forEach(({ value }) => {
+    const name = normalizeMatchTitle(value);
+    if (!name) return;
+    names.add(name);
+    names.add(normalizeMatchTitle(transliterate(name)));
+  });
+  if (!names.size) return null;
+  const years = cardYearRange(movie);
+  const wantedSeason = Number(season || movie.season_number || movie.season) || null;
+  const nameList = [...names];
+  return (title) => {
+    const candidates = releaseTitleParts(title).flatMap((part) => [part, normalizeMatchTitle(transliterate(part))]);
+    let name = 'none';
+    if (candidates.some((part) => names.has(part))) name = 'exact';
+    else if (candidates.some((part) => nameList.some((n) => part.startsWith(`${n} `)))) name = 'partial';
+
+    // Years that belong to a card name ("Blade Runner 2049") say nothing about the release year
+    const found = [];
+    RELEVANCE_YEAR_RE.lastIndex = 0;
+    let m;
+    while ((m = RELEVANCE_YEAR_RE.exec(String(title || '')))) {
+      if (!nameList.some((n) => n.split(' ').includes(m[1]))) found.push(Number(m[1]));
+    }
+    let year = 'unknown';
+    if (years && found.length) year = found.some((y) => y >= years.from && y <= years.to) ? 'match' : 'mismatch';
+
+    let seasonCheck = 'unknown';
+    if (wantedSeason) {
+      const release = parseReleaseName(title);
+      if (release.seasons.length) seasonCheck = release.seasons.includes(wantedSeason) ? 'match' : 'mismatch';
+      else if (release.complete) seasonCheck = 'match';
+    }
+
+    const score =
+      { exact: 60, partial: 40, none: 0 }[name] +
+      { match: 30, unknown: 10, mismatch: -40 }[year] +
+      { match: 10, unknown: 0, mismatch: -40 }[seasonCheck];
+    return { score, relevant: score >= RELEVANCE_THRESHOLD, name, year, season: seasonCheck };
+  };
+};
+
+const DUPLICATE_SIZE_TOLERANCE = 0.01;
+const DUPLICATE_TITLE_OVERLAP = 0.6;
+
+const duplicateTokens = (title) =>
+  new Set(
+    normalizeMatchTitle(transliterate(title))
+      .split(' ')
+      .filter((token) => token.length > 1)
+  );
+
+// Share of the shorter title's tokens found in the other one ("Dune 2021 2160p" vs "Дюна / Dune (2021) 2160p")
+const titleOverlap = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared++;
+  });
+  return shared / Math.min(a.size, b.size);
+};
+
+// Fields stated by both titles must agree; a missing field never blocks a match
+const sameReleaseFields = (a = {}, b = {}) =>
+  ['resolution', 'source', 'codec'].every((key) => !a[key] || !b[key] || a[key] === b[key]) &&
+  String(a.seasons || '') === String(b.seasons || '') &&
+  String(a.episodes || '') === String(b.episodes || '');
+
+/**
+ * Clusters near-duplicate view items; groups keep the position of their first member.
+ * The lead is the copy Enter plays: a cached one when there is one, then the best-seeded.
+ * `alternatives` are the rest.
+ */
+const groupNearDuplicates = (items, tolerance = DUPLICATE_SIZE_TOLERANCE) => {
+  const groups = [];
+  const tokens = new Map();
+  const tokensOf = (item) => {
+    if (!tokens.has(item)) tokens.set(item, duplicateTokens(item.raw_title || item.title));
+    return tokens.get(item);
+  };
+  const isCopy = (a, b) => {
+    if ((a.source || 'torrent') !== (b.source || 'torrent') || (a.relevant === false) !== (b.relevant === false)) return false;
+    const sizeA = Number(a.size) || 0;
+    const sizeB = Number(b.size) || 0;
+    if (!sizeA || !sizeB || Math.abs(sizeA - sizeB) > Math.max(sizeA, sizeB) * tolerance) return false;
+    return sameReleaseFields(a.release, b.release) && titleOverlap(tokensOf(a), tokensOf(b)) >= DUPLICATE_TITLE_OVERLAP;
+  };
+
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    const group = groups.find((members) => isCopy(members[0], item));
+    if (group) group.push(item);
+    else groups.push([item]);
+  });
+
+  return groups.map((members) => {
+    const better = (m, best) =>
+      !!m.cached !== !!best.cached
+        ? !!m.cached
+        : (Number(m.last_known_seeders) || 0) > (Number(best.last_known_seeders) || 0);
+    const lead = members.reduce((best, m) => (better(m, best) ? m : best), members[0]);
+    return {
+      key: String(lead.hash || ''),
+      lead,
+      alternatives: members.filter((m) => m !== lead),
+      trackers: [...new Set(members.flatMap((m) => m.trackers || []))],
+    };
+  });
+};
+
+// Utils as in the plugin (escapeHtml goes through a DOM text node there)
+const Utils = {
+  clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+  },
+  stableId,
+  escapeHtml: (str = '') => String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+};
+
+// Pasted hoster URL -> list item for a TorBox web download; null for anything but http(s).
+// The name is the last path segment; a segment with broken %-escapes is shown as typed.
+const webLinkItem = (value) => {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  const link = url.toString();
+  const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+  let name = segment;
+  try {
+    name = decodeURIComponent(segment);
+  } catch {
+    /* keep the raw segment */
+  }
+  name = name.trim() || url.hostname;
+  return {
+    hash: `web${Utils.stableId(link)}`,
+    source: 'webdl',
+    web_link: link,
+    title: Utils.escapeHtml(name),
+    raw_title: name,
+    trackers: [url.hostname],
+  };
+};
+
+const SCORE_FACTORS = ['cached', 'seeders', 'quality', 'size', 'age', 'tracker', 'audio', 'codec'];
+const DEFAULT_SCORE_WEIGHTS = { cached: 30, seeders: 20, quality: 20, size: 10, age: 5, tracker: 5, audio: 5, codec: 5 };
+// "cached=30; seeders=20; …" — weights are -100..100; missing factors keep the default
+const normalizeScoreWeights = (value) => {
+  const map = Object.assign({}, DEFAULT_SCORE_WEIGHTS);
+  String(value || '')
+    .split(/[;,\n]+/)
+    .forEach((pair) => {
+      const m = pair.match(/^\s*([a-z]+)\s*[=:]\s*(-?\d+(?:\.\d+)?)\s*$/i);
+      if (!m) return;
+      const factor = m[1].toLowerCase();
+      if (SCORE_FACTORS.includes(factor)) map[factor] = Utils.clamp(Number(m[2]), -100, 100);
+    });
+  return map;
+};
+const formatScoreWeights = (map) => SCORE_FACTORS.map((factor) => `${factor}=${map[factor]}`).join('; ');
+// "rutracker=1; kinozal=0.8" — 0..1 per tracker name; unlisted trackers count as 0.5
+const normalizeTrackerWeights = (value) => {
+  const map = {};
+  String(value || '')
+    .split(/[;,\n]+/)
+    .forEach((pair) => {
+      const m = pair.match(/^\s*([^=:]+?)\s*[=:]\s*(\d+(?:\.\d+)?)\s*$/);
+      if (m) map[m[1].toLowerCase()] = Utils.clamp(Number(m[2]), 0, 1);
+    });
+  return map;
+};
+const formatTrackerWeights = (map) => Object.keys(map).map((name) => `${name}=${map[name]}`).join('; ');
+// Minutes of video a release holds: card runtime × episodes (listed episodes, the episode count of the
+// listed seasons, or every episode for a complete pack). 0 when unknown: no runtime on the card, or a
+// series release whose episode count the card cannot tell (it must not pass for a single episode).
+const releaseDurationMinutes = (release = {}, movie = {}) => {
+  const runTimes = Array.isArray(movie.episode_run_time) ? movie.episode_run_time : [];
+  const runtime = Number(movie.runtime) || Number(runTimes[0]) || 0;
+  if (!runtime) return 0;
+  const episodes = Array.isArray(release.episodes) ? release.episodes.length : 0;
+  if (episodes) return runtime * episodes;
+  const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+  const seasonInfo = Array.isArray(movie.seasons) ? movie.seasons : [];
+  const totalEpisodes = Number(movie.number_of_episodes) || 0;
+  if (seasons.length) {
+    const counts = seasons.map((n) => Number(seasonInfo.find((s) => Number(s?.season_number) === n)?.episode_count) || 0);
+    if (counts.every(Boolean)) return runtime * counts.reduce((sum, count) => sum + count, 0);
+    const perSeason = totalEpisodes / (Number(movie.number_of_seasons) || 0);
+    if (isFinite(perSeason) && perSeason > 0) return runtime * Math.round(perSeason * seasons.length);
+    return 0;
+  }
+  if (release.complete) return runtime * totalEpisodes;
+  const series = !!(movie.first_air_date || movie.number_of_seasons || runTimes.length);
+  return series ? 0 : runtime;
+};
+
+// Average bitrate in Mbit/s over the release's duration; 0 when the size or duration is unknown
+const estimateBitrateMbps = (size, minutes) => {
+  const bytes = Number(size) || 0;
+  if (!bytes || !(minutes > 0)) return 0;
+  return Math.round(((bytes * 8) / (minutes * 60) / 1e6) * 10) / 10;
+};
+const isOverBitrate = (item, limit) => limit > 0 && (Number(item?.bitrate_mbps) || 0) > limit;
+
+// Highest bitrate the device/network can stream, Mbit/s; 0 means no limit
+const normalizeMaxBitrate = (value) => {
+  const num = Number(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(num) && num > 0 ? Math.min(Math.round(num * 10) / 10, 1000) : 0;
+};
+const MAX_BITRATE_MODES = ['flag', 'hide'];
+const normalizeMaxBitrateMode = (value) => {
+  const mode = String(value || '').trim().toLowerCase();
+  return MAX_BITRATE_MODES.includes(mode) ? mode : MAX_BITRATE_MODES[0];
+};
+const MAX_RELEASE_RANK = Math.max(...Object.values(QUALITY_RANKS)) * 10 + Math.max(...Object.values(RELEASE_SOURCE_TIERS));
+// MB per minute mapped to 0..1 on a log scale (roughly 0.7 to 27 Mbit/s)
+const SIZE_PER_MINUTE_RANGE = [5, 200];
+const preferenceRank = (list, value) => {
+  const idx = list.indexOf(value);
+  return idx < 0 ? 0 : 1 - idx / list.length;
+};
+
+/**
+ * Weighted 0..100 score of a view item. Every factor is normalized to 0..1 first; `factors` keeps
+ * value, the value actually scored, weight, share and points per input so the list can explain why an
+ * item is ranked where it is.
+ * ctx: { weights, trackerWeights, audioLangs, videoCodecs, maxSeeders, movie, now }
+ */
+const scoreRelease = (item, ctx) => {
+  const values = {};
+  const seeders = Number(item.last_known_seeders) || 0;
+  values.cached = item.cached ? 1 : 0;
+  // Usenet has no swarm; it neither wins nor loses on seeders
+  if (item.source === 'usenet') values.seeders = 0.5;
+  else values.seeders = ctx.maxSeeders > 0 ? Math.log10(1 + seeders) / Math.log10(1 + ctx.maxSeeders) : 0;
+  values.quality = Math.min(1, (Number(item.release_rank) || 0) / MAX_RELEASE_RANK);
+
+  const minutes = releaseDurationMinutes(item.release, ctx.movie);
+  const mbPerMinute = minutes && item.size ? item.size / 1048576 / minutes : 0;
+  const [low, high] = SIZE_PER_MINUTE_RANGE;
+  values.size = mbPerMinute ? Utils.clamp(Math.log(mbPerMinute / low) / Math.log(high / low), 0, 1) : 0.5;
+
+  const ageDays = item.publish_timestamp ? Math.max(0, (ctx.now - item.publish_timestamp) / 86400000) : null;
+  values.age = ageDays === null ? 0.5 : 1 / (1 + ageDays / 365);
+
+  const trackerWeights = (item.trackers || [])
+    .map((name) => ctx.trackerWeights[String(name).toLowerCase()])
+    .filter((weight) => weight !== undefined);
+  values.tracker = trackerWeights.length ? Math.max(...trackerWeights) : 0.5;
+
+  // Without configured preferences these factors are the same for every item
+  values.audio = ctx.audioLangs.length
+    ? Math.max(0, ...(item.audio_langs || []).map((lang) => preferenceRank(ctx.audioLangs, canonicalLanguage(lang))))
+    : 0.5;
+  values.codec = ctx.videoCodecs.length ? preferenceRank(ctx.videoCodecs, canonicalVideoCodec(item.video_codec)) : 0.5;
+
+  const total = SCORE_FACTORS.reduce((sum, factor) => sum + Math.abs(Number(ctx.weights[factor]) || 0), 0);
+  const factors = SCORE_FACTORS.map((factor) => {
+    const weight = Number(ctx.weights[factor]) || 0;
+    // A negative weight inverts the factor (e.g. prefer smaller files) so scores stay within 0..100
+    const scored = Math.round((weight < 0 ? 1 - values[factor] : values[factor]) * 100) / 100;
+    // share: the points this factor gives at full value. Points come from the rounded numbers shown in
+    // the breakdown, so scored × share = points there.
+    const share = total ? Math.round(((Math.abs(weight) * 100) / total) * 10) / 10 : 0;
+    return {
+      factor,
+      value: Math.round(values[factor] * 100) / 100,
+      scored,
+      weight,
+      share,
+      points: Math.round(scored * share * 10) / 10,
+    };
+  });
+  return { score: Math.round(factors.reduce((sum, f) => sum + f.points, 0) * 10) / 10, factors };
+};
+
+function torrentFileLink(obj) {
+  const link = String(obj?.Link || obj?.link || '').trim();
+  return /^https?:\/\//i.test(link) ? link : '';
+}
+
+function sha1Hex(bytes) {
+  const len = bytes.length;
+  const words = new Uint32Array((((len + 8) >> 6) + 1) * 16);
+  for (let i = 0; i < len; i++) words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+  words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+  words[words.length - 2] = Math.floor(len / 0x20000000);
+  words[words.length - 1] = (len * 8) >>> 0;
+
+  const w = new Uint32Array(80);
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  for (let off = 0; off < words.length; off += 16) {
+    for (let t = 0; t < 16; t++) w[t] = words[off + t];
+    for (let t = 16; t < 80; t++) {
+      const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+      w[t] = (x << 1) | (x >>> 31);
+    }
+    let [a, b, c, d, e] = h;
+    for (let t = 0; t < 80; t++) {
+      let f;
+      let k;
+      if (t < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (t < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (t < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+      const tmp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+      e = d;
+      d = c;
+      c = ((b << 30) | (b >>> 2)) >>> 0;
+      b = a;
+      a = tmp;
+    }
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+  return h.map((x) => x.toString(16).padStart(8, '0')).join('');
+}
+
+function bencodeInfoSpan(bytes) {
+  const readUntil = (pos, stop) => {
+    let end = pos;
+    while (end < bytes.length && bytes[end] !== stop) end++;
+    if (end >= bytes.length || end === pos) throw new Error('bencode');
+    const num = Number(String.fromCharCode.apply(null, bytes.subarray(pos, end)));
+    if (!Number.isFinite(num)) throw new Error('bencode');
+    return [num, end];
+  };
+  const skip = (pos) => {
+    const c = bytes[pos];
+    if (c === 0x69) return readUntil(pos + 1, 0x65)[1] + 1;
+    if (c === 0x6c || c === 0x64) {
+      let p = pos + 1;
+      while (bytes[p] !== 0x65) {
+        if (p >= bytes.length) throw new Error('bencode');
+        p = skip(p);
+      }
+      return p + 1;
+    }
+    if (c >= 0x30 && c <= 0x39) {
+      const [n, colon] = readUntil(pos, 0x3a);
+      if (colon + 1 + n > bytes.length) throw new Error('bencode');
+      return colon + 1 + n;
+    }
+    throw new Error('bencode');
+  };
+
+  try {
+    if (!bytes || bytes[0] !== 0x64) return null;
+    let pos = 1;
+    while (pos < bytes.length && bytes[pos] !== 0x65) {
+      const [n, colon] = readUntil(pos, 0x3a);
+      const key = String.fromCharCode.apply(null, bytes.subarray(colon + 1, colon + 1 + n));
+      const valueStart = colon + 1 + n;
+      const valueEnd = skip(valueStart);
+      if (key === 'info') return bytes[valueStart] === 0x64 ? [valueStart, valueEnd] : null;
+      pos = valueEnd;
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+function torrentInfoHash(bytes) {
+  const span = bencodeInfoSpan(bytes);
+  return span ? sha1Hex(bytes.subarray(span[0], span[1])) : null;
+}
+
+function naturalEpisodeSort(a, b) {
+  const chunk = /(\d+)/g;
+  const aa = a.name.split(chunk);
+  const bb = b.name.split(chunk);
+  for (let i = 0; i < Math.min(aa.length, bb.length); i++) {
+    if (i % 2) {
+      const d = Number(aa[i]) - Number(bb[i]);
+      if (d) return d;
+    } else {
+      const d = aa[i].localeCompare(bb[i]);
+      if (d) return d;
+    }
+  }
+  return (a.__idx ?? 0) - (b.__idx ?? 0);
+}
+
+function episodeTag(name = '') {
+  const str = String(name || '');
+  let m = str.match(/s(\d{1,2})[ ._-]?e(\d{1,3})/i) || str.match(/(?:^|\D)(\d{1,2})x(\d{2,3})(?:\D|$)/i);
+  if (m) return `S${m[1].padStart(2, '0')}E${m[2].padStart(2, '0')}`;
+  m = str.match(/(?:^|[^a-z])(?:e|ep|episode|серия)[ ._-]?(\d{1,3})(?:\D|$)/i);
+  return m ? `E${m[1].padStart(2, '0')}` : null;
+}
+
+function normalizeFileList(files) {
+  if (!Array.isArray(files)) return null;
+  const list = files
+    .map((f) => {
+      if (typeof f === 'string') return { name: f, size: 0 };
+      const rawPath = f?.name ?? f?.path ?? f?.Name ?? f?.Path ?? '';
+      return {
+        name: String(Array.isArray(rawPath) ? rawPath.join('/') : rawPath).replace(/^\/+/, ''),
+        size: Number(f?.size ?? f?.length ?? f?.Size ?? f?.Length) || 0,
+      };
+    })
+    .filter((f) => f.name);
+  return list.length ? list : null;
+}
+
+function buildFilePreview(files) {
+  const list = (files || []).map((f, i) => Object.assign({ __idx: i }, f)).sort(naturalEpisodeSort);
+  const rows = [];
+  const episodes = [];
+  let lastDir = null;
+  let totalSize = 0;
+  list.forEach((f) => {
+    const parts = f.name.split('/');
+    const base = parts.pop();
+    const dir = parts.join('/');
+    if (dir !== lastDir) {
+      if (dir) rows.push({ type: 'dir', name: dir });
+      lastDir = dir;
+    }
+    const episode = episodeTag(base);
+    if (episode) episodes.push(episode);
+    totalSize += f.size;
+    rows.push({ type: 'file', name: base, nested: !!dir, size: f.size, episode });
+  });
+  return { rows, fileCount: list.length, totalSize, episodes };
+}
+
+test('base32/hex BTIH parsing works', () => {
+  assert.equal(base32ToHex('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA'), '0000000000000000000000000000000000000000');
+  assert.equal(btihFromMagnetOrFields({ Hash: '0123456789abcdef0123456789abcdef01234567' }), '0123456789abcdef0123456789abcdef01234567');
+  assert.equal(
+    btihFromMagnetOrFields({ MagnetUri: 'magnet:?xt=urn:btih:AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' }),
+    '0000000000000000000000000000000000000000'
+  );
+});
+
+test('proxy URL builder covers URL, placeholder and query modes', () => {
+  assert.match(buildProxyUrl('https://proxy.example/?x=1', 'https://api.example/x'), /url=https%3A%2F%2Fapi\.example%2Fx/);
+  assert.match(
+    buildProxyUrl('https://proxy.example/{url}', 'https://api.example/x'),
+    /\?url=https%3A%2F%2Fapi\.example%2Fx/
+  );
+  assert.match(
+    buildProxyUrl('https://proxy.example?url=old', 'https://api.example/x'),
+    /^https:\/\/proxy\.example\/?\?url=https%3A%2F%2Fapi\.example%2Fx$/
+  );
+});
+
+test('normalizeParserResults keeps only entries with valid hashes', () => {
+  const normalized = normalizeParserResults([
+    { Title: 'bad', MagnetUri: 'magnet:?dn=nohash' },
+    { Title: 'good', Hash: '0123456789abcdef0123456789abcdef01234567' },
+    { Title: 'dup', Hash: '0123456789abcdef0123456789abcdef01234567' },
+  ]);
+
+  assert.equal(normalized.rawCount, 3);
+  assert.equal(normalized.validCount, 1);
+  assert.equal(normalized.invalidCount, 1);
+  assert.equal(normalized.entriesByHash.size, 1);
+});
+
+test('first valid parser stops the chain', async () => {
+  const calls = [];
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Custom 1', url: 'custom.example' },
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+  ];
+
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser, timeoutMs) => {
+      calls.push({ parser: parser.name, timeoutMs });
+      return {
+        Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567', Title: `${parser.name} ok` }],
+      };
+    },
+  });
+
+  assert.deepEqual(calls, [{ parser: 'Custom 1', timeoutMs: 5000 }]);
+  assert.equal(result.parser.name, 'Custom 1');
+  assert.equal(result.entriesByHash.size, 1);
+});
+
+test('empty first parser falls back to second parser', async () => {
+  const calls = [];
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser) => {
+      calls.push(parser.name);
+      if (parser.name === 'Viewbox') return { Results: [] };
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  assert.deepEqual(calls, ['Viewbox', 'Jacred']);
+  assert.equal(result.parser.name, 'Jacred');
+});
+
+test('non-empty invalid payload falls back to next parser and enters cooldown', async () => {
+  let currentTime = 1000;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser) => {
+      if (parser.name === 'Viewbox') return { Results: [{ Title: 'missing hash', MagnetUri: 'magnet:?dn=bad' }] };
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  assert.equal(result.parser.name, 'Jacred');
+  assert.ok(health.isCoolingDown('jacred.viewbox.dev'));
+  assert.equal(result.diagnostics[0].status, 'invalid_payload');
+});
+
+test('timeout uses parser timeout and falls back quickly', async () => {
+  const calls = [];
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser, timeoutMs) => {
+      calls.push({ parser: parser.name, timeoutMs });
+      if (parser.name === 'Viewbox') throw { message: 'Request timeout (5 s)', timeoutMs };
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  assert.deepEqual(calls, [
+    { parser: 'Viewbox', timeoutMs: 5000 },
+    { parser: 'Jacred', timeoutMs: 5000 },
+  ]);
+  assert.equal(result.parser.name, 'Jacred');
+  assert.ok(health.isCoolingDown('jacred.viewbox.dev'));
+});
+
+test('network failure enters cooldown and next search skips broken parser', async () => {
+  const calls = [];
+  let currentTime = 100;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser) => {
+      calls.push(parser.name);
+      if (parser.name === 'Viewbox') throw new Error('ERR_CONNECTION_CLOSED');
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  calls.length = 0;
+  currentTime += 1000;
+
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser) => {
+      calls.push(parser.name);
+      return { Results: [{ Hash: 'fedcba9876543210fedcba9876543210fedcba98' }] };
+    },
+  });
+
+  assert.deepEqual(calls, ['Jacred']);
+  assert.equal(result.parser.name, 'Jacred');
+});
+
+test('when all parsers are cooling down the chain retries full pass', async () => {
+  let currentTime = 500;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  health.markFailure('jacred.viewbox.dev', 'timeout');
+  health.markFailure('jacred.xyz', 'network');
+
+  const calls = [];
+  const result = await runParserSearch({
+    parsers,
+    parserTimeoutMs: 5000,
+    now,
+    health,
+    fetchParser: async (parser) => {
+      calls.push(parser.name);
+      if (parser.name === 'Viewbox') return { Results: [] };
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  assert.deepEqual(calls, ['Viewbox', 'Jacred']);
+  assert.equal(result.parser.name, 'Jacred');
+});
+
+test('all parser failures surface a diagnostics trail', async () => {
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Viewbox', url: 'jacred.viewbox.dev' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+
+  await assert.rejects(
+    runParserSearch({
+      parsers,
+      parserTimeoutMs: 5000,
+      now,
+      health,
+      fetchParser: async (parser) => {
+        if (parser.name === 'Viewbox') throw new Error('ERR_CONNECTION_CLOSED');
+        return { Results: [{ Title: 'bad payload', MagnetUri: 'magnet:?dn=bad' }] };
+      },
+    }),
+    (err) => {
+      assert.match(err.message, /invalid data/);
+      assert.equal(err.diagnostics.length, 2);
+      assert.equal(err.diagnostics[0].status, 'network');
+      assert.equal(err.diagnostics[1].status, 'invalid_payload');
+      return true;
+    }
+  );
+});
+
+test('merge mode queries all parsers in parallel and keeps provenance per hash', async () => {
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'MaxVol', url: 'jr.maxvol.pro' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+  const inFlight = [];
+  let maxInFlight = 0;
+
+  const result = await runParserMergeSearch({
+    parsers,
+    deadlineMs: 8000,
+    health,
+    fetchParser: async (parser, timeoutMs) => {
+      inFlight.push(parser.name);
+      maxInFlight = Math.max(maxInFlight, inFlight.length);
+      assert.ok(timeoutMs > 7000 && timeoutMs <= 8000);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight.splice(inFlight.indexOf(parser.name), 1);
+      if (parser.name === 'MaxVol') {
+        return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567', Title: 'MaxVol copy' }] };
+      }
+      return {
+        Results: [
+          { Hash: '0123456789ABCDEF0123456789ABCDEF01234567', Title: 'Jacred copy' },
+          { Hash: 'fedcba9876543210fedcba9876543210fedcba98', Title: 'Jacred only' },
+        ],
+      };
+    },
+  });
+
+  assert.equal(maxInFlight, 2);
+  assert.equal(result.entriesByHash.size, 2);
+  assert.equal(result.entriesByHash.get('0123456789abcdef0123456789abcdef01234567').Title, 'MaxVol copy');
+  assert.deepEqual(result.sourcesByHash.get('0123456789abcdef0123456789abcdef01234567'), ['MaxVol', 'Jacred']);
+  assert.deepEqual(result.sourcesByHash.get('fedcba9876543210fedcba9876543210fedcba98'), ['Jacred']);
+  assert.deepEqual(
+    result.diagnostics.map((attempt) => attempt.status),
+    ['success', 'success']
+  );
+});
+
+test('merge mode tolerates failing parsers and skips cooling-down ones', async () => {
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+  const parsers = [
+    { name: 'Custom 1', url: 'custom.example' },
+    { name: 'MaxVol', url: 'jr.maxvol.pro' },
+    { name: 'Jacred', url: 'jacred.xyz' },
+  ];
+  health.markFailure('custom.example', 'timeout');
+
+  const calls = [];
+  const result = await runParserMergeSearch({
+    parsers,
+    deadlineMs: 8000,
+    health,
+    fetchParser: async (parser) => {
+      calls.push(parser.name);
+      if (parser.name === 'MaxVol') throw new Error('ERR_CONNECTION_CLOSED');
+      return { Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] };
+    },
+  });
+
+  assert.deepEqual(calls.sort(), ['Jacred', 'MaxVol']);
+  assert.equal(result.entriesByHash.size, 1);
+  assert.ok(health.isCoolingDown('jr.maxvol.pro'));
+  assert.deepEqual(
+    result.diagnostics.map((attempt) => `${attempt.name}:${attempt.status}`),
+    ['Custom 1:cooldown_skip', 'MaxVol:network', 'Jacred:success']
+  );
+});
+
+test('merge mode with no valid hashes surfaces a diagnostics trail', async () => {
+  let currentTime = 0;
+  const now = () => currentTime;
+  const health = createParserHealth(15 * 60 * 1000, now);
+
+  await assert.rejects(
+    runParserMergeSearch({
+      parsers: [
+        { name: 'MaxVol', url: 'jr.maxvol.pro' },
+        { name: 'Jacred', url: 'jacred.xyz' },
+      ],
+      deadlineMs: 8000,
+      health,
+      fetchParser: async () => ({ Results: [] }),
+    }),
+    (err) => {
+      assert.equal(err.diagnostics.length, 2);
+      assert.ok(err.diagnostics.every((attempt) => attempt.status === 'empty'));
+      return true;
+    }
+  );
+});
+
+test('merge fan-out returns partial results when the shared deadline hits', async () => {
+  const health = createParserHealth(15 * 60 * 1000, () => 0);
+  let stalledSignal = null;
+  const startedAt = Date.now();
+  const result = await runParserMergeSearch({
+    parsers: [
+      { name: 'Fast', url: 'fast.example' },
+      { name: 'Stalled', url: 'stalled.example' },
+    ],
+    deadlineMs: 40,
+    health,
+    fetchParser: (parser, timeoutMs, signal) => {
+      if (parser.name === 'Fast') return Promise.resolve({ Results: [{ Hash: '0123456789abcdef0123456789abcdef01234567' }] });
+      stalledSignal = signal;
+      // Ignores its timeout, as a retry or fallback past the deadline would
+      return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    },
+  });
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(result.entriesByHash.size, 1);
+  assert.deepEqual(
+    result.diagnostics.map((attempt) => `${attempt.name}:${attempt.status}`),
+    ['Fast:success', 'Stalled:timeout']
+  );
+  assert.equal(stalledSignal.aborted, true);
+  assert.ok(health.isCoolingDown('stalled.example'));
+});
+
+test('request attempts never outlive the caller deadline', () => {
+  assert.equal(attemptTimeoutMs(5000, 0, 1000), 5000);
+  assert.equal(attemptTimeoutMs(undefined, 0, 1000), 20000);
+  assert.equal(attemptTimeoutMs(5000, 3000, 1000), 2000);
+  assert.equal(attemptTimeoutMs(5000, 10000, 1000), 5000);
+  assert.equal(attemptTimeoutMs(5000, 1000, 1000), 0);
+  assert.equal(attemptTimeoutMs(5000, 500, 1000), 0);
+});
+
+test('attempt controllers follow the caller signal and leave no listener behind', () => {
+  const outer = new AbortController();
+  const listeners = new Set();
+  const add = outer.signal.addEventListener.bind(outer.signal);
+  const remove = outer.signal.removeEventListener.bind(outer.signal);
+  outer.signal.addEventListener = (type, fn, opts) => (listeners.add(fn), add(type, fn, opts));
+  outer.signal.removeEventListener = (type, fn) => (listeners.delete(fn), remove(type, fn));
+
+  for (let i = 0; i < 5; i++) {
+    const unlink = linkAbort(outer.signal, new AbortController());
+    unlink();
+  }
+  assert.equal(listeners.size, 0, 'finished attempts unlink from a long-lived signal');
+
+  const attempt = new AbortController();
+  const unlink = linkAbort(outer.signal, attempt);
+  assert.equal(listeners.size, 1);
+  outer.abort();
+  assert.equal(attempt.signal.aborted, true, 'aborting the caller aborts the running attempt');
+  unlink();
+  assert.equal(listeners.size, 0);
+
+  assert.doesNotThrow(() => linkAbort(undefined, new AbortController())());
+});
+
+test('newznab JSON items map to usenet raw entries', () => {
+  const indexer = { name: 'nzb.example' };
+  const raw = toUsenetRaw(
+    {
+      title: 'Movie.2020.1080p.WEB-DL',
+      guid: 'https://nzb.example/details/abc',
+      pubDate: 'Mon, 01 Jun 2020 10:00:00 +0000',
+      enclosure: { '@attributes': { url: 'https://nzb.example/getnzb/abc.nzb', length: '100', type: 'application/x-nzb' } },
+      attr: [{ '@attributes': { name: 'size', value: '4294967296' } }],
+    },
+    indexer
+  );
+
+  assert.equal(raw.NzbLink, 'https://nzb.example/getnzb/abc.nzb');
+  assert.equal(raw.Size, 4294967296);
+  assert.equal(raw.Tracker, 'nzb.example');
+  assert.equal(raw.Source, 'usenet');
+  assert.equal(toUsenetRaw({ title: 'no link' }, indexer), null);
+  assert.match(stableId(raw.Guid), /^[0-9a-f]{8}$/);
+  assert.equal(stableId(raw.Guid), stableId('https://nzb.example/details/abc'));
+});
+
+test('newznab indexer list keeps commas inside URLs and defaults the api path', () => {
+  const indexers = normalizeNewznabIndexers(
+    'https://a.example/api?apikey=1&cat=2000,5000; https://b.example?apikey=2,https://a.example/api?apikey=1&cat=2000,5000 ftp://bad'
+  );
+  assert.deepEqual(
+    indexers.map((entry) => entry.url),
+    ['https://a.example/api?apikey=1&cat=2000,5000', 'https://b.example/api?apikey=2']
+  );
+  assert.equal(indexers[1].name, 'b.example');
+});
+
+test('Retry-After accepts delta-seconds and HTTP-date', () => {
+  const now = Date.parse('2024-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter('Mon, 01 Jan 2024 00:00:10 GMT', now), 10000);
+  assert.equal(parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('retry policy backs off with jitter and honors Retry-After and attempt limits', () => {
+  const torbox = { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+  const parser = { maxAttempts: 2, baseDelayMs: 300, maxDelayMs: 2000 };
+
+  assert.equal(computeRetryDelay({ status: 429 }, 1, torbox, 'GET', () => 0), 250);
+  assert.equal(computeRetryDelay({ status: 503 }, 2, torbox, 'GET', () => 1), 1000);
+  assert.equal(computeRetryDelay({ status: 429, retryAfterMs: 4000 }, 1, torbox, 'GET'), 4000);
+  assert.equal(computeRetryDelay({ status: 429, retryAfterMs: 60000 }, 1, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ status: 500 }, 3, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ status: 502 }, 2, parser, 'GET'), null);
+  assert.equal(computeRetryDelay({ type: 'network', transient: true }, 1, parser, 'GET', () => 0.5), 225);
+});
+
+test('retry policy never retries timeouts, aborts, auth, client errors or non-idempotent 5xx', () => {
+  const torbox = { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 8000 };
+
+  assert.equal(computeRetryDelay({ type: 'network', timeoutMs: 20000 }, 1, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ name: 'AbortError' }, 1, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ type: 'auth', status: 401 }, 1, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ type: 'api', status: 404 }, 1, torbox, 'GET'), null);
+  assert.equal(computeRetryDelay({ type: 'network', status: 500 }, 1, torbox, 'POST'), null);
+  assert.equal(computeRetryDelay({ type: 'network', transient: true }, 1, torbox, 'POST'), null);
+  assert.equal(computeRetryDelay({ type: 'network', status: 429 }, 1, torbox, 'POST', () => 0), 250);
+});
+
+test('connection mode routes requests by remembered CORS capability', () => {
+  assert.equal(resolveRoute('proxy', { direct: true }), 'proxy');
+  assert.equal(resolveRoute('direct', { direct: false }), 'direct');
+  assert.equal(resolveRoute('auto', null), 'probe');
+  assert.equal(resolveRoute('auto', { direct: true }), 'direct');
+  assert.equal(resolveRoute('auto', { direct: false }), 'proxy');
+});
+
+test('a failed direct probe pins the proxy for the full TTL only once CORS is confirmed', async () => {
+  let currentNow = 0;
+  const capability = createCorsCapability(() => currentNow);
+  const viaProxies = async () => ({ status: 200, via: 'proxy' });
+  const url = 'https://api.example/v1/x';
+
+  // Direct fetch rejected, but the no-cors request gets an opaque answer: CORS blocks this origin
+  const corsBlocked = async (_url, init) => {
+    if (init?.mode === 'no-cors') return { type: 'opaque', status: 0 };
+    throw new TypeError('Failed to fetch');
+  };
+  const first = await probeRoute(url, {}, { fetchImpl: corsBlocked, capability, viaProxies });
+  assert.equal(first.res.via, 'proxy');
+  await first.confirmed;
+  currentNow = CORS_UNCONFIRMED_TTL_MS + 1;
+  assert.equal(resolveRoute('auto', capability.get(url)), 'proxy');
+  currentNow = CORS_PROBE_TTL_MS + 1;
+  assert.equal(resolveRoute('auto', capability.get(url)), 'probe');
+
+  // Both requests fail: the network, not CORS, so the origin is re-probed soon
+  currentNow = 0;
+  const offline = async () => {
+    throw new TypeError('Failed to fetch');
+  };
+  const other = 'https://parser.example/api';
+  const second = await probeRoute(other, {}, { fetchImpl: offline, capability, viaProxies });
+  await second.confirmed;
+  assert.equal(resolveRoute('auto', capability.get(other)), 'proxy');
+  currentNow = CORS_UNCONFIRMED_TTL_MS + 1;
+  assert.equal(resolveRoute('auto', capability.get(other)), 'probe');
+
+  // Any HTTP answer (even an error status) proves direct access
+  const direct = await probeRoute(other, {}, { fetchImpl: async () => ({ status: 500 }), capability, viaProxies });
+  assert.equal(direct.res.status, 500);
+  assert.equal(resolveRoute('auto', capability.get(other)), 'direct');
+
+  await assert.rejects(
+    probeRoute(other, {}, { fetchImpl: async () => Promise.reject({ name: 'AbortError' }), capability, viaProxies }),
+    (err) => err.name === 'AbortError'
+  );
+});
+
+test('proxy list splits on separators and drops duplicates', () => {
+  assert.deepEqual(splitUrlList('https://a.example/?url=; https://b.example/\nhttps://a.example/?url='), [
+    'https://a.example/?url=',
+    'https://b.example/',
+  ]);
+  assert.deepEqual(splitUrlList('https://a.example/?x=1,2,https://b.example/'), [
+    'https://a.example/?x=1,2',
+    'https://b.example/',
+  ]);
+});
+
+test('proxy failover moves past unreachable and 5xx proxies and skips cooling-down ones', async () => {
+  let currentNow = 1000;
+  const health = createParserHealth(5 * 60 * 1000, () => currentNow);
+  const proxies = ['https://dead.example/', 'https://busy.example/', 'https://ok.example/'];
+  const calls = [];
+  const fetchImpl = async (url) => {
+    calls.push(new URL(url).host);
+    if (url.startsWith('https://dead.example/')) throw new TypeError('Failed to fetch');
+    if (url.startsWith('https://busy.example/')) return { status: 502 };
+    return { status: 200 };
+  };
+
+  const routes = [];
+  const res = await fetchViaProxies('https://api.example/x', {}, { proxies, health, fetchImpl, routes });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls, ['dead.example', 'busy.example', 'ok.example']);
+  assert.deepEqual(routes.map((r) => r.status), ['network', 502, 200]);
+  assert.equal(health.getCooldownUntil('https://dead.example/'), 1000 + 5 * 60 * 1000);
+
+  calls.length = 0;
+  await fetchViaProxies('https://api.example/x', {}, { proxies, health, fetchImpl, routes: [] });
+  assert.deepEqual(calls, ['ok.example']);
+
+  currentNow += 5 * 60 * 1000 + 1;
+  calls.length = 0;
+  await fetchViaProxies('https://api.example/x', {}, { proxies, health, fetchImpl, routes: [] });
+  assert.deepEqual(calls, ['dead.example', 'busy.example', 'ok.example']);
+});
+
+test('last proxy 5xx is returned and abort is never swallowed', async () => {
+  const health = createParserHealth(5 * 60 * 1000, () => 0);
+  const res = await fetchViaProxies('https://api.example/x', {}, {
+    proxies: ['https://a.example/', 'https://b.example/'],
+    health,
+    fetchImpl: async () => ({ status: 503 }),
+    routes: [],
+  });
+  assert.equal(res.status, 503);
+
+  let calls = 0;
+  await assert.rejects(
+    fetchViaProxies('https://api.example/x', {}, {
+      proxies: ['https://a.example/', 'https://b.example/'],
+      health: createParserHealth(1000, () => 0),
+      fetchImpl: async () => {
+        calls++;
+        const err = new Error('aborted');
+        err.name = 'AbortError';
+        throw err;
+      },
+      routes: [],
+    }),
+    { name: 'AbortError' }
+  );
+  assert.equal(calls, 1);
+});
+
+test('proxy failover never re-sends an answered POST and keeps proxies relaying TorBox 5xx healthy', async () => {
+  const health = createParserHealth(5 * 60 * 1000, () => 0);
+  const proxies = ['https://a.example/', 'https://b.example/'];
+  const calls = [];
+  const answer = (status) => async (url) => {
+    calls.push(new URL(url).host);
+    return { status };
+  };
+
+  let res = await fetchViaProxies('https://api.example/x', {}, { proxies, health, fetchImpl: answer(500), routes: [] });
+  assert.equal(res.status, 500);
+  assert.deepEqual(calls, ['a.example']);
+  assert.equal(health.isCoolingDown('https://a.example/'), false);
+
+  calls.length = 0;
+  res = await fetchViaProxies('https://api.example/create', { method: 'POST' }, { proxies, health, fetchImpl: answer(502), routes: [] });
+  assert.equal(res.status, 502);
+  assert.deepEqual(calls, ['a.example']);
+  assert.equal(health.isCoolingDown('https://a.example/'), true);
+
+  // No answer at all: the POST never reached TorBox through that proxy, the next one may carry it
+  calls.length = 0;
+  res = await fetchViaProxies('https://api.example/create', { method: 'post' }, {
+    proxies: ['https://c.example/', 'https://d.example/'],
+    health,
+    fetchImpl: async (url) => {
+      calls.push(new URL(url).host);
+      if (url.startsWith('https://c.example/')) throw new TypeError('Failed to fetch');
+      return { status: 200 };
+    },
+    routes: [],
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls, ['c.example', 'd.example']);
+});
+
+test('cached status store serves fresh flags and marks unknown or expired hashes stale', () => {
+  const store = createCachedStatus(60 * 60 * 1000, 3);
+  store.remember({ AAA: true, bbb: false }, 1000);
+  let res = store.lookup(['aaa', 'BBB', 'ccc'], 2000);
+  assert.deepEqual(Array.from(res.known), [['aaa', true], ['bbb', false]]);
+  assert.deepEqual(res.stale, ['ccc']);
+
+  res = store.lookup(['aaa'], 1000 + 60 * 60 * 1000 + 1);
+  assert.equal(res.known.size, 0);
+  assert.deepEqual(res.stale, ['aaa']);
+
+  store.remember({ ccc: true, ddd: true }, 3000);
+  assert.equal(store.size(), 3);
+  assert.deepEqual(store.lookup(['aaa', 'bbb'], 3000).known.size, 1);
+});
+
+test('checkCached runs chunks in parallel under the concurrency cap and reports each chunk', async () => {
+  const hashes = Array.from({ length: 23 }, (_, i) => `H${String(i).padStart(2, '0')}`);
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const remembered = [];
+  const reported = [];
+  const requestChunk = async (chunk) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    inFlight--;
+    if (chunk[0] === 'H10') throw new Error('http 500');
+    return { data: Object.fromEntries(chunk.filter((h) => Number(h.slice(1)) % 2 === 0).map((h) => [h, { name: h, size: 1024 }])) };
+  };
+
+  const acc = await checkCachedParallel(hashes, requestChunk, {
+    chunkSize: 5,
+    concurrency: 2,
+    remember: (flags) => remembered.push(flags),
+    onChunk: (flags) => reported.push(Object.keys(flags).length),
+  });
+
+  assert.equal(maxInFlight, 2);
+  assert.equal(remembered.length, 4);
+  assert.deepEqual(reported.sort((a, b) => a - b), [3, 5, 5, 5]);
+  assert.equal(acc.h00, true);
+  assert.equal(acc.h01, false);
+  assert.equal('h10' in acc, false, 'failed chunk stays unknown');
+  assert.equal(Object.keys(acc).length, 18);
+});
+
+test('identical GETs share one in-flight request and one caller aborting does not cancel it', async () => {
+  const { calls, impl } = deferredFetch();
+  const request = createCoalescingRequest(impl, () => 0);
+  const url = 'https://api.torbox.app/v1/api/torrents/mylist?id=1&bypass_cache=true';
+  const first = new AbortController();
+  const second = new AbortController();
+
+  const p1 = request(url, { method: 'GET' }, first.signal);
+  const p2 = request(url, { method: 'GET' }, second.signal);
+  assert.equal(calls.length, 1);
+
+  first.abort();
+  await assert.rejects(p1, { name: 'AbortError' });
+  assert.equal(calls[0].signal.aborted, false);
+
+  calls[0].resolve({ data: [{ id: 1 }] });
+  const res = await p2;
+  assert.deepEqual(res, { data: [{ id: 1 }] });
+});
+
+test('shared request is cancelled once every caller aborted and the next call starts fresh', async () => {
+  const { calls, impl } = deferredFetch();
+  const request = createCoalescingRequest(impl, () => 0);
+  const url = 'https://parser.example/api/v2.0/indexers/all/results?Query=x';
+  const a = new AbortController();
+  const b = new AbortController();
+  const pa = request(url, { is_torbox_api: false }, a.signal);
+  const pb = request(url, { is_torbox_api: false }, b.signal);
+  a.abort();
+  b.abort();
+  await assert.rejects(pa, { name: 'AbortError' });
+  await assert.rejects(pb, { name: 'AbortError' });
+  assert.equal(calls[0].signal.aborted, true);
+
+  const pc = request(url, { is_torbox_api: false }, new AbortController().signal);
+  assert.equal(calls.length, 2);
+  calls[1].resolve({ Results: [] });
+  assert.deepEqual(await pc, { Results: [] });
+});
+
+test('response cache honors per-endpoint TTLs, hands out copies and is cleared by TorBox writes', async () => {
+  let currentNow = 0;
+  let count = 0;
+  const request = createCoalescingRequest(async (url) => ({ n: ++count, url, data: [] }), () => currentNow);
+  const parserUrl = 'https://parser.example/api/v2.0/indexers/all/results?Query=x';
+  const listUrl = 'https://api.torbox.app/v1/api/torrents/mylist?id=1';
+  const dlUrl = 'https://api.torbox.app/v1/api/torrents/requestdl?torrent_id=1&file_id=2';
+
+  const a = await request(parserUrl, { is_torbox_api: false });
+  a.data.push('mutated');
+  const b = await request(parserUrl, { is_torbox_api: false });
+  assert.equal(b.n, 1);
+  assert.deepEqual(b.data, []);
+  currentNow = 60 * 1000 + 1;
+  assert.equal((await request(parserUrl, { is_torbox_api: false })).n, 2);
+
+  assert.equal((await request(dlUrl, {})).n, 3);
+  assert.equal((await request(dlUrl, {})).n, 4, 'requestdl is never cached');
+
+  assert.equal((await request(listUrl, {})).n, 5);
+  assert.equal((await request(listUrl, {})).n, 5);
+  await request('https://api.torbox.app/v1/api/torrents/createtorrent', { method: 'POST', body: {} });
+  assert.equal((await request(listUrl, {})).n, 7);
+});
+
+test('cached TorBox answers are kept per API key and an explicit refresh skips the cache', async () => {
+  let key = 'KEY-A';
+  let count = 0;
+  const request = createCoalescingRequest(async (url) => ({ n: ++count, url }), () => 0, () => key);
+  const listUrl = 'https://api.torbox.app/v1/api/torrents/mylist?id=1';
+  const parserUrl = 'https://parser.example/api/v2.0/indexers/all/results?Query=x';
+
+  assert.equal((await request(listUrl, {})).n, 1);
+  key = 'KEY-B';
+  assert.equal((await request(listUrl, {})).n, 2, 'another account never gets the first account answer');
+  key = 'KEY-A';
+  assert.equal((await request(listUrl, {})).n, 1);
+
+  assert.equal((await request(parserUrl, { is_torbox_api: false })).n, 3);
+  assert.equal((await request(parserUrl, { is_torbox_api: false, fresh: true })).n, 4);
+  assert.equal((await request(parserUrl, { is_torbox_api: false })).n, 4, 'the refreshed answer replaces the old one');
+});
+
+test('library entries map TorBox download states to ready/active/error', () => {
+  assert.equal(libraryStateOf({ download_state: 'cached' }), 'ready');
+  assert.equal(libraryStateOf({ download_state: 'uploading' }), 'ready');
+  assert.equal(libraryStateOf({ download_state: 'paused', download_finished: true }), 'ready');
+  assert.equal(libraryStateOf({ download_state: 'downloading' }), 'active');
+  assert.equal(libraryStateOf({ download_state: 'stalled (no seeds)' }), 'active');
+  assert.equal(libraryStateOf({ download_state: 'error' }), 'error');
+  assert.equal(libraryStateOf({ download_state: 'failed', download_present: true }), 'error');
+});
+
+test('library sort and status filter are stable and tolerate unknown keys', () => {
+  const items = [
+    { name_key: 'b', size: 2, progress: 1, created_ts: 10, status: 'ready' },
+    { name_key: 'a', size: 3, progress: 0.4, created_ts: 30, status: 'active' },
+    { name_key: 'c', size: 2, progress: 0, created_ts: 20, status: 'error' },
+  ];
+  assert.deepEqual(sortFilterLibrary(items, 'date', 'all').map((x) => x.name_key), ['a', 'c', 'b']);
+  assert.deepEqual(sortFilterLibrary(items, 'name', 'all').map((x) => x.name_key), ['a', 'b', 'c']);
+  assert.deepEqual(sortFilterLibrary(items, 'size', 'all').map((x) => x.name_key), ['a', 'b', 'c']);
+  assert.deepEqual(sortFilterLibrary(items, 'progress', 'active').map((x) => x.name_key), ['a']);
+  assert.deepEqual(sortFilterLibrary(items, 'bogus', 'bogus').map((x) => x.name_key), ['a', 'c', 'b']);
+});
+
+// LibraryComponent's open() and boot()'s whenAppReady with Lampa/Store/window injected.
+function createLibraryOpen({ Lampa, Store }) {
+  return (item) => {
+    if (item.status !== 'ready') {
+      return Lampa.Noty.show(`torbox_library_not_ready ${Math.round(item.progress * 100)}`);
+    }
+    if (item.hash) Store.set(`torbox_id_for_hash_${item.hash}`, String(item.id));
+    Lampa.Activity.push({
+      component: 'torbox_main',
+      title: `TorBox - ${item.name}`,
+      movie: { title: item.name, original_title: item.name },
+      library_torrent: {
+        id: item.id,
+        hash: item.hash,
+        name: item.name,
+        size: item.size,
+        files: item.files,
+        source: 'torrent',
+      },
+    });
+  };
+}
+
+function createAppReady({ Lampa, window }) {
+  return function whenAppReady(fn) {
+    if (window.appready) return fn();
+    const onReady = (e) => {
+      if (e.type !== 'ready') return;
+      Lampa.Listener.remove('app', onReady);
+      fn();
+    };
+    Lampa.Listener.follow('app', onReady);
+  };
+}
+
+test('opening a ready library entry hands its files to torbox_main and skips unfinished ones', () => {
+  const pushed = [];
+  const notes = [];
+  const stored = new Map();
+  const open = createLibraryOpen({
+    Lampa: { Noty: { show: (text) => notes.push(text) }, Activity: { push: (params) => pushed.push(params) } },
+    Store: { set: (key, value) => stored.set(key, value) },
+  });
+  const hash = '0123456789abcdef0123456789abcdef01234567';
+  const files = [{ id: 1, name: 'movie.mkv', size: 10 }];
+
+  open({ id: 7, hash, name: 'Movie', size: 10, files, status: 'active', progress: 0.42 });
+  assert.deepEqual(notes, ['torbox_library_not_ready 42']);
+  assert.equal(pushed.length, 0);
+
+  open({ id: 7, hash, name: 'Movie', size: 10, files, status: 'ready', progress: 1 });
+  assert.equal(stored.get(`torbox_id_for_hash_${hash}`), '7', 'the id mapping lets selectFile skip re-adding');
+  assert.equal(pushed[0].component, 'torbox_main');
+  assert.deepEqual(pushed[0].library_torrent, { id: 7, hash, name: 'Movie', size: 10, files, source: 'torrent' });
+});
+
+test('the menu item is added once the app is ready, exactly once', () => {
+  const listeners = new Set();
+  const Lampa = {
+    Listener: { follow: (name, fn) => listeners.add(fn), remove: (name, fn) => listeners.delete(fn) },
+  };
+  let added = 0;
+  createAppReady({ Lampa, window: { appready: true } })(() => added++);
+  assert.equal(added, 1, 'a ready app gets the item right away');
+  assert.equal(listeners.size, 0);
+
+  const whenAppReady = createAppReady({ Lampa, window: { appready: false } });
+  whenAppReady(() => added++);
+  assert.equal(added, 1);
+  listeners.forEach((fn) => fn({ type: 'start' }));
+  assert.equal(added, 1, 'other app events are ignored');
+  listeners.forEach((fn) => fn({ type: 'ready' }));
+  listeners.forEach((fn) => fn({ type: 'ready' }));
+  assert.equal(added, 2);
+  assert.equal(listeners.size, 0, 'the listener is dropped after the first ready');
+});
+
+test('account summary maps plan, slots, expiry and totals', () => {
+  const a = summarizeAccount(
+    { plan: 2, additional_concurrent_slots: 2, premium_expires_at: '2999-01-01T00:00:00Z', total_bytes_downloaded: 2048 },
+    [{ active: true }, { active: false, download_state: 'downloading' }, { download_state: 'downloading' }, { download_finished: true }]
+  );
+  assert.equal(a.plan, 'Pro');
+  assert.equal(a.limit, 12);
+  assert.equal(a.limitEstimated, true);
+  assert.equal(a.active, 2);
+  assert.equal(a.expired, false);
+  assert.equal(a.downloadedBytes, 2048);
+
+  const free = summarizeAccount({ plan: 0, premium_expires_at: '2000-01-01T00:00:00Z' }, null);
+  assert.equal(free.plan, 'Free');
+  assert.equal(free.limit, 1);
+  assert.equal(free.active, null);
+  assert.equal(free.expired, true);
+
+  const unknown = summarizeAccount({ plan: 9, premium_expires_at: 'not a date' }, []);
+  assert.equal(unknown.plan, '#9');
+  assert.equal(unknown.limit, null);
+  assert.equal(unknown.expiresAt, null);
+  assert.equal(summarizeAccount(null, []).plan, '');
+
+  // A limit stated by user/me wins over the plan table; without mylist the active count stays unknown
+  const stated = summarizeAccount({ plan: 2, additional_concurrent_slots: 2, max_concurrent_slots: 15 });
+  assert.equal(stated.limit, 15);
+  assert.equal(stated.limitEstimated, false);
+  assert.equal(stated.active, null);
+  assert.equal(summarizeAccount({ plan: 9, concurrent_slots: 4 }).limit, 4);
+});
+
+test('the account row reads mylist only when active downloads are counted on request', async () => {
+  const calls = [];
+  let listFails = false;
+  const readAccount = createAccountReader({
+    userInfo: () => (calls.push('user'), Promise.resolve({ data: { plan: 1 } })),
+    myLibrary: () => {
+      calls.push('mylist');
+      return listFails ? Promise.reject({ type: 'network' }) : Promise.resolve({ data: [{ active: true }, { active: false }] });
+    },
+  });
+  const signal = new AbortController().signal;
+
+  const opened = await readAccount(signal, false);
+  assert.deepEqual(calls, ['user'], 'opening settings costs one user/me call');
+  assert.equal(accountSlotsText(opened, false), 'torbox_account_active_count / ≈3');
+
+  const counted = await readAccount(signal, true);
+  assert.deepEqual(calls, ['user', 'user', 'mylist']);
+  assert.equal(accountSlotsText(counted, true), '1 / ≈3');
+
+  listFails = true;
+  const failed = await readAccount(signal, true);
+  assert.equal(accountSlotsText(failed, true), '— / ≈3', 'a failed mylist read still shows the plan');
+  assert.equal(accountSlotsText(summarizeAccount({ plan: 9 }, []), true), '0');
+  assert.equal(accountSlotsText(summarizeAccount({ max_concurrent_slots: 15 }, [{ active: true }]), true), '1 / 15');
+});
+
+test('active-download limit errors are recognized by code or message', () => {
+  assert.equal(extractApiErrorCode({ success: false, error: 'ACTIVE_LIMIT', detail: 'x' }), 'ACTIVE_LIMIT');
+  assert.equal(extractApiErrorCode({ error: 'Something went wrong' }), '');
+  assert.equal(extractApiErrorCode(null), '');
+
+  assert.equal(isActiveLimitError({ type: 'api', code: 'ACTIVE_LIMIT', message: '' }), true);
+  assert.equal(
+    isActiveLimitError({ type: 'api', message: 'You have reached the maximum number of active downloads for your plan.' }),
+    true
+  );
+  assert.equal(isActiveLimitError({ type: 'network', message: '403: Active download limit reached' }), true);
+  assert.equal(isActiveLimitError({ type: 'api', code: 'MONTHLY_LIMIT', message: 'Monthly limit reached' }), false);
+  assert.equal(isActiveLimitError({ type: 'api', message: 'Torrent is inactive' }), false);
+  assert.equal(isActiveLimitError(null), false);
+});
+
+test('parser configs are normalized and legacy fields tolerated', () => {
+  const list = normalizeParserConfigs(
+    JSON.stringify([
+      { url: 'jackett.local:9117/', key: 'K', indexer: 'rutracker', categories: '2000, 5070;x' },
+      { name: 'P', url: 'http://prowlarr.lan/base/', type: 'Prowlarr', apikey: ' A ', enabled: false },
+      { url: 'ftp://nope' },
+      null,
+    ])
+  );
+  assert.equal(list.length, 2);
+  assert.deepEqual(list[0], {
+    name: 'jackett.local',
+    url: 'https://jackett.local:9117',
+    type: 'jackett',
+    apikey: 'K',
+    indexer: 'rutracker',
+    categories: '2000,5070',
+    format: 'auto',
+    enabled: true,
+  });
+  assert.equal(list[1].type, 'prowlarr');
+  assert.equal(list[1].url, 'http://prowlarr.lan/base');
+  assert.equal(list[1].apikey, 'A');
+  assert.equal(list[1].enabled, false);
+  assert.deepEqual(normalizeParserConfigs('not json'), []);
+});
+
+test('parser search URLs follow the parser type', () => {
+  const params = { query: 'Dune 2021', title: 'Dune', title_original: 'Dune', year: 2021, categories: '2000,5000' };
+  const jackett = new URL(
+    buildParserSearchUrl(normalizeParserConfig({ url: 'https://j.example', apikey: 'K', indexer: 'rutracker' }), params)
+  );
+  assert.equal(jackett.pathname, '/api/v2.0/indexers/rutracker/results');
+  assert.equal(jackett.searchParams.get('apikey'), 'K');
+  assert.equal(jackett.searchParams.get('Category'), '2000,5000');
+  assert.equal(jackett.searchParams.get('year'), '2021');
+
+  const jacred = new URL(buildParserSearchUrl(normalizeParserConfig({ url: 'jacred.xyz', type: 'jacred', indexer: 'x' }), params));
+  assert.equal(jacred.pathname, '/api/v2.0/indexers/all/results');
+  assert.equal(jacred.searchParams.has('apikey'), false);
+
+  const prowlarr = new URL(
+    buildParserSearchUrl(
+      normalizeParserConfig({ url: 'http://p.lan/root', type: 'prowlarr', apikey: 'A', indexer: '3, 7', categories: '5070' }),
+      params
+    )
+  );
+  assert.equal(prowlarr.pathname, '/root/api/v1/search');
+  assert.equal(prowlarr.searchParams.get('query'), 'Dune 2021');
+  assert.deepEqual(prowlarr.searchParams.getAll('categories'), ['5070']);
+  assert.deepEqual(prowlarr.searchParams.getAll('indexerIds'), ['3', '7']);
+  assert.equal(prowlarr.searchParams.get('apikey'), 'A');
+});
+
+const fromProwlarrList = (list) =>
+  parserRawResults(normalizeParserConfig({ url: 'http://p.lan', type: 'prowlarr' }), { text: JSON.stringify(list) });
+
+test('Prowlarr results are mapped to the Jackett raw shape', () => {
+  const prowlarr = normalizeParserConfig({ url: 'http://p.lan', type: 'prowlarr' });
+  const [a, b] = fromProwlarrList([
+    {
+      title: 'Dune.2021.2160p',
+      size: 1024,
+      seeders: 5,
+      leechers: 2,
+      infoHash: 'A'.repeat(40),
+      magnetUrl: 'http://p.lan/1/download?link=x',
+      downloadUrl: 'magnet:?xt=urn:btih:' + 'a'.repeat(40),
+      indexer: 'RuTracker',
+      categories: [{ id: 2000 }, {}],
+    },
+    { title: 'File only', downloadUrl: 'http://p.lan/2/download?apikey=A' },
+  ]);
+  assert.equal(a.Title, 'Dune.2021.2160p');
+  assert.equal(a.Peers, 2);
+  assert.equal(a.MagnetUri.startsWith('magnet:'), true);
+  assert.equal(a.Link, '');
+  assert.deepEqual(a.Category, [2000]);
+  assert.equal(b.MagnetUri, '');
+  assert.equal(b.Link, 'http://p.lan/2/download?apikey=A');
+  const jackett = normalizeParserConfig({ url: 'j.example' });
+  assert.deepEqual(parserRawResults(jackett, { text: '{"Results":[{"Title":"x"}]}' }), [{ Title: 'x' }]);
+  assert.deepEqual(parserRawResults(prowlarr, { text: '{"Results":[]}' }), []);
+  assert.throws(() => parserRawResults(jackett, { text: 'oops', contentType: 'application/json' }), (err) => err.message === 'torbox_error_bad_json');
+});
+
+const TORZNAB_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:torznab="http://torznab.com/schemas/2015/feed">
+  <channel>
+    <item>
+      <title><![CDATA[Dune & Co <2021> 1080p]]></title>
+      <jackettindexer id="rutracker">RuTracker</jackettindexer>
+      <pubDate>Mon, 01 Nov 2021 10:00:00 +0000</pubDate>
+      <size>2147483648</size>
+      <link>https://j.example/dl/1?file=Dune&amp;x=1</link>
+      <enclosure url="https://j.example/dl/1?file=Dune&amp;x=1" length="2147483648" type="application/x-bittorrent" />
+      <torznab:attr name="category" value="2000" />
+      <torznab:attr name="category" value="100045" />
+      <torznab:attr name="seeders" value="12" />
+      <torznab:attr name="peers" value="15" />
+      <torznab:attr name="infohash" value="${'A'.repeat(40)}" />
+      <torznab:attr name="magneturl" value="magnet:?xt=urn:btih:${'a'.repeat(40)}&amp;dn=Dune" />
+      <torznab:attr name="imdbid" value="tt1160419" />
+    </item>
+    <item>
+      <title>Only &#x41;&#66; link</title>
+      <enclosure url='https://j.example/dl/2' length='1024'/>
+    </item>
+  </channel>
+</rss>`;
+
+test('Torznab XML items and attrs map to the Jackett raw shape', () => {
+  const [a, b] = parseTorznabXml(TORZNAB_FEED);
+  assert.equal(a.Title, 'Dune & Co <2021> 1080p');
+  assert.equal(a.Tracker, 'RuTracker');
+  assert.equal(a.Size, 2147483648);
+  assert.equal(a.Seeders, 12);
+  assert.equal(a.Peers, 3);
+  assert.equal(a.InfoHash, 'A'.repeat(40));
+  assert.equal(a.MagnetUri, `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=Dune`);
+  assert.equal(a.Link, 'https://j.example/dl/1?file=Dune&x=1');
+  assert.deepEqual(a.Category, [2000, 100045]);
+  assert.equal(a.Imdb, 'tt1160419');
+  assert.equal(b.Title, 'Only AB link');
+  assert.equal(b.Size, 1024);
+  assert.equal(b.MagnetUri, '');
+  assert.equal(b.Link, 'https://j.example/dl/2');
+
+  assert.deepEqual(parseTorznabXml('<rss><channel></channel></rss>'), []);
+  assert.throws(
+    () => parseTorznabXml('<?xml version="1.0"?><error code="100" description="Invalid API Key" />'),
+    (err) => err.type === 'api' && err.code === '100' && err.message === 'Invalid API Key'
+  );
+});
+
+test('parser response format is chosen per parser or from Content-Type', () => {
+  const auto = normalizeParserConfig({ url: 'j.example' });
+  const forcedJson = normalizeParserConfig({ url: 'j.example', format: 'json' });
+  const torznab = normalizeParserConfig({ url: 'https://j.example/api/v2.0/indexers/all/results/torznab/api', type: 'torznab' });
+  assert.equal(parserPayloadFormat(auto, { text: '{}', contentType: 'application/rss+xml; charset=utf-8' }), 'torznab');
+  assert.equal(parserPayloadFormat(auto, { text: '<rss/>', contentType: 'application/json' }), 'json');
+  assert.equal(parserPayloadFormat(auto, { text: ' <rss/>', contentType: '' }), 'torznab');
+  assert.equal(parserPayloadFormat(auto, { text: '{}', contentType: '' }), 'json');
+  assert.equal(parserPayloadFormat(forcedJson, { text: '<rss/>', contentType: 'text/xml' }), 'json');
+  assert.equal(parserPayloadFormat(torznab, { text: '{}', contentType: 'application/json' }), 'torznab');
+  assert.equal(parserRawResults(auto, { text: TORZNAB_FEED, contentType: 'application/xml' }).length, 2);
+  // Jackett id searches hit the Torznab endpoint: XML even when the parser is set to JSON
+  const jsonJackett = normalizeParserConfig({ url: 'http://j.lan', type: 'jackett', format: 'json' });
+  const idPayload = { text: TORZNAB_FEED, contentType: 'application/json' };
+  assert.equal(parserRawResults(jsonJackett, idPayload, parserIdSearchFormat(jsonJackett)).length, 2);
+  assert.equal(parserIdSearchFormat(normalizeParserConfig({ url: 'http://p.lan', type: 'prowlarr' })), null);
+
+  const url = new URL(buildParserSearchUrl(Object.assign({}, torznab, { apikey: 'K' }), { query: 'Dune 2021', categories: '2000' }));
+  assert.equal(url.pathname, '/api/v2.0/indexers/all/results/torznab/api');
+  assert.equal(url.searchParams.get('t'), 'search');
+  assert.equal(url.searchParams.get('q'), 'Dune 2021');
+  assert.equal(url.searchParams.get('cat'), '2000');
+  assert.equal(url.searchParams.get('apikey'), 'K');
+});
+
+test('content type is derived from the card and mapped to categories', () => {
+  assert.equal(cardContentType({ title: 'Dune', release_date: '2021-09-15' }), 'movie');
+  assert.equal(cardContentType({ name: 'Dark', first_air_date: '2017-12-01' }), 'tv');
+  assert.equal(cardContentType({ genre_ids: [16, 10765], original_language: 'ja', first_air_date: '2013-04-07' }), 'anime');
+  assert.equal(cardContentType({ genres: [{ id: 16 }], original_language: 'en' }), 'movie');
+  assert.equal(cardContentType({ genres: [{ id: 99, name: 'Documentary' }], first_air_date: '2019-04-05' }), 'documentary');
+  assert.equal(cardContentType(), 'movie');
+
+  assert.deepEqual(normalizeContentCategories(''), DEFAULT_CONTENT_CATEGORIES);
+  const custom = normalizeContentCategories('anime = 5070, 2000;\ntv=; cartoon=9999; documentary:5080,2030');
+  assert.equal(custom.anime, '5070,2000');
+  assert.equal(custom.tv, '5000');
+  assert.equal(custom.documentary, '5080,2030');
+  assert.equal('cartoon' in custom, false);
+  assert.equal(formatContentCategories(custom), 'movie=2000; tv=5000; anime=5070,2000; documentary=5080,2030');
+
+  // Anime and documentary films keep the movie category; series of those kinds stay in TV
+  const animeFilm = { genre_ids: [16], original_language: 'ja', release_date: '2001-07-20' };
+  const docSeries = { genres: [{ id: 99 }], first_air_date: '2019-04-05' };
+  assert.equal(cardCategories(animeFilm), '2000,5070');
+  assert.equal(cardCategories({ genres: [{ id: 99 }], release_date: '2020-01-01' }), '2000,5080');
+  assert.equal(cardCategories(docSeries), '5080');
+  assert.equal(cardCategories({ name: 'Dark', first_air_date: '2017-12-01' }), '5000');
+  assert.equal(cardCategories(animeFilm, custom), '2000,5070');
+});
+
+test('card ids drive imdbid/tmdbid searches for parsers that support them', () => {
+  assert.deepEqual(cardSearchIds({ id: 438631, imdb_id: 'tt1160419', release_date: '2021-09-15' }), {
+    imdb: 'tt1160419',
+    tmdb: 438631,
+    kind: 'movie',
+  });
+  assert.deepEqual(cardSearchIds({ id: 1399, source: 'cub', first_air_date: '2011-04-17' }), { tmdb: 1399, kind: 'tv' });
+  assert.deepEqual(cardSearchIds({ id: 77, source: 'ivi', imdb_id: 'nope' }), {});
+  assert.deepEqual(cardSearchIds({ id: 438631, imdb_id: 'tt1160419', query_only: true }), {});
+
+  const params = { categories: '2000', imdb: 'tt1160419', tmdb: 438631, kind: 'movie' };
+  const jackett = new URL(buildParserIdSearchUrl(normalizeParserConfig({ url: 'https://j.example', apikey: 'K' }), params));
+  assert.equal(jackett.pathname, '/api/v2.0/indexers/all/results/torznab/api');
+  assert.equal(jackett.searchParams.get('t'), 'movie');
+  assert.equal(jackett.searchParams.get('imdbid'), '1160419');
+  assert.equal(jackett.searchParams.get('tmdbid'), '438631');
+  assert.equal(jackett.searchParams.get('apikey'), 'K');
+
+  const torznab = new URL(
+    buildParserIdSearchUrl(normalizeParserConfig({ url: 'http://p.lan/5/api', type: 'torznab' }), { tmdb: 1399, kind: 'tv' })
+  );
+  assert.equal(torznab.pathname, '/5/api');
+  assert.equal(torznab.searchParams.get('t'), 'tvsearch');
+  assert.equal(torznab.searchParams.has('imdbid'), false);
+
+  const prowlarr = new URL(buildParserIdSearchUrl(normalizeParserConfig({ url: 'http://p.lan', type: 'prowlarr' }), params));
+  assert.equal(prowlarr.searchParams.get('query'), '{ImdbId:tt1160419}');
+  assert.equal(prowlarr.searchParams.get('type'), 'movie');
+
+  assert.equal(buildParserIdSearchUrl(normalizeParserConfig({ url: 'jacred.xyz', type: 'jacred' }), params), '');
+  assert.equal(buildParserIdSearchUrl(normalizeParserConfig({ url: 'j.example' }), { categories: '2000' }), '');
+});
+
+// Local stand-in for search-api.torbox.app backed by tests/fixtures/torbox-search.json
+function createTorBoxSearchStandIn(fixture) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    calls.push(url);
+    const { pathname } = new URL(url);
+    if (!init.headers?.['X-Api-Key']) return { status: 401, text: async () => '{"success":false,"error":"AUTH_ERROR"}' };
+    const known = pathname.startsWith('/torrents/search/') || pathname === '/torrents/imdb:tt1160419';
+    const body = known ? fixture : { success: true, data: { torrents: [] } };
+    return { status: 200, headers: { get: () => 'application/json' }, text: async () => JSON.stringify(body) };
+  };
+  return { fetch, calls };
+}
+
+async function runTorBoxSearch(fetchImpl, params) {
+  const fetchNormalized = async (url) => {
+    const res = await fetchImpl(url, { headers: { 'X-Api-Key': 'KEY' } });
+    const payload = { text: await res.text(), contentType: res.headers.get('Content-Type') };
+    return normalizeParserResults(parserRawResults(TORBOX_SEARCH_PARSER, payload));
+  };
+  const idUrl = buildParserIdSearchUrl(TORBOX_SEARCH_PARSER, params);
+  let strategy = idUrl ? 'id' : 'title';
+  let normalized = idUrl ? await fetchNormalized(idUrl) : null;
+  if (!normalized || !normalized.validCount) {
+    strategy = 'title';
+    normalized = await fetchNormalized(buildParserSearchUrl(TORBOX_SEARCH_PARSER, params));
+  }
+  return { strategy, normalized, flags: torboxCachedFlags(normalized.entriesByHash) };
+}
+
+test('TorBox search source normalizes fixture results with cached flags', async () => {
+  const fixture = JSON.parse(fs.readFileSync(path.resolve(__dirname, '..', 'fixtures', 'torbox-search.json'), 'utf8'));
+  const standIn = createTorBoxSearchStandIn(fixture);
+
+  const byId = await runTorBoxSearch(standIn.fetch, { query: 'Dune 2021', imdb: 'tt1160419', kind: 'movie' });
+  assert.equal(byId.strategy, 'id');
+  assert.equal(byId.normalized.rawCount, 3);
+  assert.equal(byId.normalized.validCount, 2);
+  assert.equal(byId.normalized.invalidCount, 1);
+  assert.deepEqual(byId.flags, { ['1'.repeat(40)]: true, ['2'.repeat(40)]: false });
+  const first = byId.normalized.entriesByHash.get('1'.repeat(40));
+  assert.equal(first.Title, 'Dune.2021.2160p.UHD.BluRay.x265.HDR.Atmos');
+  assert.equal(first.Seeders, 120);
+  assert.equal(byId.normalized.entriesByHash.get('2'.repeat(40)).Tracker, 'TorBox');
+  assert.match(standIn.calls[0], /^https:\/\/search-api\.torbox\.app\/torrents\/imdb:tt1160419\?.*check_cache=true/);
+
+  const fallback = await runTorBoxSearch(standIn.fetch, { query: 'Dune 2021', imdb: 'tt0000001', kind: 'movie' });
+  assert.equal(fallback.strategy, 'title');
+  assert.equal(fallback.normalized.validCount, 2);
+  assert.equal(standIn.calls.at(-1), 'https://search-api.torbox.app/torrents/search/Dune%202021?' + TORBOX_SEARCH_QS);
+
+  assert.equal(buildParserIdSearchUrl(TORBOX_SEARCH_PARSER, { tmdb: 438631 }), '');
+});
+
+const release = (title) => parseReleaseName(title);
+
+test('release names split into resolution, source, HDR, codec and audio', () => {
+  const remux = release('Dune.Part.Two.2024.2160p.UHD.BluRay.Remux.DV.HDR10+.HEVC.TrueHD.Atmos.7.1-FraMeSToR');
+  assert.equal(remux.resolution, '2160p');
+  assert.equal(remux.quality, '4K');
+  assert.equal(remux.source, 'Remux');
+  assert.deepEqual(remux.hdr, ['DV', 'HDR10+']);
+  assert.equal(remux.codec, 'HEVC');
+  assert.deepEqual(remux.audio, { codec: 'TRUEHD', channels: '7.1', atmos: true });
+  assert.equal(remux.group, 'FraMeSToR');
+
+  const web = release('The.Office.US.S01-S09.COMPLETE.1080p.WEB-DL.DDP5.1.H.264-NTb');
+  assert.equal(web.quality, 'FHD');
+  assert.equal(web.source, 'WEB-DL');
+  assert.equal(web.codec, 'H264');
+  assert.deepEqual(web.audio, { codec: 'EAC3', channels: '5.1', atmos: false });
+  assert.equal(web.group, 'NTb');
+
+  const encode = release('Movie.Extended.Directors.Cut.1080p.BDRip.10bit.x265.DTS-HD.MA.5.1-GRP.mkv');
+  assert.equal(encode.source, 'BDRip');
+  assert.equal(encode.bit_depth, 10);
+  assert.equal(encode.audio.codec, 'DTS-HD MA');
+  assert.equal(encode.edition, "Director's Cut");
+  assert.equal(encode.group, 'GRP');
+
+  assert.equal(release('Movie.2019.720p.HDTV.x264.AAC2.0-GRP').audio.codec, 'AAC');
+  assert.equal(release('Movie 2020 HDCAM').source, 'CAM');
+  assert.equal(release('Movie.2020.HDTS.x264').source, 'TS');
+  assert.equal(release('Movie.2020.WEB-DLRip.avi').source, 'WEBRip');
+  assert.equal(release('Movie.2020.DVD9').source, 'DVD');
+  assert.deepEqual(release('Movie.2160p.HDR10.HLG').hdr, ['HDR10', 'HLG']);
+  assert.equal(release('Movie.Hi10P.720p').bit_depth, 10);
+
+  // Layouts need an audio codec next to them; ".ts" as a file extension is not a telesync source
+  assert.equal(release('Movie.2020.1080p.BluRay.AC3 5.1-GRP').audio.channels, '5.1');
+  assert.equal(release('Фильм (2020) BDRip 1080p | 5.1 DTS').audio.channels, '5.1');
+  assert.equal(release('Movie.Part.1.0.1080p.WEB-DL.x264-GRP').audio.channels, null);
+  assert.equal(release('Movie.2020.1080p.WEB-DL.x264-Group2.0').audio.channels, null);
+  assert.equal(release('Movie.2020.1080p.BluRay.x264.ts').source, 'BluRay');
+  assert.equal(release('Movie.2020.1080p.x264.ts').source, null);
+  assert.equal(release('Movie 2020 TS').source, 'TS');
+});
+
+test('HD, HDR, HDTV and HDRip tokens do not masquerade as 720p', () => {
+  assert.equal(release('Movie.2021.HDR.WEB-DL').quality, null);
+  assert.equal(release('Movie.2021.HDTV.x264').quality, null);
+  assert.equal(release('Movie.2021.HDRip.XviD').quality, null);
+  assert.deepEqual(release('Movie.2021.HDRip.XviD').hdr, []);
+  assert.equal(release('Movie.2021.HDRip.XviD').codec, 'XVID');
+  assert.equal(release('Movie.4K.SDR').quality, '4K');
+  assert.equal(release('Movie [1920x1080]').resolution, '1080p');
+  assert.deepEqual(release('Movie.DVDRip.mkv').hdr, []);
+});
+
+test('season and episode ranges are read from Latin and Cyrillic markers', () => {
+  assert.deepEqual(release('The.Office.US.S01-S09.COMPLETE.1080p').seasons, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(release('The.Office.US.S01-S09.COMPLETE.1080p').complete, true);
+  const range = release('Show.S02E01-E05.1080p');
+  assert.deepEqual(range.seasons, [2]);
+  assert.deepEqual(range.episodes, [1, 2, 3, 4, 5]);
+  assert.deepEqual(release('Show.S03E07.720p').episodes, [7]);
+  assert.deepEqual(release('Show 1x05 HDTV').seasons, [1]);
+  assert.deepEqual(release('Show 1x05 HDTV').episodes, [5]);
+
+  const ru = release('Шоу (2023) Сезон: 1-3 / Серии 1-8 из 10 WEBRip 720p');
+  assert.deepEqual(ru.seasons, [1, 2, 3]);
+  assert.deepEqual(ru.episodes, [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.deepEqual(release('Шоу 2 сезон').seasons, [2]);
+  assert.deepEqual(release('Show Season 4 1080p').seasons, [4]);
+  assert.deepEqual(release('Шоу (2019) Сезон 2024').seasons, []);
+  assert.deepEqual(release('Movie.2019.1080p.x264').seasons, []);
+  assert.deepEqual(release('Movie.2019.1080p.x264').episodes, []);
+});
+
+test('languages, groups and editions tolerate free-form tracker titles', () => {
+  const ru = release('Дюна: Часть вторая / Dune: Part Two (2024) WEB-DL 2160p | HDR10 | D, A | Rus, Eng, Ukr');
+  assert.deepEqual(ru.languages, ['RU', 'EN', 'UK']);
+  assert.equal(ru.group, null);
+  assert.deepEqual(release('Русалочка (1989) BDRip').languages, []);
+  assert.equal(release('Spider-Man').group, null);
+  assert.equal(release('Movie.1080p.WEB-DL').group, null);
+  assert.equal(release('Movie.1080p.BluRay.x264-GRP [rartv]').group, 'GRP');
+  assert.equal(release('Movie.2009.IMAX.2160p').edition, 'IMAX');
+  assert.equal(release('Movie.Unrated.1080p').edition, 'Unrated');
+  assert.deepEqual(release(''), parseReleaseName(null));
+});
+
+test('ffprobe names map onto release labels and ranks order releases', () => {
+  assert.equal(canonicalVideoCodec('hevc'), 'HEVC');
+  assert.equal(canonicalVideoCodec('h264'), 'H264');
+  assert.equal(canonicalVideoCodec('mpeg2video'), 'MPEG2');
+  assert.equal(canonicalVideoCodec('prores'), 'PRORES');
+  assert.equal(canonicalVideoCodec(''), null);
+  assert.equal(canonicalAudioCodec('eac3'), 'EAC3');
+  assert.equal(canonicalAudioCodec('truehd'), 'TRUEHD');
+  assert.equal(canonicalAudioCodec('pcm_s24le'), 'PCM');
+  assert.equal(canonicalLanguage('rus'), 'RU');
+  assert.equal(canonicalLanguage('ENG'), 'EN');
+  assert.equal(canonicalLanguage('uk'), 'UK');
+  assert.equal(canonicalLanguage('und'), 'UND');
+
+  assert.ok(releaseRank('4K', 'Remux') > releaseRank('4K', 'WEB-DL'));
+  assert.ok(releaseRank('HD', 'BluRay') > releaseRank('SD', 'Remux'));
+  assert.ok(releaseRank('FHD', null) > releaseRank('HD', 'Remux'));
+  assert.equal(releaseRank('4K', 'CAM'), 0);
+  assert.ok(releaseRank('SD', 'DVDRip') > releaseRank('4K', 'TS'));
+});
+
+test('relevance gate keeps the card title and rejects sequels, spin-offs and other years', () => {
+  const alien = createRelevanceMatcher({ title: 'Чужой', original_title: 'Alien', release_date: '1979-05-25' });
+  assert.equal(alien('Чужой / Alien (1979) BDRip 1080p | D, P').relevant, true);
+  assert.equal(alien('Alien.1979.Directors.Cut.1080p.BluRay.x264-GRP').relevant, true);
+  assert.equal(alien('Alien (1980) 1080p').year, 'match');
+  assert.equal(alien('Chuzhoy 1979 DVDRip').name, 'exact');
+  assert.equal(alien('Alien.1080p.BluRay').relevant, true);
+
+  assert.equal(alien('Aliens.1986.1080p.BluRay').relevant, false);
+  assert.equal(alien('Чужие / Aliens (1986)').relevant, false);
+  const romulus = alien('Alien.Romulus.2024.2160p.WEB-DL');
+  assert.deepEqual([romulus.name, romulus.year, romulus.relevant], ['partial', 'mismatch', false]);
+  assert.equal(alien('Alien 3 (1992) BDRip').relevant, false);
+  assert.equal(alien('Alien Quadrilogy BDRip').relevant, false);
+
+  const runner = createRelevanceMatcher({ original_title: 'Blade Runner 2049', title: 'Бегущий по лезвию 2049', release_date: '2017-10-04' });
+  assert.equal(runner('Blade.Runner.2049.2160p.UHD.BluRay').relevant, true);
+  assert.equal(runner('Бегущий по лезвию 2049 / Blade Runner 2049 (2017) WEB-DL').year, 'match');
+  assert.equal(runner('Blade Runner (1982) Final Cut').relevant, false);
+
+  assert.equal(createRelevanceMatcher({ title: 'Alien', query_only: true }), null);
+  assert.equal(createRelevanceMatcher({}), null);
+});
+
+test('relevance gate checks the season and tolerates later air years for series', () => {
+  const office = createRelevanceMatcher({
+    name: 'Офис',
+    original_name: 'The Office',
+    first_air_date: '2005-03-24',
+    last_air_date: '2013-05-16',
+    season_number: 3,
+  });
+  assert.deepEqual(office('Офис / The Office (2007) Сезон 3'), { score: 100, relevant: true, name: 'exact', year: 'match', season: 'match' });
+  assert.equal(office('The.Office.US.S03.1080p').relevant, true);
+  assert.equal(office('The.Office.Complete.Series.1080p').season, 'match');
+  assert.equal(office('The Office S05 720p').relevant, false);
+  assert.equal(office('The Office (2001) S03').year, 'mismatch');
+});
+
+test('relevance gate folds Latin accents and keeps Cyrillic letters intact', () => {
+  assert.equal(normalizeMatchTitle('Le Fabuleux Destin d’Amélie Poulain'), 'le fabuleux destin damelie poulain');
+  assert.equal(normalizeMatchTitle('Léon'), 'leon');
+  assert.equal(normalizeMatchTitle('Pokémon: Détective Pikachu'), 'pokemon detective pikachu');
+  assert.equal(normalizeMatchTitle('Straße Ærø'), 'strasse aero');
+  assert.equal(normalizeMatchTitle('Таємниця Йоркширу'), 'таємниця йоркширу');
+  const amelie = createRelevanceMatcher({ title: 'Амели', original_title: 'Amélie', release_date: '2001-04-25' });
+  assert.equal(amelie('Amelie.2001.1080p.BluRay.x264').relevant, true);
+  assert.equal(amelie('Amélie (2001) BDRip').name, 'exact');
+  const leon = createRelevanceMatcher({ title: 'Леон', original_title: 'Léon', release_date: '1994-09-14' });
+  assert.equal(leon('Leon.1994.Extended.1080p').relevant, true);
+});
+
+test('relevance gate takes the entry season passed by the list', () => {
+  const office = createRelevanceMatcher(
+    { name: 'Офис', original_name: 'The Office', first_air_date: '2005-03-24', last_air_date: '2013-05-16' },
+    4
+  );
+  assert.equal(office('The Office S04 1080p').season, 'match');
+  assert.equal(office('The Office S02 1080p').relevant, false);
+  assert.equal(office('The Office 1080p').season, 'unknown');
+});
+
+test('release titles reduce to name candidates and transliterate Cyrillic', () => {
+  assert.deepEqual(releaseTitleParts('Чужой / Alien (1979) BDRip 1080p'), ['чужой', 'alien']);
+  assert.deepEqual(releaseTitleParts('Blade.Runner.2049.2017.2160p'), ['blade runner', 'blade runner 2049', 'blade runner 2049 2017']);
+  assert.deepEqual(releaseTitleParts('2012 (2009) BDRip'), ['2012']);
+  assert.deepEqual(releaseTitleParts('Show.S01E02.720p'), ['show']);
+  assert.deepEqual(releaseTitleParts('Шоу 2 сезон'), ['шоу 2']);
+  assert.equal(transliterate('Мастер и Маргарита'), 'master i margarita');
+  assert.equal(normalizeMatchTitle("Ocean's Eleven & Co."), 'oceans eleven and co');
+  assert.equal(normalizeMatchTitle('Ёлки'), 'елки');
+});
+
+test('series releases are told apart as episodes, seasons and complete packs', () => {
+  const pack = (title) => releasePackInfo(parseReleaseName(title));
+  assert.deepEqual(pack('Show.S03E05.1080p'), { kind: 'episode', label: 'S03E05' });
+  assert.deepEqual(pack('Show.S02E01-E05.1080p'), { kind: 'episodes', label: 'S02 E01-05' });
+  assert.deepEqual(pack('Шоу / Сезон: 1 / Серии: 1-8 из 10'), { kind: 'episodes', label: 'S01 E01-08' });
+  assert.deepEqual(pack('Show.S03.1080p.WEB-DL'), { kind: 'season', label: 'S03' });
+  assert.deepEqual(pack('Шоу 1-8 сезон'), { kind: 'seasons', label: 'S01-S08' });
+  assert.deepEqual(pack('Show.S01-S09.COMPLETE.1080p'), { kind: 'complete', label: 'S01-S09' });
+  assert.deepEqual(pack('Show.Complete.Series.720p'), { kind: 'complete', label: 'torbox_pack_complete' });
+  assert.equal(pack('Movie.2019.1080p.BluRay'), null);
+});
+
+test('season filter matches listed seasons and complete packs without a season list', () => {
+  const has = (title, season) => releaseHasSeason(parseReleaseName(title), season);
+  assert.equal(has('Show.S01-S09.1080p', 3), true);
+  assert.equal(has('Show.S03E05.1080p', 3), true);
+  assert.equal(has('Show.S04.1080p', 3), false);
+  assert.equal(has('Шоу 1-2 сезон', 3), false);
+  assert.equal(has('Show.Complete.Series.720p', 3), true);
+  assert.equal(has('Show.2005.1080p', 3), false);
+  assert.equal(releaseHasSeason(undefined, 1), false);
+});
+
+test('the entry season filters only lists that have it and keeps releases without a season', () => {
+  const releases = ['Show.S01.1080p', 'Show.S02E03.1080p', 'Show.2005.1080p', 'Show.Complete.Series.720p'].map(parseReleaseName);
+  const kept = (season, fromEntry) => releases.map(seasonFilterFor(releases, season, fromEntry));
+  assert.deepEqual(kept(2, true), [false, true, true, true]);
+  assert.deepEqual(kept(2, false), [false, true, false, true]);
+  // Nothing lists season 5: the entry default steps aside, a picked season still filters
+  const noFive = releases.slice(0, 3);
+  assert.deepEqual(noFive.map(seasonFilterFor(noFive, 5, true)), [true, true, true]);
+  assert.deepEqual(noFive.map(seasonFilterFor(noFive, 5, false)), [false, false, false]);
+  assert.deepEqual(kept(0, false), [true, true, true, true]);
+});
+
+const viewItemFor = (title, overrides = {}) =>
+  Object.assign(
+    { hash: title, raw_title: title, size: 14e9, source: 'torrent', last_known_seeders: 0, cached: false, trackers: [], release: parseReleaseName(title) },
+    overrides
+  );
+
+test('near-duplicate releases group by title tokens, parsed fields and size tolerance', () => {
+  const items = [
+    viewItemFor('Dune.2021.2160p.WEB-DL.DDP5.1.HEVC', { last_known_seeders: 10, trackers: ['Rutor'] }),
+    viewItemFor('Дюна / Dune (2021) WEB-DL 2160p HEVC', { size: 14.05e9, last_known_seeders: 50, trackers: ['Kinozal'], cached: true }),
+    viewItemFor('Dune.2021.1080p.WEB-DL.x264', { size: 14e9, trackers: ['Rutor'] }),
+    viewItemFor('Dune.2021.2160p.WEB-DL.HEVC-OTHER', { size: 20e9 }),
+    viewItemFor('Dune 2021 2160p WEB-DL HEVC', { size: 14.02e9, last_known_seeders: 5, trackers: ['NNM'] }),
+    viewItemFor('Dune.2021.2160p.WEB-DL.HEVC', { size: 14e9, source: 'usenet' }),
+  ];
+  const groups = groupNearDuplicates(items);
+  assert.equal(groups.length, 4);
+  const [dune] = groups;
+  assert.equal(dune.lead, items[1]);
+  assert.deepEqual(dune.alternatives, [items[0], items[4]]);
+  assert.deepEqual(dune.trackers, ['Rutor', 'Kinozal', 'NNM']);
+  assert.equal(groups[1].lead, items[2]);
+  assert.equal(groups[3].lead, items[5]);
+});
+
+test('a cached copy leads its group even with fewer seeders', () => {
+  const items = [
+    viewItemFor('Dune.2021.2160p.WEB-DL.HEVC', { last_known_seeders: 90 }),
+    viewItemFor('Dune 2021 2160p WEB-DL HEVC', { last_known_seeders: 3, cached: true }),
+    viewItemFor('Dune.2021.2160p.WEB-DL.HEVC.mkv', { last_known_seeders: 40, cached: true }),
+  ];
+  const [group] = groupNearDuplicates(items);
+  assert.equal(group.lead, items[2]);
+  assert.deepEqual(group.alternatives, [items[0], items[1]]);
+});
+
+test('duplicate grouping keeps episodes, unrelated results and unknown sizes apart', () => {
+  const groups = groupNearDuplicates([
+    viewItemFor('Show.S01E01.1080p.WEB-DL'),
+    viewItemFor('Show.S01E02.1080p.WEB-DL'),
+    viewItemFor('Show.S01E01.1080p.WEB-DL.mkv', { relevant: false }),
+    viewItemFor('Show.S01E01.1080p', { size: 0 }),
+    viewItemFor('Show.S01E01.1080p', { size: 0 }),
+  ]);
+  assert.equal(groups.length, 5);
+  assert.deepEqual(groupNearDuplicates(null), []);
+  assert.equal(titleOverlap(new Set(['dune', '2021']), new Set(['дюна', 'dune', '2021', 'web'])), 1);
+});
+
+test('score weights keep defaults for missing factors and clamp out-of-range values', () => {
+  assert.deepEqual(normalizeScoreWeights(''), DEFAULT_SCORE_WEIGHTS);
+  const custom = normalizeScoreWeights('cached=50; size=-10, bogus=5; seeders = 300; age:x');
+  assert.equal(custom.cached, 50);
+  assert.equal(custom.size, -10);
+  assert.equal(custom.seeders, 100);
+  assert.equal(custom.age, DEFAULT_SCORE_WEIGHTS.age);
+  assert.equal('bogus' in custom, false);
+  assert.equal(formatScoreWeights(custom).split('; ')[0], 'cached=50');
+  assert.deepEqual(normalizeTrackerWeights('RuTracker=1; Kinozal: 0.8; nnm=3; broken'), { rutracker: 1, kinozal: 0.8, nnm: 1 });
+  assert.equal(formatTrackerWeights({ rutracker: 1 }), 'rutracker=1');
+});
+
+test('release duration follows the card runtime and the episodes a pack holds', () => {
+  const show = {
+    episode_run_time: [45],
+    number_of_episodes: 20,
+    number_of_seasons: 2,
+    seasons: [{ season_number: 1, episode_count: 8 }],
+  };
+  assert.equal(releaseDurationMinutes(parseReleaseName('Movie.2020.1080p'), { runtime: 120 }), 120);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.S01E01-E03.1080p'), show), 135);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.S01.1080p'), show), 360);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.S02.1080p'), show), 450);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.Complete.Series.1080p'), show), 900);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.S01-S02.1080p'), show), 900);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Movie.2020.1080p'), {}), 0);
+});
+
+test('series packs the card cannot count stay unknown instead of passing for one episode', () => {
+  const bare = { episode_run_time: [45], first_air_date: '2019-01-01' };
+  const pack = parseReleaseName('Show.S03.2160p.WEB-DL');
+  assert.equal(releaseDurationMinutes(pack, bare), 0);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.Complete.Series.1080p'), bare), 0);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.2019.1080p.WEB-DL'), bare), 0);
+  assert.equal(releaseDurationMinutes(parseReleaseName('Show.S03E02.1080p'), bare), 45);
+  assert.equal(releaseDurationMinutes(pack, { runtime: 120 }), 0);
+  // A 40 GB season pack is not flagged as a ~120 Mbit/s single episode
+  const item = { bitrate_mbps: estimateBitrateMbps(40 * 1024 ** 3, releaseDurationMinutes(pack, bare)) };
+  assert.equal(item.bitrate_mbps, 0);
+  assert.equal(isOverBitrate(item, 40), false);
+});
+
+test('recommended score weighs every factor and explains the result', () => {
+  const ctx = {
+    weights: DEFAULT_SCORE_WEIGHTS,
+    trackerWeights: { rutracker: 1 },
+    audioLangs: ['RU', 'EN'],
+    videoCodecs: ['HEVC'],
+    maxSeeders: 100,
+    movie: { runtime: 100 },
+    now: Date.UTC(2024, 0, 1),
+  };
+  const item = (title, overrides) =>
+    Object.assign(viewItemFor(title), { release_rank: releaseRank(parseReleaseName(title).quality, parseReleaseName(title).source) }, overrides);
+  const best = scoreRelease(
+    item('Movie.2023.2160p.Remux.HEVC', {
+      cached: true,
+      last_known_seeders: 100,
+      size: 200 * 100 * 1048576,
+      publish_timestamp: Date.UTC(2024, 0, 1),
+      trackers: ['RuTracker'],
+      audio_langs: ['rus'],
+      video_codec: 'HEVC',
+    }),
+    ctx
+  );
+  assert.equal(best.score, 100);
+  assert.deepEqual(best.factors.map((f) => f.factor), SCORE_FACTORS);
+
+  const weak = scoreRelease(item('Movie.2023.CAMRip', { size: 0, trackers: ['Other'], audio_langs: ['eng'], video_codec: 'H264' }), ctx);
+  const factor = (name) => weak.factors.find((f) => f.factor === name);
+  assert.equal(factor('cached').points, 0);
+  assert.equal(factor('seeders').value, 0);
+  assert.equal(factor('size').value, 0.5);
+  assert.equal(factor('age').value, 0.5);
+  assert.equal(factor('tracker').value, 0.5);
+  assert.equal(factor('audio').value, 0.5);
+  assert.equal(factor('codec').value, 0);
+  assert.ok(weak.score < best.score);
+
+  // A negative size weight prefers the smaller of two otherwise equal releases
+  const smaller = Object.assign({}, ctx, { weights: { size: -10 } });
+  const small = scoreRelease(item('Movie.2023.1080p', { size: 10 * 100 * 1048576 }), smaller);
+  const large = scoreRelease(item('Movie.2023.1080p', { size: 100 * 100 * 1048576 }), smaller);
+  assert.ok(small.score > large.score);
+
+  // The breakdown adds up: scored value × share gives the points, inverted for negative weights
+  [best, weak, small, large].forEach((result) => {
+    result.factors.forEach((f) => {
+      assert.ok(Math.abs(f.scored * f.share - f.points) <= 0.1, `${f.factor}: ${f.scored} × ${f.share} ≠ ${f.points}`);
+    });
+    const sum = result.factors.reduce((acc, f) => acc + f.points, 0);
+    assert.ok(Math.abs(sum - result.score) < 0.05);
+  });
+  const sizeFactor = small.factors.find((f) => f.factor === 'size');
+  assert.equal(sizeFactor.scored, Math.round((1 - sizeFactor.value) * 100) / 100);
+  assert.equal(sizeFactor.share, 100);
+  assert.equal(scoreRelease(item('Movie.2023.1080p', { source: 'usenet' }), ctx).factors[1].value, 0.5);
+});
+
+test('estimated bitrate uses the release duration and flags releases above the limit', () => {
+  const show = { episode_run_time: [50], seasons: [{ season_number: 1, episode_count: 10 }] };
+  const remux = 60 * 1024 ** 3;
+  assert.equal(estimateBitrateMbps(remux, releaseDurationMinutes(parseReleaseName('Movie.2020.2160p.Remux'), { runtime: 120 })), 71.6);
+  assert.equal(estimateBitrateMbps(remux, releaseDurationMinutes(parseReleaseName('Show.S01.2160p.Remux'), show)), 17.2);
+  assert.equal(estimateBitrateMbps(remux, 0), 0);
+  assert.equal(estimateBitrateMbps(0, 120), 0);
+  assert.equal(isOverBitrate({ bitrate_mbps: 71.6 }, 40), true);
+  assert.equal(isOverBitrate({ bitrate_mbps: 17.2 }, 40), false);
+  assert.equal(isOverBitrate({ bitrate_mbps: 0 }, 40), false);
+  assert.equal(isOverBitrate({ bitrate_mbps: 71.6 }, 0), false);
+  assert.equal(normalizeMaxBitrate('25,5'), 25.5);
+  assert.equal(normalizeMaxBitrate('-3'), 0);
+  assert.equal(normalizeMaxBitrate('abc'), 0);
+  assert.equal(normalizeMaxBitrateMode('HIDE'), 'hide');
+  assert.equal(normalizeMaxBitrateMode('bogus'), 'flag');
+});
+
+test('parser URLs are logged without indexer api keys', () => {
+  const { DebugTelemetry, LOG } = createDebugLog();
+  const jackett = normalizeParserConfig({ name: 'Jackett', url: 'http://jackett.local:9117', apikey: 'SECRETKEY1', type: 'jackett' });
+  const prowlarr = normalizeParserConfig({ name: 'Prowlarr', url: 'http://prowlarr.local', apikey: 'SECRETKEY2', type: 'prowlarr' });
+  const idParams = { imdb: 'tt1160419', tmdb: 438631, kind: 'movie' };
+  [jackett, prowlarr].forEach((p) => {
+    LOG('Parser try:', p.name, 'id', redactSecrets(buildParserIdSearchUrl(p, idParams)));
+    LOG('Parser try:', p.name, 'title', buildParserSearchUrl(p, { query: 'Dune 2021' }));
+  });
+  LOG('Request failed', { url: 'http://idx.local/api?t=search&apikey=SECRETKEY3&q=dune' });
+  const dump = JSON.stringify(DebugTelemetry.logs);
+  assert.doesNotMatch(dump, /SECRETKEY/);
+  assert.match(dump, /apikey=\*\*\*/);
+  assert.match(dump, /imdbid=1160419/);
+});
+
+test('pasted web links become web download items and survive broken escapes', () => {
+  const item = webLinkItem('  https://files.example.com/dl/My%20Movie%202020.mkv?token=1 ');
+  assert.equal(item.source, 'webdl');
+  assert.equal(item.web_link, 'https://files.example.com/dl/My%20Movie%202020.mkv?token=1');
+  assert.equal(item.raw_title, 'My Movie 2020.mkv');
+  assert.deepEqual(item.trackers, ['files.example.com']);
+  assert.match(item.hash, /^web[0-9a-f]{8}$/);
+  assert.equal(webLinkItem('https://files.example.com/dl/My%20Movie%202020.mkv?token=1').hash, item.hash);
+
+  assert.equal(webLinkItem('https://host.example/file%zz').raw_title, 'file%zz');
+  assert.equal(webLinkItem('https://host.example/').raw_title, 'host.example');
+  assert.equal(webLinkItem('https://host.example/%3Cb%3Ex').title, '&lt;b&gt;x');
+  assert.equal(webLinkItem('magnet:?xt=urn:btih:abc'), null);
+  assert.equal(webLinkItem('ftp://host.example/file'), null);
+  assert.equal(webLinkItem('not a url'), null);
+  assert.equal(webLinkItem(''), null);
+});
+
+test('a parser answering with an HTML page instead of JSON is skipped without a cooldown', async () => {
+  const parser = normalizeParserConfig({ name: 'Jackett', url: 'http://jackett.local', type: 'jackett', format: 'json' });
+  let thrown = null;
+  try {
+    parserRawResults(parser, { text: '<html><body>captcha</body></html>', contentType: 'text/html' });
+  } catch (err) {
+    thrown = err;
+  }
+  assert.equal(thrown.reason, 'bad_json');
+  assert.deepEqual(classifyParserFailure(thrown), { status: 'invalid_payload', cooldown: false, reason: 'bad_json', statusCode: 0 });
+
+  const health = createParserHealth(15 * 60 * 1000, () => 0);
+  await assert.rejects(
+    runParserSearch({
+      parsers: [{ name: 'Jackett', url: 'jackett.local' }],
+      parserTimeoutMs: 5000,
+      now: () => 0,
+      health,
+      fetchParser: async () => {
+        throw thrown;
+      },
+    }),
     (err) => {
-      assert.match(err.message, /invalid data/);
-      assert.equal(err.diagnostics.length, 2);
-      assert.equal(err.diagnostics[0].status, 'network');
-      assert.equal(err.diagnostics[1].status, 'invalid_payload');
+      assert.equal(err.diagnostics[0].status, 'invalid_payload');
       return true;
     }
   );
+  assert.equal(health.isCoolingDown('jackett.local'), false);
+});
+
+// Torrent control actions as in the plugin, with Lampa/Store/Api passed in
+function createTorrentActions({ Lampa, Store, Api }) {
+  const TORRENT_ACTIONS = [
+    { operation: 'resume', labelKey: 'torbox_actions_resume' },
+    { operation: 'pause', labelKey: 'torbox_actions_pause' },
+    { operation: 'reannounce', labelKey: 'torbox_actions_reannounce' },
+    { operation: 'delete', labelKey: 'torbox_actions_delete', confirm: true },
+  ];
+
+  const torrentActionItems = (id) =>
+    id ? TORRENT_ACTIONS.map((a) => ({ title: translate(a.labelKey), torrent_operation: a.operation })) : [];
+
+  const confirmSelect = (title, onConfirm, onCancel) => {
+    Lampa.Select.show({
+      title,
+      items: [{ title: translate('torbox_confirm_cancel') }, { title: translate('torbox_confirm_yes'), confirmed: true }],
+      onSelect: (a) => (a.confirmed ? onConfirm() : onCancel()),
+      onBack: onCancel,
+    });
+  };
+
+  const runTorrentAction = ({ id, hash, title }, operation, onDone) => {
+    const action = TORRENT_ACTIONS.find((a) => a.operation === operation);
+    if (!action || !id) return Lampa.Controller.toggle('content');
+
+    const execute = () => {
+      const controller = new AbortController();
+      Lampa.Loading.start(() => controller.abort(), translate('torbox_loading_action'));
+      return Api.controlTorrent(id, operation, controller.signal)
+        .then(() => {
+          Api.invalidateTorBoxResponses();
+          if (operation === 'delete' && hash) Store.set(`torbox_id_for_hash_${hash}`, '');
+          Lampa.Noty.show(translate('torbox_actions_done'));
+          return true;
+        })
+        .catch(() => false)
+        .then((done) => {
+          Lampa.Loading.stop();
+          Lampa.Controller.toggle('content');
+          if (done && typeof onDone === 'function') onDone(operation);
+        });
+    };
+
+    if (!action.confirm) return execute();
+    confirmSelect(title || String(id), execute, () => Lampa.Controller.toggle('content'));
+  };
+
+  return { torrentActionItems, runTorrentAction };
+}
+
+function torrentActionHarness({ fail = false } = {}) {
+  const events = [];
+  const store = new Map([['torbox_id_for_hash_abc', '42']]);
+  let select = null;
+  const Lampa = {
+    Select: { show: (opt) => (select = opt) },
+    Controller: { toggle: (name) => events.push(`toggle:${name}`) },
+    Loading: { start: () => events.push('loading'), stop: () => events.push('loaded') },
+    Noty: { show: () => events.push('noty') },
+  };
+  const Store = { set: (key, val) => store.set(key, val) };
+  const Api = {
+    controlTorrent: async (id, operation) => {
+      events.push(`control:${id}:${operation}`);
+      if (fail) throw { type: 'api', message: 'nope' };
+      return { success: true };
+    },
+    invalidateTorBoxResponses: () => events.push('invalidate'),
+  };
+  return { events, store, pickSelect: () => select, ...createTorrentActions({ Lampa, Store, Api }) };
+}
+
+test('torrent actions map menu items onto control operations', async () => {
+  const { events, torrentActionItems, runTorrentAction } = torrentActionHarness();
+  assert.deepEqual(torrentActionItems(''), []);
+  assert.deepEqual(
+    torrentActionItems(42).map((a) => a.torrent_operation),
+    ['resume', 'pause', 'reannounce', 'delete']
+  );
+
+  const done = [];
+  await runTorrentAction({ id: 42, hash: 'abc' }, 'pause', (op) => done.push(op));
+  assert.deepEqual(events, ['loading', 'control:42:pause', 'invalidate', 'noty', 'loaded', 'toggle:content']);
+  assert.deepEqual(done, ['pause']);
+
+  events.length = 0;
+  await runTorrentAction({ id: 42, hash: 'abc' }, 'explode', () => done.push('explode'));
+  await runTorrentAction({ id: '', hash: 'abc' }, 'pause', () => done.push('no-id'));
+  assert.deepEqual(events, ['toggle:content', 'toggle:content']);
+  assert.deepEqual(done, ['pause']);
+});
+
+test('torrent delete asks first and drops the hash mapping only once TorBox confirms', async () => {
+  const h = torrentActionHarness();
+  const done = [];
+  h.runTorrentAction({ id: 42, hash: 'abc', title: 'Dune' }, 'delete', (op) => done.push(op));
+  const confirm = h.pickSelect();
+  assert.equal(confirm.title, 'Dune');
+  assert.equal(confirm.items[0].confirmed, undefined, 'Cancel comes first');
+  assert.deepEqual(h.events, [], 'nothing is sent before confirmation');
+
+  confirm.onBack();
+  assert.deepEqual(h.events, ['toggle:content']);
+  assert.equal(h.store.get('torbox_id_for_hash_abc'), '42');
+
+  h.events.length = 0;
+  await confirm.onSelect(confirm.items[1]);
+  assert.deepEqual(h.events.slice(0, 3), ['loading', 'control:42:delete', 'invalidate']);
+  assert.equal(h.store.get('torbox_id_for_hash_abc'), '');
+  assert.deepEqual(done, ['delete']);
+
+  const failing = torrentActionHarness({ fail: true });
+  failing.runTorrentAction({ id: 42, hash: 'abc' }, 'delete', () => done.push('failed'));
+  await failing.pickSelect().onSelect(failing.pickSelect().items[1]);
+  assert.equal(failing.store.get('torbox_id_for_hash_abc'), '42');
+  assert.ok(!failing.events.includes('invalidate'));
+  assert.deepEqual(done, ['delete']);
+});
+
+// MainComponent's refresh after a delete and the episodes view's delete callback, with the list state injected.
+function createDeleteRefresh({ Api, state, snapshots, build }) {
+  const abort = new AbortController();
+
+  const applyCachedFlags = (list, flags) => {
+    (list || []).forEach((item) => {
+      const key = String(item.hash || '').toLowerCase();
+      if (!(key in flags) || item.cached === flags[key]) return;
+      item.cached = flags[key];
+      item.icon = item.cached ? '⚡' : '☁️';
+      if (typeof item.updateCachedIcon === 'function') item.updateCachedIcon();
+    });
+  };
+
+  const refreshDeletedRelease = (data) => {
+    const signal = abort.signal;
+    const hashes = isHex40(data.hash) ? [data.hash] : [];
+    return Api.checkCached(hashes, signal, (flags) => applyCachedFlags(state.all_torrents, flags)).then(() => {
+      if (signal.aborted) return;
+      if (snapshots.load()?.hash === data.hash) snapshots.save({ hash: data.hash, cached: !!data.cached });
+      build();
+    });
+  };
+
+  const onEpisodeTorrentAction = (torrentData) => (operation) => {
+    if (operation !== 'delete') return;
+    state.view = 'torrents';
+    state.current_torrent_data = null;
+    const row = state.all_torrents.find((t) => t.hash === torrentData.hash);
+    if (row) return refreshDeletedRelease(row);
+    build();
+  };
+
+  return { refreshDeletedRelease, onEpisodeTorrentAction };
+}
+
+test('deleting from the episodes view refreshes the cached flag and snapshot of the list row', async () => {
+  const hash = '0123456789abcdef0123456789abcdef01234567';
+  const row = { hash, cached: true, icon: '⚡' };
+  const state = { view: 'episodes', current_torrent_data: { hash }, all_torrents: [row] };
+  let snapshot = { hash, cached: true };
+  let builds = 0;
+  const checked = [];
+  const { onEpisodeTorrentAction } = createDeleteRefresh({
+    Api: {
+      checkCached: (hashes, signal, onChunk) => {
+        checked.push(hashes);
+        onChunk({ [hash]: false });
+        return Promise.resolve();
+      },
+    },
+    state,
+    snapshots: { load: () => snapshot, save: (next) => (snapshot = next) },
+    build: () => builds++,
+  });
+
+  await onEpisodeTorrentAction({ id: 1, hash, name: 'Movie' })('delete');
+  assert.deepEqual(checked, [[hash]]);
+  assert.equal(state.view, 'torrents');
+  assert.equal(row.cached, false);
+  assert.equal(row.icon, '☁️');
+  assert.deepEqual(snapshot, { hash, cached: false }, 'the continue panel no longer promises a cached copy');
+  assert.equal(builds, 1);
+
+  await onEpisodeTorrentAction({ id: 2, hash: 'f'.repeat(40), name: 'Gone' })('delete');
+  assert.equal(checked.length, 1, 'a release missing from the list is only redrawn');
+  assert.equal(builds, 2);
+  await onEpisodeTorrentAction({ id: 1, hash, name: 'Movie' })('pause');
+  assert.equal(builds, 2);
+});
+
+test('sha1Hex matches node:crypto across block boundaries', () => {
+  [0, 1, 55, 56, 63, 64, 65, 1000, 70000].forEach((len) => {
+    const bytes = new Uint8Array(len).map((_, i) => (i * 31 + len) & 0xff);
+    assert.equal(sha1Hex(bytes), crypto.createHash('sha1').update(bytes).digest('hex'), `len=${len}`);
+  });
+});
+
+test('.torrent info hash is SHA-1 of the raw bencoded info dictionary', () => {
+  const pieces = Buffer.alloc(20, 0xab);
+  const info = Buffer.concat([
+    Buffer.from('d5:filesld6:lengthi1024e4:pathl5:a.mkveee4:name3:abc12:piece lengthi16384e6:pieces20:'),
+    pieces,
+    Buffer.from('e'),
+  ]);
+  const torrent = Buffer.concat([
+    Buffer.from('d8:announce26:http://tracker.example/ann13:creation datei1700000000e4:info'),
+    info,
+    Buffer.from('e'),
+  ]);
+  const expected = crypto.createHash('sha1').update(info).digest('hex');
+  assert.equal(torrentInfoHash(new Uint8Array(torrent)), expected);
+
+  assert.equal(torrentInfoHash(new Uint8Array(Buffer.from('<html>not a torrent</html>'))), null);
+  assert.equal(torrentInfoHash(new Uint8Array(Buffer.from('d4:infod4:name'))), null, 'truncated');
+  assert.equal(torrentInfoHash(new Uint8Array(Buffer.from('d8:announce3:abce'))), null, 'no info dict');
+});
+
+test('parser entries with only a .torrent link are kept under a provisional key', () => {
+  const normalized = normalizeParserResults([
+    { Title: 'file only', Link: 'https://jackett.example/dl/rutracker/?jackett_apikey=x&path=abc' },
+    { Title: 'magnet', MagnetUri: 'magnet:?xt=urn:btih:0123456789abcdef0123456789abcdef01234567', Link: 'https://x/1' },
+    { Title: 'bad', Link: 'ftp://nope' },
+  ]);
+  assert.equal(normalized.validCount, 2);
+  assert.equal(normalized.invalidCount, 1);
+  const keys = Array.from(normalized.entriesByHash.keys());
+  assert.match(keys[0], /^tor[0-9a-f]{8}$/);
+  assert.equal(keys[1], '0123456789abcdef0123456789abcdef01234567');
+});
+
+test('episode markers are detected without matching resolutions or years', () => {
+  assert.equal(episodeTag('Show.S01E02.1080p.mkv'), 'S01E02');
+  assert.equal(episodeTag('show s2 e10.mkv'), 'S02E10');
+  assert.equal(episodeTag('Show.1x05.720p.mkv'), 'S01E05');
+  assert.equal(episodeTag('Сериал. Серия 7.mkv'), 'E07');
+  assert.equal(episodeTag('Show - E12 [1080p].mkv'), 'E12');
+  assert.equal(episodeTag('Movie.2020.1920x1080.x265.mkv'), null);
+  assert.equal(episodeTag('The.Movie.2021.1080p.mkv'), null);
+});
+
+test('file preview builds a tree with totals and episode range', () => {
+  const files = normalizeFileList([
+    { path: ['Show.S01', 'Show.S01E10.mkv'], length: 300 },
+    { name: '/Show.S01/Show.S01E02.mkv', size: 200 },
+    { name: 'Show.S01/Subs/ru.srt', size: 5 },
+    { Name: 'readme.txt', Size: 1 },
+    { name: '' },
+  ]);
+  assert.equal(files.length, 4);
+  const preview = buildFilePreview(files);
+  assert.equal(preview.fileCount, 4);
+  assert.equal(preview.totalSize, 506);
+  assert.deepEqual(preview.episodes, ['S01E02', 'S01E10']);
+  assert.deepEqual(
+    preview.rows.map((r) => `${r.type}:${r.name}`),
+    ['file:readme.txt', 'dir:Show.S01', 'file:Show.S01E02.mkv', 'file:Show.S01E10.mkv', 'dir:Show.S01/Subs', 'file:ru.srt']
+  );
+  assert.equal(normalizeFileList(7), null);
+  assert.equal(normalizeFileList([]), null);
+});
+
+// Continue-watching bookkeeping from MainComponent, reduced to the list rows and the stored snapshot.
+function createPlaybackHistory(rows) {
+  const state = { all_torrents: rows };
+  const rawTorrentByHash = new Map();
+  let stored = null;
+
+  const storeRawTorrent = (hash, raw) => {
+    if (!hash || !raw) return;
+    rawTorrentByHash.delete(hash);
+    rawTorrentByHash.set(hash, raw);
+  };
+
+  const getRawTorrentByHash = (hash) => (hash ? rawTorrentByHash.get(hash) || null : null);
+
+  const compactTorrentSnapshot = (src) => {
+    if (!src || !src.hash || !(src.magnet || src.nzb_link || src.web_link)) return null;
+    return {
+      hash: src.hash,
+      magnet: src.magnet || '',
+      nzb_link: src.nzb_link || '',
+      web_link: src.web_link || '',
+      source: src.source || 'torrent',
+      title: src.raw_title || src.title || '',
+    };
+  };
+
+  const saveLastTorrentSnapshot = (snapshot) => {
+    stored = snapshot || null;
+  };
+
+  rows.forEach((data) => {
+    data.markAsLastPlayed = () => saveLastTorrentSnapshot(compactTorrentSnapshot(data));
+  });
+
+  const preparePlaybackState = (source) => {
+    if (!source || !source.hash) return null;
+    const original = state.all_torrents.find((t) => t.hash === source.hash) || source;
+    const rowSnapshot = compactTorrentSnapshot(original);
+    const snapshot = rowSnapshot || compactTorrentSnapshot(source);
+    if (!snapshot) return null;
+    saveLastTorrentSnapshot(snapshot);
+    if (rowSnapshot && original?.markAsLastPlayed) setTimeout(() => original.markAsLastPlayed(), 0);
+    return snapshot;
+  };
+
+  const magnetForHash = (hash, title) => `magnet:?xt=urn:btih:${hash}${title ? `&dn=${encodeURIComponent(title)}` : ''}`;
+
+  const adoptResolvedRelease = (item, hash, magnet) => {
+    const row = state.all_torrents.find((t) => t === item || t.hash === item.hash) || item;
+    const raw = getRawTorrentByHash(row.hash);
+    Object.assign(row, { hash, magnet });
+    storeRawTorrent(hash, raw);
+    return row;
+  };
+
+  return {
+    storeRawTorrent,
+    getRawTorrentByHash,
+    preparePlaybackState,
+    magnetForHash,
+    adoptResolvedRelease,
+    stored: () => stored,
+  };
+}
+
+test('a .torrent-only play leaves a continue snapshot with the resolved magnet', async () => {
+  const hash = 'abcdef0123456789abcdef0123456789abcdef01';
+  const row = { hash: 'tor1a2b3c4d', raw_title: 'Movie 2020', torrent_link: 'https://jackett.example/dl/1' };
+  const history = createPlaybackHistory([row]);
+  history.storeRawTorrent(row.hash, { Title: 'Movie 2020' });
+
+  const resolved = history.adoptResolvedRelease(row, hash, history.magnetForHash(hash, row.raw_title));
+  assert.equal(resolved, row, 'the list row itself carries the resolved release');
+  assert.deepEqual(history.getRawTorrentByHash(hash), { Title: 'Movie 2020' });
+  history.preparePlaybackState(resolved);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(history.stored()?.hash, hash);
+  assert.equal(history.stored()?.magnet, 'magnet:?xt=urn:btih:abcdef0123456789abcdef0123456789abcdef01&dn=Movie%202020');
+});
+
+test('the magnet fallback for a .torrent row keeps its continue snapshot', async () => {
+  const hash = '0123456789abcdef0123456789abcdef01234567';
+  const row = { hash, raw_title: 'Show S01', torrent_link: 'https://jackett.example/dl/2' };
+  const history = createPlaybackHistory([row]);
+
+  history.preparePlaybackState(history.adoptResolvedRelease(row, hash, history.magnetForHash(hash, row.raw_title)));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(history.stored()?.hash, hash);
+  assert.match(history.stored()?.magnet, /^magnet:\?xt=urn:btih:0123456789abcdef/);
+});
+
+test('a played copy is snapshotted when its list row has no link of its own', async () => {
+  const hash = 'fedcba9876543210fedcba9876543210fedcba98';
+  const history = createPlaybackHistory([{ hash, raw_title: 'Movie', torrent_link: 'https://x/3' }]);
+
+  history.preparePlaybackState({ hash, raw_title: 'Movie', magnet: `magnet:?xt=urn:btih:${hash}` });
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.equal(history.stored()?.magnet, `magnet:?xt=urn:btih:${hash}`, 'the row does not wipe the snapshot');
 });
 
 test('security and failover guards are present in plugin source', () => {
@@ -2,7 +2,7 @@
  * ---------------------------------------------------------------------
  * Goals met:
  *  - Robust magnet/BTIH parsing (hex & RFC4648 base32 → lower-case hex)
- *  - Full network hardening (proxy required, API key scoped only to TorBox,
+ *  - Full network hardening (auto/direct/proxy routing, API key scoped only to TorBox,
  *    timeouts, abort propagation, retries, actionable Noty errors)
  *  - LRU cache with TTL (no cross-title bleed, stale eviction)
  *  - Filters/sort persistence, deduped lists, stable sort, cached-only toggle
@@ -14,7 +14,7 @@
  * --------------------------------------------------------------------- */
 
 try {
-  console.log('[TorBox] boot strap', '51.2.0');
+  console.log('[TorBox] boot strap', '51.3.0');
   (function () {
   'use strict';
 
@@ -24,7 +24,7 @@ try {
   window[PLUGIN_FLAG] = true;
 
   // ───────────────────────────── Constants / Config ─────────────────────────────
-  const VERSION = '51.2.0';
+  const VERSION = '51.3.0';
 
   const CONST = {
     CACHE_LIMIT: 128,
@@ -32,7 +32,15 @@ try {
     TORBOX_API_TIMEOUT_MS: 20 * 1000, // 20 seconds
     PUBLIC_PARSER_TIMEOUT_MS: 5 * 1000, // 5 seconds
     PARSER_COOLDOWN_MS: 15 * 60 * 1000, // 15 minutes
+    PROXY_COOLDOWN_MS: 5 * 60 * 1000, // 5 minutes
+    CORS_PROBE_TTL_MS: 24 * 60 * 60 * 1000, // re-probe direct (proxy-less) access once a day
+    CORS_UNCONFIRMED_TTL_MS: 10 * 60 * 1000, // a direct failure not confirmed as CORS pins the proxy briefly
+    PARSER_MERGE_DEADLINE_MS: 8 * 1000, // the parallel parser fan-out returns what it has by then
     TRACKING_POLL_INTERVAL_MS: 10 * 1000, // 10 seconds
+    RETRY_AFTER_MAX_MS: 30 * 1000, // give up instead of honoring longer Retry-After waits
+    RESPONSE_CACHE_LIMIT: 64,
+    TORRENT_FILE_TIMEOUT_MS: 15 * 1000,
+    TORRENT_FILE_MAX_BYTES: 10 * 1024 * 1024, // .torrent files larger than this are rejected
     MAX_DRAW_ITEMS: 300, // Guard against very large result sets
     RAW_CACHE_HASH_LIMIT: 64,
     MAX_WATCHED_EPISODES: 250,
@@ -41,17 +49,53 @@ try {
     TRACK_RETRIES_MAX: 120,
     TRACK_INTERVAL_MIN_MS: 3000,
     TRACK_INTERVAL_MAX_MS: 60000,
+    CACHED_STATUS_TTL_HOURS_DEFAULT: 6,
+    CACHED_STATUS_TTL_HOURS_MAX: 7 * 24,
+    CACHED_STATUS_LIMIT: 3000, // persisted per-hash cached flags (oldest evicted first)
+    CHECK_CACHED_CHUNK: 100, // TorBox accepts up to 100 hashes per checkcached call
+    CHECK_CACHED_CONCURRENCY: 3,
   };
 
   const DEFAULT_VIDEO_EXTENSIONS = 'mkv,mp4,avi,ts,m4v,webm';
 
+  // Retry budgets per endpoint class. Parsers get a short budget: merge/failover already cover outages.
+  const RETRY_POLICIES = {
+    torbox: { maxAttempts: 3, baseDelayMs: 500, maxDelayMs: 8000 },
+    parser: { maxAttempts: 2, baseDelayMs: 300, maxDelayMs: 2000 },
+  };
+
+  // Response cache TTLs for idempotent GETs (first match wins). 0 = identical in-flight calls share one
+  // request, but nothing is kept afterwards. Status polls stay below TRACK_INTERVAL_MIN_MS.
+  const RESPONSE_CACHE_TTLS = [
+    { pattern: /\/requestdl\?/, ttlMs: 0 },
+    { pattern: /\/torrents\/checkcached\?/, ttlMs: 60 * 1000 },
+    { pattern: /\/(torrents|usenet|webdl)\/mylist\b/, ttlMs: 2 * 1000 },
+    { pattern: /^https:\/\/api\.torbox\.app\//, ttlMs: 0 },
+    { pattern: /./, ttlMs: 60 * 1000 }, // parser / indexer searches
+  ];
+
   const PUBLIC_PARSERS = [
     // These are TorBox-compatible tracker indexer gateways frequently used by Lampa plugins.
-    // If one is down, the next will be tried.
-    { name: 'MaxVol', url: 'jr.maxvol.pro', key: '' },
-    { name: 'Jacred', url: 'jacred.xyz', key: '' },
+    // Merge mode queries all of them in parallel; failover mode tries the next one if one is down.
+    // Same shape as user entries from the parser editor (see normalizeParserConfig).
+    { name: 'MaxVol', url: 'https://jr.maxvol.pro', type: 'jacred', apikey: '', indexer: '', categories: '', enabled: true },
+    { name: 'Jacred', url: 'https://jacred.xyz', type: 'jacred', apikey: '', indexer: '', categories: '', enabled: true },
   ];
 
+  // TorBox's own search service: uses the account key and returns cached flags with the results.
+  // Placed before/after the parsers (or left out) by torbox_search_source.
+  const TORBOX_SEARCH_PARSER = {
+    name: 'TorBox',
+    url: 'https://search-api.torbox.app',
+    type: 'torbox',
+    apikey: '',
+    indexer: '',
+    categories: '',
+    format: 'json',
+    enabled: true,
+  };
+  const TORBOX_SEARCH_QS = 'metadata=false&check_cache=true&check_owned=false&search_user_engines=false';
+
   const ICON =
     '<svg width="22" height="22" viewBox="0 0 24 24" fill="none" ' +
     'xmlns="http://www.w3.org/2000/svg"><path d="M3 7L12 2L21 7V17L12 22L3 17V7Z" stroke="currentColor" stroke-width="2"/>' +
@@ -98,17 +142,28 @@ try {
     lastError: null,
     parserAttempts: [],
     selectedParser: null,
+    usenetAttempts: [],
+    retries: [],
+    routes: [],
+    requestCache: { hits: 0, shared: 0 },
+    slotFreeing: [],
+    searchCategories: null,
+    relevance: null,
   };
 
+  // Logs end up in exported diagnostics: mask indexer/tracker keys carried in query strings
+  const SECRET_QUERY_RE = /([?&](?:apikey|api_key|passkey|token)=)[^&#\s"]*/gi;
+  const redactSecrets = (text) => String(text).replace(SECRET_QUERY_RE, '$1***');
+
   const pushDebugLog = (level, args) => {
     try {
       const msg = args
         .map((a) => {
-          if (typeof a === 'string') return a;
+          if (typeof a === 'string') return redactSecrets(a);
           try {
-            return JSON.stringify(a);
+            return redactSecrets(JSON.stringify(a));
           } catch {
-            return String(a);
+            return redactSecrets(String(a));
           }
         })
         .join(' ');
@@ -150,10 +205,14 @@ try {
     },
     set proxyUrl(v) {
       const normalized = String(v || '')
-        .replace(/[\r\n]+/g, '')
+        .replace(/[\r\n]+/g, '; ')
         .trim();
       Store.set('torbox_proxy_url', normalized);
     },
+    get proxyUrls() {
+      // One or more proxies, tried in order with health-tracked failover
+      return Utils.splitUrlList(Config.proxyUrl);
+    },
     get apiKey() {
       // Masked at rest via base64 to avoid casual shoulder‑surfing in devtools
       const b64 = Store.get('torbox_api_key_b64', '');
@@ -249,10 +308,7 @@ try {
           if (['FHD', 'HD', 'SD'].includes(normalized)) return normalized;
         }
       }
-      if (/2160p|4k|uhd/i.test(title)) return '4K';
-      if (/1080p|fhd/i.test(title)) return 'FHD';
-      if (/720p|hd/i.test(title)) return 'HD';
-      return 'SD';
+      return parseReleaseName(title).quality || 'SD';
     },
     naturalEpisodeSort(a, b) {
       // Stable, natural sort by file name with numeric segments and then by original index
@@ -271,6 +327,14 @@ try {
       // Tie-breaker by original index for stable sort
       return (a.__idx ?? 0) - (b.__idx ?? 0);
     },
+    episodeTag(name = '') {
+      // "S01E02" / "1x02" / "E05" / "серия 5" markers in a file name -> "S01E02" / "E05", otherwise null
+      const str = String(name || '');
+      let m = str.match(/s(\d{1,2})[ ._-]?e(\d{1,3})/i) || str.match(/(?:^|\D)(\d{1,2})x(\d{2,3})(?:\D|$)/i);
+      if (m) return `S${m[1].padStart(2, '0')}E${m[2].padStart(2, '0')}`;
+      m = str.match(/(?:^|[^a-z])(?:e|ep|episode|серия)[ ._-]?(\d{1,3})(?:\D|$)/i);
+      return m ? `E${m[1].padStart(2, '0')}` : null;
+    },
     clamp(v, min, max) {
       return Math.max(min, Math.min(max, v));
     },
@@ -288,6 +352,130 @@ try {
         .map((item) => (uppercase ? item.toUpperCase() : item));
       return Array.from(new Set(items));
     },
+    splitUrlList(value) {
+      // URLs separated by ';', whitespace or a ',' that starts the next URL (commas inside URLs survive)
+      const items = String(Array.isArray(value) ? value.join(';') : value || '')
+        .split(/\s*;\s*|\s+|,(?=\s*https?:\/\/)/)
+        .map((item) => String(item || '').trim())
+        .filter(Boolean);
+      return Array.from(new Set(items));
+    },
+    stableId(str = '') {
+      // FNV-1a 32-bit → 8 hex chars; stable key for items without a BTIH (NZB, web links)
+      let h = 0x811c9dc5;
+      const s = String(str || '');
+      for (let i = 0; i < s.length; i++) {
+        h ^= s.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+      }
+      return h.toString(16).padStart(8, '0');
+    },
+    sha1Hex(bytes) {
+      // Plain SHA-1 over a Uint8Array: crypto.subtle is missing on many TV webviews and non-secure origins.
+      const len = bytes.length;
+      const words = new Uint32Array((((len + 8) >> 6) + 1) * 16);
+      for (let i = 0; i < len; i++) words[i >> 2] |= bytes[i] << (24 - (i % 4) * 8);
+      words[len >> 2] |= 0x80 << (24 - (len % 4) * 8);
+      words[words.length - 2] = Math.floor(len / 0x20000000); // high 32 bits of the bit length
+      words[words.length - 1] = (len * 8) >>> 0;
+
+      const w = new Uint32Array(80);
+      const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+      for (let off = 0; off < words.length; off += 16) {
+        for (let t = 0; t < 16; t++) w[t] = words[off + t];
+        for (let t = 16; t < 80; t++) {
+          const x = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+          w[t] = (x << 1) | (x >>> 31);
+        }
+        let [a, b, c, d, e] = h;
+        for (let t = 0; t < 80; t++) {
+          let f;
+          let k;
+          if (t < 20) {
+            f = (b & c) | (~b & d);
+            k = 0x5a827999;
+          } else if (t < 40) {
+            f = b ^ c ^ d;
+            k = 0x6ed9eba1;
+          } else if (t < 60) {
+            f = (b & c) | (b & d) | (c & d);
+            k = 0x8f1bbcdc;
+          } else {
+            f = b ^ c ^ d;
+            k = 0xca62c1d6;
+          }
+          const tmp = (((a << 5) | (a >>> 27)) + f + e + k + w[t]) >>> 0;
+          e = d;
+          d = c;
+          c = ((b << 30) | (b >>> 2)) >>> 0;
+          b = a;
+          a = tmp;
+        }
+        h[0] = (h[0] + a) >>> 0;
+        h[1] = (h[1] + b) >>> 0;
+        h[2] = (h[2] + c) >>> 0;
+        h[3] = (h[3] + d) >>> 0;
+        h[4] = (h[4] + e) >>> 0;
+      }
+      return h.map((x) => x.toString(16).padStart(8, '0')).join('');
+    },
+    bencodeInfoSpan(bytes) {
+      // [start, end) of the top-level "info" value of a .torrent, or null if the data is not a valid torrent
+      const readUntil = (pos, stop) => {
+        let end = pos;
+        while (end < bytes.length && bytes[end] !== stop) end++;
+        if (end >= bytes.length || end === pos) throw new Error('bencode');
+        const num = Number(String.fromCharCode.apply(null, bytes.subarray(pos, end)));
+        if (!Number.isFinite(num)) throw new Error('bencode');
+        return [num, end];
+      };
+      const skip = (pos) => {
+        const c = bytes[pos];
+        if (c === 0x69) return readUntil(pos + 1, 0x65)[1] + 1; // i<num>e
+        if (c === 0x6c || c === 0x64) {
+          // l...e / d...e
+          let p = pos + 1;
+          while (bytes[p] !== 0x65) {
+            if (p >= bytes.length) throw new Error('bencode');
+            p = skip(p);
+          }
+          return p + 1;
+        }
+        if (c >= 0x30 && c <= 0x39) {
+          // <len>:<bytes>
+          const [n, colon] = readUntil(pos, 0x3a);
+          if (colon + 1 + n > bytes.length) throw new Error('bencode');
+          return colon + 1 + n;
+        }
+        throw new Error('bencode');
+      };
+
+      try {
+        if (!bytes || bytes[0] !== 0x64) return null;
+        let pos = 1;
+        while (pos < bytes.length && bytes[pos] !== 0x65) {
+          const [n, colon] = readUntil(pos, 0x3a);
+          const key = String.fromCharCode.apply(null, bytes.subarray(colon + 1, colon + 1 + n));
+          const valueStart = colon + 1 + n;
+          const valueEnd = skip(valueStart);
+          if (key === 'info') return bytes[valueStart] === 0x64 ? [valueStart, valueEnd] : null;
+          pos = valueEnd;
+        }
+      } catch {
+        return null;
+      }
+      return null;
+    },
+    torrentInfoHash(bytes) {
+      // BTIH (v1) = SHA-1 of the bencoded info dictionary, byte for byte as stored in the file
+      const span = Utils.bencodeInfoSpan(bytes);
+      return span ? Utils.sha1Hex(bytes.subarray(span[0], span[1])) : null;
+    },
+    torrentFileLink(obj) {
+      // Parser "Link" pointing at a .torrent download (Jackett/Prowlarr results without a magnet)
+      const link = String(obj?.Link || obj?.link || '').trim();
+      return /^https?:\/\//i.test(link) ? link : '';
+    },
     safeClassSelector(str = '') {
       return String(str || '')
         .split(/\s+/)
@@ -359,6 +547,255 @@ try {
     },
   };
 
+  // ───────────────────────────── Release names ─────────────────────────────
+  // Tracker titles mix Latin, Cyrillic and punctuation, so tokens are matched between
+  // non-alphanumeric boundaries (no lookbehind: older TV WebViews do not support it).
+  const releaseToken = (pattern) => new RegExp(`(?:^|[^a-z0-9а-яё])(?:${pattern})(?=$|[^a-z0-9а-яё])`, 'i');
+  const compileReleaseTable = (table, suffix = '') =>
+    table.map(([label, pattern]) => [label, releaseToken(`(?:${pattern})${suffix}`)]);
+  const firstReleaseMatch = (str, table) => (table.find(([, re]) => re.test(str)) || [null])[0];
+
+  const RELEASE_RESOLUTIONS = compileReleaseTable([
+    ['2160p', '2160[pi]|4k|uhd|3840x2160'],
+    ['1080p', '1080[pi]|fhd|1920x1080'],
+    ['720p', '720p|1280x720'],
+    ['576p', '576[pi]'],
+    ['480p', '480[pi]'],
+  ]);
+  const RESOLUTION_QUALITY = { '2160p': '4K', '1080p': 'FHD', '720p': 'HD', '576p': 'SD', '480p': 'SD' };
+  // Order matters: the first matching source wins (Remux before BluRay, WEBRip before WEB).
+  const RELEASE_SOURCES = compileReleaseTable([
+    ['Remux', '(?:bd|hd)?remux'],
+    ['BDRip', 'bd-?rip|br-?rip'],
+    ['BluRay', 'blu-?ray|bdmv|bd(?:25|50|66|100)|bd-?disc'],
+    ['WEBRip', 'web-?(?:dl-?)?rip'],
+    ['WEB-DL', 'web-?dl|web'],
+    ['HDTV', 'hdtv(?:-?rip)?|tv-?rip|sat-?rip'],
+    ['HDRip', 'hdrip'],
+    ['DVDRip', 'dvd-?rip'],
+    ['DVD', 'dvd(?:5|9|r)?'],
+    ['CAM', '(?:hd)?cam(?:-?rip)?'],
+    ['TS', 'hd-?ts|ts(?:-?rip)?|telesync'],
+  ]);
+  const RELEASE_SOURCE_TIERS = { Remux: 9, BluRay: 8, 'WEB-DL': 7, WEBRip: 6, BDRip: 6, HDTV: 4, HDRip: 3, DVD: 3, DVDRip: 2, CAM: 0, TS: 0 };
+  const LOW_QUALITY_SOURCES = ['CAM', 'TS'];
+  const RELEASE_HDR = compileReleaseTable([
+    ['DV', 'dv|dovi|dolby[ .]?vision'],
+    ['HDR10+', 'hdr10(?:\\+|plus)'],
+    ['HDR10', 'hdr10'],
+    ['HDR', 'hdr'],
+    ['HLG', 'hlg'],
+  ]);
+  const RELEASE_VIDEO_CODECS = compileReleaseTable([
+    ['HEVC', 'hevc|[hx][ .]?265'],
+    ['H264', 'avc|[hx][ .]?264'],
+    ['AV1', 'av1'],
+    ['VP9', 'vp9'],
+    ['XVID', 'xvid|divx'],
+    ['MPEG2', 'mpeg-?2(?:video)?'],
+  ]);
+  // Audio tokens are often glued to the layout ("DDP5.1", "AAC2.0").
+  const RELEASE_AUDIO_CODEC_PATTERNS = [
+    ['TRUEHD', 'true-?hd'],
+    ['DTS-HD MA', 'dts-?hd[ .-]?ma'],
+    ['DTS-X', 'dts[ .:-]?x'],
+    ['DTS-HD', 'dts-?hd(?:[ .-]?hra)?'],
+    ['DTS', 'dts'],
+    ['EAC3', 'e-?ac-?3|ddp|dd\\+'],
+    ['AC3', 'ac-?3|dd'],
+    ['AAC', 'aac'],
+    ['FLAC', 'flac'],
+    ['OPUS', 'opus'],
+    ['MP3', 'mp3'],
+    ['PCM', 'l?pcm'],
+  ];
+  const RELEASE_AUDIO_CODECS = compileReleaseTable(RELEASE_AUDIO_CODEC_PATTERNS, '(?:[ .]?[1-9][ .][01])?');
+  // A layout only counts next to an audio codec ("DDP5.1", "AC3 5.1", "TrueHD.Atmos.7.1", "5.1 DTS"),
+  // so "2.0" in a group name or "Part.1.0" is not read as channels.
+  const RELEASE_AUDIO_CODEC_ANY = RELEASE_AUDIO_CODEC_PATTERNS.map(([, pattern]) => pattern).join('|');
+  const RELEASE_CHANNELS = [
+    releaseToken(`(?:${RELEASE_AUDIO_CODEC_ANY})(?:[ .-]?atmos)?[ .-]?([1-9])\\.([01])`),
+    releaseToken(`([1-9])\\.([01])[ .-]?(?:${RELEASE_AUDIO_CODEC_ANY})`),
+  ];
+  const RELEASE_LANGUAGES = [
+    ['RU', 'rus|russian|рус|русский'],
+    ['EN', 'eng|english|англ|английский'],
+    ['UK', 'ukr|ua|ukrainian|укр|украинский'],
+    ['JA', 'jpn|jap|japanese|японский'],
+    ['KO', 'kor|korean|корейский'],
+    ['DE', 'ger|deu|german|немецкий'],
+    ['FR', 'fre|fra|french|французский'],
+    ['ES', 'spa|spanish|испанский'],
+    ['IT', 'ita|italian|итальянский'],
+    ['ZH', 'chi|zho|chinese|китайский'],
+  ];
+  const RELEASE_LANGUAGE_TOKENS = compileReleaseTable(RELEASE_LANGUAGES);
+  const RELEASE_EDITIONS = compileReleaseTable([
+    ["Director's Cut", "director'?s[ .]?cut|режисс[её]рская"],
+    ['Extended', 'extended|расширенная'],
+    ['Theatrical', 'theatrical'],
+    ['Unrated', 'unrated'],
+    ['Uncut', 'uncut'],
+    ['IMAX', 'imax'],
+    ['Remastered', 'remaster(?:ed)?'],
+    ['Criterion', 'criterion'],
+    ['Special Edition', 'special[ .]edition'],
+  ]);
+  const RELEASE_ATMOS = releaseToken('atmos');
+  const RELEASE_BIT_DEPTH = releaseToken('(8|10|12)[ .-]?bits?|hi10p?');
+  const RELEASE_COMPLETE = releaseToken('complete(?:[ .]series)?|all[ .]seasons|полный[ .]сезон|все[ .]серии|все[ .]сезоны');
+  const RELEASE_RANGE_CAP = 200;
+
+  const pushReleaseRange = (list, from, to) => {
+    const a = Number(from);
+    const b = to === undefined || to === null || to === '' ? a : Number(to);
+    if (!isFinite(a) || !isFinite(b)) return;
+    const lo = Math.min(a, b);
+    const hi = Math.min(Math.max(a, b), lo + RELEASE_RANGE_CAP);
+    for (let n = lo; n <= hi; n++) list.push(n);
+  };
+
+  const releaseEpisodeInfo = (str) => {
+    const seasons = [];
+    const episodes = [];
+    const scan = (re, fn) => {
+      let m;
+      while ((m = re.exec(str))) fn(m);
+    };
+    // S01-S03 / S01-03
+    scan(/(?:^|[^a-z0-9])s(\d{1,2})[ ._]?-[ ._]?s?(\d{1,2})(?=$|[^a-z0-9])/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+    // S01 / S01E02 / S01E01-E05
+    scan(/(?:^|[^a-z0-9])s(\d{1,2})(?:[ ._-]?e(\d{1,3})(?:[ ._]?-[ ._]?e?(\d{1,3}))?)?(?=$|[^a-z0-9])/gi, (m) => {
+      pushReleaseRange(seasons, m[1]);
+      if (m[2]) pushReleaseRange(episodes, m[2], m[3]);
+    });
+    // 1x02 / 1x02-05
+    scan(/(?:^|[^a-z0-9])(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?(?=$|[^a-z0-9])/gi, (m) => {
+      pushReleaseRange(seasons, m[1]);
+      pushReleaseRange(episodes, m[2], m[3]);
+    });
+    // "Season 2", "Сезон: 1-3", "1-3 сезон"
+    scan(/(?:seasons?|сезоны?|сезона)[ .:№]*(\d{1,2})(?:\s*[-–—]\s*(\d{1,2}))?(?!\d)/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+    scan(/(?:^|\D)(\d{1,2})(?:\s*[-–—]\s*(\d{1,2}))?(?:-?(?:й|ый))?\s*(?:сезон|season)/gi, (m) => pushReleaseRange(seasons, m[1], m[2]));
+    // "Серии 1-8 из 10", "Episode 5", bare "E05"
+    scan(/(?:^|[^a-z0-9а-яё])(?:серии|серия|эпизоды?|episodes?|ep)[ .:№]*(\d{1,3})(?:\s*[-–—]\s*(\d{1,3}))?(?!\d)/gi, (m) =>
+      pushReleaseRange(episodes, m[1], m[2])
+    );
+    scan(/(?:^|[^a-z0-9])e(\d{1,3})(?:-e?(\d{1,3}))?(?=$|[^a-z0-9])/gi, (m) => pushReleaseRange(episodes, m[1], m[2]));
+    const uniq = (list) => [...new Set(list)].sort((a, b) => a - b);
+    return { seasons: uniq(seasons), episodes: uniq(episodes), complete: RELEASE_COMPLETE.test(str) };
+  };
+
+  // File names end in a container extension; ".ts" there is MPEG-TS, not a telesync source
+  const RELEASE_FILE_EXTENSION = /\.(?:mkv|mp4|avi|m2ts|ts)$/i;
+
+  const releaseGroup = (str) => {
+    const base = str
+      .replace(RELEASE_FILE_EXTENSION, '')
+      .replace(/\s*\[[^\]]*\]\s*$/, '')
+      .trim();
+    const m = base.match(/-([a-z0-9][a-z0-9_]{1,23})$/i);
+    if (!m || /^(?:dl|rip|ray|hd|\d+)$/i.test(m[1])) return null;
+    return m[1];
+  };
+
+  /**
+   * Splits a release title into the fields used by filters, sorting and the tech bar.
+   * Unknown fields stay null / empty; nothing here throws on odd input.
+   */
+  const parseReleaseName = (title) => {
+    const str = String(title || '');
+    let hdr = RELEASE_HDR.filter(([, re]) => re.test(str)).map(([label]) => label);
+    // "HDR10+" also matches the HDR10 token, and any HDR10 flavor implies plain HDR
+    if (hdr.includes('HDR10+')) hdr = hdr.filter((x) => x !== 'HDR10');
+    if (hdr.includes('HDR10+') || hdr.includes('HDR10')) hdr = hdr.filter((x) => x !== 'HDR');
+    const resolution = firstReleaseMatch(str, RELEASE_RESOLUTIONS);
+    const source = firstReleaseMatch(str.replace(RELEASE_FILE_EXTENSION, ''), RELEASE_SOURCES);
+    const codec = firstReleaseMatch(str, RELEASE_VIDEO_CODECS);
+    const bits = str.match(RELEASE_BIT_DEPTH);
+    const channels = RELEASE_CHANNELS.map((re) => str.match(re)).find(Boolean);
+    const episodeInfo = releaseEpisodeInfo(str);
+    return {
+      resolution,
+      quality: resolution ? RESOLUTION_QUALITY[resolution] : null,
+      source,
+      hdr,
+      codec,
+      bit_depth: bits ? Number(bits[1]) || 10 : null,
+      audio: {
+        codec: firstReleaseMatch(str, RELEASE_AUDIO_CODECS),
+        channels: channels ? `${channels[1]}.${channels[2]}` : null,
+        atmos: RELEASE_ATMOS.test(str),
+      },
+      // A trailing "-Name" only counts as a group on titles that look like release names
+      group: resolution || source || codec ? releaseGroup(str) : null,
+      seasons: episodeInfo.seasons,
+      episodes: episodeInfo.episodes,
+      complete: episodeInfo.complete,
+      languages: RELEASE_LANGUAGE_TOKENS.filter(([, re]) => re.test(str)).map(([label]) => label),
+      edition: firstReleaseMatch(str, RELEASE_EDITIONS),
+    };
+  };
+
+  // ffprobe names ("hevc", "h264", "eac3", "rus") mapped onto the labels parseReleaseName uses.
+  const canonicalVideoCodec = (name) => {
+    const str = String(name || '').trim();
+    if (!str) return null;
+    return firstReleaseMatch(str, RELEASE_VIDEO_CODECS) || str.toUpperCase();
+  };
+  const canonicalAudioCodec = (name) => {
+    const str = String(name || '').trim();
+    if (!str) return null;
+    return firstReleaseMatch(str.replace(/_/g, ' '), RELEASE_AUDIO_CODECS) || str.toUpperCase();
+  };
+  const canonicalLanguage = (code) => {
+    const str = String(code || '').trim();
+    if (!str) return null;
+    const hit = RELEASE_LANGUAGES.find(([label, pattern]) => label === str.toUpperCase() || new RegExp(`^(?:${pattern})$`, 'i').test(str));
+    return hit ? hit[0] : str.toUpperCase();
+  };
+
+  // Resolution first, source tier second; CAM/TS always sink below real releases.
+  const QUALITY_RANKS = { '4K': 4, FHD: 3, HD: 2, SD: 1 };
+  const releaseRank = (quality, source) => {
+    if (LOW_QUALITY_SOURCES.includes(source)) return 0;
+    const tier = source in RELEASE_SOURCE_TIERS ? RELEASE_SOURCE_TIERS[source] : 3;
+    return (QUALITY_RANKS[quality] || 0) * 10 + tier;
+  };
+
+  // What a series release contains: one episode, a run of episodes, one season, several seasons or everything.
+  const pad2 = (n) => String(n).padStart(2, '0');
+  const releasePackInfo = (release = {}) => {
+    const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+    const episodes = Array.isArray(release.episodes) ? release.episodes : [];
+    const season = seasons.length === 1 ? `S${pad2(seasons[0])}` : '';
+    const seasonRange = seasons.length > 1 ? `S${pad2(seasons[0])}-S${pad2(seasons[seasons.length - 1])}` : season;
+    if (episodes.length === 1) return { kind: 'episode', label: `${season}E${pad2(episodes[0])}` };
+    if (episodes.length > 1) {
+      return { kind: 'episodes', label: `${season ? `${season} ` : ''}E${pad2(episodes[0])}-${pad2(episodes[episodes.length - 1])}` };
+    }
+    if (release.complete) return { kind: 'complete', label: seasonRange || translate('torbox_pack_complete') };
+    if (seasons.length > 1) return { kind: 'seasons', label: seasonRange };
+    if (seasons.length === 1) return { kind: 'season', label: season };
+    return null;
+  };
+
+  // Season filter: packs that list the season, and complete packs that do not list seasons at all
+  const releaseHasSeason = (release = {}, season) => {
+    const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+    return seasons.length ? seasons.includes(season) : !!release.complete;
+  };
+
+  // Season filter predicate. The entry season is only a default: it applies when the list has releases
+  // for that season, and releases that name no season at all stay visible under it. A season the user
+  // picked filters strictly.
+  const seasonFilterFor = (releases, season, fromEntry) => {
+    if (!season) return () => true;
+    if (fromEntry && !(releases || []).some((release) => releaseHasSeason(release, season))) return () => true;
+    return (release = {}) =>
+      releaseHasSeason(release, season) || (fromEntry && !(Array.isArray(release.seasons) && release.seasons.length));
+  };
+
   const sanitizeExtensions = (value) => {
     const parts = String(Array.isArray(value) ? value.join(',') : value || '')
       .split(/[,\s]+/)
@@ -409,6 +846,24 @@ try {
 
   const getTrackIntervalMs = () => setTrackIntervalMs(Store.get('torbox_track_interval_ms', CONST.TRACKING_POLL_INTERVAL_MS));
 
+  const normalizeCachedStatusTtlHours = (value) => {
+    const num = Math.round(Number(value));
+    return Utils.clamp(
+      Number.isFinite(num) ? num : CONST.CACHED_STATUS_TTL_HOURS_DEFAULT,
+      1,
+      CONST.CACHED_STATUS_TTL_HOURS_MAX
+    );
+  };
+
+  const setCachedStatusTtlHours = (value) => {
+    const safe = normalizeCachedStatusTtlHours(value);
+    Store.set('torbox_cached_status_ttl_h', String(safe));
+    return safe;
+  };
+
+  const getCachedStatusTtlHours = () =>
+    setCachedStatusTtlHours(Store.get('torbox_cached_status_ttl_h', CONST.CACHED_STATUS_TTL_HOURS_DEFAULT));
+
   const setStoredBool = (key, value) => {
     const bool = parseBoolean(value, false);
     Store.set(key, bool ? '1' : '0');
@@ -418,12 +873,14 @@ try {
 
   const setDefaultCachedOnly = (value) => setStoredBool('torbox_default_cached_only', value);
   const getDefaultCachedOnly = () => getStoredBool('torbox_default_cached_only', false);
+  const setGroupDuplicates = (value) => setStoredBool('torbox_group_duplicates', value);
+  const getGroupDuplicates = () => getStoredBool('torbox_group_duplicates', false);
 
   const setPreferPermanentLink = (value) => setStoredBool('torbox_requestdl_permanent', value);
   const getPreferPermanentLink = () => getStoredBool('torbox_requestdl_permanent', false);
 
-  const ParserHealth = (() => {
-    const STORAGE_KEY = 'torbox_parser_health_v1';
+  // Persistent failure/cooldown tracker keyed by domain (parsers) or URL (proxies).
+  const createHealthTracker = (STORAGE_KEY, cooldownMs) => {
     let cache = null;
 
     const load = () => {
@@ -480,7 +937,7 @@ try {
         return updateEntry(domain, {
           lastFailureAt: now,
           lastFailureKind: String(kind || 'failure'),
-          cooldownUntil: now + CONST.PARSER_COOLDOWN_MS,
+          cooldownUntil: now + cooldownMs,
         });
       },
       markSuccess(domain) {
@@ -489,9 +946,99 @@ try {
           cooldownUntil: 0,
         });
       },
+      snapshot() {
+        return Object.assign({}, load());
+      },
+    };
+  };
+
+  const ParserHealth = createHealthTracker('torbox_parser_health_v1', CONST.PARSER_COOLDOWN_MS);
+  const ProxyHealth = createHealthTracker('torbox_proxy_health_v1', CONST.PROXY_COOLDOWN_MS);
+
+  const PARSER_MODES = ['merge', 'failover'];
+  const normalizeParserMode = (value) => {
+    const mode = String(value || '').trim().toLowerCase();
+    return PARSER_MODES.includes(mode) ? mode : PARSER_MODES[0];
+  };
+  const setParserMode = (value) => {
+    const mode = normalizeParserMode(value);
+    Store.set('torbox_parser_mode', mode);
+    return mode;
+  };
+  const getParserMode = () => setParserMode(Store.get('torbox_parser_mode', 'merge'));
+
+  const SEARCH_SOURCE_MODES = ['first', 'last', 'off'];
+  const setSearchSourceMode = (value) => {
+    const raw = String(value || '').trim().toLowerCase();
+    const mode = SEARCH_SOURCE_MODES.includes(raw) ? raw : SEARCH_SOURCE_MODES[0];
+    Store.set('torbox_search_source', mode);
+    return mode;
+  };
+  const getSearchSourceMode = () => setSearchSourceMode(Store.get('torbox_search_source', 'first'));
+
+  const CONNECTION_MODES = ['auto', 'direct', 'proxy'];
+  const normalizeConnectionMode = (value) => {
+    const mode = String(value || '').trim().toLowerCase();
+    return CONNECTION_MODES.includes(mode) ? mode : CONNECTION_MODES[0];
+  };
+  const getConnectionMode = () => normalizeConnectionMode(Store.get('torbox_connection_mode', 'auto'));
+
+  // Remembers per origin whether cross-origin fetches work without the CORS proxy (auto mode).
+  const CorsCapability = (() => {
+    const STORAGE_KEY = 'torbox_cors_caps_v1';
+    let cache = null;
+
+    const load = () => {
+      if (cache) return cache;
+      try {
+        const parsed = JSON.parse(Store.get(STORAGE_KEY, '{}'));
+        cache = parsed && typeof parsed === 'object' ? parsed : {};
+      } catch {
+        cache = {};
+      }
+      return cache;
+    };
+
+    const originOf = (url) => {
+      try {
+        return new URL(url).origin.toLowerCase();
+      } catch {
+        return '';
+      }
+    };
+
+    return {
+      originOf,
+      get(url) {
+        const entry = load()[originOf(url)];
+        if (!entry || typeof entry !== 'object') return null;
+        const ttlMs = Number(entry.ttlMs) || CONST.CORS_PROBE_TTL_MS;
+        if (Date.now() - (Number(entry.checkedAt) || 0) > ttlMs) return null;
+        return entry;
+      },
+      mark(url, direct, ttlMs = CONST.CORS_PROBE_TTL_MS) {
+        const origin = originOf(url);
+        if (!origin) return;
+        load()[origin] = { direct: !!direct, checkedAt: Date.now(), ttlMs };
+        Store.set(STORAGE_KEY, JSON.stringify(load()));
+      },
+      reset() {
+        cache = {};
+        Store.set(STORAGE_KEY, '{}');
+      },
+      snapshot() {
+        return Object.assign({}, load());
+      },
     };
   })();
 
+  const setConnectionMode = (value) => {
+    const mode = normalizeConnectionMode(value);
+    if (Store.get('torbox_connection_mode', 'auto') !== mode) CorsCapability.reset();
+    Store.set('torbox_connection_mode', mode);
+    return mode;
+  };
+
   const setDebugOverlayEnabled = (value) => setStoredBool('torbox_debug_overlay', value);
   const getDebugOverlayEnabled = () => getStoredBool('torbox_debug_overlay', false);
 
@@ -531,6 +1078,411 @@ try {
   };
   const getExcludedTrackers = () => setExcludedTrackers(Store.get('torbox_excluded_trackers', ''));
 
+  const SCORE_FACTORS = ['cached', 'seeders', 'quality', 'size', 'age', 'tracker', 'audio', 'codec'];
+  const DEFAULT_SCORE_WEIGHTS = { cached: 30, seeders: 20, quality: 20, size: 10, age: 5, tracker: 5, audio: 5, codec: 5 };
+  // "cached=30; seeders=20; …" — weights are -100..100; missing factors keep the default
+  const normalizeScoreWeights = (value) => {
+    const map = Object.assign({}, DEFAULT_SCORE_WEIGHTS);
+    String(value || '')
+      .split(/[;,\n]+/)
+      .forEach((pair) => {
+        const m = pair.match(/^\s*([a-z]+)\s*[=:]\s*(-?\d+(?:\.\d+)?)\s*$/i);
+        if (!m) return;
+        const factor = m[1].toLowerCase();
+        if (SCORE_FACTORS.includes(factor)) map[factor] = Utils.clamp(Number(m[2]), -100, 100);
+      });
+    return map;
+  };
+  const formatScoreWeights = (map) => SCORE_FACTORS.map((factor) => `${factor}=${map[factor]}`).join('; ');
+  const setScoreWeights = (value) => {
+    const map = normalizeScoreWeights(value);
+    Store.set('torbox_score_weights', formatScoreWeights(map));
+    return map;
+  };
+  const getScoreWeights = () => setScoreWeights(Store.get('torbox_score_weights', ''));
+
+  // "rutracker=1; kinozal=0.8" — 0..1 per tracker name; unlisted trackers count as 0.5
+  const normalizeTrackerWeights = (value) => {
+    const map = {};
+    String(value || '')
+      .split(/[;,\n]+/)
+      .forEach((pair) => {
+        const m = pair.match(/^\s*([^=:]+?)\s*[=:]\s*(\d+(?:\.\d+)?)\s*$/);
+        if (m) map[m[1].toLowerCase()] = Utils.clamp(Number(m[2]), 0, 1);
+      });
+    return map;
+  };
+  const formatTrackerWeights = (map) => Object.keys(map).map((name) => `${name}=${map[name]}`).join('; ');
+  const setTrackerWeights = (value) => {
+    const map = normalizeTrackerWeights(value);
+    Store.set('torbox_tracker_weights', formatTrackerWeights(map));
+    return map;
+  };
+  const getTrackerWeights = () => setTrackerWeights(Store.get('torbox_tracker_weights', ''));
+
+  // Highest bitrate the device/network can stream, Mbit/s; 0 means no limit
+  const normalizeMaxBitrate = (value) => {
+    const num = Number(String(value ?? '').replace(',', '.'));
+    return Number.isFinite(num) && num > 0 ? Math.min(Math.round(num * 10) / 10, 1000) : 0;
+  };
+  const setMaxBitrate = (value) => {
+    const safe = normalizeMaxBitrate(value);
+    Store.set('torbox_max_bitrate', String(safe));
+    return safe;
+  };
+  const getMaxBitrate = () => setMaxBitrate(Store.get('torbox_max_bitrate', '0'));
+
+  const MAX_BITRATE_MODES = ['flag', 'hide'];
+  const normalizeMaxBitrateMode = (value) => {
+    const mode = String(value || '').trim().toLowerCase();
+    return MAX_BITRATE_MODES.includes(mode) ? mode : MAX_BITRATE_MODES[0];
+  };
+  const setMaxBitrateMode = (value) => {
+    const mode = normalizeMaxBitrateMode(value);
+    Store.set('torbox_max_bitrate_mode', mode);
+    return mode;
+  };
+  const getMaxBitrateMode = () => setMaxBitrateMode(Store.get('torbox_max_bitrate_mode', 'flag'));
+
+  const normalizeNewznabIndexers = (value) => {
+    // Entries are full API URLs incl. apikey (see Utils.splitUrlList for separators).
+    const seen = new Set();
+    return Utils.splitUrlList(value)
+      .map((raw) => {
+        try {
+          const url = new URL(raw);
+          if (!/^https?:$/.test(url.protocol)) return null;
+          if (!url.pathname || url.pathname === '/') url.pathname = '/api';
+          return { name: url.hostname, url: url.toString() };
+        } catch {
+          return null;
+        }
+      })
+      .filter((entry) => entry && !seen.has(entry.url) && seen.add(entry.url));
+  };
+  const setNewznabIndexers = (value) => {
+    const indexers = normalizeNewznabIndexers(value);
+    Store.set('torbox_newznab_indexers', indexers.map((entry) => entry.url).join(';'));
+    return indexers;
+  };
+  const getNewznabIndexers = () => setNewznabIndexers(Store.get('torbox_newznab_indexers', ''));
+
+  // User parsers (Settings → TorBox → Parsers), stored as JSON in torbox_parsers_v1.
+  // indexer: Jackett indexer id (default "all") or comma-separated Prowlarr indexer ids; unused by Jacred.
+  // torznab: url is the full Torznab endpoint (…/torznab/api, Prowlarr …/{id}/api).
+  // format: response format; "auto" picks JSON or Torznab XML from the Content-Type.
+  const PARSER_TYPES = ['jackett', 'prowlarr', 'jacred', 'torznab'];
+  const PARSER_TYPE_LABELS = { jackett: 'Jackett', prowlarr: 'Prowlarr', jacred: 'Jacred', torznab: 'Torznab' };
+  const PARSER_FORMATS = ['auto', 'json', 'torznab'];
+
+  const normalizeParserConfig = (entry) => {
+    if (!entry || typeof entry !== 'object') return null;
+    const rawUrl = String(entry.url || '').trim();
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(rawUrl) ? rawUrl : `https://${rawUrl}`);
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol) || !url.hostname) return null;
+    const type = String(entry.type || '').toLowerCase();
+    const format = String(entry.format || '').toLowerCase();
+    return {
+      name: String(entry.name || '').trim().slice(0, 40) || url.hostname,
+      url: `${url.origin}${url.pathname.replace(/\/+$/, '')}`,
+      type: PARSER_TYPES.includes(type) ? type : 'jackett',
+      apikey: String(entry.apikey || entry.key || '').trim(),
+      indexer: String(entry.indexer || '').trim(),
+      categories: (String(entry.categories || '').match(/\d+/g) || []).join(','),
+      format: PARSER_FORMATS.includes(format) ? format : 'auto',
+      enabled: entry.enabled !== false,
+    };
+  };
+
+  const normalizeParserConfigs = (value) => {
+    let list = value;
+    if (typeof value === 'string') {
+      try {
+        list = JSON.parse(value || '[]');
+      } catch {
+        list = [];
+      }
+    }
+    return (Array.isArray(list) ? list : []).map(normalizeParserConfig).filter(Boolean);
+  };
+  const setParserConfigs = (value) => {
+    const list = normalizeParserConfigs(value);
+    Store.set('torbox_parsers_v1', JSON.stringify(list));
+    return list;
+  };
+  const getParserConfigs = () => {
+    const stored = Store.get('torbox_parsers_v1', '');
+    if (stored) return normalizeParserConfigs(stored);
+    // One-time migration of the legacy comma-separated host list (torbox_custom_parsers)
+    const legacy = String(Store.get('torbox_custom_parsers', '') || '')
+      .split(',')
+      .map((host) => host.trim())
+      .filter((host) => host.length > 3);
+    if (!legacy.length) return [];
+    return setParserConfigs(legacy.map((host, i) => ({ name: `Custom ${i + 1}`, url: host, type: 'jackett' })));
+  };
+
+  // Card -> content type -> Newznab/Torznab categories (user-overridable per type)
+  const CONTENT_TYPES = ['movie', 'tv', 'anime', 'documentary'];
+  const DEFAULT_CONTENT_CATEGORIES = { movie: '2000', tv: '5000', anime: '5070', documentary: '5080' };
+  const TMDB_GENRE_ANIMATION = 16;
+  const TMDB_GENRE_DOCUMENTARY = 99;
+
+  const cardContentType = (movie = {}) => {
+    const genres = [
+      ...(Array.isArray(movie.genre_ids) ? movie.genre_ids : []),
+      ...(Array.isArray(movie.genres) ? movie.genres : []).map((g) => g?.id),
+    ]
+      .map(Number)
+      .filter(Boolean);
+    const japanese = String(movie.original_language || '').toLowerCase() === 'ja';
+    if (genres.includes(TMDB_GENRE_ANIMATION) && japanese) return 'anime';
+    if (genres.includes(TMDB_GENRE_DOCUMENTARY)) return 'documentary';
+    if (movie.first_air_date || movie.number_of_seasons) return 'tv';
+    return 'movie';
+  };
+
+  // "movie=2000; tv=5000; anime=5070; documentary=5080" — missing or empty types keep the default
+  const normalizeContentCategories = (value) => {
+    const map = Object.assign({}, DEFAULT_CONTENT_CATEGORIES);
+    String(value || '')
+      .split(/[;\n]+/)
+      .forEach((pair) => {
+        const m = pair.match(/^\s*([a-z]+)\s*[=:]\s*([\d,\s]*)$/i);
+        if (!m) return;
+        const type = m[1].toLowerCase();
+        const categories = (m[2].match(/\d+/g) || []).join(',');
+        if (CONTENT_TYPES.includes(type) && categories) map[type] = categories;
+      });
+    return map;
+  };
+  const formatContentCategories = (map) => CONTENT_TYPES.map((type) => `${type}=${map[type]}`).join('; ');
+  const setContentCategories = (value) => {
+    const map = normalizeContentCategories(value);
+    Store.set('torbox_parser_categories', formatContentCategories(map));
+    return map;
+  };
+  const getContentCategories = () => setContentCategories(Store.get('torbox_parser_categories', ''));
+
+  // Anime and documentary defaults are TV subcategories (5070/5080): a film of that kind keeps the movie
+  // categories as well, or indexers that file it under Movies would never return it.
+  const cardCategories = (movie = {}, map = DEFAULT_CONTENT_CATEGORIES) => {
+    const type = cardContentType(movie);
+    const series = !!(movie.first_air_date || movie.number_of_seasons);
+    const joined = type === 'movie' || type === 'tv' || series ? map[type] : `${map.movie},${map[type]}`;
+    return Array.from(new Set(joined.split(','))).join(',');
+  };
+
+  // Exact-match ids from the card; query_only marks a user-typed search where ids would be wrong
+  const cardSearchIds = (movie = {}) => {
+    if (movie.query_only) return {};
+    const imdb = String(movie.imdb_id || '').trim().toLowerCase();
+    const fromTmdb = !movie.source || ['tmdb', 'cub'].includes(String(movie.source).toLowerCase());
+    const tmdb = Number(movie.tmdb_id || (fromTmdb ? movie.id : 0)) || 0;
+    const ids = {};
+    if (/^tt\d{5,}$/.test(imdb)) ids.imdb = imdb;
+    if (tmdb > 0) ids.tmdb = tmdb;
+    if (ids.imdb || ids.tmdb) ids.kind = movie.first_air_date || movie.number_of_seasons ? 'tv' : 'movie';
+    return ids;
+  };
+
+  // ID search URL (imdbid/tmdbid) or '' when the parser type has no id search (Jacred).
+  // Jackett answers id searches on its Torznab endpoint; Prowlarr takes {ImdbId:…}/{TmdbId:…} query tokens.
+  const buildParserIdSearchUrl = (parser, params = {}) => {
+    if ((!params.imdb && !params.tmdb) || parser.type === 'jacred') return '';
+    if (parser.type === 'torbox') return params.imdb ? `${parser.url}/torrents/imdb:${params.imdb}?${TORBOX_SEARCH_QS}` : '';
+    const categories = parser.categories || params.categories || '';
+    const qs = new URLSearchParams();
+    if (parser.type === 'prowlarr') {
+      qs.set('query', params.imdb ? `{ImdbId:${params.imdb}}` : `{TmdbId:${params.tmdb}}`);
+      qs.set('type', params.kind === 'tv' ? 'tvsearch' : 'movie');
+      qs.set('limit', '100');
+      categories.split(',').filter(Boolean).forEach((cat) => qs.append('categories', cat));
+      (parser.indexer.match(/\d+/g) || []).forEach((id) => qs.append('indexerIds', id));
+      if (parser.apikey) qs.set('apikey', parser.apikey);
+      return `${parser.url}/api/v1/search?${qs.toString()}`;
+    }
+    qs.set('t', params.kind === 'tv' ? 'tvsearch' : 'movie');
+    if (params.imdb) qs.set('imdbid', params.imdb.replace(/^tt/, '')); // Newznab spec: digits only
+    if (params.tmdb) qs.set('tmdbid', String(params.tmdb));
+    if (categories) qs.set('cat', categories);
+    if (parser.apikey) qs.set('apikey', parser.apikey);
+    if (parser.type === 'torznab') return `${parser.url}?${qs.toString()}`;
+    const indexer = parser.indexer || 'all';
+    return `${parser.url}/api/v2.0/indexers/${encodeURIComponent(indexer)}/results/torznab/api?${qs.toString()}`;
+  };
+
+  // Search URL per parser type. `params.categories` is the default when the parser has none of its own.
+  const buildParserSearchUrl = (parser, params = {}) => {
+    if (parser.type === 'torbox') {
+      return `${parser.url}/torrents/search/${encodeURIComponent(params.query || '')}?${TORBOX_SEARCH_QS}`;
+    }
+    const categories = parser.categories || params.categories || '';
+    const qs = new URLSearchParams();
+    if (parser.type === 'torznab') {
+      qs.set('t', 'search');
+      qs.set('q', params.query || '');
+      if (categories) qs.set('cat', categories);
+      if (parser.apikey) qs.set('apikey', parser.apikey);
+      return `${parser.url}?${qs.toString()}`;
+    }
+    if (parser.type === 'prowlarr') {
+      qs.set('query', params.query || '');
+      qs.set('type', 'search');
+      qs.set('limit', '100');
+      categories.split(',').filter(Boolean).forEach((cat) => qs.append('categories', cat));
+      (parser.indexer.match(/\d+/g) || []).forEach((id) => qs.append('indexerIds', id));
+      if (parser.apikey) qs.set('apikey', parser.apikey);
+      return `${parser.url}/api/v1/search?${qs.toString()}`;
+    }
+    qs.set('Query', params.query || '');
+    qs.set('title', params.title || '');
+    qs.set('title_original', params.title_original || '');
+    if (categories) qs.set('Category', categories);
+    if (parser.apikey) qs.set('apikey', parser.apikey);
+    if (params.year) qs.set('year', params.year);
+    const indexer = (parser.type === 'jackett' && parser.indexer) || 'all';
+    return `${parser.url}/api/v2.0/indexers/${encodeURIComponent(indexer)}/results?${qs.toString()}`;
+  };
+
+  // Prowlarr search hit -> the Jackett-style raw entry the rest of the pipeline reads
+  const fromProwlarrResult = (r) => {
+    const download = String(r?.downloadUrl || '');
+    const magnet = [r?.magnetUrl, download].map((v) => String(v || '')).find((v) => v.startsWith('magnet:')) || '';
+    return {
+      Title: r?.title || '',
+      Size: Number(r?.size) || 0,
+      Seeders: Number(r?.seeders) || 0,
+      Peers: Number(r?.leechers) || 0,
+      InfoHash: r?.infoHash || '',
+      MagnetUri: magnet,
+      Link: /^https?:\/\//i.test(download) ? download : '',
+      Tracker: r?.indexer || '',
+      PublishDate: r?.publishDate || '',
+      Category: (Array.isArray(r?.categories) ? r.categories : []).map((c) => c?.id).filter(Boolean),
+      Imdb: r?.imdbId || null,
+    };
+  };
+
+  // ── Torznab / RSS XML (regex based: no DOMParser dependency, same on every TV webview) ──
+  const decodeXmlText = (value) => {
+    const str = String(value || '');
+    const cdata = str.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    if (cdata) return cdata[1];
+    const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' };
+    return str.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|quot|apos|amp);/gi, (match, entity) => {
+      const lower = entity.toLowerCase();
+      if (named[lower]) return named[lower];
+      const code = lower.startsWith('#x') ? parseInt(lower.slice(2), 16) : parseInt(lower.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    });
+  };
+
+  const xmlAttr = (tag, name) => {
+    const m = String(tag || '').match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return m ? decodeXmlText(m[1] ?? m[2]) : '';
+  };
+
+  const xmlChild = (block, tag) => {
+    const m = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    return m ? decodeXmlText(m[1]).trim() : '';
+  };
+
+  // Torznab feed -> Jackett-style raw entries; <error description="…"/> becomes an api error
+  const parseTorznabXml = (text) => {
+    const xml = String(text || '');
+    const items = [];
+    const itemRe = /<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi;
+    let m;
+    while ((m = itemRe.exec(xml))) {
+      const block = m[1];
+      const attrs = {};
+      const categories = [];
+      (block.match(/<(?:torznab|newznab):attr\b[^>]*>/gi) || []).forEach((tag) => {
+        const name = xmlAttr(tag, 'name').toLowerCase();
+        const value = xmlAttr(tag, 'value');
+        if (name === 'category') categories.push(Number(value));
+        else if (name && !(name in attrs)) attrs[name] = value;
+      });
+      const enclosure = (block.match(/<enclosure\b[^>]*>/i) || [''])[0];
+      const links = [xmlAttr(enclosure, 'url'), xmlChild(block, 'link')];
+      const seeders = Number(attrs.seeders) || 0;
+      items.push({
+        Title: xmlChild(block, 'title'),
+        Size: Number(attrs.size || xmlChild(block, 'size') || xmlAttr(enclosure, 'length')) || 0,
+        Seeders: seeders,
+        Peers: Math.max(0, (Number(attrs.peers) || 0) - seeders),
+        InfoHash: attrs.infohash || '',
+        MagnetUri: attrs.magneturl || links.find((link) => link.startsWith('magnet:')) || '',
+        Link: links.find((link) => /^https?:\/\//i.test(link)) || '',
+        Tracker: xmlChild(block, 'jackettindexer') || xmlChild(block, 'prowlarrindexer') || '',
+        PublishDate: xmlChild(block, 'pubDate'),
+        Category: categories.filter((cat) => cat > 0),
+        Imdb: attrs.imdbid || attrs.imdb || null,
+      });
+    }
+    if (!items.length) {
+      const error = (xml.match(/<error\b[^>]*>/i) || [''])[0];
+      if (error) throw { type: 'api', code: xmlAttr(error, 'code'), message: xmlAttr(error, 'description') || translate('torbox_error_api') };
+    }
+    return items;
+  };
+
+  // payload: { text, contentType } from a raw_text request
+  const parserPayloadFormat = (parser, payload) => {
+    if (parser.type === 'torznab') return 'torznab';
+    if (parser.format === 'json' || parser.format === 'torznab') return parser.format;
+    const contentType = String(payload?.contentType || '').toLowerCase();
+    if (/xml|rss/.test(contentType)) return 'torznab';
+    if (/json/.test(contentType)) return 'json';
+    return /^\s*</.test(payload?.text || '') ? 'torznab' : 'json';
+  };
+
+  // TorBox search hit -> raw entry; TorBoxCached carries the cached flag the service already checked
+  const fromTorBoxSearchResult = (r) => ({
+    Title: r?.raw_title || r?.title || '',
+    Size: Number(r?.size) || 0,
+    Seeders: Number(r?.last_known_seeders) || 0,
+    Peers: Number(r?.last_known_peers) || 0,
+    InfoHash: r?.hash || '',
+    MagnetUri: String(r?.magnet || '').startsWith('magnet:') ? r.magnet : '',
+    Tracker: r?.tracker || 'TorBox',
+    PublishDate: '',
+    TorBoxCached: typeof r?.cached === 'boolean' ? r.cached : null,
+  });
+
+  // normalized entriesByHash -> { hash: cached } for CachedStatus.remember (BTIH entries with a known flag)
+  const torboxCachedFlags = (entriesByHash) => {
+    const flags = {};
+    (entriesByHash || new Map()).forEach((raw, hash) => {
+      if (typeof raw?.TorBoxCached === 'boolean' && Utils.isHex40(hash)) flags[hash] = raw.TorBoxCached;
+    });
+    return flags;
+  };
+
+  // Jackett answers id searches on its Torznab endpoint, which is XML whatever the parser's format setting says
+  const parserIdSearchFormat = (parser) => (parser.type === 'jackett' ? 'torznab' : null);
+
+  const parserRawResults = (parser, payload, format = parserPayloadFormat(parser, payload)) => {
+    if (format === 'torznab') return parseTorznabXml(payload?.text);
+    let json = null;
+    try {
+      json = JSON.parse(payload?.text || 'null');
+    } catch {
+      throw { type: 'api', reason: 'bad_json', message: translate('torbox_error_bad_json') };
+    }
+    if (parser.type === 'prowlarr') return (Array.isArray(json) ? json : []).map(fromProwlarrResult);
+    if (parser.type === 'torbox') {
+      return (Array.isArray(json?.data?.torrents) ? json.data.torrents : []).map(fromTorBoxSearchResult);
+    }
+    return Array.isArray(json?.Results) ? json.Results : [];
+  };
+
   const isCachedFlagTrue = (flag) => {
     if (flag === true || flag === 'true') return true;
     if (flag === false || flag === 'false') return false;
@@ -550,6 +1502,61 @@ try {
     return false;
   };
 
+  // Per-hash TorBox cached flags that survive reloads; entries older than the TTL are re-checked.
+  const CachedStatus = (() => {
+    const STORAGE_KEY = 'torbox_cached_status_v1';
+    let cache = null;
+
+    const load = () => {
+      if (cache) return cache;
+      const raw = Store.get(STORAGE_KEY, '{}');
+      try {
+        const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        cache = parsed && typeof parsed === 'object' ? parsed : {};
+      } catch {
+        cache = {};
+      }
+      return cache;
+    };
+
+    const save = () => {
+      const entries = Object.entries(load());
+      if (entries.length > CONST.CACHED_STATUS_LIMIT) {
+        entries.sort((a, b) => (Number(b[1]?.ts) || 0) - (Number(a[1]?.ts) || 0));
+        cache = Object.fromEntries(entries.slice(0, CONST.CACHED_STATUS_LIMIT));
+      }
+      Store.set(STORAGE_KEY, JSON.stringify(cache));
+    };
+
+    return {
+      // -> { known: Map<hash, boolean> (fresh only), stale: hash[] (unknown or expired) }
+      lookup(hashes, now = Date.now()) {
+        const map = load();
+        const ttlMs = getCachedStatusTtlHours() * 60 * 60 * 1000;
+        const known = new Map();
+        const stale = [];
+        (hashes || []).forEach((hash) => {
+          const key = String(hash || '').toLowerCase();
+          const entry = map[key];
+          if (entry && now - (Number(entry.ts) || 0) <= ttlMs) known.set(key, !!entry.c);
+          else stale.push(key);
+        });
+        return { known, stale };
+      },
+      // flagsByHash: { [hash]: boolean } for every hash that was actually checked
+      remember(flagsByHash, now = Date.now()) {
+        const map = load();
+        Object.entries(flagsByHash || {}).forEach(([hash, flag]) => {
+          map[String(hash).toLowerCase()] = { c: !!flag, ts: now };
+        });
+        save();
+      },
+      size() {
+        return Object.keys(load()).length;
+      },
+    };
+  })();
+
   // ───────────────────────────── In-memory LRU cache with TTL ─────────────────────────────
   const Cache = (() => {
     const map = new Map(); // k -> {ts, val}
@@ -581,7 +1588,7 @@ try {
     };
   })();
 
-  // ───────────────────────────── Networking (via CORS proxy only) ─────────────────────────────
+  // ───────────────────────────── Networking (direct or via CORS proxy) ─────────────────────────────
   const Api = (() => {
     const TB_MAIN = 'https://api.torbox.app/v1/api';
 
@@ -592,6 +1599,106 @@ try {
       }
     }
 
+    function resolveRoute(mode, capability) {
+      // 'direct' | 'proxy' | 'probe' (auto mode without a fresh capability entry)
+      if (mode === 'direct' || mode === 'proxy') return mode;
+      if (capability) return capability.direct ? 'direct' : 'proxy';
+      return 'probe';
+    }
+
+    function describeTarget(url) {
+      try {
+        const parsed = new URL(url);
+        return `${parsed.host}${parsed.pathname}`; // never log query (may contain token/apikey)
+      } catch {
+        return 'invalid-url';
+      }
+    }
+
+    function recordRoute(url, via, status) {
+      DebugTelemetry.routes.push({ ts: new Date().toISOString(), target: describeTarget(url), via, status });
+      if (DebugTelemetry.routes.length > 50) DebugTelemetry.routes = DebugTelemetry.routes.slice(-50);
+    }
+
+    const PROXY_GATEWAY_STATUSES = [502, 503, 504];
+
+    async function fetchViaProxies(url, init) {
+      // Healthy proxies first (same cooldown model as parsers); if all are cooling down, try them all.
+      requireProxy();
+      const proxies = Config.proxyUrls;
+      const healthy = proxies.filter((proxy) => !ProxyHealth.isCoolingDown(proxy));
+      const pass = healthy.length ? healthy : proxies;
+      // A request that got an answer is re-sent only when repeating it is safe (createtorrent etc. are not)
+      const method = String(init?.method || 'GET').toUpperCase();
+      const resendable = method === 'GET' || method === 'HEAD';
+      let lastError = null;
+
+      for (let i = 0; i < pass.length; i++) {
+        const proxy = pass[i];
+        const isLast = i === pass.length - 1;
+        try {
+          const res = await fetch(buildProxyUrl(proxy, url), init);
+          recordRoute(url, proxy, res.status);
+          // Only gateway errors blame the proxy; any other 5xx is TorBox's own answer relayed intact
+          if (PROXY_GATEWAY_STATUSES.includes(res.status)) {
+            ProxyHealth.markFailure(proxy, `http_${res.status}`);
+            if (!isLast && resendable) {
+              LOG('Proxy failed, trying next:', proxy, res.status);
+              continue;
+            }
+          } else {
+            ProxyHealth.markSuccess(proxy);
+          }
+          return res;
+        } catch (e) {
+          if (e?.name === 'AbortError') throw e;
+          recordRoute(url, proxy, 'network');
+          ProxyHealth.markFailure(proxy, 'network');
+          LOG('Proxy unreachable:', proxy, e?.message || e);
+          lastError = e;
+        }
+      }
+      throw lastError || { type: 'network', message: translate('torbox_error_network') };
+    }
+
+    async function fetchRouted(url, route, init) {
+      if (route === 'direct') {
+        const res = await fetch(url, init);
+        recordRoute(url, 'direct', res.status);
+        return res;
+      }
+      if (route === 'proxy') return fetchViaProxies(url, init);
+
+      // Probe: a direct attempt that gets any HTTP response proves CORS works for this origin.
+      // A rejected fetch is CORS or the network: the origin goes proxy-only for a short while, and for
+      // the full TTL once an opaque no-cors request shows the origin itself is reachable.
+      try {
+        const res = await fetch(url, init);
+        CorsCapability.mark(url, true);
+        recordRoute(url, 'direct', res.status);
+        LOG('Direct access OK:', CorsCapability.originOf(url));
+        return res;
+      } catch (e) {
+        if (e?.name === 'AbortError') throw e;
+        CorsCapability.mark(url, false, CONST.CORS_UNCONFIRMED_TTL_MS);
+        LOG('Direct access failed, using proxy:', CorsCapability.originOf(url), e?.message || e);
+        isCorsBlocked(url, init?.signal).then((blocked) => {
+          if (!blocked) return;
+          CorsCapability.mark(url, false);
+          LOG('CORS confirmed for:', CorsCapability.originOf(url));
+        });
+        return fetchViaProxies(url, init);
+      }
+    }
+
+    // A no-cors request resolves (opaque) whenever the server answers, so it only fails on network errors
+    function isCorsBlocked(url, signal) {
+      return fetch(url, { method: 'HEAD', mode: 'no-cors', credentials: 'omit', signal }).then(
+        () => true,
+        () => false
+      );
+    }
+
     function requireApiKey() {
       if (!Config.apiKey) {
         const err = { type: 'validation', message: translate('torbox_error_api_key_missing') };
@@ -607,6 +1714,12 @@ try {
       }
     }
 
+    // TorBox error codes (e.g. ACTIVE_LIMIT) come as upper snake case in `error`, next to the human detail
+    function extractApiErrorCode(json) {
+      const code = String(json?.error || json?.data?.error || '').trim();
+      return /^[A-Z][A-Z0-9_]{2,}$/.test(code) ? code : '';
+    }
+
     function extractApiDetail(json, text) {
       const direct =
         json?.detail ||
@@ -649,41 +1762,261 @@ try {
       }
     }
 
-    async function request(url, opt = {}, outerSignal) {
-      requireProxy();
+    function parseRetryAfter(value, now = Date.now()) {
+      // Retry-After is either delta-seconds or an HTTP-date
+      const raw = String(value ?? '').trim();
+      if (!raw) return null;
+      if (/^\d+(\.\d+)?$/.test(raw)) return Math.round(Number(raw) * 1000);
+      const at = Date.parse(raw);
+      return Number.isFinite(at) ? Math.max(0, at - now) : null;
+    }
+
+    function computeRetryDelay(err, attempt, policy, method = 'GET', random = Math.random) {
+      // Returns the delay before the next attempt, or null when the error must not be retried.
+      if (attempt >= policy.maxAttempts) return null;
+      if (!err || err.name === 'AbortError' || Number(err.timeoutMs) > 0) return null;
+      if (err.type === 'validation' || err.type === 'auth') return null;
+
+      const status = Number(err.status) || 0;
+      const idempotent = method === 'GET' || method === 'HEAD';
+      const retryable = status === 429 || (idempotent && (status >= 500 || (!status && err.transient)));
+      if (!retryable) return null;
+
+      if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+        return err.retryAfterMs > CONST.RETRY_AFTER_MAX_MS ? null : err.retryAfterMs;
+      }
+      // Exponential backoff with "equal jitter": half fixed, half random
+      const exp = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+      return Math.round(exp / 2 + random() * (exp / 2));
+    }
+
+    // Time one attempt may take: its own timeout capped by the caller's absolute deadline (0 = expired)
+    function attemptTimeoutMs(timeoutMs, deadline, now = Date.now()) {
+      const budget = Math.max(1, Number(timeoutMs) || CONST.TORBOX_API_TIMEOUT_MS);
+      return deadline ? Math.max(0, Math.min(budget, deadline - now)) : budget;
+    }
 
-      const { timeoutMs: optTimeoutMs, is_torbox_api: isTorBoxApiFlag, ...fetchOptions } = opt;
+    function sleep(ms, signal) {
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          clearTimeout(t);
+          reject({ name: 'AbortError', message: translate('torbox_error_aborted') });
+        };
+        const t = setTimeout(() => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }, ms);
+        if (signal) {
+          if (signal.aborted) return onAbort();
+          signal.addEventListener('abort', onAbort);
+        }
+      });
+    }
+
+    // Aborts the controller with the caller's signal. Call the returned unlink once the attempt is over,
+    // so long-lived caller signals do not collect a listener per attempt.
+    function linkAbort(outerSignal, controller) {
+      if (!outerSignal) return () => {};
+      const onOuterAbort = () => controller.abort();
+      outerSignal.addEventListener('abort', onOuterAbort, { once: true });
+      return () => outerSignal.removeEventListener('abort', onOuterAbort);
+    }
+
+    function recordRetry(url, attempt, err, delayMs) {
+      const entry = {
+        ts: new Date().toISOString(),
+        target: describeTarget(url),
+        attempt,
+        status: Number(err?.status) || null,
+        delay_ms: delayMs,
+        reason: String(err?.message || err?.type || 'error').slice(0, 160),
+      };
+      DebugTelemetry.retries.push(entry);
+      if (DebugTelemetry.retries.length > 50) DebugTelemetry.retries = DebugTelemetry.retries.slice(-50);
+      LOG('Retry scheduled', entry);
+    }
+
+    // ─── Coalescing & response cache ───────────────────────────────────
+    // Identical GETs share one in-flight request; each caller can abort on its own and the shared request
+    // is only cancelled once every caller has left. Results are handed out as copies (callers mutate them).
+    // TorBox keys carry a fingerprint of the API key, so switching accounts never serves the old account's
+    // answers; opt.fresh skips the cached answer (an explicit refresh) but still stores the new one.
+    const inflight = new Map(); // key -> { key, promise, controller, waiters }
+    const responseCache = new Map(); // key -> { ts, ttlMs, val }
+
+    const cloneJson = (val) => (val && typeof val === 'object' ? JSON.parse(JSON.stringify(val)) : val);
+
+    function responseTtlFor(url) {
+      const rule = RESPONSE_CACHE_TTLS.find((r) => r.pattern.test(url));
+      return rule ? rule.ttlMs : 0;
+    }
+
+    function readResponseCache(key) {
+      const entry = responseCache.get(key);
+      if (!entry) return undefined;
+      if (Date.now() - entry.ts > entry.ttlMs) {
+        responseCache.delete(key);
+        return undefined;
+      }
+      return entry.val;
+    }
+
+    function writeResponseCache(key, ttlMs, val) {
+      if (!(ttlMs > 0)) return;
+      responseCache.delete(key);
+      responseCache.set(key, { ts: Date.now(), ttlMs, val });
+      if (responseCache.size > CONST.RESPONSE_CACHE_LIMIT) responseCache.delete(responseCache.keys().next().value);
+    }
+
+    function invalidateTorBoxResponses() {
+      // Any TorBox write (add/control) may change list/status answers
+      Array.from(responseCache.keys())
+        .filter((key) => key.includes(TB_MAIN))
+        .forEach((key) => responseCache.delete(key));
+    }
+
+    function joinShared(entry, signal) {
+      entry.waiters++;
+      if (!signal) return entry.promise.then(cloneJson); // never leaves, keeps the shared request alive
+      return new Promise((resolve, reject) => {
+        let done = false;
+        const leave = () => {
+          if (done) return false;
+          done = true;
+          signal.removeEventListener('abort', onAbort);
+          entry.waiters--;
+          return true;
+        };
+        const onAbort = () => {
+          if (!leave()) return;
+          if (entry.waiters <= 0) {
+            // Last caller gone: cancel, and let the next identical call start a fresh request
+            if (inflight.get(entry.key) === entry) inflight.delete(entry.key);
+            entry.controller.abort();
+          }
+          reject({ name: 'AbortError', message: translate('torbox_error_aborted') });
+        };
+        if (signal.aborted) return onAbort();
+        signal.addEventListener('abort', onAbort);
+        entry.promise.then(
+          (val) => leave() && resolve(cloneJson(val)),
+          (err) => leave() && reject(err)
+        );
+      });
+    }
+
+    function request(url, { fresh = false, ...opt } = {}, outerSignal) {
+      const method = String(opt.method || 'GET').toUpperCase();
+      if (method !== 'GET' || opt.body) {
+        return requestWithRetry(url, opt, outerSignal).then((res) => {
+          if (opt.is_torbox_api !== false) invalidateTorBoxResponses();
+          return res;
+        });
+      }
+
+      const key = `${opt.is_torbox_api === false ? 'ext' : `tb:${Utils.stableId(Config.apiKey)}`} ${url}`;
+      const cached = fresh ? undefined : readResponseCache(key);
+      if (cached !== undefined) {
+        DebugTelemetry.requestCache.hits++;
+        return Promise.resolve(cloneJson(cached));
+      }
+
+      let entry = inflight.get(key);
+      if (entry) {
+        DebugTelemetry.requestCache.shared++;
+      } else {
+        const controller = new AbortController();
+        entry = { key, controller, waiters: 0, promise: null };
+        entry.promise = requestWithRetry(url, opt, controller.signal).then(
+          (val) => {
+            if (inflight.get(key) === entry) inflight.delete(key);
+            writeResponseCache(key, responseTtlFor(url), val);
+            return val;
+          },
+          (err) => {
+            if (inflight.get(key) === entry) inflight.delete(key);
+            throw err;
+          }
+        );
+        entry.promise.catch(() => {}); // rejection is delivered to the waiters
+        inflight.set(key, entry);
+      }
+      return joinShared(entry, outerSignal);
+    }
+
+    // opt.deadline (epoch ms) bounds the whole call: every attempt and every wait between attempts
+    async function requestWithRetry(url, opt = {}, outerSignal) {
+      const policy = opt.is_torbox_api === false ? RETRY_POLICIES.parser : RETRY_POLICIES.torbox;
+      const method = String(opt.method || 'GET').toUpperCase();
+      const deadline = Number(opt.deadline) || 0;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await requestOnce(url, opt, outerSignal);
+        } catch (e) {
+          const delayMs = computeRetryDelay(e, attempt, policy, method);
+          if (delayMs === null || (outerSignal && outerSignal.aborted)) throw e;
+          if (deadline && Date.now() + delayMs >= deadline) throw e;
+          recordRetry(url, attempt, e, delayMs);
+          await sleep(delayMs, outerSignal);
+        }
+      }
+    }
+
+    async function requestOnce(url, opt = {}, outerSignal) {
+      const route = resolveRoute(getConnectionMode(), CorsCapability.get(url));
+      if (route === 'proxy') requireProxy();
+
+      const {
+        timeoutMs: optTimeoutMs,
+        deadline,
+        is_torbox_api: isTorBoxApiFlag,
+        raw_text: rawText,
+        ...fetchOptions
+      } = opt;
       const isTorBox = isTorBoxApiFlag !== false; // default true (only TorBox gets X-Api-Key)
       if (isTorBox) requireApiKey();
 
+      const timeoutMs = attemptTimeoutMs(optTimeoutMs, deadline);
+      const timeoutError = (ms) => ({
+        type: 'network',
+        message: translateWithParams('torbox_error_timeout', { seconds: Math.ceil(ms / 1000) }),
+        timeoutMs: ms,
+      });
+      if (!timeoutMs) throw timeoutError(Math.max(1, Number(optTimeoutMs) || CONST.TORBOX_API_TIMEOUT_MS));
+
       const controller = new AbortController();
-      const timeoutMs = Math.max(1, Number(optTimeoutMs) || CONST.TORBOX_API_TIMEOUT_MS);
       const t = setTimeout(() => controller.abort(), timeoutMs);
-      if (outerSignal) outerSignal.addEventListener('abort', () => controller.abort());
+      const unlinkAbort = linkAbort(outerSignal, controller);
 
       const headers = Object.assign({}, fetchOptions.headers || {});
       delete headers.Authorization; // never forward auth headers through proxy
       if (isTorBox) headers['X-Api-Key'] = Config.apiKey;
 
-      // Always go through CORS proxy
-      const proxied = buildProxyUrl(Config.proxyUrl, url);
-
+      let apiCode = '';
       try {
-        const res = await fetch(proxied, { ...fetchOptions, headers, signal: controller.signal });
+        const res = await fetchRouted(url, route, { ...fetchOptions, headers, signal: controller.signal });
         const status = res.status;
         const text = await res.text();
         const json = parseJsonSafe(text);
+        apiCode = extractApiErrorCode(json);
         const detail = extractApiDetail(json, text);
         const withDetail = (base) => (detail ? `${base}: ${detail}` : base);
+        const retryAfterMs =
+          status === 429 || status === 503 ? parseRetryAfter(res.headers && res.headers.get('Retry-After')) : null;
 
         // Common error mapping
         if (status === 401) throw { type: 'auth', status, message: withDetail(translate('torbox_error_401')) };
         if (status === 403) throw { type: 'auth', status, message: withDetail(translate('torbox_error_403')) };
         if (status === 404) throw { type: 'api', status, message: withDetail(translate('torbox_error_404')) };
-        if (status === 429) throw { type: 'network', status, message: withDetail(translate('torbox_error_429')) };
-        if (status >= 500) throw { type: 'network', status, message: withDetail(translateWithParams('torbox_error_server', { status })) };
+        if (status === 429) throw { type: 'network', status, retryAfterMs, message: withDetail(translate('torbox_error_429')) };
+        if (status >= 500) {
+          throw { type: 'network', status, retryAfterMs, message: withDetail(translateWithParams('torbox_error_server', { status })) };
+        }
         if (status >= 400) throw { type: 'network', status, message: withDetail(translateWithParams('torbox_error_request', { status })) };
 
+        // Parsers: the caller picks JSON or XML itself
+        if (rawText) return { text, contentType: (res.headers && res.headers.get('Content-Type')) || '' };
+
         // Direct URL (some TorBox endpoints may return a plain link)
         if (text.startsWith('http')) return { success: true, url: text };
 
@@ -696,21 +2029,17 @@ try {
       } catch (e) {
         if (e.name === 'AbortError') {
           // Distinguish timeout vs. external abort
-          if (!outerSignal || !outerSignal.aborted) {
-            throw {
-              type: 'network',
-              message: translateWithParams('torbox_error_timeout', {
-                seconds: timeoutMs / 1000,
-              }),
-              timeoutMs,
-            };
-          }
+          if (!outerSignal || !outerSignal.aborted) throw timeoutError(timeoutMs);
           throw e; // external abort
         }
-        if (e.type) throw e;
-        throw { type: 'network', message: e && e.message ? e.message : translate('torbox_error_network') };
+        if (e.type) {
+          if (apiCode && !e.code) e.code = apiCode;
+          throw e;
+        }
+        throw { type: 'network', transient: true, message: e && e.message ? e.message : translate('torbox_error_network') };
       } finally {
         clearTimeout(t);
+        unlinkAbort();
       }
     }
 
@@ -720,7 +2049,10 @@ try {
       let invalidCount = 0;
 
       items.forEach((item) => {
-        const hash = Utils.btihFromMagnetOrFields(item);
+        // Entries with only a .torrent Link are kept under a provisional "tor…" key; the real BTIH
+        // is computed from the file when the user opens the release.
+        const link = Utils.torrentFileLink(item);
+        const hash = Utils.btihFromMagnetOrFields(item) || (link ? `tor${Utils.stableId(link)}` : null);
         if (!hash) {
           invalidCount += 1;
           return;
@@ -741,6 +2073,10 @@ try {
       const message = String(err?.message || '');
       const lower = message.toLowerCase();
 
+      // An HTML/captcha page instead of JSON: no results from this parser, but not an outage worth a cooldown
+      if (err?.reason === 'bad_json') {
+        return { status: 'invalid_payload', cooldown: false, reason: 'bad_json', statusCode };
+      }
       if (Number(err?.timeoutMs) > 0 || /timeout|timed out|time out/i.test(message)) {
         return { status: 'timeout', cooldown: true, reason: message || 'timeout', statusCode };
       }
@@ -758,25 +2094,54 @@ try {
       return { status: 'network', cooldown: true, reason: message || 'network', statusCode };
     }
 
-    async function searchPublicTrackers(movie, signal) {
-      // Try parsers sequentially until we get valid results (Failover strategy)
-      const queryBase = `${movie.title || ''} ${movie.year || ''}`.trim();
-      const qsCommon = {
-        Query: queryBase,
-        title: movie.title || '',
-        title_original: movie.original_title || '',
-        Category: '2000,5000', // Movies + TV
-      };
+    function mergeNormalizedResults(results = []) {
+      // Merge per-parser payloads by BTIH. The first parser (in priority order) wins the raw entry,
+      // every parser that returned the hash is kept as provenance.
+      const entriesByHash = new Map();
+      const sourcesByHash = new Map();
+      let rawCount = 0;
+
+      results.forEach(({ parser, normalized }) => {
+        if (!normalized || !(normalized.entriesByHash instanceof Map)) return;
+        rawCount += Number(normalized.rawCount) || 0;
+        normalized.entriesByHash.forEach((item, hash) => {
+          if (!entriesByHash.has(hash)) entriesByHash.set(hash, item);
+          const sources = sourcesByHash.get(hash) || [];
+          if (parser?.name && !sources.includes(parser.name)) sources.push(parser.name);
+          sourcesByHash.set(hash, sources);
+        });
+      });
 
-      // Merge custom parsers
-      const customStr = Store.get('torbox_custom_parsers', '').trim();
-      const customParsers = customStr
-        .split(',')
-        .map((s) => s.trim())
-        .filter((s) => s && s.length > 3)
-        .map((url, i) => ({ name: `Custom ${i + 1}`, url: url.replace(/^https?:\/\//, '').replace(/\/+$/, ''), key: '' }));
+      return { rawCount, validCount: entriesByHash.size, entriesByHash, sourcesByHash };
+    }
 
-      const parsers = [...customParsers, ...PUBLIC_PARSERS];
+    async function searchPublicTrackers(movie, signal, { fresh = false } = {}) {
+      // Merge mode (default): query every available parser in parallel and merge results by BTIH.
+      // Failover mode: try parsers sequentially until one returns valid results.
+      const mode = getParserMode();
+      const queryBase = `${movie.title || ''} ${movie.year || ''}`.trim();
+      const contentType = cardContentType(movie);
+      const categories = cardCategories(movie, getContentCategories());
+      const searchParams = Object.assign(
+        {
+          query: queryBase,
+          title: movie.title || '',
+          title_original: movie.original_title || '',
+          year: movie.year || '',
+          categories,
+        },
+        cardSearchIds(movie)
+      );
+      DebugTelemetry.searchCategories = { content_type: contentType, categories: searchParams.categories };
+
+      // User parsers (enabled ones) go before the public gateways; TorBox search first, last or not at all
+      const searchSource = Config.apiKey ? getSearchSourceMode() : 'off';
+      const parsers = [
+        ...(searchSource === 'first' ? [TORBOX_SEARCH_PARSER] : []),
+        ...getParserConfigs().filter((p) => p.enabled),
+        ...PUBLIC_PARSERS,
+        ...(searchSource === 'last' ? [TORBOX_SEARCH_PARSER] : []),
+      ];
       const parserAttempts = [];
       let selectedParser = null;
 
@@ -786,6 +2151,7 @@ try {
           ? {
               name: parserMeta.name,
               domain: parserMeta.domain,
+              mode,
               valid_count: parserMeta.valid_count,
               raw_count: parserMeta.raw_count,
             }
@@ -815,26 +2181,62 @@ try {
           });
       }
 
-      for (const p of passParsers) {
-        if (signal.aborted) break;
-        const qs = new URLSearchParams(qsCommon);
-        if (p.key) qs.set('apikey', p.key);
-        if (movie.year) qs.set('year', movie.year);
-        const url = `https://${p.url}/api/v2.0/indexers/all/results?${qs.toString()}`;
+      // Runs one parser and records its health. Never throws, except when runSignal aborts.
+      // ID-first: imdbid/tmdbid where the parser supports it, the title query only when that finds nothing
+      // (or fails). `strategy` in the attempt says which query produced the results. Both queries and
+      // their retries share one absolute deadline.
+      const runParser = async (p, deadline, runSignal = signal) => {
+        const idUrl = buildParserIdSearchUrl(p, searchParams);
         const startedAt = Date.now();
+        let strategy = idUrl ? 'id' : 'title';
+        let idFallback = null;
+
+        const fetchNormalized = async (url, forcedFormat = null) => {
+          LOG('Parser try:', p.name, strategy, redactSecrets(url));
+          // Only the TorBox source gets the account key
+          const opt = {
+            method: 'GET',
+            is_torbox_api: p.type === 'torbox',
+            raw_text: true,
+            timeoutMs: Math.max(1, deadline - Date.now()),
+            deadline,
+            fresh,
+          };
+          const payload = await request(url, opt, runSignal);
+          const format = forcedFormat || parserPayloadFormat(p, payload);
+          const normalized = normalizeParserResults(parserRawResults(p, payload, format));
+          if (p.type === 'torbox') CachedStatus.remember(torboxCachedFlags(normalized.entriesByHash));
+          return { format, normalized };
+        };
 
         try {
-          LOG('Parser try:', p.name, url);
-          const json = await request(
-            url,
-            { method: 'GET', is_torbox_api: false, timeoutMs: CONST.PUBLIC_PARSER_TIMEOUT_MS },
-            signal
-          );
-          const list = Array.isArray(json?.Results) ? json.Results : [];
-          const normalized = normalizeParserResults(list);
+          let result = null;
+          if (idUrl) {
+            try {
+              result = await fetchNormalized(idUrl, parserIdSearchFormat(p));
+              if (!result.normalized.validCount) {
+                idFallback = 'no_results';
+                result = null;
+              }
+            } catch (e) {
+              if (runSignal.aborted) throw e;
+              idFallback = classifyParserFailure(e).reason;
+              LOG('Parser id search failed, falling back to title:', p.name, e.message || e);
+            }
+          }
+          if (!result) {
+            strategy = 'title';
+            // Fallback gets what is left before the deadline (a timeout when nothing is)
+            result = await fetchNormalized(buildParserSearchUrl(p, searchParams));
+          }
+          const { format, normalized } = result;
           const attempt = {
             name: p.name,
             domain: p.url,
+            strategy,
+            id_fallback: idFallback,
+            format,
+            categories: p.categories || searchParams.categories,
             elapsed_ms: Date.now() - startedAt,
             status: normalized.validCount > 0 ? 'success' : normalized.rawCount > 0 ? 'invalid_payload' : 'empty',
             raw_count: normalized.rawCount,
@@ -843,7 +2245,6 @@ try {
             cooldown_until: null,
             reason: normalized.validCount > 0 ? 'valid_hashes' : normalized.rawCount > 0 ? 'no_valid_hashes' : 'no_results',
           };
-          parserAttempts.push(attempt);
           LOG('Parser result:', p.name, {
             raw: normalized.rawCount,
             valid: normalized.validCount,
@@ -853,29 +2254,19 @@ try {
 
           if (normalized.validCount > 0) {
             ParserHealth.markSuccess(p.url);
-            selectedParser = {
-              name: p.name,
-              domain: p.url,
-              valid_count: normalized.validCount,
-              raw_count: normalized.rawCount,
-            };
-            setParserTelemetry(parserAttempts, selectedParser);
-            return {
-              parser: selectedParser,
-              entriesByHash: normalized.entriesByHash,
-              diagnostics: parserAttempts.slice(),
-            };
-          }
-
-          if (attempt.status === 'invalid_payload') {
+          } else if (attempt.status === 'invalid_payload') {
             const health = ParserHealth.markFailure(p.url, attempt.status);
             attempt.cooldown_until = health?.cooldownUntil ? new Date(health.cooldownUntil).toISOString() : null;
           }
+          return { parser: p, attempt, normalized };
         } catch (e) {
+          if (runSignal.aborted) throw e;
           const failure = classifyParserFailure(e);
           const attempt = {
             name: p.name,
             domain: p.url,
+            strategy,
+            id_fallback: idFallback,
             elapsed_ms: Date.now() - startedAt,
             status: failure.status,
             raw_count: 0,
@@ -889,44 +2280,218 @@ try {
             const health = ParserHealth.markFailure(p.url, failure.status);
             attempt.cooldown_until = health?.cooldownUntil ? new Date(health.cooldownUntil).toISOString() : null;
           }
-          parserAttempts.push(attempt);
           LOG('Parser failed:', p.name, e.message || e);
+          return { parser: p, attempt, normalized: normalizeParserResults([]) };
+        }
+      };
+
+      const throwNoResults = () => {
+        const hadInvalidPayload = parserAttempts.some((attempt) => attempt.status === 'invalid_payload');
+        setParserTelemetry(parserAttempts, selectedParser);
+        throw hadInvalidPayload
+          ? { type: 'api', message: translate('torbox_error_public_parsers_invalid') }
+          : { type: 'api', message: translate('torbox_error_public_parsers_empty') };
+      };
+
+      if (mode === 'merge') {
+        // One deadline for the whole fan-out. Requests and retries stop at it on their own; anything still
+        // pending then (e.g. a stalled body) is cut off and the merge goes ahead with what has answered.
+        const deadline = Date.now() + CONST.PARSER_MERGE_DEADLINE_MS;
+        const fanOut = new AbortController();
+        const onAbort = () => fanOut.abort();
+        if (signal.aborted) fanOut.abort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+        const settled = passParsers.map(() => null);
+        const all = Promise.all(
+          passParsers.map((p, i) => runParser(p, deadline, fanOut.signal).then((result) => (settled[i] = result)))
+        );
+        all.catch(() => {}); // cut-off parsers reject after the race is over
+        let timer = null;
+        const expired = new Promise((resolve) => (timer = setTimeout(resolve, Math.max(0, deadline - Date.now()))));
+        try {
+          await Promise.race([all, expired]);
         } finally {
+          clearTimeout(timer);
+          signal.removeEventListener('abort', onAbort);
+          fanOut.abort();
+        }
+        const results = settled.map((result, i) => {
+          if (result) return result;
+          const p = passParsers[i];
+          const health = ParserHealth.markFailure(p.url, 'timeout');
+          const attempt = {
+            name: p.name,
+            domain: p.url,
+            elapsed_ms: CONST.PARSER_MERGE_DEADLINE_MS,
+            status: 'timeout',
+            raw_count: 0,
+            valid_count: 0,
+            invalid_count: 0,
+            cooldown_until: health?.cooldownUntil ? new Date(health.cooldownUntil).toISOString() : null,
+            reason: 'merge_deadline',
+          };
+          return { parser: p, attempt, normalized: normalizeParserResults([]) };
+        });
+        results.forEach(({ attempt }) => parserAttempts.push(attempt));
+        const merged = mergeNormalizedResults(results);
+        if (!merged.validCount) throwNoResults();
+
+        const contributors = results.filter(({ normalized }) => normalized.validCount > 0).map(({ parser }) => parser);
+        selectedParser = {
+          name: contributors.map((p) => p.name).join(' + '),
+          domain: contributors.map((p) => p.url).join(','),
+          valid_count: merged.validCount,
+          raw_count: merged.rawCount,
+        };
+        setParserTelemetry(parserAttempts, selectedParser);
+        return {
+          parser: selectedParser,
+          entriesByHash: merged.entriesByHash,
+          sourcesByHash: merged.sourcesByHash,
+          diagnostics: parserAttempts.slice(),
+        };
+      }
+
+      for (const p of passParsers) {
+        if (signal.aborted) break;
+        const { attempt, normalized } = await runParser(p, Date.now() + CONST.PUBLIC_PARSER_TIMEOUT_MS);
+        parserAttempts.push(attempt);
+        setParserTelemetry(parserAttempts, selectedParser);
+
+        if (normalized.validCount > 0) {
+          selectedParser = {
+            name: p.name,
+            domain: p.url,
+            valid_count: normalized.validCount,
+            raw_count: normalized.rawCount,
+          };
           setParserTelemetry(parserAttempts, selectedParser);
+          return {
+            parser: selectedParser,
+            entriesByHash: normalized.entriesByHash,
+            sourcesByHash: mergeNormalizedResults([{ parser: p, normalized }]).sourcesByHash,
+            diagnostics: parserAttempts.slice(),
+          };
         }
       }
 
-      const hadInvalidPayload = parserAttempts.some((attempt) => attempt.status === 'invalid_payload');
-      setParserTelemetry(parserAttempts, selectedParser);
-      throw hadInvalidPayload
-        ? { type: 'api', message: translate('torbox_error_public_parsers_invalid') }
-        : { type: 'api', message: translate('torbox_error_public_parsers_empty') };
+      return throwNoResults();
     }
 
-    async function checkCached(hashes, signal) {
-      // TorBox accepts up to 100 hashes per call. Returns { data: { [hashHexLower]: true/false } }
+    async function cachedFileList(hash, signal) {
+      // File list of one cached release (checkcached with list_files); null when TorBox has no cached copy
+      const qs = new URLSearchParams({ hash, format: 'object', list_files: 'true' });
+      const r = await request(
+        `${TB_MAIN}/torrents/checkcached?${qs.toString()}`,
+        { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+      const data = r?.data && typeof r.data === 'object' ? r.data : {};
+      const key = Object.keys(data).find((h) => h.toLowerCase() === String(hash).toLowerCase());
+      const entry = key ? data[key] : null;
+      CachedStatus.remember({ [hash]: isCachedFlagTrue(entry) });
+      if (!entry || !isCachedFlagTrue(entry)) return null;
+      return normalizeFileList(entry.files);
+    }
+
+    async function checkCached(hashes, signal, onChunk) {
+      // Chunks run in parallel (capped). Every hash of a successful chunk gets a boolean and is persisted
+      // in CachedStatus; onChunk(flagsByHash) lets the UI update icons as answers arrive.
+      // Returns { [hashHexLower]: boolean } for the hashes that were answered.
       if (!Array.isArray(hashes) || !hashes.length) return {};
+      const chunks = [];
+      for (let i = 0; i < hashes.length; i += CONST.CHECK_CACHED_CHUNK) {
+        chunks.push(hashes.slice(i, i + CONST.CHECK_CACHED_CHUNK));
+      }
+
       const acc = {};
-      for (let i = 0; i < hashes.length; i += 100) {
-        const chunk = hashes.slice(i, i + 100);
-        const qs = new URLSearchParams();
-        chunk.forEach((h) => qs.append('hash', h));
-        qs.set('format', 'object');
-        qs.set('list_files', 'false');
-        try {
-          const r = await request(
-            `${TB_MAIN}/torrents/checkcached?${qs.toString()}`,
-            { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
-            signal
-          );
-          if (r?.data) Object.assign(acc, r.data);
-        } catch (e) {
-          LOG('checkCached error:', e.message || e);
+      let next = 0;
+      const worker = async () => {
+        while (next < chunks.length && !signal?.aborted) {
+          const chunk = chunks[next++];
+          const qs = new URLSearchParams();
+          chunk.forEach((h) => qs.append('hash', h));
+          qs.set('format', 'object');
+          qs.set('list_files', 'false');
+          try {
+            const r = await request(
+              `${TB_MAIN}/torrents/checkcached?${qs.toString()}`,
+              { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+              signal
+            );
+            const data = r?.data && typeof r.data === 'object' ? r.data : {};
+            const lowered = {};
+            Object.keys(data).forEach((h) => (lowered[h.toLowerCase()] = data[h]));
+            const flags = {};
+            chunk.forEach((h) => {
+              const key = String(h).toLowerCase();
+              flags[key] = isCachedFlagTrue(lowered[key]);
+            });
+            Object.assign(acc, flags);
+            CachedStatus.remember(flags);
+            if (typeof onChunk === 'function' && !signal?.aborted) onChunk(flags);
+          } catch (e) {
+            LOG('checkCached error:', e.message || e);
+          }
         }
-      }
+      };
+
+      const workers = Math.min(CONST.CHECK_CACHED_CONCURRENCY, chunks.length);
+      await Promise.all(Array.from({ length: workers }, worker));
       return acc;
     }
 
+    async function fetchTorrentFile(link, outerSignal) {
+      // Downloads a .torrent (routed like any other request: direct, or via the CORS proxy when needed)
+      // and returns { bytes, infoHash }.
+      const route = resolveRoute(getConnectionMode(), CorsCapability.get(link));
+      if (route === 'proxy') requireProxy();
+
+      const controller = new AbortController();
+      const t = setTimeout(() => controller.abort(), CONST.TORRENT_FILE_TIMEOUT_MS);
+      const unlinkAbort = linkAbort(outerSignal, controller);
+
+      try {
+        const res = await fetchRouted(link, route, { method: 'GET', signal: controller.signal });
+        if (res.status >= 400) {
+          throw { type: 'network', status: res.status, message: translateWithParams('torbox_error_request', { status: res.status }) };
+        }
+        const bytes = new Uint8Array(await res.arrayBuffer());
+        if (!bytes.length || bytes.length > CONST.TORRENT_FILE_MAX_BYTES) {
+          throw { type: 'validation', message: translate('torbox_error_torrent_file') };
+        }
+        const infoHash = Utils.torrentInfoHash(bytes);
+        if (!infoHash) throw { type: 'validation', message: translate('torbox_error_torrent_file') };
+        return { bytes, infoHash };
+      } catch (e) {
+        if (e?.name === 'AbortError') {
+          if (outerSignal && outerSignal.aborted) throw e;
+          throw {
+            type: 'network',
+            message: translateWithParams('torbox_error_timeout', { seconds: CONST.TORRENT_FILE_TIMEOUT_MS / 1000 }),
+            timeoutMs: CONST.TORRENT_FILE_TIMEOUT_MS,
+          };
+        }
+        if (e?.type) throw e;
+        throw { type: 'network', message: e?.message || translate('torbox_error_network') };
+      } finally {
+        clearTimeout(t);
+        unlinkAbort();
+      }
+    }
+
+    function addTorrentFile(bytes, name, signal) {
+      const fd = new FormData();
+      const fileName = `${String(name || 'torrent').replace(/[\\/:*?"<>|]+/g, '_').slice(0, 120)}.torrent`;
+      fd.append('file', new Blob([bytes], { type: 'application/x-bittorrent' }), fileName);
+      fd.append('seed', '3');
+      return request(
+        `${TB_MAIN}/torrents/createtorrent`,
+        { method: 'POST', body: fd, timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+    }
+
     function addMagnet(magnet, signal) {
       const fd = new FormData();
       fd.append('magnet', magnet);
@@ -948,10 +2513,47 @@ try {
       return json;
     }
 
-    async function requestDl(tid, fid, signal) {
+    const TORRENT_OPERATIONS = ['reannounce', 'pause', 'resume', 'delete'];
+
+    function controlTorrent(id, operation, signal) {
+      if (!TORRENT_OPERATIONS.includes(operation)) {
+        return Promise.reject({ type: 'validation', message: translate('torbox_error_api') });
+      }
+      const numericId = Number(id);
+      return request(
+        `${TB_MAIN}/torrents/controltorrent`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ torrent_id: Number.isFinite(numericId) ? numericId : id, operation }),
+          timeoutMs: CONST.TORBOX_API_TIMEOUT_MS,
+        },
+        signal
+      );
+    }
+
+    function myLibrary(signal) {
+      // Whole account list (no id) for the "My TorBox" screen
+      return request(
+        `${TB_MAIN}/torrents/mylist?bypass_cache=true`,
+        { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+    }
+
+    function userInfo(signal) {
+      // Account behind the API key (plan, expiry, totals) for the settings panel
+      return request(
+        `${TB_MAIN}/user/me?settings=false`,
+        { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+    }
+
+    async function requestDownloadLink(kind, idParam, id, fid, signal) {
       // TorBox API expects token query parameter alongside X-Api-Key header.
       // Optional permanent-link mode can be enabled; if it fails, we fallback to classic request.
-      const base = `${TB_MAIN}/torrents/requestdl?torrent_id=${encodeURIComponent(tid)}&file_id=${encodeURIComponent(fid)}&token=${encodeURIComponent(Config.apiKey)}`;
+      const base = `${TB_MAIN}/${kind}/requestdl?${idParam}=${encodeURIComponent(id)}&file_id=${encodeURIComponent(fid)}&token=${encodeURIComponent(Config.apiKey)}`;
       if (!getPreferPermanentLink()) {
         return request(base, { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS }, signal);
       }
@@ -971,7 +2573,164 @@ try {
       return request(base, { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS }, signal);
     }
 
-    return { searchPublicTrackers, checkCached, addMagnet, myList, requestDl };
+    function requestDl(tid, fid, signal) {
+      return requestDownloadLink('torrents', 'torrent_id', tid, fid, signal);
+    }
+
+    // ─── Usenet (NZB) ─────────────────────────────────────────────────
+    function newznabAttr(item, name) {
+      const attrs = [].concat(item?.attr || item?.['newznab:attr'] || []);
+      const hit = attrs.find((a) => (a?.['@attributes']?.name || a?.name) === name);
+      return hit ? hit['@attributes']?.value ?? hit.value ?? null : null;
+    }
+
+    function toUsenetRaw(item, indexer) {
+      const enclosure = item?.enclosure?.['@attributes'] || item?.enclosure || {};
+      const link = String(enclosure.url || item?.link || '').trim();
+      if (!/^https?:\/\//i.test(link)) return null;
+      const guid = typeof item?.guid === 'object' ? item.guid?.text || item.guid?.['#text'] : item?.guid;
+      return {
+        Title: String(item?.title || ''),
+        Size: Number(newznabAttr(item, 'size') || enclosure.length) || 0,
+        PublishDate: item?.pubDate || item?.pubdate || '',
+        Tracker: indexer.name,
+        NzbLink: link,
+        Guid: String(guid || link),
+        Source: 'usenet',
+      };
+    }
+
+    async function searchUsenet(movie, signal, { fresh = false } = {}) {
+      // Newznab-style indexers (JSON output). Each indexer is independent; failures never block torrents.
+      const indexers = getNewznabIndexers();
+      const entriesById = new Map();
+      const attempts = [];
+      if (!indexers.length) return { entriesById, diagnostics: attempts };
+
+      const query = `${movie.title || ''} ${movie.year || ''}`.trim();
+      const categories = cardCategories(movie, getContentCategories());
+      await Promise.all(
+        indexers.map(async (indexer) => {
+          const url = new URL(indexer.url);
+          url.searchParams.set('t', 'search');
+          url.searchParams.set('q', query);
+          url.searchParams.set('cat', categories);
+          url.searchParams.set('o', 'json');
+          const startedAt = Date.now();
+          try {
+            const json = await request(
+              url.toString(),
+              { method: 'GET', is_torbox_api: false, timeoutMs: CONST.PUBLIC_PARSER_TIMEOUT_MS, fresh },
+              signal
+            );
+            const rawItems = [].concat(json?.channel?.item || json?.item || []);
+            let valid = 0;
+            rawItems.forEach((item) => {
+              const raw = toUsenetRaw(item, indexer);
+              if (!raw) return;
+              const id = `nzb${Utils.stableId(raw.Guid)}`;
+              if (entriesById.has(id)) return;
+              entriesById.set(id, raw);
+              valid += 1;
+            });
+            attempts.push({
+              name: indexer.name,
+              elapsed_ms: Date.now() - startedAt,
+              status: valid ? 'success' : rawItems.length ? 'invalid_payload' : 'empty',
+              raw_count: rawItems.length,
+              valid_count: valid,
+            });
+          } catch (e) {
+            if (signal.aborted) throw e;
+            attempts.push({
+              name: indexer.name,
+              elapsed_ms: Date.now() - startedAt,
+              status: classifyParserFailure(e).status,
+              raw_count: 0,
+              valid_count: 0,
+              reason: e?.message || String(e),
+            });
+            LOG('Newznab failed:', indexer.name, e?.message || e);
+          }
+        })
+      );
+
+      DebugTelemetry.usenetAttempts = attempts.slice(-20);
+      return { entriesById, diagnostics: attempts };
+    }
+
+    function addUsenet(link, name, signal) {
+      const fd = new FormData();
+      fd.append('link', link);
+      if (name) fd.append('name', name);
+      return request(
+        `${TB_MAIN}/usenet/createusenetdownload`,
+        { method: 'POST', body: fd, timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+    }
+
+    async function myUsenetList(id, signal) {
+      const json = await request(
+        `${TB_MAIN}/usenet/mylist?id=${encodeURIComponent(id)}&bypass_cache=true`,
+        { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+      if (json && json.data && !Array.isArray(json.data)) json.data = [json.data];
+      return json;
+    }
+
+    function requestUsenetDl(uid, fid, signal) {
+      return requestDownloadLink('usenet', 'usenet_id', uid, fid, signal);
+    }
+
+    // ─── Web downloads (hoster links) ─────────────────────────────────
+    function addWebDownload(link, name, signal) {
+      const fd = new FormData();
+      fd.append('link', link);
+      if (name) fd.append('name', name);
+      return request(
+        `${TB_MAIN}/webdl/createwebdownload`,
+        { method: 'POST', body: fd, timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+    }
+
+    async function myWebDownloadList(id, signal) {
+      const json = await request(
+        `${TB_MAIN}/webdl/mylist?id=${encodeURIComponent(id)}&bypass_cache=true`,
+        { method: 'GET', timeoutMs: CONST.TORBOX_API_TIMEOUT_MS },
+        signal
+      );
+      if (json && json.data && !Array.isArray(json.data)) json.data = [json.data];
+      return json;
+    }
+
+    function requestWebDl(wid, fid, signal) {
+      return requestDownloadLink('webdl', 'web_id', wid, fid, signal);
+    }
+
+    return {
+      searchPublicTrackers,
+      checkCached,
+      invalidateTorBoxResponses,
+      cachedFileList,
+      myLibrary,
+      userInfo,
+      controlTorrent,
+      fetchTorrentFile,
+      addTorrentFile,
+      addMagnet,
+      myList,
+      requestDl,
+      searchUsenet,
+      addUsenet,
+      myUsenetList,
+      requestUsenetDl,
+      addWebDownload,
+      myWebDownloadList,
+      requestWebDl,
+    };
   })();
 
   // ───────────────────────────── Errors → Noty (actionable) ─────────────────────────────
@@ -984,41 +2743,24 @@ try {
         type: t,
         message: String(msg),
       };
+      const hint = t === 'auth' ? ` (${translate('torbox_account_hint')})` : '';
       const prefix =
         t === 'auth' ? translate('torbox_error_prefix_auth') :
         t === 'validation' ? translate('torbox_error_prefix_validation') :
         t === 'network' ? translate('torbox_error_prefix_network') :
         t === 'api' ? translate('torbox_error_prefix_api') : translate('torbox_error_prefix_generic');
       try {
-        Lampa.Noty.show(`${prefix}: ${msg}`, { type: 'error' });
+        Lampa.Noty.show(`${prefix}: ${msg}${hint}`, { type: 'error' });
       } catch {
-        console.error('[TorBox]', prefix + ': ' + msg);
+        console.error('[TorBox]', prefix + ': ' + msg + hint);
       }
       LOG('ERR', t, err);
     },
   };
 
   // ───────────────────────────── Search helpers ─────────────────────────────
-  function generateSearchCombinations(movie = {}) {
-    const combosMap = new Map();
-    const addCombo = (query, tags = [], label) => {
-      const normalized = String(query || '').replace(/\s+/g, ' ').trim();
-      if (!normalized) return;
-      const key = normalized.toLowerCase();
-      const tagSet = new Set(tags.filter(Boolean));
-      if (combosMap.has(key)) {
-        const existing = combosMap.get(key);
-        tagSet.forEach((tag) => existing.tags.add(tag));
-        if (label && label.length < existing.label.length) existing.label = label;
-        return;
-      }
-      combosMap.set(key, {
-        query: normalized,
-        label: label || normalized,
-        tags: tagSet,
-      });
-    };
-
+  // Every name the card is known by (title, original, translations, alternative titles) with its origin tags.
+  function collectCardNames(movie = {}) {
     const nameMap = new Map();
     const registerName = (value, tags = []) => {
       const normalized = String(value || '').replace(/\s+/g, ' ').trim();
@@ -1055,20 +2797,45 @@ try {
       }
     };
 
-    Object.keys(movie).forEach((key) => {
-      if (!/title|name/i.test(key)) return;
-      if (['title', 'name', 'original_title', 'original_name'].includes(key)) return;
-      pushDynamicName(movie[key]);
-    });
-
-    if (Array.isArray(movie?.alternative_titles?.titles)) {
-      movie.alternative_titles.titles.forEach((entry) => pushDynamicName(entry?.title));
-    }
-
-    const names = Array.from(nameMap.values()).map((entry) => ({
-      value: entry.value,
-      tags: Array.from(entry.tags),
-    }));
+    Object.keys(movie).forEach((key) => {
+      if (!/title|name/i.test(key)) return;
+      if (['title', 'name', 'original_title', 'original_name'].includes(key)) return;
+      pushDynamicName(movie[key]);
+    });
+
+    if (Array.isArray(movie?.alternative_titles?.titles)) {
+      movie.alternative_titles.titles.forEach((entry) => pushDynamicName(entry?.title));
+    }
+
+    return Array.from(nameMap.values()).map((entry) => ({
+      value: entry.value,
+      tags: Array.from(entry.tags),
+    }));
+  }
+
+  function generateSearchCombinations(movie = {}) {
+    const combosMap = new Map();
+    const addCombo = (query, tags = [], label) => {
+      const normalized = String(query || '').replace(/\s+/g, ' ').trim();
+      if (!normalized) return;
+      const key = normalized.toLowerCase();
+      const tagSet = new Set(tags.filter(Boolean));
+      if (combosMap.has(key)) {
+        const existing = combosMap.get(key);
+        tagSet.forEach((tag) => existing.tags.add(tag));
+        if (label && label.length < existing.label.length) existing.label = label;
+        return;
+      }
+      combosMap.set(key, {
+        query: normalized,
+        label: label || normalized,
+        tags: tagSet,
+      });
+    };
+
+    const title = (movie.title || movie.name || '').trim();
+    const orig = (movie.original_title || movie.original_name || '').trim();
+    const names = collectCardNames(movie);
 
     const yearRaw = (movie.release_date || movie.first_air_date || movie.year || '').toString();
     const year = yearRaw ? yearRaw.slice(0, 4) : '';
@@ -1136,6 +2903,492 @@ try {
     return result;
   }
 
+  // ───────────────────────────── Relevance gate ─────────────────────────────
+  // Parsers answer loose full-text queries, so "Alien 1979" also brings Aliens or Alien: Romulus.
+  // Each release title is reduced to its name part and checked against the card names, year and season.
+  const CYRILLIC_TO_LATIN = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y', к: 'k', л: 'l',
+    м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+    щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya', і: 'i', ї: 'yi', є: 'ye', ґ: 'g',
+  };
+  const transliterate = (value) =>
+    String(value || '')
+      .toLowerCase()
+      .replace(/[а-яёіїєґ]/g, (ch) => CYRILLIC_TO_LATIN[ch] ?? ch);
+
+  // Latin letters that do not decompose into base letter + accent
+  const LATIN_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' };
+
+  // Accents are dropped from Latin letters only ("Amélie" -> "amelie"); й/ё/ї keep their own letters
+  const normalizeMatchTitle = (value) =>
+    String(value || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/([a-z])[\u0300-\u036f]+/g, '$1')
+      .normalize('NFC')
+      .replace(/[ßæœøłđðþı]/g, (ch) => LATIN_FOLDS[ch])
+      .replace(/ё/g, 'е')
+      .replace(/&/g, ' and ')
+      .replace(/['’`]/g, '')
+      .replace(/[^a-z0-9а-яіїєґ]+/g, ' ')
+      .trim();
+
+  const RELEVANCE_THRESHOLD = 60;
+  const RELEVANCE_YEAR_RE = /(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/g;
+  // Where the name part of a segment ends: brackets, release tokens, season/episode markers, editions.
+  const RELEASE_NAME_STOPS = [
+    /[([{]/,
+    ...[RELEASE_RESOLUTIONS, RELEASE_SOURCES, RELEASE_VIDEO_CODECS, RELEASE_HDR, RELEASE_EDITIONS].flatMap((table) =>
+      table.map(([, re]) => re)
+    ),
+    /(?:^|[^a-z0-9])s\d{1,2}(?:e\d{1,3})?(?=$|[^a-z0-9])/i,
+    /(?:^|[^a-z0-9])\d{1,2}x\d{2,3}(?=$|[^a-z0-9])/i,
+    /(?:^|[^a-z0-9а-яё])(?:seasons?|сезоны?|сезона|серии|серия|episodes?|complete)(?=$|[^a-z0-9а-яё])/i,
+  ];
+
+  // "Чужой / Alien (1979) BDRip 1080p" -> ['чужой', 'alien', 'alien 1979']. Every year may end the name
+  // or belong to it ("Blade Runner 2049 (2017)"), so each year position yields its own candidate.
+  const releaseTitleParts = (title) => {
+    const parts = [];
+    String(title || '')
+      .split(/[/|]/)
+      .forEach((segment) => {
+        const str = segment.replace(/[._]/g, ' ');
+        let cut = str.length;
+        RELEASE_NAME_STOPS.forEach((re) => {
+          const idx = str.search(re);
+          if (idx >= 0 && idx < cut) cut = idx;
+        });
+        RELEVANCE_YEAR_RE.lastIndex = 0;
+        let m;
+        while ((m = RELEVANCE_YEAR_RE.exec(str)) && m.index < cut) parts.push(normalizeMatchTitle(str.slice(0, m.index)));
+        parts.push(normalizeMatchTitle(str.slice(0, cut)));
+      });
+    return [...new Set(parts.filter(Boolean))];
+  };
+
+  const cardYearRange = (movie = {}) => {
+    const first = parseInt(String(movie.release_date || movie.first_air_date || movie.year || '').slice(0, 4), 10);
+    if (!first) return null;
+    const series = cardContentType(movie) === 'tv' || !!(movie.name || movie.original_name || movie.number_of_seasons);
+    // Later seasons of a series are released years after the first air date
+    const last = series ? parseInt(String(movie.last_air_date || '').slice(0, 4), 10) || new Date().getFullYear() : first;
+    return { from: first - 1, to: last + 1 };
+  };
+
+  /**
+   * Builds a scorer for one card; returns null when there is nothing to compare against
+   * (custom title searches, cards without names) so every result counts as relevant.
+   */
+  // `season` is the season the card was opened for (the list's entry season); 0/null = any
+  const createRelevanceMatcher = (movie, season = 0) => {
+    if (!movie || movie.query_only) return null;
+    const names = new Set();
+    collectCardNames(movie).forEach(({ value }) => {
+      const name = normalizeMatchTitle(value);
+      if (!name) return;
+      names.add(name);
+      names.add(normalizeMatchTitle(transliterate(name)));
+    });
+    if (!names.size) return null;
+    const years = cardYearRange(movie);
+    const wantedSeason = Number(season || movie.season_number || movie.season) || null;
+    const nameList = [...names];
+    return (title) => {
+      const candidates = releaseTitleParts(title).flatMap((part) => [part, normalizeMatchTitle(transliterate(part))]);
+      let name = 'none';
+      if (candidates.some((part) => names.has(part))) name = 'exact';
+      else if (candidates.some((part) => nameList.some((n) => part.startsWith(`${n} `)))) name = 'partial';
+
+      // Years that belong to a card name ("Blade Runner 2049") say nothing about the release year
+      const found = [];
+      RELEVANCE_YEAR_RE.lastIndex = 0;
+      let m;
+      while ((m = RELEVANCE_YEAR_RE.exec(String(title || '')))) {
+        if (!nameList.some((n) => n.split(' ').includes(m[1]))) found.push(Number(m[1]));
+      }
+      let year = 'unknown';
+      if (years && found.length) year = found.some((y) => y >= years.from && y <= years.to) ? 'match' : 'mismatch';
+
+      let seasonCheck = 'unknown';
+      if (wantedSeason) {
+        const release = parseReleaseName(title);
+        if (release.seasons.length) seasonCheck = release.seasons.includes(wantedSeason) ? 'match' : 'mismatch';
+        else if (release.complete) seasonCheck = 'match';
+      }
+
+      const score =
+        { exact: 60, partial: 40, none: 0 }[name] +
+        { match: 30, unknown: 10, mismatch: -40 }[year] +
+        { match: 10, unknown: 0, mismatch: -40 }[seasonCheck];
+      return { score, relevant: score >= RELEVANCE_THRESHOLD, name, year, season: seasonCheck };
+    };
+  };
+
+  // ───────────────────────────── Duplicate grouping ─────────────────────────────
+  // The same release re-uploaded to several trackers differs only in hash, tracker and title formatting.
+  const DUPLICATE_SIZE_TOLERANCE = 0.01;
+  const DUPLICATE_TITLE_OVERLAP = 0.6;
+
+  const duplicateTokens = (title) =>
+    new Set(
+      normalizeMatchTitle(transliterate(title))
+        .split(' ')
+        .filter((token) => token.length > 1)
+    );
+
+  // Share of the shorter title's tokens found in the other one ("Dune 2021 2160p" vs "Дюна / Dune (2021) 2160p")
+  const titleOverlap = (a, b) => {
+    if (!a.size || !b.size) return 0;
+    let shared = 0;
+    a.forEach((token) => {
+      if (b.has(token)) shared++;
+    });
+    return shared / Math.min(a.size, b.size);
+  };
+
+  // Fields stated by both titles must agree; a missing field never blocks a match
+  const sameReleaseFields = (a = {}, b = {}) =>
+    ['resolution', 'source', 'codec'].every((key) => !a[key] || !b[key] || a[key] === b[key]) &&
+    String(a.seasons || '') === String(b.seasons || '') &&
+    String(a.episodes || '') === String(b.episodes || '');
+
+  /**
+   * Clusters near-duplicate view items; groups keep the position of their first member.
+   * The lead is the copy Enter plays: a cached one when there is one, then the best-seeded.
+   * `alternatives` are the rest.
+   */
+  const groupNearDuplicates = (items, tolerance = DUPLICATE_SIZE_TOLERANCE) => {
+    const groups = [];
+    const tokens = new Map();
+    const tokensOf = (item) => {
+      if (!tokens.has(item)) tokens.set(item, duplicateTokens(item.raw_title || item.title));
+      return tokens.get(item);
+    };
+    const isCopy = (a, b) => {
+      if ((a.source || 'torrent') !== (b.source || 'torrent') || (a.relevant === false) !== (b.relevant === false)) return false;
+      const sizeA = Number(a.size) || 0;
+      const sizeB = Number(b.size) || 0;
+      if (!sizeA || !sizeB || Math.abs(sizeA - sizeB) > Math.max(sizeA, sizeB) * tolerance) return false;
+      return sameReleaseFields(a.release, b.release) && titleOverlap(tokensOf(a), tokensOf(b)) >= DUPLICATE_TITLE_OVERLAP;
+    };
+
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const group = groups.find((members) => isCopy(members[0], item));
+      if (group) group.push(item);
+      else groups.push([item]);
+    });
+
+    return groups.map((members) => {
+      const better = (m, best) =>
+        !!m.cached !== !!best.cached
+          ? !!m.cached
+          : (Number(m.last_known_seeders) || 0) > (Number(best.last_known_seeders) || 0);
+      const lead = members.reduce((best, m) => (better(m, best) ? m : best), members[0]);
+      return {
+        key: String(lead.hash || ''),
+        lead,
+        alternatives: members.filter((m) => m !== lead),
+        trackers: [...new Set(members.flatMap((m) => m.trackers || []))],
+      };
+    });
+  };
+
+  // ───────────────────────────── Recommended score ─────────────────────────────
+  // Minutes of video a release holds: card runtime × episodes (listed episodes, the episode count of the
+  // listed seasons, or every episode for a complete pack). 0 when unknown: no runtime on the card, or a
+  // series release whose episode count the card cannot tell (it must not pass for a single episode).
+  const releaseDurationMinutes = (release = {}, movie = {}) => {
+    const runTimes = Array.isArray(movie.episode_run_time) ? movie.episode_run_time : [];
+    const runtime = Number(movie.runtime) || Number(runTimes[0]) || 0;
+    if (!runtime) return 0;
+    const episodes = Array.isArray(release.episodes) ? release.episodes.length : 0;
+    if (episodes) return runtime * episodes;
+    const seasons = Array.isArray(release.seasons) ? release.seasons : [];
+    const seasonInfo = Array.isArray(movie.seasons) ? movie.seasons : [];
+    const totalEpisodes = Number(movie.number_of_episodes) || 0;
+    if (seasons.length) {
+      const counts = seasons.map((n) => Number(seasonInfo.find((s) => Number(s?.season_number) === n)?.episode_count) || 0);
+      if (counts.every(Boolean)) return runtime * counts.reduce((sum, count) => sum + count, 0);
+      const perSeason = totalEpisodes / (Number(movie.number_of_seasons) || 0);
+      if (isFinite(perSeason) && perSeason > 0) return runtime * Math.round(perSeason * seasons.length);
+      return 0;
+    }
+    if (release.complete) return runtime * totalEpisodes;
+    const series = !!(movie.first_air_date || movie.number_of_seasons || runTimes.length);
+    return series ? 0 : runtime;
+  };
+
+  // Average bitrate in Mbit/s over the release's duration; 0 when the size or duration is unknown
+  const estimateBitrateMbps = (size, minutes) => {
+    const bytes = Number(size) || 0;
+    if (!bytes || !(minutes > 0)) return 0;
+    return Math.round(((bytes * 8) / (minutes * 60) / 1e6) * 10) / 10;
+  };
+  const isOverBitrate = (item, limit) => limit > 0 && (Number(item?.bitrate_mbps) || 0) > limit;
+
+  const MAX_RELEASE_RANK = Math.max(...Object.values(QUALITY_RANKS)) * 10 + Math.max(...Object.values(RELEASE_SOURCE_TIERS));
+  // MB per minute mapped to 0..1 on a log scale (roughly 0.7 to 27 Mbit/s)
+  const SIZE_PER_MINUTE_RANGE = [5, 200];
+  const preferenceRank = (list, value) => {
+    const idx = list.indexOf(value);
+    return idx < 0 ? 0 : 1 - idx / list.length;
+  };
+
+  /**
+   * Weighted 0..100 score of a view item. Every factor is normalized to 0..1 first; `factors` keeps
+   * value, the value actually scored, weight, share and points per input so the list can explain why an
+   * item is ranked where it is.
+   * ctx: { weights, trackerWeights, audioLangs, videoCodecs, maxSeeders, movie, now }
+   */
+  const scoreRelease = (item, ctx) => {
+    const values = {};
+    const seeders = Number(item.last_known_seeders) || 0;
+    values.cached = item.cached ? 1 : 0;
+    // Usenet has no swarm; it neither wins nor loses on seeders
+    if (item.source === 'usenet') values.seeders = 0.5;
+    else values.seeders = ctx.maxSeeders > 0 ? Math.log10(1 + seeders) / Math.log10(1 + ctx.maxSeeders) : 0;
+    values.quality = Math.min(1, (Number(item.release_rank) || 0) / MAX_RELEASE_RANK);
+
+    const minutes = releaseDurationMinutes(item.release, ctx.movie);
+    const mbPerMinute = minutes && item.size ? item.size / 1048576 / minutes : 0;
+    const [low, high] = SIZE_PER_MINUTE_RANGE;
+    values.size = mbPerMinute ? Utils.clamp(Math.log(mbPerMinute / low) / Math.log(high / low), 0, 1) : 0.5;
+
+    const ageDays = item.publish_timestamp ? Math.max(0, (ctx.now - item.publish_timestamp) / 86400000) : null;
+    values.age = ageDays === null ? 0.5 : 1 / (1 + ageDays / 365);
+
+    const trackerWeights = (item.trackers || [])
+      .map((name) => ctx.trackerWeights[String(name).toLowerCase()])
+      .filter((weight) => weight !== undefined);
+    values.tracker = trackerWeights.length ? Math.max(...trackerWeights) : 0.5;
+
+    // Without configured preferences these factors are the same for every item
+    values.audio = ctx.audioLangs.length
+      ? Math.max(0, ...(item.audio_langs || []).map((lang) => preferenceRank(ctx.audioLangs, canonicalLanguage(lang))))
+      : 0.5;
+    values.codec = ctx.videoCodecs.length ? preferenceRank(ctx.videoCodecs, canonicalVideoCodec(item.video_codec)) : 0.5;
+
+    const total = SCORE_FACTORS.reduce((sum, factor) => sum + Math.abs(Number(ctx.weights[factor]) || 0), 0);
+    const factors = SCORE_FACTORS.map((factor) => {
+      const weight = Number(ctx.weights[factor]) || 0;
+      // A negative weight inverts the factor (e.g. prefer smaller files) so scores stay within 0..100
+      const scored = Math.round((weight < 0 ? 1 - values[factor] : values[factor]) * 100) / 100;
+      // share: the points this factor gives at full value. Points come from the rounded numbers shown in
+      // the breakdown, so scored × share = points there.
+      const share = total ? Math.round(((Math.abs(weight) * 100) / total) * 10) / 10 : 0;
+      return {
+        factor,
+        value: Math.round(values[factor] * 100) / 100,
+        scored,
+        weight,
+        share,
+        points: Math.round(scored * share * 10) / 10,
+      };
+    });
+    return { score: Math.round(factors.reduce((sum, f) => sum + f.points, 0) * 10) / 10, factors };
+  };
+
+  // Pasted hoster URL -> list item for a TorBox web download; null for anything but http(s).
+  // The name is the last path segment; a segment with broken %-escapes is shown as typed.
+  const webLinkItem = (value) => {
+    let url;
+    try {
+      url = new URL(String(value || '').trim());
+    } catch {
+      return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    const link = url.toString();
+    const segment = url.pathname.split('/').filter(Boolean).pop() || '';
+    let name = segment;
+    try {
+      name = decodeURIComponent(segment);
+    } catch {
+      /* keep the raw segment */
+    }
+    name = name.trim() || url.hostname;
+    return {
+      hash: `web${Utils.stableId(link)}`,
+      source: 'webdl',
+      web_link: link,
+      title: Utils.escapeHtml(name),
+      raw_title: name,
+      trackers: [url.hostname],
+    };
+  };
+
+  // ───────────────────────────── File preview helpers ─────────────────────────────
+  // [{ name, size }] from TorBox or parser file metadata (name/path may be a string or a path array)
+  const normalizeFileList = (files) => {
+    if (!Array.isArray(files)) return null;
+    const list = files
+      .map((f) => {
+        if (typeof f === 'string') return { name: f, size: 0 };
+        const rawPath = f?.name ?? f?.path ?? f?.Name ?? f?.Path ?? '';
+        return {
+          name: String(Array.isArray(rawPath) ? rawPath.join('/') : rawPath).replace(/^\/+/, ''),
+          size: Number(f?.size ?? f?.length ?? f?.Size ?? f?.Length) || 0,
+        };
+      })
+      .filter((f) => f.name);
+    return list.length ? list : null;
+  };
+
+  const parserFileList = (raw) => normalizeFileList(raw?.files || raw?.Files || raw?.file_list || null);
+
+  // Flat rows for a file tree (directory header followed by its files) plus totals and detected episodes
+  const buildFilePreview = (files) => {
+    const list = (files || []).map((f, i) => Object.assign({ __idx: i }, f)).sort(Utils.naturalEpisodeSort);
+    const rows = [];
+    const episodes = [];
+    let lastDir = null;
+    let totalSize = 0;
+    list.forEach((f) => {
+      const parts = f.name.split('/');
+      const base = parts.pop();
+      const dir = parts.join('/');
+      if (dir !== lastDir) {
+        if (dir) rows.push({ type: 'dir', name: dir });
+        lastDir = dir;
+      }
+      const episode = Utils.episodeTag(base);
+      if (episode) episodes.push(episode);
+      totalSize += f.size;
+      rows.push({ type: 'file', name: base, nested: !!dir, size: f.size, episode });
+    });
+    return { rows, fileCount: list.length, totalSize, episodes };
+  };
+
+  // ───────────────────────────── Torrent management (control actions) ─────────────────────────────
+  const TORRENT_ACTIONS = [
+    { operation: 'resume', labelKey: 'torbox_actions_resume' },
+    { operation: 'pause', labelKey: 'torbox_actions_pause' },
+    { operation: 'reannounce', labelKey: 'torbox_actions_reannounce' },
+    { operation: 'delete', labelKey: 'torbox_actions_delete', confirm: true },
+  ];
+
+  const torrentIdForHash = (hash) => (hash ? Store.get(`torbox_id_for_hash_${hash}`, '') : '');
+
+  // Select items for a long-press menu; empty when we don't know the TorBox id of the torrent.
+  const torrentActionItems = (id) =>
+    id ? TORRENT_ACTIONS.map((a) => ({ title: translate(a.labelKey), torrent_operation: a.operation })) : [];
+
+  // Remote-friendly yes/no: "Cancel" is listed (and focused) first, Back cancels as well.
+  const confirmSelect = (title, onConfirm, onCancel) => {
+    Lampa.Select.show({
+      title,
+      items: [{ title: translate('torbox_confirm_cancel') }, { title: translate('torbox_confirm_yes'), confirmed: true }],
+      onSelect: (a) => (a.confirmed ? onConfirm() : onCancel()),
+      onBack: onCancel,
+    });
+  };
+
+  // Runs a control-torrent operation (after confirmation where needed). onDone(operation) runs on success;
+  // cached TorBox answers are dropped and a delete also drops the local hash -> TorBox id mapping.
+  const runTorrentAction = ({ id, hash, title }, operation, onDone) => {
+    const action = TORRENT_ACTIONS.find((a) => a.operation === operation);
+    if (!action || !id) return Lampa.Controller.toggle('content');
+
+    const execute = () => {
+      const controller = new AbortController();
+      Lampa.Loading.start(() => controller.abort(), translate('torbox_loading_action'));
+      return Api.controlTorrent(id, operation, controller.signal)
+        .then(() => {
+          Api.invalidateTorBoxResponses();
+          if (operation === 'delete' && hash) Store.set(`torbox_id_for_hash_${hash}`, '');
+          LOG('Torrent action done', operation, id);
+          Lampa.Noty.show(translateWithParams('torbox_actions_done', { action: translate(action.labelKey) }));
+          return true;
+        })
+        .catch((err) => {
+          if (err?.name !== 'AbortError') ErrorHandler.show(err?.type || 'error', err);
+          return false;
+        })
+        .then((done) => {
+          Lampa.Loading.stop();
+          Lampa.Controller.toggle('content');
+          // After the loader is closed, so onDone may start its own flow
+          if (done && typeof onDone === 'function') onDone(operation);
+        });
+    };
+
+    if (!action.confirm) return execute();
+    confirmSelect(
+      translateWithParams('torbox_confirm_delete', { title: Utils.escapeHtml(title || String(id)) }),
+      execute,
+      () => Lampa.Controller.toggle('content')
+    );
+  };
+
+  // ───────────────────────────── Active-download limit (slot freeing) ─────────────────────────────
+  const ACTIVE_LIMIT_CODES = ['ACTIVE_LIMIT'];
+
+  const isActiveLimitError = (err) =>
+    !!err &&
+    (ACTIVE_LIMIT_CODES.includes(err.code) ||
+      /active[ _]limit|active (?:downloads? |torrents? )?limit|maximum (?:number of )?active/i.test(String(err.message || '')));
+
+  const recordSlotEvent = (event) => {
+    DebugTelemetry.slotFreeing.push(Object.assign({ ts: new Date().toISOString() }, event));
+    if (DebugTelemetry.slotFreeing.length > 20) DebugTelemetry.slotFreeing = DebugTelemetry.slotFreeing.slice(-20);
+  };
+
+  // createtorrent refused by the plan limit: list active downloads (mylist), let the user delete one,
+  // then run `retry` (the original add). Every choice lands in the diagnostics trail (slot_freeing).
+  const offerSlotFreeing = (err, retry) => {
+    const controller = new AbortController();
+    const giveUp = () => {
+      ErrorHandler.show(err?.type || 'api', err);
+      Lampa.Controller.toggle('content');
+    };
+    Lampa.Loading.start(() => controller.abort(), translate('torbox_slot_loading'));
+    Api.myLibrary(controller.signal)
+      .then((res) => {
+        Lampa.Loading.stop();
+        const active = activeDownloadsOf(res?.data);
+        recordSlotEvent({ action: 'offered', code: err?.code || '', active: active.length });
+        if (!active.length) return giveUp();
+
+        const cancel = () => {
+          recordSlotEvent({ action: 'cancelled' });
+          Lampa.Controller.toggle('content');
+        };
+        Lampa.Select.show({
+          title: translate('torbox_slot_title'),
+          items: [
+            { title: translate('torbox_confirm_cancel'), subtitle: translate('torbox_slot_hint') },
+            ...active.map((t) => ({
+              title: Utils.escapeHtml(t.name || String(t.id)),
+              subtitle: [
+                `${Math.round(t.progress * 100)}%`,
+                t.size ? Utils.formatBytes(t.size) : '',
+                Utils.escapeHtml(t.download_state),
+              ]
+                .filter(Boolean)
+                .join(' · '),
+              torrent: t,
+            })),
+          ],
+          onSelect: (a) => {
+            if (!a.torrent) return cancel();
+            const t = a.torrent;
+            recordSlotEvent({ action: 'selected', torrent_id: t.id, name: t.name, progress: t.progress });
+            runTorrentAction({ id: t.id, hash: t.hash, title: t.name }, 'delete', () => {
+              recordSlotEvent({ action: 'deleted_retry', torrent_id: t.id });
+              retry();
+            });
+          },
+          onBack: cancel,
+        });
+      })
+      .catch((e) => {
+        Lampa.Loading.stop();
+        if (e?.name === 'AbortError') return Lampa.Controller.toggle('content');
+        giveUp();
+      });
+  };
+
   // ───────────────────────────── Main Component ─────────────────────────────
   function MainComponent(object) {
     /** Internal state */
@@ -1146,6 +3399,7 @@ try {
     let initialized = false;
     let lastFocused = null;
     let cachedToggleBtn = null;
+    let pasteLinkBtn = null;
     let activeTorrentController = null;
     let pendingPlayback = null;
 
@@ -1158,21 +3412,43 @@ try {
       { key: 'size_desc', labelKey: 'torbox_sort_size_desc', field: 'size', reverse: true },
       { key: 'size_asc', labelKey: 'torbox_sort_size_asc', field: 'size', reverse: false },
       { key: 'age', labelKey: 'torbox_sort_age', field: 'publish_timestamp', reverse: true },
+      { key: 'quality', labelKey: 'torbox_sort_quality', field: 'release_rank', reverse: true },
+      { key: 'recommended', labelKey: 'torbox_sort_recommended', field: 'recommended_score', reverse: true },
     ];
 
+    const SIZE_FILTER_STEPS_GB = [1, 2, 4, 8, 15, 20, 30, 50, 80];
+    const GIB = 1024 * 1024 * 1024;
+
     const defaultFilters = {
       quality: 'all',
+      size_min: 'all',
+      size_max: 'all',
       tracker: 'all',
       video_type: 'all',
       translation: 'all',
       lang: 'all',
       video_codec: 'all',
       audio_codec: 'all',
+      release_source: 'all',
+      hdr: 'all',
+      season: 'all',
+      source: 'all',
     };
 
+    // The entry season is the one the user came from (or last played here). It drives the season filter
+    // and the relevance gate; the filter belongs to the card and is never written to the shared storage.
+    const seasonStorageKey = () => `torbox_last_season_${object.movie?.imdb_id || object.movie?.id || 'unknown'}`;
+    const entrySeason = () => {
+      const movie = object.movie || {};
+      const season = Number(object.season || movie.season_number || movie.season || Store.get(seasonStorageKey(), '')) || 0;
+      return season > 0 ? season : 0;
+    };
+    const entrySeasonFilter = () => (entrySeason() ? String(entrySeason()) : 'all');
+
     const loadFilters = () => {
       try {
-        return JSON.parse(Store.get('torbox_filters_v2', JSON.stringify(defaultFilters)));
+        // Merge with defaults so filters added in newer versions start as 'all'
+        return Object.assign({}, defaultFilters, JSON.parse(Store.get('torbox_filters_v2', JSON.stringify(defaultFilters))));
       } catch {
         Store.set('torbox_filters_v2', JSON.stringify(defaultFilters));
         return { ...defaultFilters };
@@ -1188,12 +3464,21 @@ try {
     const state = {
       all_torrents: [],
       sort: Store.get('torbox_sort_method', 'seeders'),
-      filters: loadFilters(),
+      filters: Object.assign(loadFilters(), { season: entrySeasonFilter() }),
+      season_from_entry: true, // the season filter is still the entry default, not the user's pick
       last_hash: null,
       view: 'torrents', // 'torrents' | 'episodes'
       current_torrent_data: null,
       search_query: null,
       show_only_cached: loadCachedOnly(),
+      show_unrelated: false,
+      unrelated_count: 0,
+      expanded_groups: new Set(),
+    };
+
+    const saveFilters = () => {
+      const { season, ...persisted } = state.filters;
+      Store.set('torbox_filters_v2', JSON.stringify(persisted));
     };
 
     const readPreferenceState = () => ({
@@ -1201,6 +3486,10 @@ try {
       audioLangs: getPreferredAudioLangs(),
       videoCodecs: getPreferredVideoCodecs(),
       excludedTrackers: getExcludedTrackers(),
+      scoreWeights: getScoreWeights(),
+      trackerWeights: getTrackerWeights(),
+      maxBitrate: getMaxBitrate(),
+      maxBitrateMode: getMaxBitrateMode(),
     });
 
     const isTrackerExcluded = (torrentTrackers, excludedSet) => {
@@ -1286,7 +3575,9 @@ try {
         `element: ${describeElementForDebug(element)}`,
       ];
       if (DebugTelemetry.selectedParser?.name) {
-        lines.push(`parser: ${DebugTelemetry.selectedParser.name} (${DebugTelemetry.selectedParser.valid_count || 0})`);
+        lines.push(
+          `parser [${DebugTelemetry.selectedParser.mode || '-'}]: ${DebugTelemetry.selectedParser.name} (${DebugTelemetry.selectedParser.valid_count || 0})`
+        );
       }
       debugOverlayEl.text(lines.join('\n'));
     };
@@ -1296,6 +3587,7 @@ try {
       version: VERSION,
       settings: {
         proxy_url: Config.proxyUrl || '',
+        connection_mode: getConnectionMode(),
         debug: !!Config.debug,
         debug_overlay: getDebugOverlayEnabled(),
         prefer_permanent_link: getPreferPermanentLink(),
@@ -1305,8 +3597,18 @@ try {
         preferred_audio_langs: getPreferredAudioLangs(),
         preferred_video_codecs: getPreferredVideoCodecs(),
         excluded_trackers: getExcludedTrackers(),
+        score_weights: formatScoreWeights(getScoreWeights()),
+        max_bitrate: getMaxBitrate(),
+        max_bitrate_mode: getMaxBitrateMode(),
         video_extensions: getVideoExtensions(),
+        parser_mode: getParserMode(),
+        search_source: getSearchSourceMode(),
+        newznab_indexers: getNewznabIndexers().map((entry) => entry.name),
+        parsers: getParserConfigs().map(({ name, type, url, enabled }) => ({ name, type, url, enabled })),
+        content_categories: getContentCategories(),
+        cached_status_ttl_h: getCachedStatusTtlHours(),
       },
+      cached_status_entries: CachedStatus.size(),
       state: {
         view: state.view,
         sort: state.sort,
@@ -1317,7 +3619,16 @@ try {
       },
       last_error: DebugTelemetry.lastError,
       selected_parser: DebugTelemetry.selectedParser,
+      search_categories: DebugTelemetry.searchCategories,
+      relevance: DebugTelemetry.relevance,
       parser_attempts: DebugTelemetry.parserAttempts.slice(-20),
+      usenet_attempts: DebugTelemetry.usenetAttempts.slice(-20),
+      retries: DebugTelemetry.retries.slice(-20),
+      cors_capabilities: CorsCapability.snapshot(),
+      request_cache: Object.assign({}, DebugTelemetry.requestCache),
+      slot_freeing: DebugTelemetry.slotFreeing.slice(-20),
+      proxy_health: ProxyHealth.snapshot(),
+      routes: DebugTelemetry.routes.slice(-30),
       logs_tail: DebugTelemetry.logs.slice(-50),
     });
 
@@ -1330,7 +3641,7 @@ try {
       // Lampa's built-in filter bar uses `.filter--search/.filter--sort/.filter--filter` buttons.
       // Some builds may use different class naming, so we keep a fallback.
       let items = container.find(
-        '.torbox-cached-toggle.selector, .filter--search.selector, .filter--sort.selector, .filter--filter.selector'
+        '.torbox-cached-toggle.selector, .filter--search.selector, .torbox-paste-link.selector, .filter--sort.selector, .filter--filter.selector'
       );
 
       if (!items || !items.length) {
@@ -1368,6 +3679,7 @@ try {
       if (element.hasClass('torbox-watched-item')) return FocusZones.CONTINUE;
       if (
         element.hasClass('torbox-cached-toggle') ||
+        element.hasClass('torbox-paste-link') ||
         element.hasClass('filter__item') ||
         element.hasClass('filter--search') ||
         element.hasClass('filter--sort') ||
@@ -1625,10 +3937,13 @@ try {
     const lastTorrentStorageKey = () => `torbox_last_torrent_data_${movieStorageKey()}`;
 
     const compactTorrentSnapshot = (src) => {
-      if (!src || !src.hash || !src.magnet) return null;
+      if (!src || !src.hash || !(src.magnet || src.nzb_link || src.web_link)) return null;
       return {
         hash: src.hash,
-        magnet: src.magnet,
+        magnet: src.magnet || '',
+        nzb_link: src.nzb_link || '',
+        web_link: src.web_link || '',
+        source: src.source || 'torrent',
         title: src.raw_title || src.title || '',
         size: Number(src.size) || 0,
         last_known_seeders: Number(src.last_known_seeders) || 0,
@@ -1650,6 +3965,9 @@ try {
           const minimal = {
             hash: normalized.hash,
             magnet: normalized.magnet,
+            nzb_link: normalized.nzb_link || '',
+            web_link: normalized.web_link || '',
+            source: normalized.source || 'torrent',
             title: normalized.title,
             cached: !!normalized.cached,
             quality: normalized.quality || null,
@@ -1700,6 +4018,42 @@ try {
       });
     };
 
+    // Marks results that do not belong to the card; the diagnostics keep a sample of rejected titles.
+    const applyRelevance = (list, matcher) => {
+      if (!matcher) {
+        DebugTelemetry.relevance = null;
+        return;
+      }
+      const rejected = [];
+      list.forEach((item) => {
+        item.relevance = matcher(item.raw_title);
+        item.relevant = item.relevance.relevant;
+        if (!item.relevant) rejected.push(Object.assign({ title: item.raw_title.slice(0, 160) }, item.relevance));
+      });
+      DebugTelemetry.relevance = { total: list.length, unrelated: rejected.length, rejected: rejected.slice(0, 10) };
+    };
+
+    // Each row reads "scored value × share = points"; the rows add up to the score
+    const showScoreBreakdown = (data) => {
+      const total = data.score_factors.reduce((sum, f) => sum + Math.abs(f.weight), 0);
+      Lampa.Select.show({
+        title: translateWithParams('torbox_score_title', { score: data.recommended_score }),
+        items: data.score_factors.map((f) => ({
+          title: `${translate(`torbox_score_factor_${f.factor}`)}: ${f.points}`,
+          subtitle: translateWithParams(f.weight < 0 ? 'torbox_score_factor_detail_inverted' : 'torbox_score_factor_detail', {
+            value: f.value,
+            scored: f.scored,
+            share: f.share,
+            points: f.points,
+            weight: f.weight,
+            total,
+          }),
+        })),
+        onSelect: () => Lampa.Controller.toggle('content'),
+        onBack: () => Lampa.Controller.toggle('content'),
+      });
+    };
+
     const cancelActiveTorrentFlow = () => {
       if (activeTorrentController) {
         try {
@@ -1720,9 +4074,14 @@ try {
 
       let html = '';
       if (tech.video_resolution) html += tag(Utils.escapeHtml(tech.video_resolution), 'res');
-      if (tech.video_codec) html += tag(Utils.escapeHtml(String(tech.video_codec).toUpperCase()), 'codec');
-      if (tech.has_hdr) html += tag('HDR', 'hdr');
-      if (tech.has_dv) html += tag('Dolby Vision', 'dv');
+      if (tech.video_source) html += tag(Utils.escapeHtml(tech.video_source), 'source');
+      if (tech.video_codec) {
+        const depth = tech.bit_depth ? ` ${tech.bit_depth}bit` : '';
+        html += tag(Utils.escapeHtml(String(tech.video_codec).toUpperCase() + depth), 'codec');
+      }
+      (tech.hdr || []).forEach((flavor) => {
+        html += flavor === 'DV' ? tag('Dolby Vision', 'dv') : tag(Utils.escapeHtml(flavor), 'hdr');
+      });
 
       // Audio streams (resilient: show codec/lang/layout if present; tolerates missing ffprobe)
       const audioStreams = Array.isArray(raw?.ffprobe) ? raw.ffprobe.filter((s) => s?.codec_type === 'audio') : [];
@@ -1739,11 +4098,14 @@ try {
         const text = [lang, codec, layout].filter(Boolean).join(' ');
         if (text) html += tag(Utils.escapeHtml(text), 'audio');
       });
+      // No ffprobe audio: fall back to what the release name advertises
+      if (!audioStreams.length && tech.audio_summary) html += tag(Utils.escapeHtml(tech.audio_summary), 'audio');
+      if (tech.edition) html += tag(Utils.escapeHtml(tech.edition), 'edition');
 
       return html ? `<div class="torbox-item__tech-bar">${html}</div>` : '';
     };
 
-    const toViewItem = (raw, hashHex, cachedSet) => {
+    const toViewItem = (raw, hashHex, cachedSet, sources = []) => {
       const v = Array.isArray(raw?.ffprobe) ? raw.ffprobe.find((s) => s.codec_type === 'video') : null;
       const a = Array.isArray(raw?.ffprobe) ? raw.ffprobe.filter((s) => s.codec_type === 'audio') : [];
       const trackers = String(raw?.Tracker || '')
@@ -1751,46 +4113,92 @@ try {
         .map((item) => String(item || '').trim())
         .filter(Boolean);
       const primaryTracker = trackers[0] || translate('torbox_not_available');
+      const parserSources = Array.isArray(sources) ? sources.filter(Boolean) : [];
+      const release = parseReleaseName(raw?.Title || '');
+
+      const hdr = release.hdr.slice();
+      const videoType = String(raw?.info?.videotype || '');
+      if (/(dovi|dolby\s*vision)/i.test(videoType) && !hdr.includes('DV')) hdr.unshift('DV');
+      if (/hdr/i.test(videoType) && !hdr.some((x) => x !== 'DV')) hdr.push('HDR');
+      const probedAudioCodecs = a.map((s) => canonicalAudioCodec(s?.codec_name)).filter(Boolean);
+      const probedLangs = a.map((s) => canonicalLanguage(s?.tags?.language || s?.tags?.LANGUAGE)).filter(Boolean);
 
       const tech = {
-        video_codec: v?.codec_name || null,
-        video_resolution: v ? `${v.width}x${v.height}` : null,
-        audio_langs: [...new Set(a.map((s) => s?.tags?.language || s?.tags?.LANGUAGE).filter(Boolean))].map((x) => String(x).toUpperCase()),
-        audio_codecs: [...new Set(a.map((s) => s?.codec_name).filter(Boolean))].map((x) => String(x).toUpperCase()),
-        has_hdr: /(^|\W)hdr(\W|$)/i.test(raw?.Title || '') || /hdr/i.test(raw?.info?.videotype || ''),
-        has_dv: /(dv|dolby\s*vision)/i.test(raw?.Title || '') || /(dovi|dolby\s*vision)/i.test(raw?.info?.videotype || ''),
+        video_codec: canonicalVideoCodec(v?.codec_name) || release.codec,
+        video_resolution: v ? `${v.width}x${v.height}` : release.resolution,
+        video_source: release.source,
+        bit_depth: release.bit_depth,
+        audio_langs: [...new Set([...probedLangs, ...release.languages])],
+        audio_codecs: [...new Set(probedAudioCodecs.length ? probedAudioCodecs : [release.audio.codec].filter(Boolean))],
+        audio_summary: [release.audio.codec, release.audio.channels, release.audio.atmos ? 'Atmos' : '']
+          .filter(Boolean)
+          .join(' '),
+        hdr,
+        has_hdr: hdr.some((x) => x !== 'DV'),
+        has_dv: hdr.includes('DV'),
+        edition: release.edition,
       };
+      const quality = Utils.getQualityLabel(raw?.Title || '', raw);
+      const pack = releasePackInfo(release);
+      const durationMinutes = releaseDurationMinutes(release, object.movie || {});
+      const bitrate = estimateBitrateMbps(raw?.Size, durationMinutes);
 
       const isCached = cachedSet.has(hashHex.toLowerCase());
       const publishDate = raw?.PublishDate ? new Date(raw.PublishDate) : null;
+      const source = raw?.Source === 'usenet' ? 'usenet' : 'torrent';
+      const isUsenet = source === 'usenet';
 
       const viewItem = {
         title: Utils.escapeHtml(raw?.Title || translate('torbox_no_title')),
         raw_title: raw?.Title || '',
         size: Number(raw?.Size) || 0,
         magnet: raw?.MagnetUri || '',
+        torrent_link: !isUsenet && !raw?.MagnetUri ? Utils.torrentFileLink(raw) : '',
+        parser_files: isUsenet ? null : parserFileList(raw),
+        nzb_link: isUsenet ? raw?.NzbLink || '' : '',
+        source,
+        source_badge: isUsenet ? '<span class="torbox-item__source torbox-item__source--usenet">NZB</span>' : '',
+        pack_badge: pack
+          ? `<span class="torbox-item__pack torbox-item__pack--${pack.kind}">${Utils.escapeHtml(pack.label)}</span>`
+          : '',
         hash: hashHex,
         last_known_seeders: Number(raw?.Seeders) || 0,
         last_known_peers: Number(raw?.Peers || raw?.Leechers) || 0,
         trackers,
+        sources: parserSources,
         icon: isCached ? '⚡' : '☁️',
         cached: isCached,
         publish_date: raw?.PublishDate || '',
         publish_timestamp: publishDate && isFinite(publishDate) ? publishDate.getTime() : 0,
         age: Utils.formatAge(raw?.PublishDate),
-        quality: Utils.getQualityLabel(raw?.Title || '', raw),
+        quality,
+        release,
+        release_source: release.source,
+        pack_kind: pack ? pack.kind : null,
+        release_rank: releaseRank(quality, release.source),
+        hdr: tech.hdr,
         video_type: String(raw?.info?.videotype || '').toLowerCase() || 'unknown',
         voices: Array.isArray(raw?.info?.voices) ? raw.info.voices : [],
         video_codec: tech.video_codec,
         audio_langs: tech.audio_langs,
         audio_codecs: tech.audio_codecs,
+        duration_minutes: durationMinutes,
+        bitrate_mbps: bitrate,
         info_formated:
-          `[${Utils.getQualityLabel(raw?.Title || '', raw)}] ${Utils.formatBytes(raw?.Size)} ` +
-          `| 🟢<span style="color:var(--color-good);">${Number(raw?.Seeders) || 0}</span>` +
-          ` / 🔴<span style="color:var(--color-bad);">${Number(raw?.Peers || raw?.Leechers) || 0}</span>`,
+          `[${quality}] ${Utils.formatBytes(raw?.Size)} ` +
+          (bitrate
+            ? `| <span class="torbox-item__bitrate">${translateWithParams('torbox_bitrate_value', { value: bitrate })}</span> `
+            : '') +
+          (isUsenet
+            ? `| ${translate('torbox_source_usenet')}`
+            : `| 🟢<span style="color:var(--color-good);">${Number(raw?.Seeders) || 0}</span>` +
+              ` / 🔴<span style="color:var(--color-bad);">${Number(raw?.Peers || raw?.Leechers) || 0}</span>`),
         meta_formated:
           `${translate('torbox_info_trackers')}: ${Utils.escapeHtml(primaryTracker)} ` +
-          `| ${translate('torbox_info_added')}: ${Utils.formatAge(raw?.PublishDate) || translate('torbox_not_available')}`,
+          `| ${translate('torbox_info_added')}: ${Utils.formatAge(raw?.PublishDate) || translate('torbox_not_available')}` +
+          (parserSources.length > 1
+            ? ` | ${translate('torbox_info_sources')}: ${Utils.escapeHtml(parserSources.join(', '))}`
+            : ''),
         tech_bar_html: this.buildTechBar(tech, raw),
       };
 
@@ -1799,6 +4207,31 @@ try {
     };
 
     // ───────────────────────────── Core actions ─────────────────────────────
+    // Torrent actions from the file list; after a delete there is nothing left to show here.
+    const showEpisodeTorrentActions = (torrentData) => {
+      const items = (torrentData.source || 'torrent') === 'torrent' ? torrentActionItems(torrentData.id) : [];
+      if (!items.length) return;
+      Lampa.Select.show({
+        title: translate('torbox_actions_title'),
+        items,
+        onSelect: (a) =>
+          runTorrentAction(
+            { id: torrentData.id, hash: torrentData.hash, title: torrentData.name },
+            a.torrent_operation,
+            (operation) => {
+              if (operation !== 'delete') return;
+              if (object.library_torrent) return Lampa.Activity.backward();
+              state.view = 'torrents';
+              state.current_torrent_data = null;
+              const row = state.all_torrents.find((t) => t.hash === torrentData.hash);
+              if (row) refreshDeletedRelease(row);
+              else build();
+            }
+          ),
+        onBack: () => Lampa.Controller.toggle('content'),
+      });
+    };
+
     const drawEpisodes = (torrentData) => {
       focusState.zone = FocusZones.EPISODE;
       focusState.index = 0;
@@ -1888,7 +4321,8 @@ try {
               },
               onFail: () => Lampa.Controller.toggle('content'),
             });
-          });
+          })
+          .on('hover:long', () => showEpisodeTorrentActions(torrentData));
 
         scroll.append(item);
       });
@@ -2000,17 +4434,26 @@ try {
         })[0] || null;
     };
 
+    const downloadLinkRequesters = {
+      torrent: Api.requestDl,
+      usenet: Api.requestUsenetDl,
+      webdl: Api.requestWebDl,
+    };
+
     const play = async (torrentData, file, callbacks = {}) => {
       const { onSuccess, onFail, onFinally, onStart } = callbacks || {};
       let playbackStarted = false;
       let finished = false;
 
       try {
-        preparePlaybackState(torrentData);
-
-        if (object.movie?.id) Lampa.Favorite.add('history', object.movie);
+        // Library entries have no card behind them: no continue-watching snapshot, no history entry
+        if (!object.library_torrent) {
+          preparePlaybackState(torrentData);
+          if (object.movie?.id) Lampa.Favorite.add('history', object.movie);
+        }
 
-        const dl = await Api.requestDl(torrentData.id, file.id);
+        const requestLink = downloadLinkRequesters[torrentData.source] || Api.requestDl;
+        const dl = await requestLink(torrentData.id, file.id);
         const link = dl?.url || dl?.data;
         if (!link) throw { type: 'api', message: translate('torbox_error_file_link') };
 
@@ -2023,6 +4466,7 @@ try {
         }
 
         if (pendingPlayback) pendingPlayback.started = true;
+        if (playbackConfig.season) Store.set(seasonStorageKey(), String(playbackConfig.season));
 
         // Mark watched as early as possible after successful player start.
         // We still also mark on Player.callback; this early mark improves UX robustness.
@@ -2137,13 +4581,13 @@ try {
       if (remembered) {
         rememberPreferredFile(torrentData, remembered);
         play(torrentData, remembered);
-        return;
+        return 'play';
       }
 
       if (vids.length === 1) {
         rememberPreferredFile(torrentData, vids[0]);
         play(torrentData, vids[0]);
-        return;
+        return 'play';
       }
 
       if (!isSeriesContent() && getAutoPickMovieFile()) {
@@ -2151,13 +4595,27 @@ try {
         if (best) {
           rememberPreferredFile(torrentData, best);
           play(torrentData, best);
-          return;
+          return 'play';
         }
       }
 
       state.view = 'episodes';
       state.current_torrent_data = torrentData;
       drawEpisodes(torrentData);
+      return 'episodes';
+    };
+
+    // Entries opened from "My TorBox" skip the search: straight into the file flow, and the file list
+    // stays underneath when playback starts right away so Back from the player lands somewhere useful.
+    const openLibraryTorrent = (torrentData) => {
+      const outcome = selectFile(torrentData);
+      if (outcome === 'play') {
+        state.view = 'episodes';
+        state.current_torrent_data = torrentData;
+        drawEpisodes(torrentData);
+      } else if (!outcome) {
+        empty(translate('torbox_error_no_video_files'));
+      }
     };
 
     const beginPendingPlayback = (hash, snapshot) => {
@@ -2188,16 +4646,18 @@ try {
       if (!source || !source.hash) return null;
       if (pendingPlayback && pendingPlayback.hash === source.hash) return pendingPlayback.snapshot || null;
       const original = state.all_torrents.find((t) => t.hash === source.hash) || source;
-      const snapshot = compactTorrentSnapshot(original);
+      const rowSnapshot = compactTorrentSnapshot(original);
+      const snapshot = rowSnapshot || compactTorrentSnapshot(source);
       if (!snapshot) return null;
       beginPendingPlayback(source.hash, snapshot);
       saveLastTorrentSnapshot(snapshot);
       updateContinueWatchingPanel(snapshot);
-      if (original?.markAsLastPlayed) setTimeout(() => original.markAsLastPlayed(), 0);
+      if (rowSnapshot && original?.markAsLastPlayed) setTimeout(() => original.markAsLastPlayed(), 0);
       return snapshot;
     };
 
-    const track = (id, signal) =>
+    // Polls a TorBox list endpoint (torrents by default) until the download is finished.
+    const track = (id, signal, fetchStatus = Api.myList) =>
       new Promise((resolve, reject) => {
         let active = true;
         let retries = 0;
@@ -2223,14 +4683,18 @@ try {
           }
 
           try {
-            const arr = (await Api.myList(id, signal))?.data || [];
+            const arr = (await fetchStatus(id, signal))?.data || [];
             const d = arr[0];
             if (!d) {
               setTimeout(loop, intervalMs);
               return;
             }
 
-            const finished = d.download_state === 'completed' || d.download_state === 'uploading' || !!d.download_finished;
+            const finished =
+              d.download_state === 'completed' ||
+              d.download_state === 'uploading' ||
+              d.download_state === 'cached' ||
+              !!d.download_finished;
             const progress = Utils.normalizeProgress(d.progress);
             const speedTxt = Utils.formatBytes(d.download_speed, true);
             const etaTxt = Utils.formatTime(d.eta);
@@ -2264,21 +4728,18 @@ try {
         loop();
       });
 
-    const onTorrentClick = (item) => {
-      if (!item?.magnet) {
-        return ErrorHandler.show('validation', { message: translate('torbox_error_no_magnet') });
-      }
-      if (!item?.hash || !Utils.isHex40(item.hash)) {
-        return ErrorHandler.show('validation', { message: translate('torbox_error_bad_hash') });
-      }
+    const trackUsenet = (id, signal) => track(id, signal, Api.myUsenetList);
+    const trackWebDownload = (id, signal) => track(id, signal, Api.myWebDownloadList);
 
+    // Shared add → track → open flow. `addDownload` resolves to the new TorBox id.
+    const openTrackedDownload = (item, options) => {
+      const { storageKey, addDownload, trackDownload, addingText } = options;
       try {
         preparePlaybackState(item);
       } catch (e) {
         LOG('History save error', e);
       }
 
-      const storageKey = `torbox_id_for_hash_${item.hash}`;
       const savedId = Store.get(storageKey, '');
 
       cancelActiveTorrentFlow();
@@ -2293,44 +4754,46 @@ try {
         if (activeTorrentController === controller) activeTorrentController = null;
       };
 
-      const processAndOpen = (data, hash) => {
-        data.hash = hash;
+      const processAndOpen = (data) => {
+        data.hash = item.hash;
+        data.source = item.source || 'torrent';
         Lampa.Loading.stop();
         finalizeTracker();
         selectFile(data);
       };
 
-      const addThenTrack = (magnet, hash) => {
-        $('.loading-layer .loading-layer__text').text(translate('torbox_loading_add'));
-        Api.addMagnet(magnet, signal)
-          .then((res) => {
-            const newId = res?.data?.torrent_id || res?.data?.id;
+      const addThenTrack = () => {
+        $('.loading-layer .loading-layer__text').text(addingText);
+        addDownload(signal)
+          .then((newId) => {
             if (!newId) throw { type: 'api', message: translate('torbox_error_no_torrent_id') };
             Store.set(storageKey, String(newId));
-            LOG('New TorBox ID saved', newId, 'for', hash);
+            LOG('New TorBox ID saved', newId, 'for', item.hash);
             $('.loading-layer .loading-layer__text').text(translate('torbox_loading_wait'));
-            return track(newId, signal);
+            return trackDownload(newId, signal);
           })
-          .then((data) => processAndOpen(data, hash))
+          .then((data) => processAndOpen(data))
           .catch((err) => {
             Lampa.Loading.stop();
             finalizeTracker();
-            if (err?.name !== 'AbortError') ErrorHandler.show(err.type || 'error', err);
+            if (err?.name === 'AbortError') return;
+            if (isActiveLimitError(err)) return offerSlotFreeing(err, () => openTrackedDownload(item, options));
+            ErrorHandler.show(err.type || 'error', err);
           });
       };
 
       if (savedId) {
         LOG('Using saved TorBox ID:', savedId);
         $('.loading-layer .loading-layer__text').text(translate('torbox_loading_wait'));
-        track(savedId, signal)
-          .then((data) => processAndOpen(data, item.hash))
+        trackDownload(savedId, signal)
+          .then((data) => processAndOpen(data))
           .catch((err) => {
-            // If ID became stale (deleted/expired), re-add magnet and retry
+            // If ID became stale (deleted/expired), re-add and retry
             const stale = err?.type === 'api' || /not\s*found/i.test(err?.message || '');
             if (err?.name !== 'AbortError' && stale) {
-              LOG('Stale TorBox ID, re-adding magnet...');
+              LOG('Stale TorBox ID, re-adding...');
               Store.set(storageKey, '');
-              addThenTrack(item.magnet, item.hash);
+              addThenTrack();
             } else {
               Lampa.Loading.stop();
               finalizeTracker();
@@ -2339,8 +4802,186 @@ try {
           });
       } else {
         LOG('No saved TorBox ID. Adding...');
-        addThenTrack(item.magnet, item.hash);
+        addThenTrack();
+      }
+    };
+
+    const onUsenetClick = (item) => {
+      if (!item?.nzb_link) {
+        return ErrorHandler.show('validation', { message: translate('torbox_error_no_nzb') });
+      }
+      openTrackedDownload(item, {
+        storageKey: `torbox_usenet_id_for_${item.hash}`,
+        addDownload: (signal) =>
+          Api.addUsenet(item.nzb_link, item.raw_title || item.title, signal).then(
+            (res) => res?.data?.usenetdownload_id || res?.data?.id
+          ),
+        trackDownload: trackUsenet,
+        addingText: translate('torbox_loading_add_nzb'),
+      });
+    };
+
+    const onWebLinkClick = (item) => {
+      if (!item?.web_link) {
+        return ErrorHandler.show('validation', { message: translate('torbox_error_bad_link') });
+      }
+      openTrackedDownload(item, {
+        storageKey: `torbox_webdl_id_for_${item.hash}`,
+        addDownload: (signal) =>
+          Api.addWebDownload(item.web_link, '', signal).then((res) => res?.data?.webdownload_id || res?.data?.id),
+        trackDownload: trackWebDownload,
+        addingText: translate('torbox_loading_add_link'),
+      });
+    };
+
+    const promptWebLink = () => {
+      Lampa.Input.edit(
+        { title: translate('torbox_paste_link_title'), value: '', free: true, nosave: true },
+        (value) => {
+          Lampa.Controller.toggle('content');
+          if (!String(value || '').trim()) return;
+          const item = webLinkItem(value);
+          if (!item) return ErrorHandler.show('validation', { message: translate('torbox_error_bad_link') });
+          onWebLinkClick(item);
+        }
+      );
+    };
+
+    // "Preview files": cached releases ask TorBox (checkcached + list_files), others use parser metadata.
+    // Nothing is added to the account, so no slot is used.
+    const showFilePreview = (item, files, origin) => {
+      const preview = buildFilePreview(files);
+      const maxRows = CONST.MAX_DRAW_ITEMS;
+      const episodesText = preview.episodes.length
+        ? translateWithParams('torbox_preview_episodes', {
+            count: preview.episodes.length,
+            first: preview.episodes[0],
+            last: preview.episodes[preview.episodes.length - 1],
+          })
+        : translate('torbox_preview_no_episodes');
+
+      Lampa.Select.show({
+        title: translate('torbox_preview_title'),
+        items: [
+          {
+            title: translateWithParams('torbox_preview_summary', {
+              count: preview.fileCount,
+              size: Utils.formatBytes(preview.totalSize),
+            }),
+            subtitle: `${episodesText} · ${translate(origin === 'torbox' ? 'torbox_preview_from_torbox' : 'torbox_preview_from_parser')}`,
+          },
+          { title: translate('torbox_preview_open'), open: true },
+          ...preview.rows.slice(0, maxRows).map((row) =>
+            row.type === 'dir'
+              ? { title: `📁 ${Utils.escapeHtml(row.name)}` }
+              : {
+                  title: `${row.nested ? '└ ' : ''}${Utils.escapeHtml(row.name)}`,
+                  subtitle: [row.size ? Utils.formatBytes(row.size) : '', row.episode || ''].filter(Boolean).join(' · '),
+                }
+          ),
+        ],
+        onSelect: (a) => {
+          if (a.open) return onTorrentClick(item);
+          Lampa.Controller.toggle('content');
+        },
+        onBack: () => Lampa.Controller.toggle('content'),
+      });
+    };
+
+    const previewFiles = (item) => {
+      const fromParser = () => (item.parser_files ? { files: item.parser_files, origin: 'parser' } : null);
+      if (!item.cached || !Utils.isHex40(item.hash)) {
+        const res = fromParser();
+        if (res) return showFilePreview(item, res.files, res.origin);
+        Lampa.Noty.show(translate('torbox_preview_unavailable'));
+        return Lampa.Controller.toggle('content');
+      }
+
+      const controller = new AbortController();
+      Lampa.Loading.start(() => controller.abort(), translate('torbox_preview_loading'));
+      Api.cachedFileList(item.hash, controller.signal)
+        .then((files) => {
+          Lampa.Loading.stop();
+          const res = files ? { files, origin: 'torbox' } : fromParser();
+          if (res) return showFilePreview(item, res.files, res.origin);
+          Lampa.Noty.show(translate('torbox_preview_unavailable'));
+          Lampa.Controller.toggle('content');
+        })
+        .catch((err) => {
+          Lampa.Loading.stop();
+          if (err?.name !== 'AbortError') ErrorHandler.show(err?.type || 'error', err);
+          Lampa.Controller.toggle('content');
+        });
+    };
+
+    // Results with only a .torrent link: fetch the file, derive the real BTIH, then continue with the
+    // regular flow (id mapping, tracking, snapshot with a magnet) and upload the file itself to TorBox.
+    const magnetForHash = (hash, title) => `magnet:?xt=urn:btih:${hash}${title ? `&dn=${encodeURIComponent(title)}` : ''}`;
+
+    // The resolved hash/magnet go onto the list row itself: playback history looks the row up by hash
+    // and its markAsLastPlayed snapshots it, so a row left without a magnet would wipe the snapshot.
+    const adoptResolvedRelease = (item, hash, magnet) => {
+      const row = state.all_torrents.find((t) => t === item || t.hash === item.hash) || item;
+      const raw = getRawTorrentByHash(row.hash);
+      Object.assign(row, { hash, magnet });
+      storeRawTorrent(hash, raw);
+      return row;
+    };
+
+    const onTorrentFileClick = (item) => {
+      cancelActiveTorrentFlow();
+      const controller = new AbortController();
+      activeTorrentController = controller;
+      Lampa.Loading.start(() => controller.abort(), translate('torbox_loading_torrent_file'));
+
+      Api.fetchTorrentFile(item.torrent_link, controller.signal)
+        .then(({ bytes, infoHash }) => {
+          Lampa.Loading.stop();
+          if (activeTorrentController === controller) activeTorrentController = null;
+          LOG('.torrent resolved', item.hash, '->', infoHash);
+          const resolved = adoptResolvedRelease(item, infoHash, magnetForHash(infoHash, item.raw_title));
+          openTrackedDownload(resolved, {
+            storageKey: `torbox_id_for_hash_${infoHash}`,
+            addDownload: (signal) =>
+              Api.addTorrentFile(bytes, item.raw_title || infoHash, signal).then(
+                (res) => res?.data?.torrent_id || res?.data?.id
+              ),
+            trackDownload: track,
+            addingText: translate('torbox_loading_add'),
+          });
+        })
+        .catch((err) => {
+          Lampa.Loading.stop();
+          if (activeTorrentController === controller) activeTorrentController = null;
+          if (err?.name === 'AbortError') return;
+          // Jackett answers magnet-only indexers with a redirect to magnet:, which fetch cannot follow.
+          // When the parser gave us the BTIH, the release is added by magnet instead.
+          if (err?.type === 'network' && !err.status && Utils.isHex40(item.hash)) {
+            LOG('.torrent fetch failed, falling back to magnet', item.hash, err.message);
+            return onTorrentClick(adoptResolvedRelease(item, item.hash, magnetForHash(item.hash, item.raw_title)));
+          }
+          ErrorHandler.show(err?.type || 'error', err);
+        });
+    };
+
+    const onTorrentClick = (item) => {
+      if (item?.source === 'usenet') return onUsenetClick(item);
+      if (item?.source === 'webdl') return onWebLinkClick(item);
+      if (!item?.magnet && item?.torrent_link) return onTorrentFileClick(item);
+      if (!item?.magnet) {
+        return ErrorHandler.show('validation', { message: translate('torbox_error_no_magnet') });
       }
+      if (!item?.hash || !Utils.isHex40(item.hash)) {
+        return ErrorHandler.show('validation', { message: translate('torbox_error_bad_hash') });
+      }
+
+      openTrackedDownload(item, {
+        storageKey: `torbox_id_for_hash_${item.hash}`,
+        addDownload: (signal) =>
+          Api.addMagnet(item.magnet, signal).then((res) => res?.data?.torrent_id || res?.data?.id),
+        trackDownload: track,
+        addingText: translate('torbox_loading_add'),
+      });
     };
 
     // ───────────────────────────── Search/Build pipeline ─────────────────────────────
@@ -2395,12 +5036,17 @@ try {
 
     const applyFiltersSort = () => {
       const prefs = readPreferenceState();
+      const seasonMatches = seasonFilterFor(
+        state.all_torrents.map((t) => t.release),
+        state.filters.season === 'all' ? 0 : Number(state.filters.season),
+        state.season_from_entry
+      );
       const excludedTrackersSet = new Set(
         (prefs.excludedTrackers || []).map((item) => String(item || '').toLowerCase())
       );
       const qualityRank = new Map((prefs.qualityOrder || []).map((quality, idx) => [quality, idx]));
-      const audioRank = new Map((prefs.audioLangs || []).map((lang, idx) => [lang, idx]));
-      const codecRank = new Map((prefs.videoCodecs || []).map((codec, idx) => [codec, idx]));
+      const audioRank = new Map((prefs.audioLangs || []).map((lang, idx) => [canonicalLanguage(lang), idx]));
+      const codecRank = new Map((prefs.videoCodecs || []).map((codec, idx) => [canonicalVideoCodec(codec), idx]));
 
       const preferenceScore = (torrent) => {
         const quality = String(torrent?.quality || '').toUpperCase();
@@ -2416,24 +5062,51 @@ try {
         const codec = String(torrent?.video_codec || '').toUpperCase();
         const codecScore = codecRank.has(codec) ? codecRank.get(codec) : codecRank.size + 1;
 
-        return qualityScore * 100 + audioScore * 10 + codecScore;
+        // CAM/TS releases lose every tie regardless of the other preferences
+        const junkScore = LOW_QUALITY_SOURCES.includes(torrent?.release_source) ? 1 : 0;
+
+        return junkScore * 100000 + qualityScore * 100 + audioScore * 10 + codecScore;
       };
 
-      // Apply filters
+      // Apply filters; unknown sizes cannot satisfy a size bound, unknown bitrates are never hidden
+      const hideOverBitrate = prefs.maxBitrateMode === 'hide';
       const rules = [
         (t) => !state.show_only_cached || !!t.cached,
+        (t) => !hideOverBitrate || !isOverBitrate(t, prefs.maxBitrate),
+        (t) => state.filters.size_min === 'all' || t.size >= Number(state.filters.size_min) * GIB,
+        (t) => state.filters.size_max === 'all' || (t.size > 0 && t.size <= Number(state.filters.size_max) * GIB),
         (t) => !isTrackerExcluded(t.trackers, excludedTrackersSet),
         (t) => state.filters.quality === 'all' || t.quality === state.filters.quality,
         (t) => state.filters.video_type === 'all' || t.video_type === state.filters.video_type,
         (t) => state.filters.translation === 'all' || (Array.isArray(t.voices) && t.voices.includes(state.filters.translation)),
-        (t) => state.filters.lang === 'all' || (Array.isArray(t.audio_langs) && t.audio_langs.includes(state.filters.lang)),
+        (t) => state.filters.lang === 'all' || (Array.isArray(t.audio_langs) && t.audio_langs.includes(canonicalLanguage(state.filters.lang))),
         (t) => state.filters.video_codec === 'all' || (t.video_codec && t.video_codec.toUpperCase() === state.filters.video_codec.toUpperCase()),
         (t) => state.filters.audio_codec === 'all' || (Array.isArray(t.audio_codecs) && t.audio_codecs.includes(state.filters.audio_codec.toUpperCase())),
+        (t) => state.filters.release_source === 'all' || t.release_source === state.filters.release_source,
+        (t) => state.filters.hdr === 'all' || (Array.isArray(t.hdr) && t.hdr.includes(state.filters.hdr)),
+        (t) => seasonMatches(t.release),
         (t) => state.filters.tracker === 'all' || (Array.isArray(t.trackers) && t.trackers.includes(state.filters.tracker)),
+        (t) => state.filters.source === 'all' || (t.source || 'torrent') === state.filters.source,
       ];
 
       let list = state.all_torrents.filter((t) => rules.every((fn) => fn(t)));
 
+      // "Recommended" sort; the factors stay on the item for the "why here" breakdown
+      const scoreCtx = {
+        weights: prefs.scoreWeights,
+        trackerWeights: prefs.trackerWeights,
+        audioLangs: (prefs.audioLangs || []).map(canonicalLanguage),
+        videoCodecs: (prefs.videoCodecs || []).map(canonicalVideoCodec),
+        maxSeeders: list.reduce((max, t) => Math.max(max, Number(t.last_known_seeders) || 0), 0),
+        movie: object.movie || {},
+        now: Date.now(),
+      };
+      list.forEach((t) => {
+        const result = scoreRelease(t, scoreCtx);
+        t.recommended_score = result.score;
+        t.score_factors = result.factors;
+      });
+
       // Stable sort by index when equal
       const sort = sortVariants.find((s) => s.key === state.sort) || sortVariants[0];
       list = list
@@ -2454,12 +5127,29 @@ try {
 
       if (sort.reverse) list.reverse();
 
+      // Results for another title/year/season go below the "show unrelated" entry, hidden by default
+      const unrelated = list.filter((t) => t.relevant === false);
+      state.unrelated_count = unrelated.length;
+      if (unrelated.length) list = list.filter((t) => t.relevant !== false).concat(state.show_unrelated ? unrelated : []);
+
       // Guard: cap number of rendered items (performance on low-end)
       if (list.length > CONST.MAX_DRAW_ITEMS) list = list.slice(0, CONST.MAX_DRAW_ITEMS);
 
       return list;
     };
 
+    // A delete may take the only TorBox copy with it: re-check that release, then redraw its row and
+    // the continue-watching snapshot that points at it.
+    const refreshDeletedRelease = (data) => {
+      const signal = abort.signal;
+      const hashes = Utils.isHex40(data.hash) ? [data.hash] : [];
+      Api.checkCached(hashes, signal, (flags) => applyCachedFlags(state.all_torrents, flags)).then(() => {
+        if (signal.aborted) return;
+        if (loadLastTorrentSnapshot()?.hash === data.hash) saveLastTorrentSnapshot(compactTorrentSnapshot(data));
+        build();
+      });
+    };
+
     const draw = (items) => {
       lastFocused = null;
       focusState.zone = null;
@@ -2476,15 +5166,90 @@ try {
         viewDataForMovie = null;
       }
 
-      if (!Array.isArray(items) || !items.length) {
+      if (!Array.isArray(items) || (!items.length && !state.unrelated_count)) {
         return empty(translate('torbox_empty_filters'));
       }
 
       // Last played hash marker
       const lastSnapshot = loadLastTorrentSnapshot();
       let lastHash = lastSnapshot?.hash || null;
+      let position = 0;
+      let toggleAdded = false;
+      const maxBitrate = getMaxBitrate();
+
+      const appendUnrelatedToggle = () => {
+        toggleAdded = true;
+        const key = state.show_unrelated ? 'torbox_unrelated_hide' : 'torbox_unrelated_show';
+        const entry = Lampa.Template.get('torbox_item', {
+          hash: '',
+          last_played_icon: '',
+          icon: state.show_unrelated ? '▲' : '▼',
+          source_badge: '',
+          pack_badge: '',
+          title: translateWithParams(key, { count: state.unrelated_count }),
+          info_formated: translate('torbox_unrelated_hint'),
+          meta_formated: '',
+          tech_bar_html: '',
+        });
+        entry
+          .addClass('torbox-item--unrelated')
+          .data('torboxZone', FocusZones.LIST)
+          .data('torboxIndex', position++)
+          .on('hover:focus', (e) => {
+            updateFocusMetaFromElement($(e.currentTarget));
+            scroll.update($(e.currentTarget), true);
+          })
+          .on('hover:enter', () => {
+            state.show_unrelated = !state.show_unrelated;
+            state.last_hash = null;
+            build();
+            focusElement(scroll.render().find('.torbox-item--unrelated').first());
+          });
+        scroll.append(entry);
+      };
+
+      const appendGroupExpander = (group) => {
+        const expanded = state.expanded_groups.has(group.key);
+        const entry = Lampa.Template.get('torbox_item', {
+          hash: '',
+          last_played_icon: '',
+          icon: expanded ? '▲' : '▼',
+          source_badge: '',
+          pack_badge: '',
+          title: translateWithParams('torbox_group_more', { count: group.alternatives.length }),
+          info_formated: Utils.escapeHtml(
+            group.alternatives
+              .map(
+                (alt) =>
+                  `${alt.cached ? '⚡ ' : ''}${alt.trackers[0] || translate('torbox_not_available')} (${alt.last_known_seeders})`
+              )
+              .join(', ')
+          ),
+          meta_formated: '',
+          tech_bar_html: '',
+        });
+        entry
+          .addClass('torbox-item--group')
+          .attr('data-group', group.key)
+          .data('torboxZone', FocusZones.LIST)
+          .data('torboxIndex', position++)
+          .on('hover:focus', (e) => {
+            updateFocusMetaFromElement($(e.currentTarget));
+            scroll.update($(e.currentTarget), true);
+          })
+          .on('hover:enter', () => {
+            if (expanded) state.expanded_groups.delete(group.key);
+            else state.expanded_groups.add(group.key);
+            state.last_hash = null;
+            build();
+            focusElement(scroll.render().find(`[data-group="${group.key}"]`).first());
+          });
+        scroll.append(entry);
+      };
 
-      items.forEach((data, idx) => {
+      // Every row shows its own cached icon: Enter plays that row's copy, not the group's best one
+      const renderItem = (data, parentGroup = null) => {
+        const idx = position++;
         const lastPlayedIcon =
           lastHash && data.hash === lastHash
             ? `<span class="torbox-item__last-played-icon"><svg viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-1 14.5V7.5l5.25 3.5L11 16.5z" fill="currentColor"></path></svg></span>`
@@ -2496,6 +5261,8 @@ try {
         });
 
         item.data('torboxZone', FocusZones.LIST).data('torboxIndex', idx);
+        if (parentGroup) item.addClass('torbox-item--alt');
+        if (isOverBitrate(data, maxBitrate)) item.addClass('torbox-item--over-bitrate');
 
         // Playback progress (if present)
         if (viewDataForMovie && viewDataForMovie.total > 0 && viewDataForMovie.time >= 0) {
@@ -2511,6 +5278,8 @@ try {
           item.find('.torbox-item__main-info').after(timeWidget);
         }
 
+        data.updateCachedIcon = () => item.find('.torbox-item__cache-icon').text(data.icon);
+
         // Method used by "onTorrentClick" to mark the last played visually and persistently
         data.markAsLastPlayed = () => {
           scroll.render().find('.torbox-item__last-played-icon').remove();
@@ -2535,11 +5304,28 @@ try {
           })
           .on('hover:enter', () => onTorrentClick(data))
           .on('hover:long', () => {
+            const torboxId = data.source === 'usenet' ? '' : torrentIdForHash(data.hash);
             Lampa.Select.show({
               title: translate('torbox_actions_title'),
-              items: [{ title: translate('torbox_actions_copy_magnet') }],
-              onSelect: () => {
-                Lampa.Utils.copyTextToClipboard(data.magnet, () =>
+              items: [
+                {
+                  title: translate(data.source === 'usenet' ? 'torbox_actions_copy_nzb' : 'torbox_actions_copy_magnet'),
+                },
+                ...(data.source === 'usenet' ? [] : [{ title: translate('torbox_actions_preview'), preview: true }]),
+                ...(data.score_factors ? [{ title: translate('torbox_actions_score'), score: true }] : []),
+                ...torrentActionItems(torboxId),
+              ],
+              onSelect: (a) => {
+                if (a.preview) return previewFiles(data);
+                if (a.score) return showScoreBreakdown(data);
+                if (a.torrent_operation) {
+                  return runTorrentAction(
+                    { id: torboxId, hash: data.hash, title: data.raw_title },
+                    a.torrent_operation,
+                    (operation) => operation === 'delete' && refreshDeletedRelease(data)
+                  );
+                }
+                Lampa.Utils.copyTextToClipboard(data.magnet || data.nzb_link || data.torrent_link, () =>
                   Lampa.Noty.show(translate('torbox_actions_copied'))
                 );
                 Lampa.Controller.toggle('content');
@@ -2549,7 +5335,20 @@ try {
           });
 
         scroll.append(item);
+      };
+
+      // Grouped view: one row per release with an expander for copies from other trackers
+      const groups = getGroupDuplicates()
+        ? groupNearDuplicates(items)
+        : items.map((lead) => ({ key: lead.hash, lead, alternatives: [] }));
+      groups.forEach((group) => {
+        if (group.lead.relevant === false && !toggleAdded) appendUnrelatedToggle();
+        renderItem(group.lead);
+        if (!group.alternatives.length) return;
+        appendGroupExpander(group);
+        if (state.expanded_groups.has(group.key)) group.alternatives.forEach((alt) => renderItem(alt, group));
       });
+      if (state.unrelated_count && !toggleAdded) appendUnrelatedToggle();
 
       Lampa.Controller.enable('content');
 
@@ -2600,7 +5399,7 @@ try {
     const buildFilter = () => {
       const buildOne = (key, titleKey, arrays) => {
         const uni = [...new Set(arrays.flat().filter(Boolean).map((x) => String(x)))].sort((a, b) =>
-          a.toUpperCase().localeCompare(b.toUpperCase())
+          a.toUpperCase().localeCompare(b.toUpperCase(), undefined, { numeric: true })
         );
         const items = [
           {
@@ -2618,16 +5417,41 @@ try {
         const sub = Utils.escapeHtml(subRaw);
         return { title: translate(titleKey), subtitle: sub, items, stype: key };
       };
+      const buildSize = (key, titleKey) => {
+        const label = (v) => (v === 'all' ? translate('torbox_filter_all') : `${v} GB`);
+        return {
+          title: translate(titleKey),
+          subtitle: label(state.filters[key]),
+          chosen_label: label(state.filters[key]),
+          items: ['all', ...SIZE_FILTER_STEPS_GB.map(String)].map((v) => ({
+            title: label(v),
+            value: v,
+            selected: state.filters[key] === v,
+          })),
+          stype: key,
+        };
+      };
 
       const baseItems = [
         { title: translate('torbox_filter_refine'), refine: true },
         buildOne('quality', 'torbox_filter_quality', state.all_torrents.map((t) => t.quality)),
+        buildSize('size_min', 'torbox_filter_size_min'),
+        buildSize('size_max', 'torbox_filter_size_max'),
         buildOne('video_type', 'torbox_filter_video_type', state.all_torrents.map((t) => t.video_type)),
         buildOne('translation', 'torbox_filter_translation', state.all_torrents.map((t) => t.voices || [])),
         buildOne('lang', 'torbox_filter_audio_lang', state.all_torrents.map((t) => t.audio_langs || [])),
         buildOne('video_codec', 'torbox_filter_video_codec', state.all_torrents.map((t) => (t.video_codec ? [t.video_codec] : []))),
         buildOne('audio_codec', 'torbox_filter_audio_codec', state.all_torrents.map((t) => t.audio_codecs || [])),
+        buildOne('release_source', 'torbox_filter_release_source', state.all_torrents.map((t) => t.release_source)),
+        buildOne('hdr', 'torbox_filter_hdr', state.all_torrents.map((t) => t.hdr || [])),
+        buildOne('season', 'torbox_filter_season', state.all_torrents.map((t) => t.release?.seasons || [])),
         buildOne('tracker', 'torbox_filter_tracker', state.all_torrents.map((t) => t.trackers || [])),
+        buildOne('source', 'torbox_filter_source', state.all_torrents.map((t) => t.source || 'torrent')),
+        {
+          title: translate('torbox_filter_group'),
+          subtitle: translate(getGroupDuplicates() ? 'torbox_yes' : 'torbox_no'),
+          group_toggle: true,
+        },
         { title: translate('torbox_filter_reset'), reset: true },
         { title: translate('torbox_filter_refresh'), refresh: true },
       ];
@@ -2638,7 +5462,7 @@ try {
 
       const chosen = baseItems
         .filter((f) => f.stype && state.filters[f.stype] !== 'all')
-        .map((f) => Utils.escapeHtml(`${f.title}: ${state.filters[f.stype]}`));
+        .map((f) => Utils.escapeHtml(`${f.title}: ${f.chosen_label || state.filters[f.stype]}`));
       filter.chosen('filter', chosen);
 
       const sorts = sortVariants.map((s) => ({
@@ -2655,10 +5479,24 @@ try {
       if (cachedToggleBtn && !filter.render().find('.torbox-cached-toggle').length) {
         filter.render().find('.filter--sort').before(cachedToggleBtn);
       }
+      if (pasteLinkBtn && !filter.render().find('.torbox-paste-link').length) {
+        filter.render().find('.filter--search').after(pasteLinkBtn);
+      }
 
       refreshFilterFocusBinding();
     };
 
+    // Updates cached flags of already rendered items in place (icon only, no list rebuild).
+    const applyCachedFlags = (list, flags) => {
+      (list || []).forEach((item) => {
+        const key = String(item.hash || '').toLowerCase();
+        if (!(key in flags) || item.cached === flags[key]) return;
+        item.cached = flags[key];
+        item.icon = item.cached ? '⚡' : '☁️';
+        if (typeof item.updateCachedIcon === 'function') item.updateCachedIcon();
+      });
+    };
+
     const search = (force = false, customTitle = null) => {
       cancelActiveTorrentFlow();
       abort.abort();
@@ -2666,19 +5504,23 @@ try {
       const signal = abort.signal;
       DebugTelemetry.parserAttempts = [];
       DebugTelemetry.selectedParser = null;
+      DebugTelemetry.usenetAttempts = [];
 
       this.activity.loader(true);
       reset();
       state.search_query = customTitle;
+      state.show_unrelated = false;
+      state.expanded_groups = new Set();
 
       const movieForSearch = customTitle
-        ? { ...object.movie, title: customTitle, original_title: customTitle, year: '' }
+        ? { ...object.movie, title: customTitle, original_title: customTitle, year: '', query_only: true }
         : object.movie;
 
       const cacheKey = generateKeyForMovie(customTitle);
       const cached = !force && Cache.get(cacheKey);
       if (cached) {
         state.all_torrents = cached;
+        applyCachedFlags(cached, Object.fromEntries(CachedStatus.lookup(cached.map((t) => t.hash)).known));
         LOG('Loaded from RAM cache:', state.all_torrents.length);
         build();
         this.activity.loader(false);
@@ -2691,37 +5533,54 @@ try {
           : translate('torbox_search_fetching')
       );
 
-      Api.searchPublicTrackers(movieForSearch, signal)
-        .then((parserPayload) => {
+      // Torrent parsers and usenet indexers run side by side; either source alone is enough to show a list.
+      Promise.all([
+        Api.searchPublicTrackers(movieForSearch, signal, { fresh: force }).catch((err) => {
+          if (signal.aborted) throw err;
+          return { error: err };
+        }),
+        Api.searchUsenet(movieForSearch, signal, { fresh: force }).catch((err) => {
+          if (signal.aborted) throw err;
+          LOG('Usenet search error:', err?.message || err);
+          return null;
+        }),
+      ])
+        .then(([parserPayload, usenetPayload]) => {
           if (signal.aborted) return;
-          const mapByHash = parserPayload?.entriesByHash;
-          if (!(mapByHash instanceof Map) || !mapByHash.size) {
+          const usenetById = usenetPayload?.entriesById instanceof Map ? usenetPayload.entriesById : new Map();
+          if (parserPayload?.error && !usenetById.size) throw parserPayload.error;
+
+          const mapByHash = parserPayload?.entriesByHash instanceof Map ? parserPayload.entriesByHash : new Map();
+          if (!mapByHash.size && !usenetById.size) {
             return empty(translate('torbox_search_parser_empty'));
           }
 
-          const hashes = Array.from(mapByHash.keys());
-          empty(translateWithParams('torbox_check_cache_progress', { count: hashes.length }));
+          const sourcesByHash = parserPayload?.sourcesByHash instanceof Map ? parserPayload.sourcesByHash : new Map();
 
-          return Api.checkCached(hashes, signal).then((cachedMap) => ({ mapByHash, cachedMap }));
-        })
-        .then((payload) => {
-          if (!payload || signal.aborted) return;
-
-          const cachedEntries = Object.entries(payload.cachedMap || {});
-          const cachedSet = new Set(
-            cachedEntries
-              .filter(([, flag]) => isCachedFlagTrue(flag))
-              .map(([h]) => h.toLowerCase())
-          );
+          // Render right away from remembered flags; unknown/stale hashes are re-checked in the background.
+          const { known, stale } = CachedStatus.lookup(Array.from(mapByHash.keys()).filter(Utils.isHex40));
+          const cachedSet = new Set(Array.from(known).filter(([, flag]) => flag).map(([h]) => h));
           const list = [];
 
-          payload.mapByHash.forEach((raw, hex) => {
-            list.push(toViewItem(raw, hex, cachedSet));
+          mapByHash.forEach((raw, hex) => {
+            list.push(toViewItem(raw, hex, cachedSet, sourcesByHash.get(hex)));
+          });
+          usenetById.forEach((raw, id) => {
+            list.push(toViewItem(raw, id, cachedSet, [raw.Tracker]));
           });
+          applyRelevance(list, createRelevanceMatcher(movieForSearch, entrySeason()));
 
           Cache.set(cacheKey, list);
           state.all_torrents = list;
           build();
+          this.activity.loader(false);
+
+          if (!stale.length) return null;
+          LOG('Re-checking cached status:', stale.length, 'of', mapByHash.size);
+          return Api.checkCached(stale, signal, (flags) => applyCachedFlags(list, flags)).then(() => {
+            // "Only cached" hides items until their flag flips, so that view needs a rebuild.
+            if (!signal.aborted && state.show_only_cached && state.all_torrents === list) build();
+          });
         })
         .catch((err) => {
           if (!signal.aborted) {
@@ -2739,7 +5598,8 @@ try {
       this.activity.loader(false);
       scroll.body().addClass('torbox-list-container');
       files.appendFiles(scroll.render());
-      files.appendHead(filter.render());
+      // Library entries go straight to the files: no search, so no filter bar either
+      if (!object.library_torrent) files.appendHead(filter.render());
       scroll.minus(files.render().find('.explorer__files-head'));
       return this.render();
     };
@@ -2751,7 +5611,7 @@ try {
     this.initialize = function () {
       Lampa.Controller.add('content', {
         toggle: () => {
-          if (isTorrentsView()) {
+          if (isTorrentsView() && !object.library_torrent) {
             Lampa.Controller.collectionSet(filter.render(), scroll.render());
           } else {
             // Episodes view: filter is hidden, keep navigation only within file list.
@@ -2769,6 +5629,8 @@ try {
 
       Lampa.Controller.toggle('content');
 
+      if (object.library_torrent) return openLibraryTorrent(object.library_torrent);
+
       // Filter events
       filter.onSelect = (type, a, b) => {
         Lampa.Select.close();
@@ -2799,8 +5661,10 @@ try {
           }
           if (a.refresh) return search(true);
           if (a.reset) state.filters = JSON.parse(JSON.stringify(defaultFilters));
+          else if (a.group_toggle) setGroupDuplicates(!getGroupDuplicates());
           else if (a.stype) state.filters[a.stype] = b.value;
-          Store.set('torbox_filters_v2', JSON.stringify(state.filters));
+          if (a.reset || a.stype === 'season') state.season_from_entry = false;
+          saveFilters();
         }
         state.last_hash = null; // reset focus
         build();
@@ -2830,6 +5694,19 @@ try {
       filter.render().find('.filter--sort').before(cachedToggleBtn);
       updateCachedToggleVisual();
 
+      // "Paste link" button: hoster URL → TorBox web download
+      pasteLinkBtn = $(
+        `<div class="simple-button simple-button--filter selector torbox-paste-link" role="button">` +
+          `<span class="torbox-paste-link__icon">🔗</span><div class="torbox-paste-link__label"></div></div>`
+      );
+      pasteLinkBtn.find('.torbox-paste-link__label').text(translate('torbox_paste_link'));
+      pasteLinkBtn.attr('title', translate('torbox_paste_link_hint')).attr('aria-label', translate('torbox_paste_link_hint'));
+      pasteLinkBtn.on('hover:enter', () => {
+        pasteLinkBtn.removeClass('focus');
+        promptWebLink();
+      });
+      filter.render().find('.filter--search').after(pasteLinkBtn);
+
       empty(translate('torbox_loading_initial'));
       search();
     };
@@ -2841,13 +5718,14 @@ try {
         initialized = true;
         this.initialize();
       } else {
-        build();
+        if (!object.library_torrent) build();
+        else if (state.view === 'episodes') drawEpisodes(state.current_torrent_data);
         Lampa.Controller.toggle('content');
       }
     };
 
     this.back = function () {
-      if (state.view === 'episodes') {
+      if (state.view === 'episodes' && !object.library_torrent) {
         state.view = 'torrents';
         filter.render().show();
         revertPendingPlayback();
@@ -2902,6 +5780,323 @@ try {
     }
   }
 
+  // ───────────────────────────── My TorBox (account library) ─────────────────────────────
+  const LIBRARY_SORTS = [
+    { key: 'date', labelKey: 'torbox_library_sort_date', field: 'created_ts', reverse: true },
+    { key: 'name', labelKey: 'torbox_library_sort_name', field: 'name_key', reverse: false },
+    { key: 'size', labelKey: 'torbox_library_sort_size', field: 'size', reverse: true },
+    { key: 'progress', labelKey: 'torbox_library_sort_progress', field: 'progress', reverse: true },
+  ];
+  const LIBRARY_FILTERS = ['all', 'ready', 'active', 'error'];
+
+  // mylist entry -> 'ready' | 'active' | 'error'
+  const libraryStateOf = (raw) => {
+    const st = String(raw?.download_state || '').toLowerCase();
+    if (/error|fail/.test(st)) return 'error';
+    if (raw?.download_finished || raw?.download_present) return 'ready';
+    if (['cached', 'completed', 'uploading', 'seeding'].some((s) => st.includes(s))) return 'ready';
+    return 'active';
+  };
+
+  // Counts against the plan's concurrent slots; mylist `active` wins when TorBox reports it
+  const isActiveDownload = (raw) => (typeof raw?.active === 'boolean' ? raw.active : libraryStateOf(raw) === 'active');
+
+  const activeDownloadsOf = (list) => (Array.isArray(list) ? list : []).filter(isActiveDownload).map(toLibraryItem);
+
+  const toLibraryItem = (raw) => {
+    const created = raw?.created_at ? new Date(raw.created_at) : null;
+    const name = String(raw?.name || '').trim();
+    return {
+      id: raw?.id,
+      hash: String(raw?.hash || '').toLowerCase(),
+      name,
+      name_key: name.toLowerCase(),
+      size: Number(raw?.size) || 0,
+      progress: Utils.clamp(Number(raw?.progress) || 0, 0, 1),
+      download_state: String(raw?.download_state || ''),
+      status: libraryStateOf(raw),
+      cached: !!raw?.cached,
+      created_at: raw?.created_at || '',
+      created_ts: created && isFinite(created) ? created.getTime() : 0,
+      files: Array.isArray(raw?.files) ? raw.files : [],
+    };
+  };
+
+  const sortFilterLibrary = (items, sortKey, filterKey) => {
+    const sort = LIBRARY_SORTS.find((s) => s.key === sortKey) || LIBRARY_SORTS[0];
+    const list = (items || [])
+      .filter((item) => filterKey === 'all' || !LIBRARY_FILTERS.includes(filterKey) || item.status === filterKey)
+      .map((x, i) => ({ x, i }))
+      .sort((A, B) => {
+        const a = A.x[sort.field] ?? 0;
+        const b = B.x[sort.field] ?? 0;
+        if (a < b) return sort.reverse ? 1 : -1;
+        if (a > b) return sort.reverse ? -1 : 1;
+        return A.i - B.i; // stable
+      })
+      .map((q) => q.x);
+    return list.slice(0, CONST.MAX_DRAW_ITEMS);
+  };
+
+  function LibraryComponent(object) {
+    let scroll = new Lampa.Scroll({ mask: true, over: true, step: 250 });
+    let html = $('<div class="torbox-library"></div>');
+    let head = $('<div class="torbox-library__head"></div>');
+    let abort = new AbortController();
+    let lastFocused = null;
+    let items = [];
+
+    const state = {
+      sort: Store.get('torbox_library_sort', 'date'),
+      filter: Store.get('torbox_library_filter', 'all'),
+    };
+
+    this.activity = object.activity;
+
+    const statusIcon = (item) => {
+      if (item.status === 'ready') return item.cached ? '⚡' : '✅';
+      if (item.status === 'error') return '⚠️';
+      return '⏳';
+    };
+
+    const headButton = (cls, onEnter) => {
+      const btn = $(`<div class="simple-button simple-button--filter selector ${cls}"></div>`);
+      btn.on('hover:focus', (e) => (lastFocused = e.currentTarget)).on('hover:enter', onEnter);
+      return btn;
+    };
+
+    const message = (text) => {
+      scroll.clear();
+      const el = Lampa.Template.get('torbox_empty', { message: Utils.escapeHtml(text) });
+      el.addClass('selector').on('hover:focus', (e) => (lastFocused = e.currentTarget));
+      scroll.append(el);
+    };
+
+    const drawHead = () => {
+      const sort = LIBRARY_SORTS.find((s) => s.key === state.sort) || LIBRARY_SORTS[0];
+      head.empty();
+      head.append(
+        headButton('torbox-library__sort', () => {
+          Lampa.Select.show({
+            title: translate('torbox_library_sort'),
+            items: LIBRARY_SORTS.map((s) => ({ title: translate(s.labelKey), key: s.key, selected: s.key === state.sort })),
+            onSelect: (a) => {
+              state.sort = a.key;
+              Store.set('torbox_library_sort', a.key);
+              draw();
+              Lampa.Controller.toggle('content');
+            },
+            onBack: () => Lampa.Controller.toggle('content'),
+          });
+        }).text(`${translate('torbox_library_sort')}: ${translate(sort.labelKey)}`),
+        headButton('torbox-library__filter', () => {
+          Lampa.Select.show({
+            title: translate('torbox_library_filter'),
+            items: LIBRARY_FILTERS.map((key) => ({
+              title: translate(`torbox_library_filter_${key}`),
+              key,
+              selected: key === state.filter,
+            })),
+            onSelect: (a) => {
+              state.filter = a.key;
+              Store.set('torbox_library_filter', a.key);
+              draw();
+              Lampa.Controller.toggle('content');
+            },
+            onBack: () => Lampa.Controller.toggle('content'),
+          });
+        }).text(`${translate('torbox_library_filter')}: ${translate(`torbox_library_filter_${state.filter}`)}`),
+        headButton('torbox-library__refresh', () => load()).text(translate('torbox_library_refresh'))
+      );
+    };
+
+    const open = (item) => {
+      if (item.status !== 'ready') {
+        return Lampa.Noty.show(
+          translateWithParams('torbox_library_not_ready', { progress: Math.round(item.progress * 100) })
+        );
+      }
+      if (item.hash) Store.set(`torbox_id_for_hash_${item.hash}`, String(item.id));
+      Lampa.Activity.push({
+        component: 'torbox_main',
+        title: `${Lampa.Lang.translate('title_torbox')} - ${item.name}`,
+        movie: { title: item.name, original_title: item.name },
+        library_torrent: {
+          id: item.id,
+          hash: item.hash,
+          name: item.name,
+          size: item.size,
+          files: item.files,
+          source: 'torrent',
+        },
+      });
+    };
+
+    const draw = () => {
+      drawHead();
+      scroll.clear();
+      lastFocused = null;
+      const list = sortFilterLibrary(items, state.sort, state.filter);
+      if (!list.length) return message(translate(items.length ? 'torbox_empty_filters' : 'torbox_library_empty'));
+
+      list.forEach((item) => {
+        const percent = Math.round(item.progress * 100);
+        const el = Lampa.Template.get('torbox_item', {
+          hash: Utils.escapeHtml(item.hash),
+          last_played_icon: '',
+          icon: statusIcon(item),
+          source_badge: '',
+          pack_badge: '',
+          title: Utils.escapeHtml(item.name || translate('torbox_no_title')),
+          info_formated:
+            `${Utils.formatBytes(item.size)} | ${Utils.escapeHtml(item.download_state || translate('torbox_not_available'))}` +
+            (item.status === 'active' ? ` | ${percent}%` : ''),
+          meta_formated:
+            `${translate('torbox_info_added')}: ${Utils.formatAge(item.created_at)}` +
+            ` | ${translate('torbox_library_cached')}: ${translate(item.cached ? 'torbox_yes' : 'torbox_no')}`,
+          tech_bar_html: '',
+        });
+        if (item.status === 'active') {
+          el.append(`<div class="torbox-item__progress"><div style="width:${Utils.clamp(percent, 0, 100)}%"></div></div>`);
+        }
+        el
+          .on('hover:focus', (e) => {
+            lastFocused = e.currentTarget;
+            scroll.update($(e.currentTarget), true);
+          })
+          .on('hover:enter', () => open(item))
+          .on('hover:long', () => {
+            Lampa.Select.show({
+              title: translate('torbox_actions_title'),
+              items: torrentActionItems(item.id),
+              onSelect: (a) =>
+                runTorrentAction({ id: item.id, hash: item.hash, title: item.name }, a.torrent_operation, () => load()),
+              onBack: () => Lampa.Controller.toggle('content'),
+            });
+          });
+        scroll.append(el);
+      });
+    };
+
+    const load = () => {
+      abort.abort();
+      abort = new AbortController();
+      const signal = abort.signal;
+      this.activity.loader(true);
+      message(translate('torbox_library_loading'));
+
+      Api.myLibrary(signal)
+        .then((json) => {
+          if (signal.aborted) return;
+          items = (Array.isArray(json?.data) ? json.data : []).map(toLibraryItem);
+          draw();
+          Lampa.Controller.toggle('content');
+        })
+        .catch((err) => {
+          if (signal.aborted) return;
+          message(err?.message || translate('torbox_generic_error'));
+          ErrorHandler.show(err?.type || 'error', err);
+        })
+        .finally(() => this.activity.loader(false));
+    };
+
+    this.create = function () {
+      scroll.body().addClass('torbox-list-container');
+      html.append(head).append(scroll.render());
+      scroll.minus(head);
+      drawHead();
+      return this.render();
+    };
+
+    this.render = function () {
+      return html;
+    };
+
+    this.start = function () {
+      if (Lampa.Activity.active().activity !== this.activity) return;
+      Lampa.Controller.add('content', {
+        toggle: () => {
+          Lampa.Controller.collectionSet(html);
+          Lampa.Controller.collectionFocus(lastFocused || false, html);
+        },
+        up: () => {
+          if (Navigator.canmove('up')) Navigator.move('up');
+          else Lampa.Controller.toggle('head');
+        },
+        down: () => {
+          if (Navigator.canmove('down')) Navigator.move('down');
+        },
+        left: () => {
+          if (Navigator.canmove('left')) Navigator.move('left');
+          else Lampa.Controller.toggle('menu');
+        },
+        right: () => {
+          if (Navigator.canmove('right')) Navigator.move('right');
+        },
+        back: this.back.bind(this),
+      });
+      Lampa.Controller.toggle('content');
+      if (!items.length) load();
+    };
+
+    this.back = function () {
+      abort.abort();
+      Lampa.Activity.backward();
+    };
+
+    this.destroy = function () {
+      abort.abort();
+      Lampa.Controller.clear('content');
+      try {
+        if (scroll) scroll.destroy();
+        if (html) html.remove();
+      } catch {}
+      scroll = html = head = lastFocused = null;
+    };
+
+    this.pause = function () {};
+    this.stop = function () {};
+  }
+
+  // ───────────────────────────── Account (settings panel) ─────────────────────────────
+  // TorBox plan ids -> display name and concurrent download slots
+  // Slot limit when user/me states it; otherwise it is estimated from the plan table below
+  const ACCOUNT_SLOT_FIELDS = ['max_concurrent_slots', 'concurrent_slots', 'max_active_downloads'];
+  const TORBOX_PLANS = {
+    0: { name: 'Free', slots: 1 },
+    1: { name: 'Essential', slots: 3 },
+    2: { name: 'Pro', slots: 10 },
+    3: { name: 'Standard', slots: 5 },
+  };
+
+  // user/me (+ mylist once active downloads are counted) payloads -> flat summary shown in settings
+  const summarizeAccount = (user, torrents) => {
+    const u = user && typeof user === 'object' ? user : {};
+    const planId = Number(u.plan);
+    const plan = TORBOX_PLANS[planId] || null;
+    const extraSlots = Math.max(0, Number(u.additional_concurrent_slots) || 0);
+    const reportedLimit = ACCOUNT_SLOT_FIELDS.map((key) => Number(u[key])).find((n) => Number.isFinite(n) && n > 0);
+    const expires = u.premium_expires_at ? new Date(u.premium_expires_at) : null;
+    const list = Array.isArray(torrents) ? torrents : null;
+    return {
+      plan: plan ? plan.name : Number.isFinite(planId) ? `#${planId}` : '',
+      expiresAt: expires && !isNaN(expires.getTime()) ? expires : null,
+      expired: !!(expires && !isNaN(expires.getTime()) && expires.getTime() < Date.now()),
+      active: list ? list.filter(isActiveDownload).length : null,
+      limit: reportedLimit || (plan ? plan.slots + extraSlots : null),
+      limitEstimated: !reportedLimit && !!plan,
+      downloadedBytes: Number(u.total_bytes_downloaded) || 0,
+      downloadedCount: Number(u.total_downloaded) || 0,
+    };
+  };
+
+  // "active / limit"; until mylist is read the active count is a hint to press OK
+  const accountSlotsText = (a, countActive) => {
+    const active = a.active ?? (countActive ? '—' : translate('torbox_account_active_count'));
+    const limit = a.limitEstimated ? `≈${a.limit}` : a.limit;
+    return a.limit === null ? String(active) : `${active} / ${limit}`;
+  };
+
   // ───────────────────────────── Integration with Lampa ─────────────────────────────
   (function integrate() {
     let fullListener = null;
@@ -3030,6 +6225,8 @@ try {
       torbox_no_title: { ru: 'Без названия', en: 'Untitled', uk: 'Без назви' },
       torbox_info_trackers: { ru: 'Трекеры', en: 'Trackers', uk: 'Трекери' },
       torbox_info_added: { ru: 'Добавлено', en: 'Added', uk: 'Додано' },
+      torbox_info_sources: { ru: 'Источники', en: 'Sources', uk: 'Джерела' },
+      torbox_source_usenet: { ru: 'Usenet (NZB)', en: 'Usenet (NZB)', uk: 'Usenet (NZB)' },
       torbox_error_no_video_files: {
         ru: 'Видеофайлы не найдены',
         en: 'Video files not found',
@@ -3076,6 +6273,16 @@ try {
         en: 'Magnet link not found',
         uk: 'Magnet-посилання не знайдено',
       },
+      torbox_error_no_nzb: {
+        ru: 'NZB‑ссылка не найдена',
+        en: 'NZB link not found',
+        uk: 'NZB-посилання не знайдено',
+      },
+      torbox_error_bad_link: {
+        ru: 'Некорректная ссылка (нужен http/https URL)',
+        en: 'Invalid link (http/https URL required)',
+        uk: 'Некоректне посилання (потрібен http/https URL)',
+      },
       torbox_error_bad_hash: {
         ru: 'Некорректный BTIH‑хеш',
         en: 'Invalid BTIH hash',
@@ -3091,6 +6298,16 @@ try {
         en: 'TorBox: Adding magnet...',
         uk: 'TorBox: Додавання магнету...',
       },
+      torbox_loading_add_nzb: {
+        ru: 'TorBox: Добавление NZB...',
+        en: 'TorBox: Adding NZB...',
+        uk: 'TorBox: Додавання NZB...',
+      },
+      torbox_loading_add_link: {
+        ru: 'TorBox: Добавление ссылки...',
+        en: 'TorBox: Adding link...',
+        uk: 'TorBox: Додавання посилання...',
+      },
       torbox_loading_wait: {
         ru: 'TorBox: Ожидание загрузки...',
         en: 'TorBox: Waiting for download...',
@@ -3103,10 +6320,11 @@ try {
       },
       torbox_actions_title: { ru: 'Действия', en: 'Actions', uk: 'Дії' },
       torbox_actions_copy_magnet: { ru: 'Скопировать Magnet', en: 'Copy magnet link', uk: 'Скопіювати Magnet' },
+      torbox_actions_copy_nzb: { ru: 'Скопировать NZB‑ссылку', en: 'Copy NZB link', uk: 'Скопіювати NZB-посилання' },
       torbox_actions_copied: {
-        ru: 'Magnet‑ссылка скопирована',
-        en: 'Magnet link copied',
-        uk: 'Magnet-посилання скопійовано',
+        ru: 'Ссылка скопирована',
+        en: 'Link copied',
+        uk: 'Посилання скопійовано',
       },
       torbox_empty_list: { ru: 'Торренты не найдены', en: 'No torrents found', uk: 'Торренти не знайдені' },
       torbox_no_results_prompt: {
@@ -3122,14 +6340,68 @@ try {
       torbox_filter_audio_lang: { ru: 'Язык аудио', en: 'Audio language', uk: 'Мова аудіо' },
       torbox_filter_video_codec: { ru: 'Видео кодек', en: 'Video codec', uk: 'Відеокодек' },
       torbox_filter_audio_codec: { ru: 'Аудио кодек', en: 'Audio codec', uk: 'Аудіокодек' },
+      torbox_filter_release_source: { ru: 'Тип релиза', en: 'Release type', uk: 'Тип релізу' },
+      torbox_filter_hdr: { ru: 'HDR', en: 'HDR', uk: 'HDR' },
+      torbox_filter_season: { ru: 'Сезон', en: 'Season', uk: 'Сезон' },
       torbox_filter_tracker: { ru: 'Трекер', en: 'Tracker', uk: 'Трекер' },
+      torbox_filter_group: { ru: 'Группировать копии', en: 'Group copies', uk: 'Групувати копії' },
+      torbox_group_more: { ru: 'Ещё копии: {count}', en: 'More copies: {count}', uk: 'Ще копії: {count}' },
+      torbox_actions_score: { ru: 'Почему здесь?', en: 'Why ranked here?', uk: 'Чому тут?' },
+      torbox_score_title: { ru: 'Оценка: {score} из 100', en: 'Score: {score} of 100', uk: 'Оцінка: {score} зі 100' },
+      torbox_score_factor_detail: {
+        ru: 'значение {scored} × {share} = {points} (вес {weight} из {total})',
+        en: 'value {scored} × {share} = {points} (weight {weight} of {total})',
+        uk: 'значення {scored} × {share} = {points} (вага {weight} з {total})',
+      },
+      torbox_score_factor_detail_inverted: {
+        ru: 'значение 1 − {value} = {scored} × {share} = {points} (вес {weight} из {total}, обратный)',
+        en: 'value 1 − {value} = {scored} × {share} = {points} (weight {weight} of {total}, inverted)',
+        uk: 'значення 1 − {value} = {scored} × {share} = {points} (вага {weight} з {total}, обернена)',
+      },
+      torbox_score_factor_cached: { ru: 'В кэше', en: 'Cached', uk: 'У кеші' },
+      torbox_score_factor_seeders: { ru: 'Сиды', en: 'Seeders', uk: 'Сіди' },
+      torbox_score_factor_quality: { ru: 'Качество', en: 'Quality', uk: 'Якість' },
+      torbox_score_factor_size: { ru: 'Объём на минуту', en: 'Size per minute', uk: 'Обсяг на хвилину' },
+      torbox_score_factor_age: { ru: 'Свежесть', en: 'Age', uk: 'Свіжість' },
+      torbox_score_factor_tracker: { ru: 'Трекер', en: 'Tracker', uk: 'Трекер' },
+      torbox_score_factor_audio: { ru: 'Язык аудио', en: 'Audio language', uk: 'Мова аудіо' },
+      torbox_score_factor_codec: { ru: 'Кодек', en: 'Codec', uk: 'Кодек' },
+      torbox_pack_complete: { ru: 'Все сезоны', en: 'Complete', uk: 'Усі сезони' },
+      torbox_filter_source: { ru: 'Источник', en: 'Source', uk: 'Джерело' },
       torbox_filter_reset: { ru: 'Сбросить фильтры', en: 'Reset filters', uk: 'Скинути фільтри' },
       torbox_filter_refresh: { ru: 'Обновить список', en: 'Refresh list', uk: 'Оновити список' },
       torbox_filter_title: { ru: 'Фильтр', en: 'Filter', uk: 'Фільтр' },
+      torbox_paste_link: { ru: 'Ссылка', en: 'Paste link', uk: 'Посилання' },
+      torbox_paste_link_hint: {
+        ru: 'Скачать по прямой ссылке (1fichier, Mega и т.п.) через TorBox',
+        en: 'Download a direct hoster link (1fichier, Mega, etc.) via TorBox',
+        uk: 'Завантажити за прямим посиланням (1fichier, Mega тощо) через TorBox',
+      },
+      torbox_paste_link_title: { ru: 'Вставьте ссылку', en: 'Paste a link', uk: 'Вставте посилання' },
+      torbox_unrelated_show: {
+        ru: 'Показать нерелевантные ({count})',
+        en: 'Show unrelated ({count})',
+        uk: 'Показати нерелевантні ({count})',
+      },
+      torbox_unrelated_hide: {
+        ru: 'Скрыть нерелевантные ({count})',
+        en: 'Hide unrelated ({count})',
+        uk: 'Сховати нерелевантні ({count})',
+      },
+      torbox_unrelated_hint: {
+        ru: 'Название, год или сезон не совпадают с карточкой',
+        en: 'Title, year or season does not match the card',
+        uk: 'Назва, рік або сезон не збігаються з карткою',
+      },
       torbox_sort_seeders_desc: { ru: 'По сидам (убыв.)', en: 'Seeders (desc)', uk: 'За сідами (спадання)' },
       torbox_sort_size_desc: { ru: 'По размеру (убыв.)', en: 'Size (desc)', uk: 'За розміром (спадання)' },
       torbox_sort_size_asc: { ru: 'По размеру (возр.)', en: 'Size (asc)', uk: 'За розміром (зростання)' },
       torbox_sort_age: { ru: 'По дате добавления', en: 'Recently added', uk: 'За датою додавання' },
+      torbox_filter_size_min: { ru: 'Размер от', en: 'Min size', uk: 'Розмір від' },
+      torbox_filter_size_max: { ru: 'Размер до', en: 'Max size', uk: 'Розмір до' },
+      torbox_bitrate_value: { ru: '≈{value} Мбит/с', en: '≈{value} Mbit/s', uk: '≈{value} Мбіт/с' },
+      torbox_sort_recommended: { ru: 'Рекомендуемые', en: 'Recommended', uk: 'Рекомендовані' },
+      torbox_sort_quality: { ru: 'По качеству релиза', en: 'Release quality', uk: 'За якістю релізу' },
       torbox_sort_title: { ru: 'Сортировка', en: 'Sorting', uk: 'Сортування' },
       torbox_search_custom: { ru: 'Поиск: «{query}»…', en: 'Searching for “{query}”…', uk: 'Пошук: «{query}»…' },
       torbox_search_fetching: { ru: 'Получение списка…', en: 'Fetching list…', uk: 'Отримання списку…' },
@@ -3148,11 +6420,6 @@ try {
         en: 'Results contain no valid BTIH hashes.',
         uk: 'Результати без валідних BTIH-хешів.',
       },
-      torbox_check_cache_progress: {
-        ru: 'Проверка кэша ({count})…',
-        en: 'Checking cache ({count})…',
-        uk: 'Перевірка кешу ({count})…',
-      },
       torbox_generic_error: { ru: 'Ошибка', en: 'Error', uk: 'Помилка' },
       torbox_refine_not_enough_data: {
         ru: 'Недостаточно данных для уточнения запроса',
@@ -3175,12 +6442,21 @@ try {
         en: 'TorBox plugin for streaming torrents',
         uk: 'Плагін для перегляду торрентів через TorBox',
       },
-      torbox_settings_proxy_name: { ru: 'URL CORS‑прокси', en: 'CORS proxy URL', uk: 'URL CORS-проксі' },
+      torbox_settings_proxy_name: { ru: 'URL CORS‑прокси', en: 'CORS proxy URLs', uk: 'URL CORS-проксі' },
       torbox_settings_proxy_desc: {
-        ru: 'Введите URL прокси, через который будут идти ВСЕ запросы',
-        en: 'Enter the proxy URL that will handle ALL requests',
-        uk: 'Введіть URL проксі, через який підуть УСІ запити',
+        ru: 'Один или несколько URL прокси через «;». При сбое используется следующий. Нужен для запросов, которые не работают напрямую.',
+        en: 'One or more proxy URLs separated by “;”. The next one is used on failure. Needed for requests that fail without a proxy.',
+        uk: 'Один або кілька URL проксі через «;». У разі збою використовується наступний. Потрібен для запитів, що не працюють напряму.',
+      },
+      torbox_settings_connection_mode_name: { ru: 'Режим подключения', en: 'Connection mode', uk: 'Режим підключення' },
+      torbox_settings_connection_mode_desc: {
+        ru: 'Авто: один раз проверить прямой доступ к TorBox и каждому парсеру, прокси — только там, где CORS не работает.',
+        en: 'Auto: probe direct access to TorBox and each parser once; use the proxy only where CORS fails.',
+        uk: 'Авто: один раз перевірити прямий доступ до TorBox і кожного парсера, проксі — лише там, де CORS не працює.',
       },
+      torbox_settings_connection_mode_auto: { ru: 'Авто', en: 'Auto', uk: 'Авто' },
+      torbox_settings_connection_mode_direct: { ru: 'Напрямую', en: 'Direct', uk: 'Напряму' },
+      torbox_settings_connection_mode_proxy: { ru: 'Прокси', en: 'Proxy', uk: 'Проксі' },
       torbox_settings_api_name: { ru: 'API‑ключ', en: 'API key', uk: 'API-ключ' },
       torbox_settings_api_desc: {
         ru: 'Введите ваш API‑ключ от TorBox',
@@ -3213,6 +6489,16 @@ try {
         en: 'Delay between status polling requests. Allowed range: 3000–60000 ms.',
         uk: 'Затримка між запитами статусу торрента. Допустимий діапазон: 3000–60000 мс.',
       },
+      torbox_settings_cached_ttl_name: {
+        ru: 'Срок статуса кэша (ч)',
+        en: 'Cached status lifetime (h)',
+        uk: 'Термін статусу кешу (год)',
+      },
+      torbox_settings_cached_ttl_desc: {
+        ru: 'Сколько часов помнить ⚡/☁️ для релиза до повторной проверки в TorBox. Допустимо от 1 до 168.',
+        en: 'How many hours a release’s ⚡/☁️ status is reused before TorBox is asked again. Allowed range: 1–168.',
+        uk: 'Скільки годин пам’ятати ⚡/☁️ для релізу до повторної перевірки в TorBox. Допустимо від 1 до 168.',
+      },
       torbox_settings_video_ext_name: {
         ru: 'Видео-расширения',
         en: 'Video extensions',
@@ -3223,16 +6509,86 @@ try {
         en: 'Comma-separated list of allowed extensions. Leave empty to restore defaults.',
         uk: 'Список дозволених розширень через кому. Порожнє значення поверне налаштування за замовчуванням.',
       },
-      torbox_settings_custom_parsers_name: {
-        ru: 'Пользовательские парсеры',
-        en: 'Custom parsers',
-        uk: 'Користувацькі парсери',
+      torbox_settings_parsers_name: {
+        ru: 'Парсеры (Jackett / Prowlarr / Jacred / Torznab)',
+        en: 'Parsers (Jackett / Prowlarr / Jacred / Torznab)',
+        uk: 'Парсери (Jackett / Prowlarr / Jacred / Torznab)',
+      },
+      torbox_settings_parsers_desc: {
+        ru: 'Свои парсеры с API‑ключом, индексатором и категориями. Опрашиваются перед публичными.',
+        en: 'Your own parsers with API key, indexer and categories. Queried before the public ones.',
+        uk: 'Власні парсери з API-ключем, індексатором і категоріями. Опитуються перед публічними.',
+      },
+      torbox_parsers_add: { ru: '+ Добавить парсер', en: '+ Add parser', uk: '+ Додати парсер' },
+      torbox_parsers_json: { ru: 'Импорт / экспорт JSON', en: 'Import / export JSON', uk: 'Імпорт / експорт JSON' },
+      torbox_parsers_delete: { ru: 'Удалить парсер', en: 'Delete parser', uk: 'Видалити парсер' },
+      torbox_parsers_field_name: { ru: 'Название', en: 'Name', uk: 'Назва' },
+      torbox_parsers_field_url: { ru: 'Базовый URL', en: 'Base URL', uk: 'Базова URL' },
+      torbox_parsers_field_type: { ru: 'Тип', en: 'Type', uk: 'Тип' },
+      torbox_parsers_field_apikey: { ru: 'API‑ключ', en: 'API key', uk: 'API-ключ' },
+      torbox_parsers_field_indexer: {
+        ru: 'Индексатор (Jackett: id, Prowlarr: id через запятую)',
+        en: 'Indexer (Jackett: id, Prowlarr: comma-separated ids)',
+        uk: 'Індексатор (Jackett: id, Prowlarr: id через кому)',
+      },
+      torbox_parsers_field_categories: { ru: 'Категории (через запятую)', en: 'Categories (comma-separated)', uk: 'Категорії (через кому)' },
+      torbox_parsers_field_format: { ru: 'Формат ответа', en: 'Response format', uk: 'Формат відповіді' },
+      torbox_parsers_format_auto: { ru: 'Авто (по Content-Type)', en: 'Auto (by Content-Type)', uk: 'Авто (за Content-Type)' },
+      torbox_parsers_format_json: { ru: 'JSON', en: 'JSON', uk: 'JSON' },
+      torbox_parsers_format_torznab: { ru: 'Torznab XML', en: 'Torznab XML', uk: 'Torznab XML' },
+      torbox_parsers_field_enabled: { ru: 'Включён', en: 'Enabled', uk: 'Увімкнено' },
+      torbox_parsers_invalid_url: {
+        ru: 'Парсер без корректного http(s) URL не сохранён',
+        en: 'Parser without a valid http(s) URL was not saved',
+        uk: 'Парсер без коректної http(s) URL не збережено',
+      },
+      torbox_parsers_bad_json: { ru: 'Некорректный JSON', en: 'Invalid JSON', uk: 'Некоректний JSON' },
+      torbox_confirm_delete_parser: {
+        ru: 'Удалить парсер «{title}»?',
+        en: 'Delete parser “{title}”?',
+        uk: 'Видалити парсер «{title}»?',
+      },
+      torbox_settings_newznab_name: {
+        ru: 'Usenet‑индексаторы (Newznab)',
+        en: 'Usenet indexers (Newznab)',
+        uk: 'Usenet-індексатори (Newznab)',
+      },
+      torbox_settings_newznab_desc: {
+        ru: 'URL API с apikey через «;». NZB‑результаты показываются рядом с торрентами.',
+        en: 'API URLs with apikey, separated by “;”. NZB results are shown next to torrents.',
+        uk: 'URL API з apikey через «;». NZB-результати показуються поруч із торрентами.',
       },
-      torbox_settings_custom_parsers_desc: {
-        ru: 'Список доменов (через запятую) для поиска. Добавляются перед публичными.',
-        en: 'Comma-separated list of domains for search. Added before public ones.',
-        uk: 'Список доменів (через кому) для пошуку. Додаються перед публічними.',
+      torbox_settings_categories_name: {
+        ru: 'Категории поиска по типу контента',
+        en: 'Search categories by content type',
+        uk: 'Категорії пошуку за типом контенту',
       },
+      torbox_settings_categories_desc: {
+        ru: 'Тип определяется по карточке: фильм, сериал, аниме (анимация + японский), документальное. Формат: movie=2000; tv=5000; anime=5070; documentary=5080.',
+        en: 'Type comes from the card: movie, series, anime (animation + Japanese), documentary. Format: movie=2000; tv=5000; anime=5070; documentary=5080.',
+        uk: 'Тип визначається за карткою: фільм, серіал, аніме (анімація + японська), документальне. Формат: movie=2000; tv=5000; anime=5070; documentary=5080.',
+      },
+      torbox_settings_parser_mode_name: {
+        ru: 'Режим парсеров',
+        en: 'Parser mode',
+        uk: 'Режим парсерів',
+      },
+      torbox_settings_parser_mode_desc: {
+        ru: 'Объединение: опрашивать все парсеры параллельно и объединять результаты. Резерв: до первого парсера с результатами.',
+        en: 'Merge: query all parsers in parallel and merge results. Failover: stop at the first parser with results.',
+        uk: "Об'єднання: опитувати всі парсери паралельно та об'єднувати результати. Резерв: до першого парсера з результатами.",
+      },
+      torbox_settings_search_source_name: { ru: 'Поиск TorBox', en: 'TorBox search', uk: 'Пошук TorBox' },
+      torbox_settings_search_source_desc: {
+        ru: 'Собственный поиск TorBox (по ключу аккаунта, сразу со статусом кэша) как источник рядом с парсерами.',
+        en: "TorBox's own search (account key, cached status included) as a source next to the parsers.",
+        uk: 'Власний пошук TorBox (за ключем акаунта, одразу зі статусом кешу) як джерело поруч із парсерами.',
+      },
+      torbox_settings_search_source_first: { ru: 'Включён, перед парсерами', en: 'On, before parsers', uk: 'Увімкнено, перед парсерами' },
+      torbox_settings_search_source_last: { ru: 'Включён, после парсеров', en: 'On, after parsers', uk: 'Увімкнено, після парсерів' },
+      torbox_settings_search_source_off: { ru: 'Выключен', en: 'Off', uk: 'Вимкнено' },
+      torbox_settings_parser_mode_merge: { ru: 'Объединение', en: 'Merge', uk: "Об'єднання" },
+      torbox_settings_parser_mode_failover: { ru: 'Резерв (failover)', en: 'Failover', uk: 'Резерв (failover)' },
       torbox_settings_default_cached_name: {
         ru: 'По умолчанию: только кеш',
         en: 'Default: cached only',
@@ -3263,6 +6619,58 @@ try {
         en: 'For movies, auto-select the best video file (largest, excluding sample/trailer).',
         uk: 'Для фільмів автообирати найкращий відеофайл (найбільший, без sample/trailer).',
       },
+      torbox_settings_group_duplicates_name: {
+        ru: 'Группировать копии релизов',
+        en: 'Group release copies',
+        uk: 'Групувати копії релізів',
+      },
+      torbox_settings_group_duplicates_desc: {
+        ru: 'Один и тот же релиз с разных трекеров (похожее название, размер ±1%) показывается одной строкой с раскрывающимся списком копий.',
+        en: 'The same release from several trackers (similar title, size within 1%) is shown as one row with an expandable list of copies.',
+        uk: 'Той самий реліз з різних трекерів (схожа назва, розмір ±1%) показується одним рядком зі списком копій, що розгортається.',
+      },
+      torbox_settings_score_weights_name: {
+        ru: 'Веса сортировки «Рекомендуемые»',
+        en: '“Recommended” sort weights',
+        uk: 'Ваги сортування «Рекомендовані»',
+      },
+      torbox_settings_score_weights_desc: {
+        ru: 'cached, seeders, quality, size (объём на минуту), age, tracker, audio, codec — от -100 до 100; отрицательный вес предпочитает обратное (например, size=-10 — файлы поменьше).',
+        en: 'cached, seeders, quality, size (data per minute), age, tracker, audio, codec — -100 to 100; a negative weight prefers the opposite (e.g. size=-10 favors smaller files).',
+        uk: 'cached, seeders, quality, size (обсяг на хвилину), age, tracker, audio, codec — від -100 до 100; від’ємна вага віддає перевагу протилежному (наприклад, size=-10 — менші файли).',
+      },
+      torbox_settings_tracker_weights_name: {
+        ru: 'Веса трекеров',
+        en: 'Tracker weights',
+        uk: 'Ваги трекерів',
+      },
+      torbox_settings_tracker_weights_desc: {
+        ru: 'трекер=0..1 через «;». Неуказанные трекеры считаются 0.5.',
+        en: 'tracker=0..1 separated by “;”. Unlisted trackers count as 0.5.',
+        uk: 'трекер=0..1 через «;». Невказані трекери вважаються 0.5.',
+      },
+      torbox_settings_max_bitrate_name: {
+        ru: 'Максимальный битрейт, Мбит/с',
+        en: 'Maximum bitrate, Mbit/s',
+        uk: 'Максимальний бітрейт, Мбіт/с',
+      },
+      torbox_settings_max_bitrate_desc: {
+        ru: 'Сколько тянут устройство и сеть. Битрейт оценивается по размеру и хронометражу карточки (для паков — по числу серий). 0 — без ограничения.',
+        en: 'What the device and network can stream. Bitrate is estimated from size and the card runtime (episode count for packs). 0 = no limit.',
+        uk: 'Скільки витягують пристрій і мережа. Бітрейт оцінюється за розміром і тривалістю картки (для паків — за кількістю серій). 0 — без обмеження.',
+      },
+      torbox_settings_max_bitrate_mode_name: {
+        ru: 'Релизы выше битрейта',
+        en: 'Releases above the bitrate',
+        uk: 'Релізи вище бітрейту',
+      },
+      torbox_settings_max_bitrate_mode_desc: {
+        ru: 'Отмечать их в списке или скрывать. Релизы с неизвестным битрейтом не скрываются.',
+        en: 'Flag them in the list or hide them. Releases with an unknown bitrate are never hidden.',
+        uk: 'Позначати їх у списку або приховувати. Релізи з невідомим бітрейтом не приховуються.',
+      },
+      torbox_settings_max_bitrate_mode_flag: { ru: 'Отмечать', en: 'Flag', uk: 'Позначати' },
+      torbox_settings_max_bitrate_mode_hide: { ru: 'Скрывать', en: 'Hide', uk: 'Приховувати' },
       torbox_settings_quality_order_name: {
         ru: 'Приоритет качества',
         en: 'Quality priority',
@@ -3328,6 +6736,103 @@ try {
         en: 'Diagnostics copied to clipboard',
         uk: 'Діагностику скопійовано у буфер обміну',
       },
+      torbox_loading_torrent_file: {
+        ru: 'Загрузка .torrent файла…',
+        en: 'Downloading .torrent file…',
+        uk: 'Завантаження .torrent файлу…',
+      },
+      torbox_error_torrent_file: {
+        ru: 'Не удалось прочитать .torrent файл',
+        en: 'Could not read the .torrent file',
+        uk: 'Не вдалося прочитати .torrent файл',
+      },
+      torbox_actions_preview: { ru: 'Просмотр файлов', en: 'Preview files', uk: 'Перегляд файлів' },
+      torbox_preview_title: { ru: 'Файлы релиза', en: 'Release files', uk: 'Файли релізу' },
+      torbox_preview_loading: { ru: 'Получение списка файлов…', en: 'Fetching file list…', uk: 'Отримання списку файлів…' },
+      torbox_preview_summary: { ru: 'Файлов: {count} · {size}', en: '{count} files · {size}', uk: 'Файлів: {count} · {size}' },
+      torbox_preview_episodes: {
+        ru: 'Серий: {count} ({first}–{last})',
+        en: 'Episodes: {count} ({first}–{last})',
+        uk: 'Серій: {count} ({first}–{last})',
+      },
+      torbox_preview_no_episodes: { ru: 'Серии не найдены', en: 'No episodes detected', uk: 'Серії не знайдено' },
+      torbox_preview_from_torbox: { ru: 'данные TorBox', en: 'from TorBox', uk: 'дані TorBox' },
+      torbox_preview_from_parser: { ru: 'данные парсера', en: 'from parser', uk: 'дані парсера' },
+      torbox_preview_open: { ru: '▶ Добавить в TorBox и открыть', en: '▶ Add to TorBox and open', uk: '▶ Додати в TorBox і відкрити' },
+      torbox_preview_unavailable: {
+        ru: 'Список файлов недоступен до добавления в TorBox',
+        en: 'File list is not available before adding to TorBox',
+        uk: 'Список файлів недоступний до додавання в TorBox',
+      },
+      torbox_actions_resume: { ru: 'Возобновить в TorBox', en: 'Resume in TorBox', uk: 'Відновити в TorBox' },
+      torbox_actions_pause: { ru: 'Приостановить в TorBox', en: 'Pause in TorBox', uk: 'Призупинити в TorBox' },
+      torbox_actions_reannounce: { ru: 'Переанонсировать', en: 'Reannounce', uk: 'Переанонсувати' },
+      torbox_actions_delete: { ru: 'Удалить из TorBox', en: 'Delete from TorBox', uk: 'Видалити з TorBox' },
+      torbox_actions_done: { ru: 'Готово: {action}', en: 'Done: {action}', uk: 'Готово: {action}' },
+      torbox_loading_action: { ru: 'Отправка команды в TorBox…', en: 'Sending command to TorBox…', uk: 'Надсилання команди в TorBox…' },
+      torbox_confirm_delete: {
+        ru: 'Удалить «{title}» из TorBox?',
+        en: 'Delete “{title}” from TorBox?',
+        uk: 'Видалити «{title}» з TorBox?',
+      },
+      torbox_confirm_yes: { ru: 'Да, выполнить', en: 'Yes, do it', uk: 'Так, виконати' },
+      torbox_confirm_cancel: { ru: 'Отмена', en: 'Cancel', uk: 'Скасувати' },
+      torbox_library_title: { ru: 'Мой TorBox', en: 'My TorBox', uk: 'Мій TorBox' },
+      torbox_library_loading: { ru: 'Загрузка списка TorBox…', en: 'Loading TorBox list…', uk: 'Завантаження списку TorBox…' },
+      torbox_library_empty: { ru: 'В аккаунте TorBox пока нет торрентов', en: 'No torrents in your TorBox account yet', uk: 'В акаунті TorBox поки немає торрентів' },
+      torbox_library_refresh: { ru: 'Обновить', en: 'Refresh', uk: 'Оновити' },
+      torbox_library_sort: { ru: 'Сортировка', en: 'Sort', uk: 'Сортування' },
+      torbox_library_sort_date: { ru: 'По дате добавления', en: 'By date added', uk: 'За датою додавання' },
+      torbox_library_sort_name: { ru: 'По названию', en: 'By name', uk: 'За назвою' },
+      torbox_library_sort_size: { ru: 'По размеру', en: 'By size', uk: 'За розміром' },
+      torbox_library_sort_progress: { ru: 'По прогрессу', en: 'By progress', uk: 'За прогресом' },
+      torbox_library_filter: { ru: 'Статус', en: 'Status', uk: 'Статус' },
+      torbox_library_filter_all: { ru: 'Все', en: 'All', uk: 'Усі' },
+      torbox_library_filter_ready: { ru: 'Готовы', en: 'Ready', uk: 'Готові' },
+      torbox_library_filter_active: { ru: 'Загружаются', en: 'Downloading', uk: 'Завантажуються' },
+      torbox_library_filter_error: { ru: 'С ошибкой', en: 'Failed', uk: 'З помилкою' },
+      torbox_library_cached: { ru: 'В кэше', en: 'Cached', uk: 'У кеші' },
+      torbox_library_not_ready: {
+        ru: 'Ещё загружается ({progress}%)',
+        en: 'Still downloading ({progress}%)',
+        uk: 'Ще завантажується ({progress}%)',
+      },
+      torbox_account_title: { ru: 'Аккаунт TorBox', en: 'TorBox account', uk: 'Акаунт TorBox' },
+      torbox_account_loading: { ru: 'Загрузка данных аккаунта…', en: 'Loading account…', uk: 'Завантаження даних акаунта…' },
+      torbox_account_plan: { ru: 'Тариф', en: 'Plan', uk: 'Тариф' },
+      torbox_account_expires: { ru: 'Действует до', en: 'Expires', uk: 'Діє до' },
+      torbox_account_expired: { ru: 'истёк', en: 'expired', uk: 'закінчився' },
+      torbox_account_active: { ru: 'Активные торренты / лимит', en: 'Active torrents / limit', uk: 'Активні торренти / ліміт' },
+      torbox_account_active_count: { ru: 'OK — посчитать', en: 'OK to count', uk: 'OK — порахувати' },
+      torbox_account_downloaded: { ru: 'Всего скачано', en: 'Total downloaded', uk: 'Всього завантажено' },
+      torbox_account_hint: {
+        ru: 'см. «Аккаунт TorBox» в настройках',
+        en: 'see “TorBox account” in settings',
+        uk: 'див. «Акаунт TorBox» у налаштуваннях',
+      },
+      torbox_account_hint_401: {
+        ru: 'Проблема в ключе: скопируйте его заново со страницы настроек TorBox.',
+        en: 'The key is the problem: copy it again from your TorBox settings page.',
+        uk: 'Проблема в ключі: скопіюйте його знову зі сторінки налаштувань TorBox.',
+      },
+      torbox_account_hint_403: {
+        ru: 'Ключ принят, но тариф или права ключа не позволяют запрос.',
+        en: 'The key is valid, but the plan or key permissions refuse the request.',
+        uk: 'Ключ прийнято, але тариф або права ключа не дозволяють запит.',
+      },
+      torbox_slot_loading: { ru: 'Лимит загрузок: получаю активные торренты…', en: 'Download limit: loading active torrents…', uk: 'Ліміт завантажень: отримую активні торренти…' },
+      torbox_slot_title: {
+        ru: 'Достигнут лимит активных загрузок',
+        en: 'Active download limit reached',
+        uk: 'Досягнуто ліміт активних завантажень',
+      },
+      torbox_slot_hint: {
+        ru: 'Удалите одну из загрузок, и добавление повторится',
+        en: 'Delete one download and the add will be retried',
+        uk: 'Видаліть одне із завантажень, і додавання повториться',
+      },
+      torbox_yes: { ru: 'да', en: 'yes', uk: 'так' },
+      torbox_no: { ru: 'нет', en: 'no', uk: 'ні' },
       torbox_diag_copy_failed: {
         ru: 'Не удалось скопировать диагностику',
         en: 'Failed to copy diagnostics',
@@ -3335,12 +6840,26 @@ try {
       },
     });
 
+    // Main menu entry for "My TorBox"
+    function addMenuItem() {
+      const list = $('.menu .menu__list').eq(0);
+      if (!list.length || list.find('[data-action="torbox_library"]').length) return;
+      const item = $(
+        `<li class="menu__item selector" data-action="torbox_library"><div class="menu__ico">${ICON}</div><div class="menu__text"></div></li>`
+      );
+      item.find('.menu__text').text(translate('torbox_library_title'));
+      item.on('hover:enter', () =>
+        Lampa.Activity.push({ component: 'torbox_library', title: translate('torbox_library_title'), page: 1 })
+      );
+      list.append(item);
+    }
+
     // Templates used by the component
     function addTemplates() {
       Lampa.Template.add(
         'torbox_item',
         '<div class="torbox-item selector" data-hash="{hash}">' +
-          '<div class="torbox-item__title">{last_played_icon}{icon} {title}</div>' +
+          '<div class="torbox-item__title">{last_played_icon}<span class="torbox-item__cache-icon">{icon}</span> {source_badge}{pack_badge}{title}</div>' +
           '<div class="torbox-item__main-info">{info_formated}</div>' +
           '<div class="torbox-item__meta">{meta_formated}</div>' +
           '{tech_bar_html}' +
@@ -3366,20 +6885,234 @@ try {
       );
     }
 
+    // Parser editor (Settings → TorBox → Parsers). Every change is saved immediately.
+    function openParserEditor() {
+      const controllerName = Lampa.Controller.enabled().name;
+      const back = () => Lampa.Controller.toggle(controllerName);
+
+      const summary = (p) =>
+        [
+          PARSER_TYPE_LABELS[p.type],
+          p.url,
+          p.indexer && `idx ${p.indexer}`,
+          p.categories && `cat ${p.categories}`,
+          p.format !== 'auto' && p.type !== 'torznab' && translate(`torbox_parsers_format_${p.format}`),
+        ]
+          .filter(Boolean)
+          .join(' · ');
+
+      const save = (list) => {
+        const saved = setParserConfigs(list);
+        if (saved.length < list.length) Lampa.Noty.show(translate('torbox_parsers_invalid_url'), { type: 'error' });
+        return saved;
+      };
+
+      const input = (title, value, onDone) =>
+        Lampa.Input.edit({ title, value: value || '', free: true, nosave: true }, (v) => onDone(String(v ?? '').trim()));
+
+      const FIELDS = [
+        { key: 'name', label: 'torbox_parsers_field_name' },
+        { key: 'url', label: 'torbox_parsers_field_url' },
+        { key: 'type', label: 'torbox_parsers_field_type' },
+        { key: 'apikey', label: 'torbox_parsers_field_apikey', secret: true },
+        { key: 'indexer', label: 'torbox_parsers_field_indexer' },
+        { key: 'categories', label: 'torbox_parsers_field_categories' },
+        { key: 'format', label: 'torbox_parsers_field_format' },
+        { key: 'enabled', label: 'torbox_parsers_field_enabled' },
+      ];
+
+      const showEntry = (index) => {
+        const list = getParserConfigs();
+        const entry = list[index];
+        if (!entry) return showList();
+        const update = (patch) => {
+          const next = Object.assign({}, entry, patch);
+          // A bad URL keeps the old entry instead of dropping it
+          if (normalizeParserConfig(next)) list[index] = next;
+          else Lampa.Noty.show(translate('torbox_parsers_invalid_url'), { type: 'error' });
+          save(list);
+          showEntry(index);
+        };
+        const valueOf = (field) => {
+          const v = entry[field.key];
+          if (field.key === 'type') return PARSER_TYPE_LABELS[v];
+          if (field.key === 'format') return translate(`torbox_parsers_format_${v}`);
+          if (field.key === 'enabled') return translate(v ? 'torbox_yes' : 'torbox_no');
+          if (field.secret) return v ? '••••••' : '—';
+          return v || '—';
+        };
+
+        Lampa.Select.show({
+          title: Utils.escapeHtml(entry.name),
+          items: [
+            ...FIELDS.map((field) => ({
+              title: translate(field.label),
+              subtitle: Utils.escapeHtml(valueOf(field)),
+              field,
+            })),
+            { title: translate('torbox_parsers_delete'), remove: true },
+          ],
+          onSelect: (a) => {
+            if (a.remove) {
+              return confirmSelect(
+                translateWithParams('torbox_confirm_delete_parser', { title: Utils.escapeHtml(entry.name) }),
+                () => {
+                  list.splice(index, 1);
+                  save(list);
+                  showList();
+                },
+                () => showEntry(index)
+              );
+            }
+            const key = a.field.key;
+            if (key === 'enabled') return update({ enabled: !entry.enabled });
+            if (key === 'type') {
+              return Lampa.Select.show({
+                title: translate(a.field.label),
+                items: PARSER_TYPES.map((type) => ({ title: PARSER_TYPE_LABELS[type], type, selected: type === entry.type })),
+                onSelect: (t) => update({ type: t.type }),
+                onBack: () => showEntry(index),
+              });
+            }
+            if (key === 'format') {
+              return Lampa.Select.show({
+                title: translate(a.field.label),
+                items: PARSER_FORMATS.map((format) => ({
+                  title: translate(`torbox_parsers_format_${format}`),
+                  format,
+                  selected: format === entry.format,
+                })),
+                onSelect: (f) => update({ format: f.format }),
+                onBack: () => showEntry(index),
+              });
+            }
+            input(translate(a.field.label), entry[key], (v) => update({ [key]: v }));
+          },
+          onBack: showList,
+        });
+      };
+
+      const showList = () => {
+        const list = getParserConfigs();
+        Lampa.Select.show({
+          title: translate('torbox_settings_parsers_name'),
+          items: [
+            ...list.map((p, index) => ({
+              title: `${p.enabled ? '' : '⏸ '}${Utils.escapeHtml(p.name)}`,
+              subtitle: Utils.escapeHtml(summary(p)),
+              index,
+            })),
+            { title: translate('torbox_parsers_add'), add: true },
+            { title: translate('torbox_parsers_json'), json: true },
+          ],
+          onSelect: (a) => {
+            if (a.add) {
+              return input(translate('torbox_parsers_field_url'), '', (url) => {
+                if (!url) return showList();
+                const saved = save([...list, { url, type: 'jackett' }]);
+                saved.length > list.length ? showEntry(saved.length - 1) : showList();
+              });
+            }
+            if (a.json) {
+              return input(translate('torbox_parsers_json'), JSON.stringify(list), (text) => {
+                let parsed;
+                try {
+                  parsed = JSON.parse(text || '[]');
+                } catch {
+                  Lampa.Noty.show(translate('torbox_parsers_bad_json'), { type: 'error' });
+                  return showList();
+                }
+                save(Array.isArray(parsed) ? parsed : [parsed]);
+                showList();
+              });
+            }
+            showEntry(a.index);
+          },
+          onBack: back,
+        });
+      };
+
+      showList();
+    }
+
     // Settings (keeps original keys and public surface)
     function addSettings() {
       if (!Lampa.SettingsApi) return;
       Lampa.SettingsApi.addComponent({ component: 'torbox_enh', name: 'TorBox', icon: ICON });
 
+      let accountCtrl = null;
+      let accountField = null;
+      // Counting active downloads needs the whole mylist, so that only happens on OK on this row
+      const readAccount = (signal, countActive) =>
+        Promise.all([Api.userInfo(signal), countActive ? Api.myLibrary(signal).catch(() => null) : null]).then(
+          ([user, list]) => summarizeAccount(user?.data, list?.data)
+        );
+
+      const renderAccount = (field, { countActive = false } = {}) => {
+        accountField = field;
+        const descr = field.find('.settings-param__descr');
+        const show = (lines) => descr.html(lines.map((l) => Utils.escapeHtml(l)).join('<br>'));
+        if (accountCtrl) accountCtrl.abort();
+        if (!Config.apiKey) return show([translate('torbox_error_api_key_missing')]);
+
+        const ctrl = (accountCtrl = new AbortController());
+        show([translate('torbox_account_loading')]);
+        readAccount(ctrl.signal, countActive)
+          .then((a) => {
+            if (ctrl.signal.aborted) return;
+            show([
+              `${translate('torbox_account_plan')}: ${a.plan || '—'}`,
+              `${translate('torbox_account_expires')}: ${
+                a.expiresAt ? a.expiresAt.toLocaleDateString() + (a.expired ? ` (${translate('torbox_account_expired')})` : '') : '—'
+              }`,
+              `${translate('torbox_account_active')}: ${accountSlotsText(a, countActive)}`,
+              `${translate('torbox_account_downloaded')}: ${
+                a.downloadedBytes ? Utils.formatBytes(a.downloadedBytes) : a.downloadedCount || 0
+              }`,
+            ]);
+          })
+          .catch((err) => {
+            if (ctrl.signal.aborted || err?.name === 'AbortError') return;
+            // 401 = key rejected, 403 = key accepted but the plan/permissions refuse it
+            const lines = [err?.message || translate('torbox_error_unknown')];
+            if (err?.status === 401) lines.push(translate('torbox_account_hint_401'));
+            if (err?.status === 403) lines.push(translate('torbox_account_hint_403'));
+            show(lines);
+          });
+      };
+
       const params = [
+        {
+          key: 'torbox_account',
+          name: translate('torbox_account_title'),
+          desc: translate('torbox_account_loading'),
+          type: 'button',
+          get: () => '',
+          set: () => accountField && renderAccount(accountField, { countActive: true }),
+          render: renderAccount,
+        },
         {
           key: 'torbox_proxy_url',
           name: translate('torbox_settings_proxy_name'),
           desc: translate('torbox_settings_proxy_desc'),
           type: 'input',
+          placeholder: 'https://proxy1.example/; https://proxy2.example/',
           get: () => Config.proxyUrl,
           set: (v) => (Config.proxyUrl = String(v || '').trim()),
         },
+        {
+          key: 'torbox_connection_mode',
+          name: translate('torbox_settings_connection_mode_name'),
+          desc: translate('torbox_settings_connection_mode_desc'),
+          type: 'select',
+          values: {
+            auto: translate('torbox_settings_connection_mode_auto'),
+            direct: translate('torbox_settings_connection_mode_direct'),
+            proxy: translate('torbox_settings_connection_mode_proxy'),
+          },
+          get: () => getConnectionMode(),
+          set: (v) => setConnectionMode(v),
+        },
         {
           key: 'torbox_api_key',
           name: translate('torbox_settings_api_name'),
@@ -3413,6 +7146,14 @@ try {
           get: () => getDefaultCachedOnly(),
           set: (v) => setDefaultCachedOnly(!!v),
         },
+        {
+          key: 'torbox_group_duplicates',
+          name: translate('torbox_settings_group_duplicates_name'),
+          desc: translate('torbox_settings_group_duplicates_desc'),
+          type: 'trigger',
+          get: () => getGroupDuplicates(),
+          set: (v) => setGroupDuplicates(!!v),
+        },
         {
           key: 'torbox_requestdl_permanent',
           name: translate('torbox_settings_permanent_link_name'),
@@ -3465,6 +7206,45 @@ try {
           get: () => getExcludedTrackers().join(','),
           set: (v) => setExcludedTrackers(v).join(','),
         },
+        {
+          key: 'torbox_score_weights',
+          name: translate('torbox_settings_score_weights_name'),
+          desc: translate('torbox_settings_score_weights_desc'),
+          type: 'input',
+          placeholder: formatScoreWeights(DEFAULT_SCORE_WEIGHTS),
+          get: () => formatScoreWeights(getScoreWeights()),
+          set: (v) => formatScoreWeights(setScoreWeights(v)),
+        },
+        {
+          key: 'torbox_tracker_weights',
+          name: translate('torbox_settings_tracker_weights_name'),
+          desc: translate('torbox_settings_tracker_weights_desc'),
+          type: 'input',
+          placeholder: 'rutracker=1; kinozal=0.8',
+          get: () => formatTrackerWeights(getTrackerWeights()),
+          set: (v) => formatTrackerWeights(setTrackerWeights(v)),
+        },
+        {
+          key: 'torbox_max_bitrate',
+          name: translate('torbox_settings_max_bitrate_name'),
+          desc: translate('torbox_settings_max_bitrate_desc'),
+          type: 'input',
+          placeholder: '0',
+          get: () => String(getMaxBitrate()),
+          set: (v) => String(setMaxBitrate(v)),
+        },
+        {
+          key: 'torbox_max_bitrate_mode',
+          name: translate('torbox_settings_max_bitrate_mode_name'),
+          desc: translate('torbox_settings_max_bitrate_mode_desc'),
+          type: 'select',
+          values: {
+            flag: translate('torbox_settings_max_bitrate_mode_flag'),
+            hide: translate('torbox_settings_max_bitrate_mode_hide'),
+          },
+          get: () => getMaxBitrateMode(),
+          set: (v) => setMaxBitrateMode(v),
+        },
         {
           key: 'torbox_track_retries',
           name: translate('torbox_settings_retries_name'),
@@ -3483,6 +7263,15 @@ try {
           get: () => String(getTrackIntervalMs()),
           set: (v) => String(setTrackIntervalMs(v)),
         },
+        {
+          key: 'torbox_cached_status_ttl_h',
+          name: translate('torbox_settings_cached_ttl_name'),
+          desc: translate('torbox_settings_cached_ttl_desc'),
+          type: 'input',
+          inputmode: 'numeric',
+          get: () => String(getCachedStatusTtlHours()),
+          set: (v) => String(setCachedStatusTtlHours(v)),
+        },
         {
           key: 'torbox_video_extensions',
           name: translate('torbox_settings_video_ext_name'),
@@ -3493,13 +7282,55 @@ try {
           set: (v) => setVideoExtensions(v).join(','),
         },
         {
-          key: 'torbox_custom_parsers',
-          name: translate('torbox_settings_custom_parsers_name'),
-          desc: translate('torbox_settings_custom_parsers_desc'),
+          key: 'torbox_parsers',
+          name: translate('torbox_settings_parsers_name'),
+          desc: translate('torbox_settings_parsers_desc'),
+          type: 'button',
+          get: () => '',
+          set: () => openParserEditor(),
+        },
+        {
+          key: 'torbox_newznab_indexers',
+          name: translate('torbox_settings_newznab_name'),
+          desc: translate('torbox_settings_newznab_desc'),
           type: 'input',
-          placeholder: 'domain1.com, domain2.com',
-          get: () => Store.get('torbox_custom_parsers', ''),
-          set: (v) => Store.set('torbox_custom_parsers', String(v || '').trim()),
+          placeholder: 'https://indexer.example/api?apikey=KEY',
+          get: () => getNewznabIndexers().map((entry) => entry.url).join('; '),
+          set: (v) => setNewznabIndexers(v).map((entry) => entry.url).join('; '),
+        },
+        {
+          key: 'torbox_parser_categories',
+          name: translate('torbox_settings_categories_name'),
+          desc: translate('torbox_settings_categories_desc'),
+          type: 'input',
+          placeholder: formatContentCategories(DEFAULT_CONTENT_CATEGORIES),
+          get: () => formatContentCategories(getContentCategories()),
+          set: (v) => formatContentCategories(setContentCategories(v)),
+        },
+        {
+          key: 'torbox_parser_mode',
+          name: translate('torbox_settings_parser_mode_name'),
+          desc: translate('torbox_settings_parser_mode_desc'),
+          type: 'select',
+          values: {
+            merge: translate('torbox_settings_parser_mode_merge'),
+            failover: translate('torbox_settings_parser_mode_failover'),
+          },
+          get: () => getParserMode(),
+          set: (v) => setParserMode(v),
+        },
+        {
+          key: 'torbox_search_source',
+          name: translate('torbox_settings_search_source_name'),
+          desc: translate('torbox_settings_search_source_desc'),
+          type: 'select',
+          values: {
+            first: translate('torbox_settings_search_source_first'),
+            last: translate('torbox_settings_search_source_last'),
+            off: translate('torbox_settings_search_source_off'),
+          },
+          get: () => getSearchSourceMode(),
+          set: (v) => setSearchSourceMode(v),
         },
         {
           key: 'torbox_export_diagnostics',
@@ -3515,6 +7346,7 @@ try {
                 version: VERSION,
                 settings: {
                   proxy_url: Config.proxyUrl || '',
+                  connection_mode: getConnectionMode(),
                   debug: !!Config.debug,
                   debug_overlay: getDebugOverlayEnabled(),
                   prefer_permanent_link: getPreferPermanentLink(),
@@ -3524,7 +7356,16 @@ try {
                   preferred_audio_langs: getPreferredAudioLangs(),
                   preferred_video_codecs: getPreferredVideoCodecs(),
                   excluded_trackers: getExcludedTrackers(),
+                  score_weights: formatScoreWeights(getScoreWeights()),
+                  max_bitrate: getMaxBitrate(),
+                  max_bitrate_mode: getMaxBitrateMode(),
                   video_extensions: getVideoExtensions(),
+                  parser_mode: getParserMode(),
+                  search_source: getSearchSourceMode(),
+                  newznab_indexers: getNewznabIndexers().map((entry) => entry.name),
+                  parsers: getParserConfigs().map(({ name, type, url, enabled }) => ({ name, type, url, enabled })),
+                  content_categories: getContentCategories(),
+                  cached_status_ttl_h: getCachedStatusTtlHours(),
                 },
                 last_error: DebugTelemetry.lastError,
                 logs_tail: DebugTelemetry.logs.slice(-50),
@@ -3548,7 +7389,7 @@ try {
         let currentField = null;
         Lampa.SettingsApi.addParam({
           component: 'torbox_enh',
-          param: { name: p.key, type: p.type, values: '', default: p.get() },
+          param: { name: p.key, type: p.type, values: p.values || '', default: p.get() },
           field: { name: p.name, description: p.desc },
           onChange: (v) => {
             const value = typeof v === 'object' ? v.value : v;
@@ -3574,10 +7415,23 @@ try {
       });
     }
 
+    function whenAppReady(fn) {
+      if (window.appready) return fn();
+      const onReady = (e) => {
+        if (e.type !== 'ready') return;
+        Lampa.Listener.remove('app', onReady);
+        fn();
+      };
+      Lampa.Listener.follow('app', onReady);
+    }
+
     function boot() {
       Lampa.Component.add('torbox_main', MainComponent);
+      Lampa.Component.add('torbox_library', LibraryComponent);
       addTemplates();
       addSettings();
+      // The main menu only exists once the app is ready; plugins may load before that
+      whenAppReady(addMenuItem);
 
       if (fullListener) Lampa.Listener.remove('full', fullListener);
       fullListener = (e) => {
@@ -3612,6 +7466,11 @@ try {
           .torbox-item__title { font-weight:600; margin-bottom:.35em; font-size:1.05em; line-height:1.35; display:flex; align-items:center; white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
           .torbox-item__last-played-icon { display:inline-flex; width:1.1em; height:1.1em; margin-right:.5em; color:var(--color-second); }
           .torbox-item__last-played-icon svg{ width:100%; height:100%; }
+          .torbox-item__source { flex-shrink:0; margin-right:.5em; padding:.1em .45em; border-radius:.35em; font-size:.75em; font-weight:700; color:#fff; }
+          .torbox-item__source--usenet { background:#7c3aed; }
+          .torbox-item__pack { flex-shrink:0; margin-right:.5em; padding:.1em .45em; border-radius:.35em; font-size:.75em; font-weight:700; color:#fff; background:#475569; }
+          .torbox-item__pack--season, .torbox-item__pack--episodes { background:#2563eb; }
+          .torbox-item__pack--seasons, .torbox-item__pack--complete { background:#0d9488; }
           .torbox-item__main-info { font-size:.95em; opacity:.95; line-height:1.4; margin-bottom:.25em; }
           .torbox-item__meta { font-size:.88em; opacity:.75; line-height:1.4; margin-bottom:.7em; }
           .torbox-item__progress { position:absolute; left:0; right:0; bottom:0; height:3px; background:rgba(255,255,255,.22); }
@@ -3621,14 +7480,26 @@ try {
           .torbox-item__tech-item--res { background:#3b82f6; }
           .torbox-item__tech-item--codec { background:#16a34a; }
           .torbox-item__tech-item--audio { background:#f97316; }
+          .torbox-item--unrelated { opacity:.75; }
+          .torbox-item--over-bitrate .torbox-item__bitrate { color:var(--color-bad); font-weight:700; }
+          .torbox-item--over-bitrate .torbox-item__bitrate::before { content:'⚠ '; }
+          .torbox-item--group { opacity:.85; padding-top:.5em; padding-bottom:.5em; }
+          .torbox-item--alt { margin-left:1.5em; }
+          .torbox-item__tech-item--source { background:#0891b2; }
+          .torbox-item__tech-item--edition { background:#64748b; }
           .torbox-item__tech-item--hdr { background:linear-gradient(45deg,#ff8c00,#ffa500); }
           .torbox-item__tech-item--dv  { background:linear-gradient(45deg,#4b0082,#8a2be2); }
           .torbox-cached-toggle { display:inline-flex; align-items:center; justify-content:center; border:2px solid transparent; transition:.2s; gap:.5em; padding:0 .8em; min-height:2.5em; }
           .torbox-cached-toggle__icon { font-size:1.5em; line-height:1; }
           .torbox-cached-toggle__label { font-size:.85em; font-weight:500; white-space:nowrap; }
+          .torbox-paste-link { display:inline-flex; align-items:center; justify-content:center; border:2px solid transparent; transition:.2s; gap:.5em; padding:0 .8em; min-height:2.5em; }
+          .torbox-paste-link__label { font-size:.85em; font-weight:500; white-space:nowrap; }
+          .torbox-paste-link.focus, .torbox-paste-link:hover { background:var(--color-primary); color:var(--color-background); border-color:rgba(255,255,255,.28); }
           .torbox-cached-toggle.torbox-cached-toggle--active, .torbox-cached-toggle.focus, .torbox-cached-toggle:hover {
             background:var(--color-primary); color:var(--color-background); border-color:rgba(255,255,255,.28);
           }
+          .torbox-library__head { display:flex; flex-wrap:wrap; gap:.6em; padding:1em 1em 0; }
+          .torbox-library__head .simple-button { padding:0 .9em; min-height:2.5em; display:inline-flex; align-items:center; font-size:.9em; }
           .torbox-file-item { display:flex; justify-content:space-between; align-items:center; padding:1em 1.2em; margin-bottom:1em; border-radius:.8em; background:var(--color-background-light); transition:.25s; border:2px solid transparent; }
           .torbox-file-item__title { font-weight:600; }
           .torbox-file-item__subtitle { font-size:.9em; opacity:.75; }